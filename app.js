@@ -10,6 +10,7 @@ const fs = require('fs');
 
 // Import custom middleware
 const { errorHandler } = require('./middlewares/errorMiddleware');
+const { requestContext } = require('./utils/requestContext');
 
 // Initialize express app
 const app = express();
@@ -47,6 +48,9 @@ app.use('/api', limiter);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Make the current request available to model hooks (audit log)
+app.use(requestContext);
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -218,6 +222,18 @@ const dietPlanRoutes = require('./routes/dietPlanRoutes');
 const activityRoutes = require('./routes/activityRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const sportCategoryRoutes = require('./routes/sportCategoryRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const guardianRoutes = require('./routes/guardianRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const meRoutes = require('./routes/meRoutes');
+const erasureRequestRoutes = require('./routes/erasureRequestRoutes');
+const coachApplicationRoutes = require('./routes/coachApplicationRoutes');
+const timeOffRoutes = require('./routes/timeOffRoutes');
+const payrollRoutes = require('./routes/payrollRoutes');
+const trainingSessionRoutes = require('./routes/trainingSessionRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const facilityRoutes = require('./routes/facilityRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
 
 // Mount routes
 app.use('/api/v1/auth', authRoutes);
@@ -233,6 +249,18 @@ app.use('/api/v1/diet-plans', dietPlanRoutes);
 app.use('/api/v1/activities', activityRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/sport-categories', sportCategoryRoutes);
+app.use('/api/v1/roles', roleRoutes);
+app.use('/api/v1/guardians', guardianRoutes);
+app.use('/api/v1/audit-logs', auditLogRoutes);
+app.use('/api/v1/me', meRoutes);
+app.use('/api/v1/erasure-requests', erasureRequestRoutes);
+app.use('/api/v1/coach-applications', coachApplicationRoutes);
+app.use('/api/v1/time-off', timeOffRoutes);
+app.use('/api/v1/payslips', payrollRoutes);
+app.use('/api/v1/training-sessions', trainingSessionRoutes);
+app.use('/api/v1/attendance', attendanceRoutes);
+app.use('/api/v1/facilities', facilityRoutes);
+app.use('/api/v1/calendar', calendarRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+/**
+ * Field encryption keys
+ * FIELD_ENCRYPTION_KEY encrypts new values. During a key rotation the
+ * previous keys go in FIELD_ENCRYPTION_PREVIOUS_KEYS (comma-separated) so
+ * existing values can still be read until scripts/rotateEncryptionKey.js has
+ * re-encrypted them. Keys are 32 random bytes, base64 encoded:
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+/**
+ * Decode a base64 key
+ * @param {String} value - Base64 encoded key
+ * @returns {Buffer} 32-byte key
+ */
+const parseKey = (value) => {
+  const key = Buffer.from(value.trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error('Field encryption keys must be 32 bytes, base64 encoded');
+  }
+  return key;
+};
+
+// Short fingerprint stored with every value so the right key can be found
+const keyIdOf = key => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+const keys = new Map();
+let currentKeyId = null;
+
+if (process.env.FIELD_ENCRYPTION_KEY) {
+  const currentKey = parseKey(process.env.FIELD_ENCRYPTION_KEY);
+  currentKeyId = keyIdOf(currentKey);
+  keys.set(currentKeyId, currentKey);
+
+  (process.env.FIELD_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .forEach((value) => {
+      const key = parseKey(value);
+      keys.set(keyIdOf(key), key);
+    });
+} else if (process.env.NODE_ENV === 'production') {
+  throw new Error('FIELD_ENCRYPTION_KEY must be set in production');
+} else {
+  console.warn('FIELD_ENCRYPTION_KEY is not set; sensitive fields are stored unencrypted');
+}
+
+module.exports = {
+  currentKeyId,
+  keys,
+};
@@ -1,6 +1,7 @@
 const Activity = require('../models/activityModel');
 const User = require('../models/userModel');
 const AppError = require('../utils/appError');
+const { ownershipFilter } = require('../services/permissionService');
 
 /**
  * @desc    Get all activities (filtered by student or coach)
@@ -9,21 +10,8 @@ const AppError = require('../utils/appError');
  */
 exports.getAllActivities = async (req, res, next) => {
   try {
-    let filter = {};
-
-    // If student is requesting, show only their activities
-    if (req.user.role === 'student') {
-      filter.student = req.user._id;
-    }
-
-    // If coach is requesting, show activities for their students
-    if (req.user.role === 'coach') {
-      // Option 1: Show activities where the coach is explicitly assigned
-      filter.coach = req.user._id;
-      
-      // Option 2: Show activities for all students assigned to this coach
-      // This would require a more complex query joining with student-coach assignments
-    }
+    // Students only see their own activities, coaches the ones they are assigned to
+    let filter = req.permissionScope === 'own' ? ownershipFilter('Activity', req.user) : {};
 
     // Apply date filters if provided
     if (req.query.startDate) {
@@ -78,14 +66,6 @@ exports.getActivity = async (req, res, next) => {
       return next(new AppError('No activity found with that ID', 404));
     }
 
-    // Check if user has permission to view this activity
-    if (
-      req.user.role === 'student' && 
-      activity.student._id.toString() !== req.user._id.toString()
-    ) {
-      return next(new AppError('You do not have permission to view this activity', 403));
-    }
-
     res.status(200).json({
       status: 'success',
       data: {
@@ -150,22 +130,6 @@ exports.updateActivity = async (req, res, next) => {
       return next(new AppError('No activity found with that ID', 404));
     }
 
-    // Check if user has permission to update this activity
-    if (
-      req.user.role === 'student' && 
-      activity.student.toString() !== req.user._id.toString()
-    ) {
-      return next(new AppError('You do not have permission to update this activity', 403));
-    }
-
-    if (
-      req.user.role === 'coach' && 
-      activity.coach && 
-      activity.coach.toString() !== req.user._id.toString()
-    ) {
-      return next(new AppError('You can only update activities you are assigned to as a coach', 403));
-    }
-
     const updatedActivity = await Activity.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -202,22 +166,6 @@ exports.deleteActivity = async (req, res, next) => {
       return next(new AppError('No activity found with that ID', 404));
     }
 
-    // Check if user has permission to delete this activity
-    if (
-      req.user.role === 'student' && 
-      activity.student.toString() !== req.user._id.toString()
-    ) {
-      return next(new AppError('You do not have permission to delete this activity', 403));
-    }
-
-    if (
-      req.user.role === 'coach' && 
-      activity.coach && 
-      activity.coach.toString() !== req.user._id.toString()
-    ) {
-      return next(new AppError('You can only delete activities you are assigned to as a coach', 403));
-    }
-
     await Activity.findByIdAndDelete(req.params.id);
 
     res.status(204).json({
@@ -236,12 +184,8 @@ exports.deleteActivity = async (req, res, next) => {
  */
 exports.getActivityStats = async (req, res, next) => {
   try {
-    let filter = {};
-
-    // If student is requesting, show only their stats
-    if (req.user.role === 'student') {
-      filter.student = req.user._id;
-    }
+    // Students only see their own stats, coaches the activities they are assigned to
+    let filter = req.permissionScope === 'own' ? ownershipFilter('Activity', req.user) : {};
 
     // Filter by date range if provided
     if (req.query.startDate) {
@@ -334,14 +278,6 @@ exports.trackAreaCoverage = async (req, res, next) => {
       return next(new AppError('No activity found with that ID', 404));
     }
 
-    // Check if user has permission to update this activity
-    if (
-      req.user.role === 'student' && 
-      activity.student.toString() !== req.user._id.toString()
-    ) {
-      return next(new AppError('You do not have permission to update this activity', 403));
-    }
-
     // Update area coverage
     const { value, unit } = req.body;
     
@@ -14,14 +14,6 @@ exports.querySportsAssistant = async (req, res, next) => {
       });
     }
 
-    // Store user query in history (mock implementation)
-    const userQuery = {
-      id: Date.now().toString(),
-      userId: req.user.id,
-      query,
-      timestamp: new Date()
-    };
-
     // Process the query (mock AI response)
     // In a real implementation, this would call an external AI service
     const response = generateSportsResponse(query);
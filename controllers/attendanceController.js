@@ -0,0 +1,263 @@
+const Attendance = require('../models/attendanceModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { ownershipFilter } = require('../services/permissionService');
+const { parseDay } = require('../services/availabilityService');
+const { takeRollCall, correctAttendance, getRollCall } = require('../services/attendanceService');
+const { getOpenSessions, kioskCheckIn, getMemberCode } = require('../services/checkInService');
+
+/**
+ * Build a filter on sessionDate from ?from and ?to (YYYY-MM-DD, both inclusive)
+ * @param {Object} query - Request query
+ * @returns {Object|null} { from, to } with `to` at the end of its day, or null if a date is invalid
+ */
+const dateRange = (query) => {
+  const from = query.from ? parseDay(query.from) : undefined;
+  const to = query.to ? parseDay(query.to) : undefined;
+  if (from === null || to === null) return null;
+
+  if (to) to.setHours(23, 59, 59, 999);
+  return { from, to };
+};
+
+/**
+ * Read the page and page size of a listing
+ * @param {Object} query - Request query
+ * @returns {Object} { page, limit, skip }
+ */
+const pageOf = (query) => {
+  const page = query.page * 1 || 1;
+  const limit = Math.min(query.limit * 1 || 50, 200);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Get attendance records
+ * @route GET /api/v1/attendance?student=&coach=&session=&status=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private (attendance:view)
+ */
+exports.getAttendance = catchAsync(async (req, res, next) => {
+  const range = dateRange(req.query);
+  if (!range) {
+    return next(new AppError('Please provide valid dates', 400));
+  }
+  const { page, limit, skip } = pageOf(req.query);
+
+  const filter = {};
+  ['student', 'coach', 'session', 'status'].forEach(field => {
+    if (req.query[field]) filter[field] = req.query[field];
+  });
+  if (range.from || range.to) {
+    filter.sessionDate = {};
+    if (range.from) filter.sessionDate.$gte = range.from;
+    if (range.to) filter.sessionDate.$lte = range.to;
+  }
+
+  const query = req.permissionScope === 'own'
+    ? { $and: [filter, ownershipFilter('Attendance', req.user)] }
+    : filter;
+
+  const [records, total] = await Promise.all([
+    Attendance.find(query).sort({ sessionDate: -1 }).skip(skip).limit(limit),
+    Attendance.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: records.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      records,
+    },
+  });
+});
+
+/**
+ * Get an attendance record with its corrections
+ * @route GET /api/v1/attendance/:id
+ * @access Private (attendance:view)
+ */
+exports.getAttendanceRecord = catchAsync(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      attendance: req.resource,
+    },
+  });
+});
+
+/**
+ * Get the roll-call of a training session
+ * @route GET /api/v1/attendance/sessions/:sessionId
+ * @access Private (attendance:view)
+ */
+exports.getSessionRollCall = catchAsync(async (req, res) => {
+  const rollCall = await getRollCall(req.resource);
+
+  res.status(200).json({
+    status: 'success',
+    results: rollCall.length,
+    data: {
+      session: {
+        _id: req.resource._id,
+        title: req.resource.title,
+        sessionDate: req.resource.sessionDate,
+        startTime: req.resource.startTime,
+        endTime: req.resource.endTime,
+        status: req.resource.status,
+      },
+      rollCall,
+    },
+  });
+});
+
+/**
+ * Take the roll-call of a training session
+ * @route POST /api/v1/attendance/sessions/:sessionId
+ * @access Private (attendance:record)
+ */
+exports.takeRollCall = catchAsync(async (req, res) => {
+  const { created, alreadyMarked } = await takeRollCall(req.resource, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: alreadyMarked.length
+      ? `${created.length} student(s) marked; ${alreadyMarked.length} already had a record. Correct those records to change them.`
+      : `${created.length} student(s) marked`,
+    results: created.length,
+    data: {
+      records: created,
+      alreadyMarked,
+    },
+  });
+});
+
+/**
+ * Correct an attendance record
+ * @route PATCH /api/v1/attendance/:id
+ * @access Private (attendance:record)
+ */
+exports.correctAttendance = catchAsync(async (req, res) => {
+  const attendance = await correctAttendance(req.resource, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      attendance,
+    },
+  });
+});
+
+/**
+ * Get a student's attendance history and stats
+ * @route GET /api/v1/attendance/students/:studentId?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private (attendance:view)
+ */
+exports.getStudentHistory = catchAsync(async (req, res, next) => {
+  const range = dateRange(req.query);
+  if (!range) {
+    return next(new AppError('Please provide valid dates', 400));
+  }
+  const { page, limit, skip } = pageOf(req.query);
+
+  // Records reference the student by user or by profile ID
+  const profile = req.resource;
+  const student = { $in: [profile._id, profile.user._id || profile.user] };
+  const filter = { student };
+  if (range.from || range.to) {
+    filter.sessionDate = {};
+    if (range.from) filter.sessionDate.$gte = range.from;
+    if (range.to) filter.sessionDate.$lte = range.to;
+  }
+
+  const [records, total, stats] = await Promise.all([
+    Attendance.find(filter).sort({ sessionDate: -1 }).skip(skip).limit(limit),
+    Attendance.countDocuments(filter),
+    Attendance.getStudentAttendanceStats(student, range.from, range.to),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: records.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      attendanceStats: profile.attendanceStats,
+      stats,
+      records,
+    },
+  });
+});
+
+/**
+ * Get the sessions open for check-in at the kiosk
+ * @route GET /api/v1/attendance/kiosk/sessions
+ * @access Private (attendance:kiosk)
+ */
+exports.getKioskSessions = catchAsync(async (req, res) => {
+  const sessions = await getOpenSessions();
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        title: session.title,
+        coach: session.coach,
+        sportCategory: session.sportCategory,
+        sessionDate: session.sessionDate,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        location: session.location,
+        attendanceCount: session.attendanceCount,
+        capacity: session.capacity,
+      })),
+    },
+  });
+});
+
+/**
+ * Check a student in at the kiosk by scanning their member code
+ * @route POST /api/v1/attendance/kiosk/check-in
+ * @access Private (attendance:kiosk)
+ */
+exports.kioskCheckIn = catchAsync(async (req, res) => {
+  const { student, session, attendance } = await kioskCheckIn(req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    message: `${student.name} checked in to "${session.title}"${attendance.status === 'late' ? ' (late)' : ''}`,
+    data: {
+      student,
+      session: {
+        _id: session._id,
+        title: session.title,
+        startTime: session.startTime,
+        endTime: session.endTime,
+      },
+      attendance,
+    },
+  });
+});
+
+/**
+ * Get the signed-in student's member code, to show as a QR code at the kiosk
+ * @route GET /api/v1/me/member-code
+ * @access Private (attendance:checkIn)
+ */
+exports.getMyMemberCode = catchAsync(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: getMemberCode(req.user),
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { toCsv, sendCsv } = require('../utils/csvUtils');
+
+// Most entries a single CSV export may contain
+const EXPORT_LIMIT = Number(process.env.AUDIT_LOG_EXPORT_LIMIT) || 10000;
+
+/**
+ * Build a query filter from the request query string
+ * Supported: actor, model, targetId, action, from, to (dates)
+ * @param {Object} query - req.query
+ * @returns {Object} MongoDB filter
+ * @throws {AppError} When an ID or date is invalid
+ */
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.actor) {
+    if (!mongoose.isValidObjectId(query.actor)) throw new AppError('Invalid actor ID', 400);
+    filter.actor = query.actor;
+  }
+
+  if (query.targetId) {
+    if (!mongoose.isValidObjectId(query.targetId)) throw new AppError('Invalid target ID', 400);
+    filter['target.id'] = query.targetId;
+  }
+
+  if (query.model) filter['target.model'] = query.model;
+  if (query.action) filter.action = { $in: String(query.action).split(',') };
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    [['from', '$gte'], ['to', '$lte']].forEach(([param, operator]) => {
+      if (!query[param]) return;
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) throw new AppError(`Invalid "${param}" date`, 400);
+      filter.createdAt[operator] = date;
+    });
+  }
+
+  return filter;
+};
+
+/**
+ * Get audit log entries, newest first
+ * @route GET /api/v1/audit-logs
+ * @access Private (audit:view)
+ */
+exports.getAuditLogs = catchAsync(async (req, res) => {
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 500);
+  const skip = (page - 1) * limit;
+
+  const filter = buildFilter(req.query);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: logs.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      logs,
+    },
+  });
+});
+
+/**
+ * Export audit log entries as CSV (same filters as the list)
+ * @route GET /api/v1/audit-logs/export
+ * @access Private (audit:view)
+ */
+exports.exportAuditLogs = catchAsync(async (req, res) => {
+  const filter = buildFilter(req.query);
+
+  const logs = await AuditLog.find(filter)
+    .populate('actor', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+
+  const csv = toCsv(logs, [
+    { header: 'Timestamp', value: log => log.createdAt },
+    { header: 'Action', value: log => log.action },
+    { header: 'Actor ID', value: log => log.actor && log.actor._id },
+    { header: 'Actor Name', value: log => log.actor && log.actor.name },
+    { header: 'Actor Email', value: log => log.actor && log.actor.email },
+    { header: 'Actor Role', value: log => log.actorRole },
+    { header: 'Target Model', value: log => log.target && log.target.model },
+    { header: 'Target ID', value: log => log.target && log.target.id },
+    { header: 'IP', value: log => log.ip },
+    { header: 'Changes', value: log => log.changes },
+    { header: 'Metadata', value: log => log.metadata },
+  ]);
+
+  sendCsv(res, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, csv);
+});
+
+/**
+ * Get a single audit log entry
+ * @route GET /api/v1/audit-logs/:id
+ * @access Private (audit:view)
+ */
+exports.getAuditLog = catchAsync(async (req, res, next) => {
+  const log = await AuditLog.findById(req.params.id).populate('actor', 'name email role');
+
+  if (!log) {
+    return next(new AppError('No audit log entry found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      log,
+    },
+  });
+});
@@ -1,9 +1,54 @@
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
 const StudentProfile = require('../models/studentProfileModel');
 const { catchAsync } = require('../middlewares/errorMiddleware');
-const { createTokens, verifyRefreshToken } = require('../utils/jwtUtils');
-const { comparePassword, hashToken } = require('../utils/passwordUtils');
+const Session = require('../models/sessionModel');
+const { verifyToken } = require('../utils/jwtUtils');
+const { hashToken } = require('../utils/passwordUtils');
 const { processSportCategories } = require('../utils/sportCategoryUtils');
+const {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+} = require('../services/sessionService');
+const { queueMail, buildUrl, isTransportConfigured } = require('../services/mailService');
+const { createChallenge, completeChallenge, isTwoFactorRequired } = require('../services/twoFactorService');
+const { inviteGuardian } = require('../services/guardianService');
+const {
+  getLoginBlock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  consumeRateLimit,
+} = require('../services/loginProtectionService');
+
+// Minimum wait between verification emails, and daily cap per account
+const VERIFICATION_RESEND_COOLDOWN_MS = (process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN || 60) * 1000;
+const VERIFICATION_MAX_SENDS_PER_DAY = process.env.EMAIL_VERIFICATION_MAX_PER_DAY || 5;
+
+// Password reset emails allowed per address per hour
+const FORGOT_PASSWORD_MAX_PER_HOUR = Number(process.env.FORGOT_PASSWORD_MAX_PER_HOUR) || 3;
+
+/**
+ * Send the email verification link to a user
+ * @param {Object} user - User document
+ * @param {String} token - Plain verification token
+ * @param {Object} req - Express request (used to build the link)
+ * @param {String} [template='verifyEmail'] - Email template to use
+ */
+const sendVerificationEmail = async (user, token, req, template = 'verifyEmail') => {
+  await queueMail({
+    to: user.email,
+    template,
+    data: {
+      name: user.name,
+      role: user.role,
+      verifyURL: buildUrl(req, `/api/v1/auth/verify-email/${token}`),
+    },
+    related: { model: 'User', id: user._id },
+  });
+};
 
 /**
  * Register a new user
@@ -81,10 +126,35 @@ exports.register = catchAsync(async (req, res) => {
       });
     
     console.log('Complete student profile:', JSON.stringify(completeProfile));
+
+    // Invite the guardian named at sign-up; minors cannot enrol until they consent
+    if (req.body.guardianEmail) {
+      try {
+        await inviteGuardian({
+          student: completeProfile,
+          email: req.body.guardianEmail,
+          name: req.body.guardianName,
+          relationship: req.body.guardianRelationship,
+          invitedBy: user,
+          req,
+        });
+      } catch (err) {
+        console.error('Error inviting guardian:', err);
+      }
+    }
   }
 
-  // Generate tokens
-  const tokens = createTokens({ id: user._id, role: user.role });
+  // Issue a verification token and send the welcome email; registration succeeds even if delivery fails
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  try {
+    await sendVerificationEmail(user, verificationToken, req, 'welcome');
+  } catch (err) {
+    console.error('Error sending welcome email:', err);
+  }
+
+  // Start a session for this device and generate tokens
+  const tokens = await startSession(user, req);
 
   // Remove password from output
   user.password = undefined;
@@ -116,17 +186,45 @@ exports.login = catchAsync(async (req, res) => {
     });
   }
 
+  // Refuse attempts while the account is locked or cooling down
+  const block = getLoginBlock(user);
+  if (block) {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(block.statusCode).json({
+      status: 'error',
+      message: block.message,
+    });
+  }
+
   // Check if password is correct
   const isPasswordValid = await user.correctPassword(password, user.password);
   if (!isPasswordValid) {
-    return res.status(401).json({
+    const locked = await recordFailedLogin(user, req);
+    return res.status(locked ? 423 : 401).json({
       status: 'error',
-      message: 'Invalid email or password',
+      message: locked
+        ? 'This account is temporarily locked after too many failed login attempts. Please try again later or contact an administrator.'
+        : 'Invalid email or password',
     });
   }
 
-  // Generate tokens
-  const tokens = createTokens({ id: user._id, role: user.role });
+  // Accounts with two-factor authentication get a challenge instead of tokens.
+  // Failed attempts are only cleared once the second factor succeeds.
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user),
+      },
+    });
+  }
+
+  await recordSuccessfulLogin(user);
+
+  // Start a session for this device and generate tokens
+  const tokens = await startSession(user, req);
 
   // Remove password from output
   user.password = undefined;
@@ -137,6 +235,28 @@ exports.login = catchAsync(async (req, res) => {
     data: {
       user,
       ...tokens,
+      // Tell admins/coaches who still have to enroll before using the API
+      ...(isTwoFactorRequired(user) && { twoFactorSetupRequired: true }),
+    },
+  });
+});
+
+/**
+ * Complete a two-factor login with an authenticator or backup code
+ * @route POST /api/v1/auth/login/2fa
+ * @access Public
+ */
+exports.loginTwoFactor = catchAsync(async (req, res) => {
+  const { tokens, user, method } = await completeChallenge(req.body.challengeToken, req.body.code, req);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user,
+      ...tokens,
+      // Let the client warn the user that a backup code was consumed
+      ...(method === 'backup_code' && { usedBackupCode: true }),
     },
   });
 });
@@ -147,30 +267,8 @@ exports.login = catchAsync(async (req, res) => {
  * @access Public
  */
 exports.refreshToken = catchAsync(async (req, res) => {
-  const { refreshToken } = req.body;
-
-  // Verify refresh token
-  let decoded;
-  try {
-    decoded = verifyRefreshToken(refreshToken);
-  } catch (error) {
-    return res.status(401).json({
-      status: 'error',
-      message: 'Invalid or expired refresh token',
-    });
-  }
-
-  // Check if user still exists
-  const user = await User.findById(decoded.id);
-  if (!user) {
-    return res.status(401).json({
-      status: 'error',
-      message: 'The user belonging to this token no longer exists',
-    });
-  }
-
-  // Generate new tokens
-  const tokens = createTokens({ id: user._id, role: user.role });
+  // Rotate the refresh token; replaying an old token revokes the session
+  const { tokens } = await rotateSession(req.body.refreshToken, req);
 
   res.status(200).json({
     status: 'success',
@@ -185,6 +283,19 @@ exports.refreshToken = catchAsync(async (req, res) => {
  * @access Public
  */
 exports.forgotPassword = catchAsync(async (req, res) => {
+  // Throttle reset emails per address, whether or not the account exists
+  const throttle = await consumeRateLimit(`forgot-password:${req.body.email.toLowerCase()}`, {
+    limit: FORGOT_PASSWORD_MAX_PER_HOUR,
+    windowMs: 60 * 60 * 1000,
+  });
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    return res.status(429).json({
+      status: 'error',
+      message: 'Too many password reset requests for this email. Please try again later.',
+    });
+  }
+
   // Find user by email
   const user = await User.findOne({ email: req.body.email });
   if (!user) {
@@ -198,20 +309,29 @@ exports.forgotPassword = catchAsync(async (req, res) => {
   const resetToken = user.createPasswordResetToken();
   await user.save({ validateBeforeSave: false });
 
-  // In a real app, you would send an email with the token
-  // For development, we'll just return it in the response
-  
-  // Note: In production, you'd use an email service like SendGrid, Mailgun, etc.
-  // const resetURL = `${req.protocol}://${req.get('host')}/api/v1/auth/reset-password/${resetToken}`;
-  
   try {
-    // For now, just return the token
+    // Link to the client app's reset page when one is configured
+    const resetURL = process.env.PASSWORD_RESET_URL
+      ? `${process.env.PASSWORD_RESET_URL}?token=${resetToken}`
+      : undefined;
+
+    await queueMail({
+      to: user.email,
+      template: 'resetPassword',
+      data: {
+        name: user.name,
+        resetURL,
+        resetToken,
+        expiresInMinutes: 10,
+      },
+      related: { model: 'User', id: user._id },
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Password reset token sent successfully',
-      data: {
-        resetToken, // In production, you'd not include this in the response
-      },
+      // Without a real mail transport the token is returned for development use
+      data: isTransportConfigured() ? undefined : { resetToken },
     });
   } catch (err) {
     // If sending email fails, clear the token
@@ -255,8 +375,26 @@ exports.resetPassword = catchAsync(async (req, res) => {
   user.passwordResetExpires = undefined;
   await user.save();
 
-  // Log the user in, send JWT
-  const tokens = createTokens({ id: user._id, role: user.role });
+  // End every existing session
+  await revokeAllSessions(user._id, 'password_change');
+
+  // A reset link alone must not bypass the second factor
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Password reset successful. Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user),
+      },
+    });
+  }
+
+  // Proving access to the mailbox also lifts any lockout
+  await recordSuccessfulLogin(user);
+
+  // Log the user in with a fresh session
+  const tokens = await startSession(user, req);
 
   res.status(200).json({
     status: 'success',
@@ -274,16 +412,77 @@ exports.resetPassword = catchAsync(async (req, res) => {
  * @access Public
  */
 exports.verifyEmail = catchAsync(async (req, res) => {
-  // Implementation depends on how you store and handle email verification tokens
-  // For example, you might have a verificationToken field in the User model
+  // Get user by verification token
+  const hashedToken = hashToken(req.params.token);
 
-  // This is a placeholder - adapt to your specific implementation
-  const { token } = req.params;
-  // Find user by token and mark as verified
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  // Check if user exists and token is valid
+  if (!user) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Verification link is invalid or has expired',
+    });
+  }
+
+  // Mark as verified; this also clears the token so it cannot be reused
+  user.markEmailVerified();
+  await user.save({ validateBeforeSave: false });
 
   res.status(200).json({
     status: 'success',
-    message: 'Email verified successfully (placeholder)',
+    message: 'Email verified successfully',
+  });
+});
+
+/**
+ * Resend the email verification link
+ * @route POST /api/v1/auth/resend-verification
+ * @access Private
+ */
+exports.resendVerificationEmail = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Your email address is already verified',
+    });
+  }
+
+  // Throttle: enforce a cooldown between sends and a daily cap
+  const now = Date.now();
+  const lastSentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+
+  if (now - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+    const retryAfter = Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - (now - lastSentAt)) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      status: 'error',
+      message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+    });
+  }
+
+  if (
+    now - lastSentAt < 24 * 60 * 60 * 1000 &&
+    user.emailVerificationSendCount >= VERIFICATION_MAX_SENDS_PER_DAY
+  ) {
+    return res.status(429).json({
+      status: 'error',
+      message: 'Too many verification emails requested today. Please try again tomorrow',
+    });
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendVerificationEmail(user, verificationToken, req);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent',
   });
 });
 
@@ -309,8 +508,9 @@ exports.changePassword = catchAsync(async (req, res) => {
   user.passwordConfirm = req.body.newPasswordConfirm;
   await user.save();
 
-  // Log user in, send JWT
-  const tokens = createTokens({ id: user._id, role: user.role });
+  // End every existing session, then log user in with a fresh one
+  await revokeAllSessions(user._id, 'password_change');
+  const tokens = await startSession(user, req);
 
   res.status(200).json({
     status: 'success',
@@ -347,16 +547,97 @@ exports.getMe = catchAsync(async (req, res) => {
 });
 
 /**
- * Log out (client-side only)
+ * Log out of the current session
  * @route POST /api/v1/auth/logout
  * @access Public
  */
-exports.logout = (req, res) => {
-  // JWT is stateless, no server-side logout needed
-  // Client should delete tokens from local storage
-  
+exports.logout = catchAsync(async (req, res) => {
+  if (req.body.refreshToken) {
+    // Preferred: identify the session by the refresh token, which works even
+    // when the access token has already expired
+    await revokeSessionByRefreshToken(req.body.refreshToken, 'logout');
+  } else if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    try {
+      const decoded = verifyToken(req.headers.authorization.split(' ')[1]);
+      if (decoded.sid) {
+        await revokeSession(decoded.sid, 'logout', decoded.id);
+      }
+    } catch (error) {
+      // An invalid access token has nothing left to revoke
+    }
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Logged out successfully',
   });
-}; 
\ No newline at end of file
+});
+
+/**
+ * Log out of all devices
+ * @route POST /api/v1/auth/logout-all
+ * @access Private
+ */
+exports.logoutAll = catchAsync(async (req, res) => {
+  const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out of all devices successfully',
+    data: {
+      revokedSessions: revokedCount,
+    },
+  });
+});
+
+/**
+ * Get active sessions of the current user
+ * @route GET /api/v1/auth/sessions
+ * @access Private
+ */
+exports.getSessions = catchAsync(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.lastUsedIp || session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(req.sessionId) && session._id.toString() === req.sessionId.toString(),
+      })),
+    },
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/v1/auth/sessions/:id
+ * @access Private
+ */
+exports.revokeMySession = catchAsync(async (req, res) => {
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await revokeSession(req.params.id, 'revoked_by_user', req.user._id)
+    : null;
+
+  if (!session) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Session not found or already ended',
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully',
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Session = require('../models/sessionModel');
+const User = require('../models/userModel');
+const { queueMail } = require('../services/mailService');
+const { hashToken } = require('../utils/passwordUtils');
+const { revokeMySession, verifyEmail, resendVerificationEmail } = require('./authController');
+const { runHandler } = require('../utils/testHelpers');
+
+jest.mock('../services/mailService', () => ({
+  ...jest.requireActual('../services/mailService'),
+  queueMail: jest.fn(),
+}));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  queueMail.mockReset();
+});
+
+describe('revokeMySession', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it('returns 404 for a malformed session ID without querying', async () => {
+    const update = jest.spyOn(Session, 'findOneAndUpdate');
+
+    const { res } = await runHandler(revokeMySession, { params: { id: 'not-an-id' }, user });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a session of another user', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const { res } = await runHandler(revokeMySession, { params: { id: String(new mongoose.Types.ObjectId()) }, user });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('revokes the user\'s own session', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ _id: sessionId });
+
+    const { res } = await runHandler(revokeMySession, { params: { id: String(sessionId) }, user });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(update.mock.calls[0][0]).toMatchObject({ user: user._id });
+  });
+});
+
+describe('verifyEmail', () => {
+  it('looks the user up by the hash of the token and marks the address verified', async () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com' });
+    const token = user.createEmailVerificationToken();
+    const find = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    const { res } = await runHandler(verifyEmail, { params: { token } });
+
+    expect(find.mock.calls[0][0].emailVerificationToken).toBe(hashToken(token));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.emailVerified).toBe(true);
+  });
+
+  it('rejects unknown or expired tokens', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const { res } = await runHandler(verifyEmail, { params: { token: 'unknown' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('resendVerificationEmail', () => {
+  const request = user => ({ user: { id: user._id }, headers: {}, protocol: 'http', get: () => 'localhost' });
+
+  it('sends a new link', async () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    const { res } = await runHandler(resendVerificationEmail, request(user));
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(queueMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'jane@example.com', template: 'verifyEmail' }));
+  });
+
+  it('asks the user to wait between emails', async () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com', emailVerificationSentAt: new Date() });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { res } = await runHandler(resendVerificationEmail, request(user));
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['Retry-After']).toBeDefined();
+    expect(queueMail).not.toHaveBeenCalled();
+  });
+
+  it('refuses once the address is verified', async () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com', emailVerified: true });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { res } = await runHandler(resendVerificationEmail, request(user));
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
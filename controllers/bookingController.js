@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { findCoachProfile } = require('../utils/resourceLoaders');
+const { can, ownershipFilter } = require('../services/permissionService');
+const { getCoachAvailability, parseDay, formatDay } = require('../services/availabilityService');
+const { createBooking, confirmBooking, declineBooking, cancelBooking } = require('../services/bookingService');
+
+// Longest period the availability endpoint returns at once
+const MAX_AVAILABILITY_DAYS = 31;
+
+/**
+ * Load a coach profile by :id (CoachProfile or User ID)
+ * @param {String} id - Route parameter
+ * @returns {Promise<Object>} CoachProfile document
+ * @throws {AppError} When the coach does not exist
+ */
+const findCoach = async (id) => {
+  const coach = await findCoachProfile(id);
+  if (!coach) {
+    throw new AppError('Coach not found', 404);
+  }
+  return coach;
+};
+
+/**
+ * Load one of a coach's bookings by :bookingId
+ * @param {Object} coach - CoachProfile document
+ * @param {String} id - Booking ID
+ * @returns {Promise<Object>} Booking document
+ * @throws {AppError} When the booking does not exist
+ */
+const findBooking = async (coach, id) => {
+  const booking = mongoose.isValidObjectId(id)
+    ? await Booking.findOne({ _id: id, coach: coach.user._id || coach.user })
+    : null;
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+  return booking;
+};
+
+/**
+ * Build a date range filter on startsAt from ?from and ?to (YYYY-MM-DD)
+ * @param {Object} query - Request query
+ * @returns {Object} MongoDB filter
+ */
+const dateRangeFilter = (query) => {
+  const filter = {};
+  const from = parseDay(query.from);
+  const to = parseDay(query.to);
+  if (from || to) filter.startsAt = {};
+  if (from) filter.startsAt.$gte = from;
+  if (to) {
+    to.setDate(to.getDate() + 1);
+    filter.startsAt.$lt = to;
+  }
+  return filter;
+};
+
+/**
+ * Get a coach's free time for private sessions
+ * @route GET /api/v1/coaches/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private
+ */
+exports.getCoachAvailability = catchAsync(async (req, res, next) => {
+  const coach = await findCoach(req.params.id);
+
+  const from = req.query.from ? parseDay(req.query.from) : parseDay(formatDay(new Date()));
+  let to = req.query.to ? parseDay(req.query.to) : null;
+  if (!from || (req.query.to && !to)) {
+    return next(new AppError('Please provide valid dates in YYYY-MM-DD format', 400));
+  }
+  if (!to) {
+    to = new Date(from);
+    to.setDate(to.getDate() + 6);
+  }
+
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  if (days < 1) {
+    return next(new AppError('The end date cannot be before the start date', 400));
+  }
+  if (days > MAX_AVAILABILITY_DAYS) {
+    return next(new AppError(`Availability can be requested for at most ${MAX_AVAILABILITY_DAYS} days at a time`, 400));
+  }
+
+  const availability = await getCoachAvailability(coach, from, to);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      coach: coach._id,
+      from: formatDay(from),
+      to: formatDay(to),
+      availability,
+    },
+  });
+});
+
+/**
+ * Book a private session with a coach
+ * @route POST /api/v1/coaches/:id/bookings
+ * @access Private (booking:create)
+ */
+exports.createBooking = catchAsync(async (req, res) => {
+  const coach = await findCoach(req.params.id);
+  const booking = await createBooking(coach, req.user, req.body, req.permissionScope);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Session requested. The coach will confirm it shortly.',
+    data: {
+      booking,
+    },
+  });
+});
+
+/**
+ * Get a coach's bookings
+ * @route GET /api/v1/coaches/:id/bookings?status=pending&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private (booking:manage)
+ */
+exports.getCoachBookings = catchAsync(async (req, res) => {
+  const filter = { coach: req.resource.user._id, ...dateRangeFilter(req.query) };
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+  const bookings = await Booking.find(filter)
+    .populate('student', 'name email phone')
+    .sort({ startsAt: 1 })
+    .limit(500);
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: {
+      bookings,
+    },
+  });
+});
+
+/**
+ * Get the bookings of the signed-in student, or of the students a guardian looks after
+ * @route GET /api/v1/me/bookings?status=confirmed&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private (booking:create)
+ */
+exports.getMyBookings = catchAsync(async (req, res) => {
+  const filter = { ...ownershipFilter('Booking', req.user), ...dateRangeFilter(req.query) };
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+  const bookings = await Booking.find(filter)
+    .populate('coach', 'name email profileImage')
+    .populate('student', 'name')
+    .sort({ startsAt: 1 })
+    .limit(500);
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: {
+      bookings,
+    },
+  });
+});
+
+/**
+ * Confirm a booking request
+ * @route PATCH /api/v1/coaches/:id/bookings/:bookingId/confirm
+ * @access Private (booking:manage)
+ */
+exports.confirmBooking = catchAsync(async (req, res) => {
+  const booking = await findBooking(req.resource, req.params.bookingId);
+  const updated = await confirmBooking(booking);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking: updated,
+    },
+  });
+});
+
+/**
+ * Decline a booking request
+ * @route PATCH /api/v1/coaches/:id/bookings/:bookingId/decline
+ * @access Private (booking:manage)
+ */
+exports.declineBooking = catchAsync(async (req, res) => {
+  const booking = await findBooking(req.resource, req.params.bookingId);
+  const updated = await declineBooking(booking, req.body.reason);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking: updated,
+    },
+  });
+});
+
+/**
+ * Cancel a booking, as the coach or staff, or as the student or their guardian
+ * @route PATCH /api/v1/coaches/:id/bookings/:bookingId/cancel
+ * @access Private (booking:manage, or booking:create on your own bookings)
+ */
+exports.cancelBooking = catchAsync(async (req, res, next) => {
+  const coach = await findCoach(req.params.id);
+  const booking = await findBooking(coach, req.params.bookingId);
+
+  let onStudentSide;
+  if (await can(req.user, 'booking:manage', booking)) {
+    onStudentSide = false;
+  } else if (await can(req.user, 'booking:create', booking)) {
+    onStudentSide = true;
+  } else {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  const updated = await cancelBooking(booking, req.user, { onStudentSide, reason: req.body.reason });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking: updated,
+    },
+  });
+});
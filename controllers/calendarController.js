@@ -0,0 +1,113 @@
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const {
+  feedsFor,
+  feedUrls,
+  findFeedUser,
+  getCoachFeed,
+  getStudentFeed,
+  getTournamentFeed,
+} = require('../services/calendarService');
+
+/**
+ * Send iCalendar text
+ * @param {Object} res - Express response
+ * @param {String} filename - Suggested file name
+ * @param {String} calendar - iCalendar text
+ * @param {String} cacheControl - Cache-Control header
+ */
+const sendCalendar = (res, filename, calendar, cacheControl) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': cacheControl,
+  });
+  res.status(200).send(calendar);
+};
+
+/**
+ * Get the status of the signed-in user's calendar feeds. The URLs are only
+ * shown when the feed token is created.
+ * @route GET /api/v1/me/calendar-feed
+ * @access Private
+ */
+exports.getMyCalendarFeed = catchAsync(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      active: Boolean(req.user.calendarFeedCreatedAt),
+      createdAt: req.user.calendarFeedCreatedAt,
+      feeds: feedsFor(req.user),
+    },
+  });
+});
+
+/**
+ * Create calendar feed URLs for the signed-in user, revoking earlier ones
+ * @route POST /api/v1/me/calendar-feed
+ * @access Private
+ */
+exports.createMyCalendarFeed = catchAsync(async (req, res, next) => {
+  if (!feedsFor(req.user).length) {
+    return next(new AppError('Calendar feeds are available to coaches, students and guardians', 403));
+  }
+
+  const user = await User.findById(req.user._id);
+  const token = user.createCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Add these URLs to your calendar app. They will not be shown again.',
+    data: {
+      createdAt: user.calendarFeedCreatedAt,
+      feeds: feedUrls(user, token, req),
+    },
+  });
+});
+
+/**
+ * Revoke the signed-in user's calendar feed URLs
+ * @route DELETE /api/v1/me/calendar-feed
+ * @access Private
+ */
+exports.revokeMyCalendarFeed = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  user.revokeCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your calendar feeds have been turned off',
+  });
+});
+
+/**
+ * Get a coach's training sessions as an iCalendar feed
+ * @route GET /api/v1/calendar/:token/coach.ics
+ * @access Public (feed token)
+ */
+exports.getCoachFeed = catchAsync(async (req, res) => {
+  const user = await findFeedUser(req.params.token, 'coach');
+  sendCalendar(res, 'coach.ics', await getCoachFeed(user), 'private, max-age=900');
+});
+
+/**
+ * Get a student's sessions and matches as an iCalendar feed
+ * @route GET /api/v1/calendar/:token/student.ics
+ * @access Public (feed token)
+ */
+exports.getStudentFeed = catchAsync(async (req, res) => {
+  const user = await findFeedUser(req.params.token, 'student');
+  sendCalendar(res, 'student.ics', await getStudentFeed(user), 'private, max-age=900');
+});
+
+/**
+ * Get the fixture list of a public tournament as an iCalendar feed
+ * @route GET /api/v1/tournaments/:id/fixtures.ics
+ * @access Public
+ */
+exports.getTournamentFeed = catchAsync(async (req, res) => {
+  sendCalendar(res, 'fixtures.ics', await getTournamentFeed(req.params.id), 'public, max-age=900');
+});
@@ -0,0 +1,269 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const CoachApplication = require('../models/coachApplicationModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { processSportCategories } = require('../utils/sportCategoryUtils');
+const {
+  saveApplication,
+  addCertification,
+  removeCertification,
+  submitApplication,
+  startReview,
+  reviewCertification,
+  approveApplication,
+  rejectApplication,
+} = require('../services/coachApplicationService');
+
+/**
+ * Load an application by :id
+ * @param {String} id - CoachApplication ID
+ * @returns {Promise<Object>} CoachApplication document
+ * @throws {AppError} When the application does not exist
+ */
+const findApplication = async (id) => {
+  const application = mongoose.isValidObjectId(id) ? await CoachApplication.findById(id) : null;
+  if (!application) {
+    throw new AppError('Coach application not found', 404);
+  }
+  return application;
+};
+
+/**
+ * Load the signed-in coach's application
+ * @param {Object} user - Coach user
+ * @returns {Promise<Object>} CoachApplication document
+ * @throws {AppError} When the coach has not started one
+ */
+const findMyApplication = async (user) => {
+  const application = await CoachApplication.findOne({ user: user._id });
+  if (!application) {
+    throw new AppError('You have not started a coach application yet', 404);
+  }
+  return application;
+};
+
+/**
+ * Get the signed-in coach's application
+ * @route GET /api/v1/coach-applications/me
+ * @access Private (coach:apply)
+ */
+exports.getMyApplication = catchAsync(async (req, res) => {
+  const application = await findMyApplication(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+      missing: application.getMissingItems(),
+    },
+  });
+});
+
+/**
+ * Start or update the signed-in coach's application
+ * @route PATCH /api/v1/coach-applications/me
+ * @access Private (coach:apply)
+ */
+exports.updateMyApplication = catchAsync(async (req, res) => {
+  if (req.body.sportsCategories) {
+    req.body.sportsCategories = await processSportCategories(req.body.sportsCategories);
+  }
+
+  const application = await saveApplication(req.user, req.body, req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+      missing: application.getMissingItems(),
+    },
+  });
+});
+
+/**
+ * Add a certification with its document (multipart `document` field)
+ * @route POST /api/v1/coach-applications/me/certifications
+ * @access Private (coach:apply)
+ */
+exports.addMyCertification = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload the certification in the "document" field', 400));
+  }
+
+  const application = await findMyApplication(req.user);
+  await addCertification(application, req.body, req.file);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      application,
+    },
+  });
+});
+
+/**
+ * Remove a certification from the signed-in coach's application
+ * @route DELETE /api/v1/coach-applications/me/certifications/:certificationId
+ * @access Private (coach:apply)
+ */
+exports.removeMyCertification = catchAsync(async (req, res) => {
+  const application = await findMyApplication(req.user);
+  await removeCertification(application, req.params.certificationId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+    },
+  });
+});
+
+/**
+ * Submit the signed-in coach's application for review
+ * @route POST /api/v1/coach-applications/me/submit
+ * @access Private (coach:apply)
+ */
+exports.submitMyApplication = catchAsync(async (req, res) => {
+  const application = await findMyApplication(req.user);
+  await submitApplication(application, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Application submitted for review',
+    data: {
+      application,
+    },
+  });
+});
+
+/**
+ * Get coach applications, oldest submission first
+ * @route GET /api/v1/coach-applications
+ * @access Private (coach:approve)
+ */
+exports.getApplications = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+  const applications = await CoachApplication.find(filter)
+    .populate('user', 'name email phone')
+    .sort({ submittedAt: 1, createdAt: 1 })
+    .limit(200);
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: {
+      applications,
+    },
+  });
+});
+
+/**
+ * Get a single coach application
+ * @route GET /api/v1/coach-applications/:id
+ * @access Private (coach:approve)
+ */
+exports.getApplication = catchAsync(async (req, res) => {
+  const application = await findApplication(req.params.id);
+  await application.populate([
+    { path: 'user', select: 'name email phone' },
+    { path: 'sportsCategories', select: 'name' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+    },
+  });
+});
+
+/**
+ * Download a certification document
+ * @route GET /api/v1/coach-applications/:id/certifications/:certificationId/document
+ * @access Private (coach:approve)
+ */
+exports.getCertificationDocument = catchAsync(async (req, res, next) => {
+  const application = await findApplication(req.params.id);
+  const certification = application.certifications.id(req.params.certificationId);
+
+  if (!certification) {
+    return next(new AppError('Certification not found', 404));
+  }
+
+  res.download(path.resolve(certification.document), certification.documentName, (err) => {
+    if (err && !res.headersSent) next(new AppError('Document file not found', 404));
+  });
+});
+
+/**
+ * Start reviewing a submitted application
+ * @route PATCH /api/v1/coach-applications/:id/review
+ * @access Private (coach:approve)
+ */
+exports.startReview = catchAsync(async (req, res) => {
+  const application = await findApplication(req.params.id);
+  await startReview(application, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+    },
+  });
+});
+
+/**
+ * Approve or reject a certification document
+ * @route PATCH /api/v1/coach-applications/:id/certifications/:certificationId
+ * @access Private (coach:approve)
+ */
+exports.reviewCertification = catchAsync(async (req, res) => {
+  const application = await findApplication(req.params.id);
+  await reviewCertification(application, req.params.certificationId, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+    },
+  });
+});
+
+/**
+ * Approve an application and the coach's account
+ * @route PATCH /api/v1/coach-applications/:id/approve
+ * @access Private (coach:approve)
+ */
+exports.approveApplication = catchAsync(async (req, res) => {
+  const application = await findApplication(req.params.id);
+  const { coach } = await approveApplication(application, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Application approved and coach profile created',
+    data: {
+      application,
+      coach,
+    },
+  });
+});
+
+/**
+ * Reject an application
+ * @route PATCH /api/v1/coach-applications/:id/reject
+ * @access Private (coach:approve)
+ */
+exports.rejectApplication = catchAsync(async (req, res) => {
+  const application = await findApplication(req.params.id);
+  await rejectApplication(application, req.body.reason, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application,
+    },
+  });
+});
@@ -1,10 +1,16 @@
+const path = require('path');
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
 const CoachProfile = require('../models/coachProfileModel');
 const StudentProfile = require('../models/studentProfileModel');
 const ExercisePlan = require('../models/exercisePlanModel');
 const TrainingSession = require('../models/trainingSessionModel');
 const ProgressReport = require('../models/progressReportModel');
-const Attendance = require('../models/attendanceModel');
+const { findCoachProfile } = require('../utils/resourceLoaders');
+const { can } = require('../services/permissionService');
+const { createExercisePlan, addPlanVersion, deleteExercisePlan, removeDocument } = require('../services/exercisePlanService');
+const { createSessions } = require('../services/trainingSessionService');
+const { takeRollCall } = require('../services/attendanceService');
 
 /**
  * @desc    Get all coaches
@@ -79,7 +85,8 @@ exports.createCoach = async (req, res, next) => {
         passwordConfirm: password, // For validation purposes
         phone,
         role: 'coach',
-        approved: true
+        approved: true,
+        emailVerified: true
       });
     }
 
@@ -141,14 +148,6 @@ exports.getCoach = async (req, res, next) => {
  */
 exports.updateCoach = async (req, res, next) => {
   try {
-    // For coaches updating their own profile, restrict what fields can be updated
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only update your own profile'
-      });
-    }
-
     const coach = await CoachProfile.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
@@ -192,12 +191,10 @@ exports.deleteCoach = async (req, res, next) => {
     const user = await User.findById(coach.user);
     
     if (user) {
-      // Option 1: Reset user role to student
+      // Keep the account as a student; to remove the person's data
+      // entirely, file an erasure request (/api/v1/erasure-requests)
       user.role = 'student';
       await user.save({ validateBeforeSave: false });
-      
-      // Option 2: Delete the user completely (uncomment if needed)
-      // await User.findByIdAndDelete(coach.user);
     }
 
     // Delete coach profile
@@ -219,9 +216,18 @@ exports.deleteCoach = async (req, res, next) => {
  */
 exports.getCoachSchedule = async (req, res, next) => {
   try {
-    const sessions = await TrainingSession.find({ coach: req.params.id })
-      .populate('sport', 'name')
-      .sort({ startTime: 1 });
+    const coachProfile = await findCoachProfile(req.params.id);
+    if (!coachProfile) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Coach not found'
+      });
+    }
+
+    const sessions = await TrainingSession.find({ coach: coachProfile.user._id || coachProfile.user })
+      .populate('sportCategory', 'name')
+      .select('-feedback')
+      .sort({ sessionDate: 1, startTime: 1 });
 
     res.status(200).json({
       status: 'success',
@@ -242,18 +248,12 @@ exports.getCoachSchedule = async (req, res, next) => {
  */
 exports.updateCoachSchedule = async (req, res, next) => {
   try {
-    // For coaches updating their own schedule
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only update your own schedule'
-      });
-    }
-
-    const sessions = await TrainingSession.create(req.body);
+    const coachUserId = req.resource.user._id || req.resource.user;
+    const sessions = await createSessions({ ...req.body, coach: coachUserId }, req.user, 'all');
 
     res.status(201).json({
       status: 'success',
+      results: sessions.length,
       data: {
         sessions
       }
@@ -263,6 +263,37 @@ exports.updateCoachSchedule = async (req, res, next) => {
   }
 };
 
+/**
+ * Find the exercise plans of the coach named by :id that a user may see.
+ * Coaches and plan managers see every plan; others see public plans and the
+ * plans assigned to them.
+ * @param {Object} req - Express request
+ * @param {Object} [extra] - Additional filter
+ * @returns {Promise<Object|null>} { coachProfile, filter }, or null if the coach does not exist
+ */
+const exercisePlanFilter = async (req, extra = {}) => {
+  const coachProfile = await findCoachProfile(req.params.id);
+  if (!coachProfile) return null;
+
+  const filter = { ...extra, coach: coachProfile.user._id || coachProfile.user };
+  if (!(await can(req.user, 'exercisePlan:manage', coachProfile))) {
+    filter.$or = [{ isPublic: true }, { assignedStudents: req.user._id }];
+  }
+
+  return { coachProfile, filter };
+};
+
+/**
+ * Load the exercise plan named by :planId, if the user may see it
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} ExercisePlan document
+ */
+const findVisibleExercisePlan = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.planId)) return null;
+  const visible = await exercisePlanFilter(req, { _id: req.params.planId });
+  return visible && await ExercisePlan.findOne(visible.filter);
+};
+
 /**
  * @desc    Get exercise plans created by a coach
  * @route   GET /api/v1/coaches/:id/exercise-plans
@@ -270,8 +301,16 @@ exports.updateCoachSchedule = async (req, res, next) => {
  */
 exports.getExercisePlans = async (req, res, next) => {
   try {
-    const plans = await ExercisePlan.find({ createdBy: req.params.id })
-      .populate('sport', 'name');
+    const visible = await exercisePlanFilter(req);
+
+    if (!visible) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Coach not found'
+      });
+    }
+
+    const plans = await ExercisePlan.find(visible.filter).sort({ createdAt: -1 });
 
     res.status(200).json({
       status: 'success',
@@ -292,10 +331,7 @@ exports.getExercisePlans = async (req, res, next) => {
  */
 exports.getExercisePlan = async (req, res, next) => {
   try {
-    const plan = await ExercisePlan.findOne({
-      _id: req.params.planId,
-      createdBy: req.params.id
-    }).populate('sport', 'name');
+    const plan = await findVisibleExercisePlan(req);
 
     if (!plan) {
       return res.status(404).json({
@@ -316,24 +352,47 @@ exports.getExercisePlan = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete an exercise plan
- * @route   DELETE /api/v1/coaches/:id/exercise-plans/:planId
- * @access  Private/Coach/Admin
+ * @desc    Download an exercise plan document, the current version by default
+ * @route   GET /api/v1/coaches/:id/exercise-plans/:planId/document?version=2
+ * @access  Private
  */
-exports.deleteExercisePlan = async (req, res, next) => {
+exports.getExercisePlanDocument = async (req, res, next) => {
   try {
-    // For coaches deleting their own plans
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
+    const plan = await findVisibleExercisePlan(req);
+    const document = plan && (req.query.version
+      ? plan.documents.find(doc => doc.version === Number(req.query.version))
+      : plan.document);
+
+    if (!document) {
+      return res.status(404).json({
         status: 'fail',
-        message: 'You can only delete your own plans'
+        message: plan ? 'Document not found' : 'Exercise plan not found'
       });
     }
 
-    const plan = await ExercisePlan.findOne({
-      _id: req.params.planId,
-      createdBy: req.params.id
+    res.download(path.resolve(document.path), document.name, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({
+          status: 'fail',
+          message: 'Document file not found'
+        });
+      }
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an exercise plan and its documents
+ * @route   DELETE /api/v1/coaches/:id/exercise-plans/:planId
+ * @access  Private/Coach/Admin
+ */
+exports.deleteExercisePlan = async (req, res, next) => {
+  try {
+    const plan = mongoose.isValidObjectId(req.params.planId)
+      ? await ExercisePlan.findOne({ _id: req.params.planId, coach: req.resource.user._id })
+      : null;
 
     if (!plan) {
       return res.status(404).json({
@@ -342,7 +401,7 @@ exports.deleteExercisePlan = async (req, res, next) => {
       });
     }
 
-    await plan.deleteOne();
+    await deleteExercisePlan(plan);
 
     res.status(204).json({
       status: 'success',
@@ -354,29 +413,52 @@ exports.deleteExercisePlan = async (req, res, next) => {
 };
 
 /**
- * @desc    Upload a new exercise plan
+ * @desc    Create an exercise plan, with its document in the `exercisePlan` file field
  * @route   POST /api/v1/coaches/:id/exercise-plans
  * @access  Private/Coach
  */
 exports.uploadExercisePlan = async (req, res, next) => {
   try {
-    // Only allow coaches to upload for themselves
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
+    const plan = await createExercisePlan(req.resource.user._id, req.body, req.file, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        plan
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Upload a new version of an exercise plan document
+ * @route   POST /api/v1/coaches/:id/exercise-plans/:planId/versions
+ * @access  Private/Coach
+ */
+exports.uploadExercisePlanVersion = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
         status: 'fail',
-        message: 'You can only upload plans for your own profile'
+        message: 'Please upload the plan in the "exercisePlan" field'
       });
     }
 
-    // Add file path if a file was uploaded
-    if (req.file) {
-      req.body.documentPath = req.file.path;
-    }
+    const plan = mongoose.isValidObjectId(req.params.planId)
+      ? await ExercisePlan.findOne({ _id: req.params.planId, coach: req.resource.user._id })
+      : null;
 
-    // Set the createdBy field
-    req.body.createdBy = req.params.id;
+    if (!plan) {
+      removeDocument(req.file.path);
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Exercise plan not found'
+      });
+    }
 
-    const plan = await ExercisePlan.create(req.body);
+    await addPlanVersion(plan, req.body, req.file, req.user);
 
     res.status(201).json({
       status: 'success',
@@ -396,14 +478,6 @@ exports.uploadExercisePlan = async (req, res, next) => {
  */
 exports.getCoachStudents = async (req, res, next) => {
   try {
-    // For coaches viewing their own students
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own students'
-      });
-    }
-
     const students = await StudentProfile.find({ assignedCoach: req.params.id })
       .populate('user', 'name email')
       .populate('sport', 'name');
@@ -427,14 +501,6 @@ exports.getCoachStudents = async (req, res, next) => {
  */
 exports.provideFeedback = async (req, res, next) => {
   try {
-    // Only allow coaches to provide feedback for themselves
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only provide feedback as yourself'
-      });
-    }
-
     // Check if student exists and is assigned to this coach
     const student = await StudentProfile.findOne({
       _id: req.params.studentId,
@@ -470,46 +536,37 @@ exports.provideFeedback = async (req, res, next) => {
 };
 
 /**
- * @desc    Record student attendance
+ * @desc    Record student attendance for one of the coach's sessions
+ *          (a roll-call with a single student; see /api/v1/attendance)
  * @route   POST /api/v1/coaches/:id/students/:studentId/attendance
  * @access  Private/Coach
  */
 exports.recordAttendance = async (req, res, next) => {
   try {
-    // Only allow coaches to record attendance for themselves
-    if (req.user.role === 'coach' && req.user.id !== req.params.id) {
-      return res.status(403).json({
+    const { session: sessionId, ...entry } = req.body;
+    const coachUserId = req.resource.user._id || req.resource.user;
+    const session = await TrainingSession.findOne({ _id: sessionId, coach: coachUserId });
+
+    if (!session) {
+      return res.status(404).json({
         status: 'fail',
-        message: 'You can only record attendance as yourself'
+        message: 'Training session not found for this coach'
       });
     }
 
-    // Check if student exists and is assigned to this coach
-    const student = await StudentProfile.findOne({
-      _id: req.params.studentId,
-      assignedCoach: req.params.id
-    });
+    const { created } = await takeRollCall(session, { records: [{ ...entry, student: req.params.studentId }] }, req.user);
 
-    if (!student) {
-      return res.status(404).json({
+    if (!created.length) {
+      return res.status(409).json({
         status: 'fail',
-        message: 'Student not found or not assigned to you'
+        message: 'Attendance for this student was already recorded. Correct the record instead.'
       });
     }
 
-    // Create attendance record
-    const attendance = await Attendance.create({
-      student: req.params.studentId,
-      session: req.body.session,
-      coach: req.params.id,
-      status: req.body.status,
-      notes: req.body.notes
-    });
-
     res.status(201).json({
       status: 'success',
       data: {
-        attendance
+        attendance: created[0]
       }
     });
   } catch (error) {
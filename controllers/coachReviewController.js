@@ -0,0 +1,198 @@
+const CoachReview = require('../models/coachReviewModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { findCoachProfile } = require('../utils/resourceLoaders');
+const { can } = require('../services/permissionService');
+const { findReview, submitReview, replyToReview, moderateReview } = require('../services/coachReviewService');
+
+// Sort orders accepted by the public review list
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+/**
+ * Load a coach profile by :id (CoachProfile or User ID)
+ * @param {String} id - Route parameter
+ * @returns {Promise<Object>} CoachProfile document
+ * @throws {AppError} When the coach does not exist
+ */
+const findCoach = async (id) => {
+  const coach = await findCoachProfile(id);
+  if (!coach) {
+    throw new AppError('Coach not found', 404);
+  }
+  return coach;
+};
+
+/**
+ * Get the published reviews of a coach
+ * @route GET /api/v1/coaches/:id/reviews?page=1&limit=10&sort=newest
+ * @access Public
+ */
+exports.getCoachReviews = catchAsync(async (req, res) => {
+  const coach = await findCoach(req.params.id);
+
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 10, 50);
+  const skip = (page - 1) * limit;
+  const filter = { coach: coach.user._id, status: 'published' };
+
+  const [reviews, total] = await Promise.all([
+    CoachReview.find(filter)
+      .select('-flagged -flagReason -flaggedBy -flaggedAt -moderatedBy -moderatedAt -moderationReason')
+      .populate('student', 'name profileImage')
+      .sort(SORTS[req.query.sort] || SORTS.newest)
+      .skip(skip)
+      .limit(limit),
+    CoachReview.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      ratingAverage: coach.ratingAverage,
+      ratingCount: coach.ratingCount,
+      reviews,
+    },
+  });
+});
+
+/**
+ * Review a coach, or update your review
+ * @route POST /api/v1/coaches/:id/reviews
+ * @access Private (review:create)
+ */
+exports.submitReview = catchAsync(async (req, res) => {
+  const coach = await findCoach(req.params.id);
+  const { review, created } = await submitReview(coach.user._id, req.user, req.body);
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * Delete a review, as its author or a moderator
+ * @route DELETE /api/v1/coaches/:id/reviews/:reviewId
+ * @access Private
+ */
+exports.deleteReview = catchAsync(async (req, res, next) => {
+  const coach = await findCoach(req.params.id);
+  const review = await findReview(coach.user._id, req.params.reviewId);
+
+  const isAuthor = review.student.toString() === req.user._id.toString();
+  if (!isAuthor && !(await can(req.user, 'review:moderate'))) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  await review.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Reply to a review
+ * @route PUT /api/v1/coaches/:id/reviews/:reviewId/reply
+ * @access Private (review:reply)
+ */
+exports.replyToReview = catchAsync(async (req, res) => {
+  const review = await findReview(req.resource.user._id, req.params.reviewId);
+  await replyToReview(review, req.body.text);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * Remove the reply to a review
+ * @route DELETE /api/v1/coaches/:id/reviews/:reviewId/reply
+ * @access Private (review:reply)
+ */
+exports.deleteReply = catchAsync(async (req, res) => {
+  const review = await findReview(req.resource.user._id, req.params.reviewId);
+  await replyToReview(review, null);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * Hide, publish, flag or unflag a review
+ * @route PATCH /api/v1/coaches/:id/reviews/:reviewId/moderation
+ * @access Private (review:moderate)
+ */
+exports.moderateReview = catchAsync(async (req, res) => {
+  const coach = await findCoach(req.params.id);
+  const review = await findReview(coach.user._id, req.params.reviewId);
+  await moderateReview(review, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * Get reviews for moderation, across all coaches
+ * @route GET /api/v1/coaches/reviews?flagged=true&status=hidden&page=1
+ * @access Private (review:moderate)
+ */
+exports.getReviewsForModeration = catchAsync(async (req, res) => {
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.flagged !== undefined) filter.flagged = req.query.flagged === 'true';
+  if (req.query.status) filter.status = req.query.status;
+
+  const [reviews, total] = await Promise.all([
+    CoachReview.find(filter)
+      .populate('coach', 'name email')
+      .populate('student', 'name email')
+      .sort({ flaggedAt: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    CoachReview.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      reviews,
+    },
+  });
+});
@@ -1,6 +1,7 @@
 const DietPlan = require('../models/dietPlanModel');
 const User = require('../models/userModel');
 const StudentProfile = require('../models/studentProfileModel');
+const { can, ownershipFilter } = require('../services/permissionService');
 
 /**
  * @desc    Get all diet plans (filtered by coach for coaches, or assigned for students)
@@ -9,18 +10,9 @@ const StudentProfile = require('../models/studentProfileModel');
  */
 exports.getAllDietPlans = async (req, res, next) => {
   try {
-    let query = {};
-    
-    // For coaches, show only their own diet plans
-    if (req.user.role === 'coach') {
-      query.coach = req.user._id;
-    }
-    
-    // For students, show only diet plans assigned to them
-    if (req.user.role === 'student') {
-      query.assignedStudents = req.user._id;
-    }
-    
+    // Coaches only see their own diet plans, students the ones assigned to them
+    const query = req.permissionScope === 'own' ? ownershipFilter('DietPlan', req.user) : {};
+
     const dietPlans = await DietPlan.find(query)
       .populate('coach', 'name email')
       .populate('assignedStudents', 'name email')
@@ -45,8 +37,8 @@ exports.getAllDietPlans = async (req, res, next) => {
  */
 exports.createDietPlan = async (req, res, next) => {
   try {
-    // Set coach to current user if coach role
-    if (req.user.role === 'coach') {
+    // Only users who manage every plan may create one on behalf of another coach
+    if (!req.body.coach || !(await can(req.user, 'dietPlan:update'))) {
       req.body.coach = req.user._id;
     }
 
@@ -82,17 +74,6 @@ exports.getDietPlan = async (req, res, next) => {
       });
     }
 
-    // Check permission
-    if (
-      req.user.role === 'student' && 
-      !dietPlan.assignedStudents.some(student => student._id.toString() === req.user._id.toString())
-    ) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You do not have permission to view this diet plan'
-      });
-    }
-
     res.status(200).json({
       status: 'success',
       data: {
@@ -121,14 +102,6 @@ exports.updateDietPlan = async (req, res, next) => {
       });
     }
 
-    // Check if coach owns this diet plan
-    if (req.user.role === 'coach' && dietPlan.coach.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only update diet plans you created'
-      });
-    }
-
     // Update the diet plan
     const updatedDietPlan = await DietPlan.findByIdAndUpdate(
       req.params.id,
@@ -169,14 +142,6 @@ exports.deleteDietPlan = async (req, res, next) => {
       });
     }
 
-    // Check if coach owns this diet plan
-    if (req.user.role === 'coach' && dietPlan.coach.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only delete diet plans you created'
-      });
-    }
-
     await DietPlan.findByIdAndDelete(req.params.id);
 
     res.status(204).json({
@@ -204,14 +169,6 @@ exports.assignDietPlan = async (req, res, next) => {
       });
     }
 
-    // Check if coach owns this diet plan
-    if (req.user.role === 'coach' && dietPlan.coach.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only assign diet plans you created'
-      });
-    }
-
     // Get student IDs to assign
     const { studentIds } = req.body;
     
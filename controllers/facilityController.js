@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Facility = require('../models/facilityModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { parseDay } = require('../services/availabilityService');
+const {
+  addMaintenance,
+  deactivateFacility,
+  getFacilityCalendar,
+} = require('../services/facilityService');
+
+/**
+ * Load a facility by :id, including ones no longer in use
+ * @param {String} id - Route parameter
+ * @returns {Promise<Object>} Facility document
+ * @throws {AppError} When the facility does not exist
+ */
+const findFacility = async (id) => {
+  const facility = mongoose.isValidObjectId(id) ? await Facility.findById(id) : null;
+  if (!facility) {
+    throw new AppError('Facility not found', 404);
+  }
+  return facility;
+};
+
+/**
+ * Get facilities
+ * @route GET /api/v1/facilities?type=&sportCategory=&includeInactive=true
+ * @access Private
+ */
+exports.getFacilities = catchAsync(async (req, res) => {
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (!req.query.includeInactive) filter.isActive = true;
+  if (req.query.type) filter.type = req.query.type;
+  // Facilities without sport categories suit every sport
+  if (req.query.sportCategory) {
+    filter.$or = [{ sportCategories: req.query.sportCategory }, { sportCategories: { $size: 0 } }];
+  }
+
+  const [facilities, total] = await Promise.all([
+    Facility.find(filter).sort({ name: 1 }).skip(skip).limit(limit),
+    Facility.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: facilities.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      facilities,
+    },
+  });
+});
+
+/**
+ * Get a facility
+ * @route GET /api/v1/facilities/:id
+ * @access Private
+ */
+exports.getFacility = catchAsync(async (req, res) => {
+  const facility = await findFacility(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      facility,
+    },
+  });
+});
+
+/**
+ * Create a facility
+ * @route POST /api/v1/facilities
+ * @access Private (facility:manage)
+ */
+exports.createFacility = catchAsync(async (req, res) => {
+  const facility = await Facility.create({ ...req.body, createdBy: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      facility,
+    },
+  });
+});
+
+/**
+ * Update a facility. Bookings already made are kept.
+ * @route PATCH /api/v1/facilities/:id
+ * @access Private (facility:manage)
+ */
+exports.updateFacility = catchAsync(async (req, res) => {
+  const facility = await findFacility(req.params.id);
+  facility.set(req.body);
+  await facility.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      facility,
+    },
+  });
+});
+
+/**
+ * Take a facility out of use
+ * @route DELETE /api/v1/facilities/:id
+ * @access Private (facility:manage)
+ */
+exports.deleteFacility = catchAsync(async (req, res) => {
+  const facility = await deactivateFacility(await findFacility(req.params.id));
+
+  res.status(200).json({
+    status: 'success',
+    message: `"${facility.name}" is no longer in use`,
+    data: {
+      facility,
+    },
+  });
+});
+
+/**
+ * Block a facility for maintenance
+ * @route POST /api/v1/facilities/:id/maintenance
+ * @access Private (facility:manage)
+ */
+exports.addMaintenance = catchAsync(async (req, res) => {
+  const facility = await addMaintenance(await findFacility(req.params.id), req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      facility,
+    },
+  });
+});
+
+/**
+ * Remove a maintenance block
+ * @route DELETE /api/v1/facilities/:id/maintenance/:blockId
+ * @access Private (facility:manage)
+ */
+exports.removeMaintenance = catchAsync(async (req, res, next) => {
+  const facility = await findFacility(req.params.id);
+  const block = mongoose.isValidObjectId(req.params.blockId) && facility.maintenance.id(req.params.blockId);
+  if (!block) {
+    return next(new AppError('Maintenance block not found', 404));
+  }
+
+  block.deleteOne();
+  await facility.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      facility,
+    },
+  });
+});
+
+/**
+ * Get a facility's bookings and utilization by day and week
+ * @route GET /api/v1/facilities/:id/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Private
+ */
+exports.getFacilityCalendar = catchAsync(async (req, res, next) => {
+  const from = parseDay(req.query.from);
+  const to = parseDay(req.query.to);
+  if (!from || !to) {
+    return next(new AppError('Please provide valid dates', 400));
+  }
+
+  const facility = await findFacility(req.params.id);
+  const calendar = await getFacilityCalendar(facility, from, to);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      facility: {
+        _id: facility._id,
+        name: facility.name,
+        type: facility.type,
+        capacity: facility.capacity,
+      },
+      ...calendar,
+    },
+  });
+});
@@ -0,0 +1,221 @@
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const GuardianInvitation = require('../models/guardianInvitationModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { startSession } = require('../services/sessionService');
+const { assertLoginAllowed, recordFailedLogin, recordSuccessfulLogin } = require('../services/loginProtectionService');
+const {
+  inviteGuardian,
+  findOpenInvitation,
+  acceptInvitation,
+  removeGuardian,
+} = require('../services/guardianService');
+
+/**
+ * Get the guardians and open invitations of a student
+ * @route GET /api/v1/students/:id/guardians
+ * @access Private (student:view)
+ */
+exports.getStudentGuardians = catchAsync(async (req, res) => {
+  const student = await StudentProfile.findById(req.params.id)
+    .populate('guardians.user', 'name email phone');
+
+  const invitations = await GuardianInvitation.find({
+    student: student._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  }).select('email name relationship expiresAt createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      guardians: student.guardians,
+      invitations,
+      requiresGuardianConsent: student.requiresGuardianConsent,
+      guardianConsent: student.guardianConsent,
+    },
+  });
+});
+
+/**
+ * Invite a guardian by email
+ * @route POST /api/v1/students/:id/guardians/invitations
+ * @access Private (guardian:manage)
+ */
+exports.createInvitation = catchAsync(async (req, res) => {
+  const invitation = await inviteGuardian({
+    student: req.resource,
+    email: req.body.email,
+    name: req.body.name,
+    relationship: req.body.relationship,
+    invitedBy: req.user,
+    req,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Invitation sent to the guardian',
+    data: {
+      invitation,
+    },
+  });
+});
+
+/**
+ * Withdraw an invitation that has not been answered yet
+ * @route DELETE /api/v1/students/:id/guardians/invitations/:invitationId
+ * @access Private (guardian:manage)
+ */
+exports.revokeInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await GuardianInvitation.findOneAndUpdate(
+    { _id: req.params.invitationId, student: req.params.id, status: 'pending' },
+    { status: 'revoked', respondedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!invitation) {
+    return next(new AppError('No open invitation found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Unlink a guardian from a student
+ * @route DELETE /api/v1/students/:id/guardians/:guardianId
+ * @access Private (guardian:manage)
+ */
+exports.removeGuardian = catchAsync(async (req, res) => {
+  await removeGuardian(req.resource, req.params.guardianId, req.user, req);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Show who sent an invitation before answering it
+ * @route GET /api/v1/guardians/invitations/:token
+ * @access Public
+ */
+exports.getInvitation = catchAsync(async (req, res) => {
+  const invitation = await findOpenInvitation(req.params.token);
+  const student = await StudentProfile.findById(invitation.student);
+  const accountExists = await User.exists({ email: invitation.email });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      email: invitation.email,
+      relationship: invitation.relationship,
+      studentName: student && student.user ? student.user.name : undefined,
+      requiresConsent: Boolean(student && student.requiresGuardianConsent),
+      accountExists: Boolean(accountExists),
+      expiresAt: invitation.expiresAt,
+    },
+  });
+});
+
+/**
+ * Accept an invitation and give consent. Creates the guardian account when the
+ * invited address has none yet; otherwise the existing password is required.
+ * @route POST /api/v1/guardians/invitations/:token/accept
+ * @access Public
+ */
+exports.acceptInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await findOpenInvitation(req.params.token);
+
+  let guardian = await User.findOne({ email: invitation.email }).select('+password');
+  let tokens;
+
+  if (guardian) {
+    if (guardian.role !== 'guardian') {
+      return next(new AppError('This email belongs to an account that cannot be a guardian', 409));
+    }
+
+    assertLoginAllowed(guardian);
+    if (!req.body.password || !(await guardian.correctPassword(req.body.password, guardian.password))) {
+      await recordFailedLogin(guardian, req);
+      return next(new AppError('Password is incorrect', 401));
+    }
+    await recordSuccessfulLogin(guardian);
+  } else {
+    const name = req.body.name || invitation.name;
+    if (!name || !req.body.password) {
+      return next(new AppError('Please provide your name and a password to create your account', 400));
+    }
+
+    guardian = await User.create({
+      name,
+      email: invitation.email,
+      password: req.body.password,
+      passwordConfirm: req.body.password,
+      phone: req.body.phone,
+      role: 'guardian',
+      // The invitation link was delivered to this address
+      emailVerified: true,
+      emailVerifiedAt: Date.now(),
+    });
+
+    // New accounts are signed in straight away, like a registration
+    tokens = await startSession(guardian, req);
+  }
+
+  const student = await acceptInvitation(invitation, guardian, req);
+
+  guardian.password = undefined;
+
+  res.status(200).json({
+    status: 'success',
+    message: 'You are now linked to the student',
+    data: {
+      user: guardian,
+      student: {
+        id: student._id,
+        name: student.user && student.user.name,
+      },
+      ...tokens,
+    },
+  });
+});
+
+/**
+ * Decline an invitation
+ * @route POST /api/v1/guardians/invitations/:token/decline
+ * @access Public
+ */
+exports.declineInvitation = catchAsync(async (req, res) => {
+  const invitation = await findOpenInvitation(req.params.token);
+
+  invitation.status = 'declined';
+  invitation.respondedAt = Date.now();
+  await invitation.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Invitation declined',
+  });
+});
+
+/**
+ * Get the students linked to the current guardian
+ * @route GET /api/v1/guardians/me/students
+ * @access Private
+ */
+exports.getMyStudents = catchAsync(async (req, res) => {
+  const students = await StudentProfile.find({ 'guardians.user': req.user._id })
+    .select('user dateOfBirth attendanceStats progressMetrics currentSubscription guardians guardianConsent');
+
+  res.status(200).json({
+    status: 'success',
+    results: students.length,
+    data: {
+      students,
+    },
+  });
+});
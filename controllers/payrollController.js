@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Payslip = require('../models/payslipModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { ownershipFilter } = require('../services/permissionService');
+const {
+  getCompensation,
+  setCompensation,
+  computeEarnings,
+  computePayroll,
+  addAdjustment,
+  removeAdjustment,
+  approvePayslip,
+  markPayslipPaid,
+  formatPeriod,
+} = require('../services/payrollService');
+
+/**
+ * Load a payslip by :id
+ * @param {String} id - Payslip ID
+ * @returns {Promise<Object>} Payslip document
+ * @throws {AppError} When it does not exist
+ */
+const findPayslip = async (id) => {
+  const payslip = mongoose.isValidObjectId(id) ? await Payslip.findById(id) : null;
+  if (!payslip) {
+    throw new AppError('Payslip not found', 404);
+  }
+  return payslip;
+};
+
+/**
+ * Get a coach's pay rates
+ * @route GET /api/v1/coaches/:id/compensation
+ * @access Private (payroll:view)
+ */
+exports.getCompensation = catchAsync(async (req, res, next) => {
+  const compensation = await getCompensation(req.resource.user._id);
+  if (!compensation) {
+    return next(new AppError('This coach has no pay rates yet', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      compensation,
+    },
+  });
+});
+
+/**
+ * Set a coach's pay rates
+ * @route PUT /api/v1/coaches/:id/compensation
+ * @access Private (payroll:manage)
+ */
+exports.setCompensation = catchAsync(async (req, res) => {
+  const compensation = await setCompensation(req.resource.user._id, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      compensation,
+    },
+  });
+});
+
+/**
+ * Get a coach's earnings: a live estimate for a month, their payslips and
+ * what was paid so far this year
+ * @route GET /api/v1/coaches/:id/earnings?period=YYYY-MM
+ * @access Private (payroll:view)
+ */
+exports.getCoachEarnings = catchAsync(async (req, res) => {
+  const coachUserId = req.resource.user._id;
+  const period = req.query.period || formatPeriod();
+
+  const payslipFilter = req.permissionScope === 'own'
+    ? ownershipFilter('Payslip', req.user)
+    : { coach: coachUserId };
+
+  const compensation = await getCompensation(coachUserId);
+  const [estimate, payslip, payslips, yearTotals] = await Promise.all([
+    compensation ? computeEarnings(coachUserId, period, compensation) : null,
+    Payslip.findOne({ ...payslipFilter, period }),
+    Payslip.find(payslipFilter).select('-items').sort({ period: -1 }).limit(12),
+    Payslip.aggregate([
+      { $match: { coach: coachUserId, status: { $in: ['approved', 'paid'] }, period: { $regex: `^${period.slice(0, 4)}-` } } },
+      { $group: { _id: '$status', total: { $sum: '$total' } } },
+    ]),
+  ]);
+
+  const yearTotal = status => (yearTotals.find(group => group._id === status) || { total: 0 }).total;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      period,
+      estimate,
+      payslip,
+      yearToDate: {
+        paid: yearTotal('paid'),
+        awaitingPayout: yearTotal('approved'),
+      },
+      payslips,
+    },
+  });
+});
+
+/**
+ * Get payslips; coaches only see their own approved and paid payslips
+ * @route GET /api/v1/payslips?period=YYYY-MM&status=draft&coach=:userId&page=1
+ * @access Private (payroll:view)
+ */
+exports.getPayslips = catchAsync(async (req, res) => {
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const filter = req.permissionScope === 'own' ? ownershipFilter('Payslip', req.user) : {};
+  if (req.query.period) filter.period = req.query.period;
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.coach && req.permissionScope === 'all') filter.coach = req.query.coach;
+
+  const [payslips, total] = await Promise.all([
+    Payslip.find(filter)
+      .select('-items')
+      .populate('coach', 'name email')
+      .sort({ period: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Payslip.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: payslips.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      payslips,
+    },
+  });
+});
+
+/**
+ * Get a payslip with its line items
+ * @route GET /api/v1/payslips/:id
+ * @access Private (payroll:view)
+ */
+exports.getPayslip = catchAsync(async (req, res) => {
+  const payslip = req.resource;
+  await payslip.populate('coach', 'name email');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payslip,
+    },
+  });
+});
+
+/**
+ * Compute or refresh the draft payslips of a month
+ * @route POST /api/v1/payslips/compute
+ * @access Private (payroll:manage)
+ */
+exports.computePayroll = catchAsync(async (req, res) => {
+  const { computed, skipped } = await computePayroll(req.body.period, { coaches: req.body.coaches });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${computed.length} payslip(s) computed${skipped.length ? `, ${skipped.length} skipped` : ''}`,
+    data: {
+      payslips: computed,
+      skipped,
+    },
+  });
+});
+
+/**
+ * Add a bonus or deduction to a draft payslip
+ * @route POST /api/v1/payslips/:id/adjustments
+ * @access Private (payroll:manage)
+ */
+exports.addAdjustment = catchAsync(async (req, res) => {
+  const payslip = await findPayslip(req.params.id);
+  await addAdjustment(payslip, req.body, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      payslip,
+    },
+  });
+});
+
+/**
+ * Remove an adjustment from a draft payslip
+ * @route DELETE /api/v1/payslips/:id/adjustments/:adjustmentId
+ * @access Private (payroll:manage)
+ */
+exports.removeAdjustment = catchAsync(async (req, res) => {
+  const payslip = await findPayslip(req.params.id);
+  await removeAdjustment(payslip, req.params.adjustmentId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payslip,
+    },
+  });
+});
+
+/**
+ * Approve a draft payslip for payout
+ * @route PATCH /api/v1/payslips/:id/approve
+ * @access Private (payroll:manage)
+ */
+exports.approvePayslip = catchAsync(async (req, res) => {
+  const payslip = await approvePayslip(await findPayslip(req.params.id), req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payslip,
+    },
+  });
+});
+
+/**
+ * Record that an approved payslip was paid
+ * @route PATCH /api/v1/payslips/:id/pay
+ * @access Private (payroll:manage)
+ */
+exports.markPayslipPaid = catchAsync(async (req, res) => {
+  const payslip = await markPayslipPaid(await findPayslip(req.params.id), req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payslip,
+    },
+  });
+});
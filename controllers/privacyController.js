@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const ErasureRequest = require('../models/erasureRequestModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const {
+  buildDataExport,
+  findOpenErasureRequest,
+  requestErasure,
+  cancelErasure,
+  approveErasure,
+  rejectErasure,
+} = require('../services/privacyService');
+
+/**
+ * Load an erasure request by :id
+ * @param {String} id - ErasureRequest ID
+ * @returns {Promise<Object>} ErasureRequest document
+ * @throws {AppError} When the request does not exist
+ */
+const findErasureRequest = async (id) => {
+  const erasureRequest = mongoose.isValidObjectId(id) ? await ErasureRequest.findById(id) : null;
+  if (!erasureRequest) {
+    throw new AppError('Erasure request not found', 404);
+  }
+  return erasureRequest;
+};
+
+/**
+ * Download everything stored about the signed-in user as JSON
+ * @route GET /api/v1/me/data-export
+ * @access Private
+ */
+exports.exportMyData = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  const bundle = await buildDataExport(user);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="my-data-${date}.json"`);
+  res.status(200).send(JSON.stringify(bundle, null, 2));
+});
+
+/**
+ * Get the signed-in user's open erasure request
+ * @route GET /api/v1/me/erasure-request
+ * @access Private
+ */
+exports.getMyErasureRequest = catchAsync(async (req, res, next) => {
+  const erasureRequest = await findOpenErasureRequest(req.user.id);
+
+  if (!erasureRequest) {
+    return next(new AppError('You have no open erasure request', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Ask for the signed-in user's account and personal data to be erased
+ * @route POST /api/v1/me/erasure-request
+ * @access Private
+ */
+exports.requestMyErasure = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!(await user.correctPassword(req.body.password, user.password))) {
+    return next(new AppError('Your password is incorrect', 401));
+  }
+
+  const erasureRequest = await requestErasure({
+    user,
+    requestedBy: user,
+    reason: req.body.reason,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Erasure request received. An administrator will review it',
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Withdraw the signed-in user's erasure request
+ * @route DELETE /api/v1/me/erasure-request
+ * @access Private
+ */
+exports.cancelMyErasureRequest = catchAsync(async (req, res, next) => {
+  const erasureRequest = await findOpenErasureRequest(req.user.id);
+
+  if (!erasureRequest) {
+    return next(new AppError('You have no open erasure request', 404));
+  }
+
+  await cancelErasure(erasureRequest);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Erasure request cancelled',
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Get erasure requests, newest first
+ * @route GET /api/v1/erasure-requests
+ * @access Private (privacy:manage)
+ */
+exports.getErasureRequests = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+  const erasureRequests = await ErasureRequest.find(filter)
+    .populate('user', 'name email role')
+    .populate('requestedBy', 'name email')
+    .populate('reviewedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(200);
+
+  res.status(200).json({
+    status: 'success',
+    results: erasureRequests.length,
+    data: {
+      erasureRequests,
+    },
+  });
+});
+
+/**
+ * Get a single erasure request
+ * @route GET /api/v1/erasure-requests/:id
+ * @access Private (privacy:manage)
+ */
+exports.getErasureRequest = catchAsync(async (req, res) => {
+  const erasureRequest = await findErasureRequest(req.params.id);
+  await erasureRequest.populate([
+    { path: 'user', select: 'name email role' },
+    { path: 'requestedBy', select: 'name email' },
+    { path: 'reviewedBy', select: 'name email' },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Request erasure on behalf of a user
+ * @route POST /api/v1/erasure-requests
+ * @access Private (privacy:manage)
+ */
+exports.createErasureRequest = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.body.user);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const erasureRequest = await requestErasure({
+    user,
+    requestedBy: req.user,
+    reason: req.body.reason,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Approve an erasure request and start its grace period
+ * @route PATCH /api/v1/erasure-requests/:id/approve
+ * @access Private (privacy:manage)
+ */
+exports.approveErasureRequest = catchAsync(async (req, res) => {
+  const erasureRequest = await findErasureRequest(req.params.id);
+  await approveErasure(erasureRequest, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `The data will be erased on ${erasureRequest.scheduledFor.toISOString()}`,
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Reject an erasure request
+ * @route PATCH /api/v1/erasure-requests/:id/reject
+ * @access Private (privacy:manage)
+ */
+exports.rejectErasureRequest = catchAsync(async (req, res) => {
+  const erasureRequest = await findErasureRequest(req.params.id);
+  await rejectErasure(erasureRequest, req.user, req.body.reason);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      erasureRequest,
+    },
+  });
+});
+
+/**
+ * Cancel an erasure request before the data is erased
+ * @route DELETE /api/v1/erasure-requests/:id
+ * @access Private (privacy:manage)
+ */
+exports.cancelErasureRequest = catchAsync(async (req, res) => {
+  const erasureRequest = await findErasureRequest(req.params.id);
+  await cancelErasure(erasureRequest);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Erasure request cancelled',
+    data: {
+      erasureRequest,
+    },
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const CoachProfile = require('../models/coachProfileModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { processSportCategories } = require('../utils/sportCategoryUtils');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/imageUtils');
+const { USER_FIELDS } = require('../validations/profileValidation');
+
+// Sub-documents that are merged field by field instead of being replaced,
+// so a client can send `{ emergencyContact: { phone } }` on its own
+const MERGED_FIELDS = ['address', 'emergencyContact', 'medicalInformation', 'availability', 'socialMedia'];
+
+// Required coach fields, filled in when a coach edits a profile for the first time
+const COACH_PROFILE_DEFAULTS = { expertise: [], experienceYears: 0 };
+
+/**
+ * Get the profile model used by a role, if it has one
+ * @param {string} role - User role
+ * @returns {Object|null} Mongoose model
+ */
+const profileModelFor = (role) => {
+  if (role === 'student') return StudentProfile;
+  if (role === 'coach') return CoachProfile;
+  return null;
+};
+
+/**
+ * Build the profile update, flattening merged sub-documents to dot paths
+ * @param {Object} fields - Validated profile fields
+ * @returns {Object} Update for findOneAndUpdate
+ */
+const buildProfileUpdate = (fields) => {
+  const update = {};
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (MERGED_FIELDS.includes(field)) {
+      Object.entries(value).forEach(([key, nested]) => {
+        update[`${field}.${key}`] = nested;
+      });
+    } else {
+      update[field] = value;
+    }
+  });
+
+  return update;
+};
+
+/**
+ * Get the signed-in user's account and role profile
+ * @route GET /api/v1/me/profile
+ * @access Private
+ */
+exports.getMyProfile = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  const Profile = profileModelFor(user.role);
+  const profile = Profile ? await Profile.findOne({ user: user._id }) : null;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+      profile,
+    },
+  });
+});
+
+/**
+ * Update the signed-in user's account and role profile
+ * Fields are limited by the role's validation schema; staff-managed fields
+ * such as assigned coaches or attendance stats cannot be set here.
+ * @route PATCH /api/v1/me/profile
+ * @access Private
+ */
+exports.updateMyProfile = catchAsync(async (req, res) => {
+  const userFields = {};
+  const profileFields = {};
+
+  Object.entries(req.body).forEach(([field, value]) => {
+    if (USER_FIELDS.includes(field)) {
+      userFields[field] = value;
+    } else {
+      profileFields[field] = value;
+    }
+  });
+
+  const user = Object.keys(userFields).length > 0
+    ? await User.findByIdAndUpdate(req.user.id, userFields, { new: true, runValidators: true })
+    : await User.findById(req.user.id);
+
+  const Profile = profileModelFor(user.role);
+  let profile = null;
+
+  if (Profile && Object.keys(profileFields).length === 0) {
+    profile = await Profile.findOne({ user: user._id });
+  } else if (Profile) {
+    if (profileFields.sportPreferences) {
+      profileFields.sportPreferences = await processSportCategories(profileFields.sportPreferences);
+    }
+    if (profileFields.sportsCategories) {
+      profileFields.sportsCategories = await processSportCategories(profileFields.sportsCategories);
+    }
+
+    const update = buildProfileUpdate(profileFields);
+
+    // Accounts created without a profile (e.g. self-registered coaches) get one now
+    const defaults = Profile === CoachProfile ? COACH_PROFILE_DEFAULTS : {};
+    const operations = { $set: update };
+    Object.entries(defaults).forEach(([field, value]) => {
+      if (!(field in update)) {
+        operations.$setOnInsert = { ...operations.$setOnInsert, [field]: value };
+      }
+    });
+
+    profile = await Profile.findOneAndUpdate(
+      { user: user._id },
+      operations,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile updated successfully',
+    data: {
+      user,
+      profile,
+    },
+  });
+});
+
+/**
+ * Upload a new profile image for the signed-in user
+ * @route PUT /api/v1/me/profile/image
+ * @access Private
+ */
+exports.uploadMyProfileImage = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload an image in the "profileImage" field', 400));
+  }
+
+  const result = await uploadToCloudinary(req.file.path, 'profiles');
+
+  // The local copy is only needed for the upload
+  fs.promises.unlink(req.file.path).catch(err => {
+    console.error('Error removing uploaded profile image:', err);
+  });
+
+  if (!result) {
+    return next(new AppError('Profile image could not be uploaded. Please try again', 502));
+  }
+
+  const user = await User.findById(req.user.id);
+  const previousImage = user.profileImage;
+
+  user.profileImage = result.secure_url;
+  await user.save({ validateBeforeSave: false });
+
+  if (previousImage) {
+    await deleteFromCloudinary(previousImage);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile image updated successfully',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * Remove the signed-in user's profile image
+ * @route DELETE /api/v1/me/profile/image
+ * @access Private
+ */
+exports.deleteMyProfileImage = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.profileImage) {
+    await deleteFromCloudinary(user.profileImage);
+    user.profileImage = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile image removed',
+    data: {
+      user,
+    },
+  });
+});
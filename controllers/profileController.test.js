@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const CoachProfile = require('../models/coachProfileModel');
+const { runHandler } = require('../utils/testHelpers');
+const { getMyProfile, updateMyProfile } = require('./profileController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getMyProfile', () => {
+  it('returns the account with the profile of its role', async () => {
+    const user = { _id: id(), role: 'student' };
+    const profile = { user: user._id };
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(StudentProfile, 'findOne').mockResolvedValue(profile);
+
+    const { res } = await runHandler(getMyProfile, { user: { id: user._id } });
+
+    expect(res.json.mock.calls[0][0].data).toEqual({ user, profile });
+  });
+});
+
+describe('updateMyProfile', () => {
+  it('splits account fields from profile fields and merges sub-documents', async () => {
+    const user = { _id: id(), role: 'student' };
+    const updateUser = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+    const updateProfile = jest.spyOn(StudentProfile, 'findOneAndUpdate').mockResolvedValue({});
+
+    const { error } = await runHandler(updateMyProfile, {
+      user: { id: user._id },
+      body: { name: 'Jane Doe', emergencyContact: { phone: '0456' }, goals: ['Run 10k'] },
+    });
+
+    expect(error).toBeUndefined();
+    expect(updateUser.mock.calls[0][1]).toEqual({ name: 'Jane Doe' });
+    const [filter, operations, options] = updateProfile.mock.calls[0];
+    expect(filter).toEqual({ user: user._id });
+    expect(operations).toEqual({ $set: { 'emergencyContact.phone': '0456', goals: ['Run 10k'] } });
+    expect(options.upsert).toBe(true);
+  });
+
+  it('fills in the required fields when a coach creates their profile', async () => {
+    const user = { _id: id(), role: 'coach' };
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const updateProfile = jest.spyOn(CoachProfile, 'findOneAndUpdate').mockResolvedValue({});
+
+    await runHandler(updateMyProfile, { user: { id: user._id }, body: { bio: 'Tennis coach' } });
+
+    expect(updateProfile.mock.calls[0][1]).toEqual({
+      $set: { bio: 'Tennis coach' },
+      $setOnInsert: { expertise: [], experienceYears: 0 },
+    });
+  });
+
+  it('does not touch the profile when only account fields change', async () => {
+    const user = { _id: id(), role: 'student' };
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+    jest.spyOn(StudentProfile, 'findOne').mockResolvedValue({});
+    const updateProfile = jest.spyOn(StudentProfile, 'findOneAndUpdate');
+
+    await runHandler(updateMyProfile, { user: { id: user._id }, body: { phone: '0123' } });
+
+    expect(updateProfile).not.toHaveBeenCalled();
+  });
+});
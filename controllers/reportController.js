@@ -6,6 +6,7 @@ const SportCategory = require('../models/sportCategoryModel');
 const Tournament = require('../models/tournamentModel');
 const ExerciseCompletion = require('../models/exerciseCompletionModel');
 const Attendance = require('../models/attendanceModel');
+const { findCoachProfile } = require('../utils/resourceLoaders');
 
 /**
  * @desc    Get total students report
@@ -909,4 +910,60 @@ exports.getDashboardSummary = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * @desc    Get students at risk of dropping out, highest risk first
+ * @route   GET /api/v1/reports/students/at-risk?sport=&coach=&level=&minScore=
+ * @access  Private/Admin
+ */
+exports.getAtRiskStudentsReport = async (req, res, next) => {
+  try {
+    const page = req.query.page * 1 || 1;
+    const limit = Math.min(req.query.limit * 1 || 50, 200);
+
+    // Medium and high risk unless a level or minimum score is asked for
+    const filter = {};
+    if (req.query.level) {
+      filter['attendanceRisk.level'] = req.query.level;
+    } else if (req.query.minScore === undefined) {
+      filter['attendanceRisk.level'] = { $in: ['medium', 'high'] };
+    }
+    if (req.query.minScore !== undefined) {
+      filter['attendanceRisk.score'] = { $gte: req.query.minScore };
+    }
+    if (req.query.sport) {
+      filter.sportPreferences = req.query.sport;
+    }
+    if (req.query.coach) {
+      // Students are assigned to the coach's user; accept the coach profile ID too
+      const coachProfile = await findCoachProfile(req.query.coach);
+      filter.assignedCoaches = coachProfile ? coachProfile.user._id || coachProfile.user : req.query.coach;
+    }
+
+    const [students, total] = await Promise.all([
+      StudentProfile.find(filter)
+        .select('user sportPreferences assignedCoaches attendanceStats attendanceRisk')
+        .populate({ path: 'assignedCoaches', select: 'name email' })
+        .sort({ 'attendanceRisk.score': -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StudentProfile.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: students.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: {
+        students
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
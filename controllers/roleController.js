@@ -0,0 +1,136 @@
+const Role = require('../models/roleModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+  clearRoleCache,
+} = require('../services/permissionService');
+
+// The admin role always keeps every permission so nobody can lock themselves out
+const PROTECTED_ROLE = 'admin';
+
+/**
+ * Get all roles with their permissions
+ * @route GET /api/v1/roles
+ * @access Private (role:manage)
+ */
+exports.getAllRoles = catchAsync(async (req, res) => {
+  const roles = await Role.find({ name: { $in: ROLES } }).sort({ name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: roles.length,
+    data: {
+      roles,
+    },
+  });
+});
+
+/**
+ * Get the catalogue of available permissions
+ * @route GET /api/v1/roles/permissions
+ * @access Private (role:manage)
+ */
+exports.getPermissions = catchAsync(async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+  res.status(200).json({
+    status: 'success',
+    results: permissions.length,
+    data: {
+      permissions,
+      // Any permission can also be granted for owned resources only
+      ownSuffix: ':own',
+    },
+  });
+});
+
+/**
+ * Get a single role
+ * @route GET /api/v1/roles/:name
+ * @access Private (role:manage)
+ */
+exports.getRole = catchAsync(async (req, res, next) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * Update the permissions or description of a role
+ * @route PATCH /api/v1/roles/:name
+ * @access Private (role:manage)
+ */
+exports.updateRole = catchAsync(async (req, res, next) => {
+  if (req.params.name === PROTECTED_ROLE && req.body.permissions) {
+    return next(new AppError('The admin role always has every permission', 400));
+  }
+
+  if (req.body.permissions) {
+    const invalid = req.body.permissions.filter(permission => permission === '*' || !isValidPermission(permission));
+    if (invalid.length > 0) {
+      return next(new AppError(`Unknown permissions: ${invalid.join(', ')}`, 400));
+    }
+  }
+
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  if (req.body.permissions) role.permissions = req.body.permissions;
+  if (req.body.description !== undefined) role.description = req.body.description;
+  role.updatedBy = req.user._id;
+  await role.save();
+
+  clearRoleCache(role.name);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * Restore the default permissions of a built-in role
+ * @route POST /api/v1/roles/:name/reset
+ * @access Private (role:manage)
+ */
+exports.resetRole = catchAsync(async (req, res, next) => {
+  const defaults = DEFAULT_ROLE_PERMISSIONS[req.params.name];
+
+  if (!defaults) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  const role = await Role.findOneAndUpdate(
+    { name: req.params.name },
+    { ...defaults, updatedBy: req.user._id },
+    { new: true, upsert: true }
+  );
+
+  clearRoleCache(role.name);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role permissions restored to defaults',
+    data: {
+      role,
+    },
+  });
+});
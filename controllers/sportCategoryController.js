@@ -1,5 +1,5 @@
 const SportCategory = require('../models/sportCategoryModel');
-const { uploadToCloudinary, deleteFromCloudinary, extractPublicId } = require('../utils/imageUtils');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/imageUtils');
 
 /**
  * @desc    Get all sport categories
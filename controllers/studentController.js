@@ -8,6 +8,9 @@ const ExercisePlan = require('../models/exercisePlanModel');
 const ProgressReport = require('../models/progressReportModel');
 const ExerciseCompletion = require('../models/exerciseCompletionModel');
 const Tournament = require('../models/tournamentModel');
+const Attendance = require('../models/attendanceModel');
+const Transaction = require('../models/transactionModel');
+const { ownershipFilter } = require('../services/permissionService');
 
 /**
  * @desc    Get all students
@@ -19,7 +22,10 @@ exports.getAllStudents = async (req, res, next) => {
     // Add debugging to see what's happening
     console.log('Fetching all students');
     
-    const students = await StudentProfile.find()
+    // Coaches only see their assigned students, students only themselves
+    const filter = req.permissionScope === 'own' ? ownershipFilter('StudentProfile', req.user) : {};
+
+    const students = await StudentProfile.find(filter)
       .populate({
         path: 'user',
         select: 'name email role approved profileImage'
@@ -104,14 +110,6 @@ exports.getStudent = async (req, res, next) => {
       });
     }
 
-    // Check permissions - admins can view any student, students can only view themselves
-    if (req.user.role === 'student' && req.user.id !== student.user._id.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own profile'
-      });
-    }
-
     res.status(200).json({
       status: 'success',
       data: {
@@ -139,16 +137,8 @@ exports.updateStudent = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only update your own profile'
-      });
-    }
-
-    // If student is updating, restrict what fields can be updated
-    if (req.user.role === 'student') {
+    // Users who may only update their own profile are limited to personal fields
+    if (req.permissionScope === 'own') {
       const allowedFields = ['emergencyContact', 'medicalInformation', 'preferences'];
       Object.keys(req.body).forEach(key => {
         if (!allowedFields.includes(key)) {
@@ -224,14 +214,6 @@ exports.getStudentSubscriptions = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own subscriptions'
-      });
-    }
-
     const subscriptions = await Subscription.find({ student: req.params.id })
       .populate('plan', 'name description price duration')
       .populate('sport', 'name description')
@@ -265,14 +247,6 @@ exports.createSubscription = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only create subscriptions for yourself'
-      });
-    }
-
     // Validate plan
     const plan = await SubscriptionPlan.findById(req.body.plan);
     if (!plan) {
@@ -330,14 +304,6 @@ exports.getStudentTrainingSessions = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own training sessions'
-      });
-    }
-
     const sessions = await TrainingSession.find({ students: req.params.id })
       .populate('coach', 'user')
       .populate('sport', 'name description')
@@ -371,14 +337,6 @@ exports.getStudentExercisePlans = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own exercise plans'
-      });
-    }
-
     // Get exercise plans assigned to the student
     const plans = await ExercisePlan.find({ 
       $or: [
@@ -418,14 +376,6 @@ exports.getStudentProgress = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own progress'
-      });
-    }
-
     // Get progress reports for the student
     const reports = await ProgressReport.find({ student: req.params.id })
       .populate('coach', 'user')
@@ -449,11 +399,46 @@ exports.getStudentProgress = async (req, res, next) => {
 };
 
 /**
- * @desc    Mark an exercise as complete
- * @route   POST /api/v1/students/:id/exercises/complete
- * @access  Private/Student
+ * @desc    Get student attendance records
+ * @route   GET /api/v1/students/:id/attendance
+ * @access  Private
  */
-exports.markExerciseComplete = async (req, res, next) => {
+exports.getStudentAttendance = async (req, res, next) => {
+  try {
+    const student = await StudentProfile.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Student not found'
+      });
+    }
+
+    // Records reference the student by user or by profile ID
+    const studentIds = [student._id, student.user && student.user._id].filter(Boolean);
+    const records = await Attendance.find({ student: { $in: studentIds } })
+      .sort({ sessionDate: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: records.length,
+      data: {
+        attendanceStats: student.attendanceStats,
+        attendancePercentage: student.attendancePercentage,
+        records
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get student payment transactions (invoices)
+ * @route   GET /api/v1/students/:id/transactions
+ * @access  Private
+ */
+exports.getStudentTransactions = async (req, res, next) => {
   try {
     const student = await StudentProfile.findById(req.params.id);
 
@@ -464,11 +449,36 @@ exports.markExerciseComplete = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.id !== student.user.toString()) {
-      return res.status(403).json({
+    // Transactions reference the student by user or by profile ID
+    const studentIds = [student._id, student.user && student.user._id].filter(Boolean);
+    const transactions = await Transaction.find({ student: { $in: studentIds } })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: transactions.length,
+      data: {
+        transactions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark an exercise as complete
+ * @route   POST /api/v1/students/:id/exercises/complete
+ * @access  Private/Student
+ */
+exports.markExerciseComplete = async (req, res, next) => {
+  try {
+    const student = await StudentProfile.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
         status: 'fail',
-        message: 'You can only mark your own exercises as complete'
+        message: 'Student not found'
       });
     }
 
@@ -506,14 +516,6 @@ exports.submitTask = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only submit tasks for yourself'
-      });
-    }
-
     // Validate required fields
     if (!req.body.timeSpent || !req.body.area || !req.body.exerciseId) {
       return res.status(400).json({
@@ -603,14 +605,6 @@ exports.getStudentTournaments = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role === 'student' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own tournaments'
-      });
-    }
-
     const tournaments = await Tournament.find({ participants: req.params.id })
       .populate('sport', 'name description')
       .sort({ startDate: 1 });
@@ -643,14 +637,6 @@ exports.registerForTournament = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.id !== student.user.toString()) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only register yourself for tournaments'
-      });
-    }
-
     // Check if tournament exists
     const tournament = await Tournament.findById(req.params.tournamentId);
     if (!tournament) {
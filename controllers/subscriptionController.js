@@ -1,7 +1,7 @@
 const SubscriptionPlan = require('../models/subscriptionPlanModel');
 const Subscription = require('../models/subscriptionModel');
 const Transaction = require('../models/transactionModel');
-const StudentProfile = require('../models/studentProfileModel');
+const { ownershipFilter } = require('../services/permissionService');
 
 /**
  * @desc    Get all subscription plans
@@ -142,7 +142,7 @@ exports.deletePlan = async (req, res, next) => {
       });
     }
 
-    await plan.remove();
+    await plan.deleteOne();
 
     res.status(204).json({
       status: 'success',
@@ -171,6 +171,11 @@ exports.getAllSubscriptions = async (req, res, next) => {
       query.sport = req.query.sport;
     }
 
+    // Students only see their own subscriptions
+    if (req.permissionScope === 'own') {
+      Object.assign(query, ownershipFilter('Subscription', req.user));
+    }
+
     const subscriptions = await Subscription.find(query)
       .populate('student', 'user')
       .populate('plan', 'name price duration')
@@ -214,17 +219,6 @@ exports.getSubscription = async (req, res, next) => {
       });
     }
 
-    // Check permissions - admin can view any subscription, students can only view their own
-    if (
-      req.user.role === 'student' && 
-      subscription.student.user._id.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own subscriptions'
-      });
-    }
-
     res.status(200).json({
       status: 'success',
       data: {
@@ -299,7 +293,7 @@ exports.deleteSubscription = async (req, res, next) => {
       });
     }
 
-    await subscription.remove();
+    await subscription.deleteOne();
 
     res.status(204).json({
       status: 'success',
@@ -324,6 +318,11 @@ exports.getAllTransactions = async (req, res, next) => {
       query.status = req.query.status;
     }
 
+    // Students only see their own transactions
+    if (req.permissionScope === 'own') {
+      Object.assign(query, ownershipFilter('Transaction', req.user));
+    }
+
     const transactions = await Transaction.find(query)
       .populate({
         path: 'subscription',
@@ -375,17 +374,6 @@ exports.getTransaction = async (req, res, next) => {
       });
     }
 
-    // Check permissions - admin can view any transaction, students can only view their own
-    if (
-      req.user.role === 'student' && 
-      transaction.subscription.student.user._id.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only view your own transactions'
-      });
-    }
-
     res.status(200).json({
       status: 'success',
       data: {
@@ -421,19 +409,11 @@ exports.createTransaction = async (req, res, next) => {
       });
     }
 
-    // Check permissions - admin can create any transaction, students can only create for their own subscriptions
-    if (
-      req.user.role === 'student' && 
-      subscription.student.user._id.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'You can only create transactions for your own subscriptions'
-      });
-    }
-
     // Set the subscription and amount in the request body
     req.body.subscription = req.params.subscriptionId;
+    // The payment is always for the subscription's student, whoever pays it
+    if (subscription.student) req.body.student = subscription.student._id;
+    req.body.paidBy = req.user._id;
     req.body.amount = subscription.plan.price;
     req.body.status = 'completed';
     req.body.paymentDate = new Date();
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const TimeOff = require('../models/timeOffModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { ownershipFilter } = require('../services/permissionService');
+const {
+  requestTimeOff,
+  approveTimeOff,
+  rejectTimeOff,
+  cancelTimeOff,
+  getAffectedSessions,
+  suggestSubstitutes,
+  reassignSessions,
+} = require('../services/timeOffService');
+
+/**
+ * Load time off by :id
+ * @param {String} id - TimeOff ID
+ * @returns {Promise<Object>} TimeOff document
+ * @throws {AppError} When it does not exist
+ */
+const findTimeOff = async (id) => {
+  const timeOff = mongoose.isValidObjectId(id) ? await TimeOff.findById(id) : null;
+  if (!timeOff) {
+    throw new AppError('Time off not found', 404);
+  }
+  return timeOff;
+};
+
+/**
+ * Get time-off requests; coaches only see their own
+ * @route GET /api/v1/time-off?status=pending&coach=:userId
+ * @access Private (timeOff:request)
+ */
+exports.getTimeOffRequests = catchAsync(async (req, res) => {
+  const filter = req.permissionScope === 'own' ? ownershipFilter('TimeOff', req.user) : {};
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+  if (req.query.coach && req.permissionScope === 'all' && mongoose.isValidObjectId(req.query.coach)) {
+    filter.coach = req.query.coach;
+  }
+
+  const timeOff = await TimeOff.find(filter)
+    .populate('coach', 'name email')
+    .sort({ startDate: -1 })
+    .limit(200);
+
+  res.status(200).json({
+    status: 'success',
+    results: timeOff.length,
+    data: {
+      timeOff,
+    },
+  });
+});
+
+/**
+ * Request time off
+ * @route POST /api/v1/time-off
+ * @access Private (timeOff:request)
+ */
+exports.createTimeOff = catchAsync(async (req, res) => {
+  const timeOff = await requestTimeOff(req.user, req.body, req.permissionScope);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Time off requested. An administrator will review it.',
+    data: {
+      timeOff,
+    },
+  });
+});
+
+/**
+ * Get time off
+ * @route GET /api/v1/time-off/:id
+ * @access Private (timeOff:request)
+ */
+exports.getTimeOff = catchAsync(async (req, res) => {
+  const timeOff = req.resource;
+  await timeOff.populate('coach', 'name email');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timeOff,
+    },
+  });
+});
+
+/**
+ * Cancel time off
+ * @route PATCH /api/v1/time-off/:id/cancel
+ * @access Private (timeOff:request)
+ */
+exports.cancelTimeOff = catchAsync(async (req, res) => {
+  const timeOff = await cancelTimeOff(req.resource);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timeOff,
+    },
+  });
+});
+
+/**
+ * Approve time off and flag the sessions that need a substitute
+ * @route PATCH /api/v1/time-off/:id/approve
+ * @access Private (timeOff:manage)
+ */
+exports.approveTimeOff = catchAsync(async (req, res) => {
+  const timeOff = await findTimeOff(req.params.id);
+  const result = await approveTimeOff(timeOff, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Time off approved. ${result.flaggedSessions} session(s) need a substitute and ${result.cancelledBookings} private booking(s) were cancelled.`,
+    data: result,
+  });
+});
+
+/**
+ * Reject time off
+ * @route PATCH /api/v1/time-off/:id/reject
+ * @access Private (timeOff:manage)
+ */
+exports.rejectTimeOff = catchAsync(async (req, res) => {
+  const timeOff = await findTimeOff(req.params.id);
+  await rejectTimeOff(timeOff, req.body.reason, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timeOff,
+    },
+  });
+});
+
+/**
+ * Get the training sessions affected by time off
+ * @route GET /api/v1/time-off/:id/sessions
+ * @access Private (timeOff:request)
+ */
+exports.getAffectedSessions = catchAsync(async (req, res) => {
+  const sessions = await getAffectedSessions(req.resource);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+/**
+ * Suggest substitute coaches for the sessions that still need one
+ * @route GET /api/v1/time-off/:id/substitutes
+ * @access Private (timeOff:manage)
+ */
+exports.getSubstituteSuggestions = catchAsync(async (req, res) => {
+  const timeOff = await findTimeOff(req.params.id);
+  const suggestions = await suggestSubstitutes(timeOff);
+
+  res.status(200).json({
+    status: 'success',
+    results: suggestions.length,
+    data: {
+      suggestions,
+    },
+  });
+});
+
+/**
+ * Reassign sessions to substitute coaches
+ * @route POST /api/v1/time-off/:id/reassign
+ * @access Private (timeOff:manage)
+ */
+exports.reassignSessions = catchAsync(async (req, res) => {
+  const timeOff = await findTimeOff(req.params.id);
+  const { reassigned, failed } = await reassignSessions(timeOff, req.body.assignments, req.user, { force: req.body.force });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${reassigned.length} session(s) reassigned${failed.length ? `, ${failed.length} failed` : ''}`,
+    data: {
+      reassigned,
+      failed,
+    },
+  });
+});
@@ -1,7 +1,8 @@
 const Tournament = require('../models/tournamentModel');
 const StudentProfile = require('../models/studentProfileModel');
-const User = require('../models/userModel');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/imageUtils');
+const { queueMail } = require('../services/mailService');
+const { ensureMatchesBookable } = require('../services/facilityService');
 
 /**
  * @desc    Get all tournaments
@@ -88,6 +89,11 @@ exports.createTournament = async (req, res, next) => {
         console.log("Setting organizer from user ID");
         tournamentData.organizer = req.user.id;
     }
+
+    // Every match needs a facility that is free at its time
+    if (tournamentData.matches) {
+      await ensureMatchesBookable(tournamentData, tournamentData.matches);
+    }
     
     // Create the tournament
     const newTournament = await Tournament.create(tournamentData);
@@ -224,6 +230,14 @@ exports.updateTournament = async (req, res, next) => {
         message: 'Registration deadline must be before start date'
       });
     }
+
+    // Every match needs a facility that is free at its time
+    if (tournamentData.matches) {
+      await ensureMatchesBookable(
+        { _id: tournament._id, sportCategory: tournamentData.sportCategory || tournament.sportCategory },
+        tournamentData.matches
+      );
+    }
     
     // Update the tournament
     const updatedTournament = await Tournament.findByIdAndUpdate(
@@ -411,7 +425,7 @@ exports.removeParticipant = async (req, res, next) => {
 
 /**
  * @desc    Notify tournament participants
- * @route   POST /api/v1/tournaments/:id/notify
+ * @route   POST /api/v1/tournaments/:id/reminders
  * @access  Private/Admin
  */
 exports.notifyParticipants = async (req, res, next) => {
@@ -430,9 +444,23 @@ exports.notifyParticipants = async (req, res, next) => {
       _id: { $in: tournament.participants }
     }).populate('user', 'email name');
 
-    // In a real application, you would send emails here
-    // For now, we'll just simulate the notification
-    
+    // Queue a reminder for every participant; failed deliveries are retried from the outbox
+    const notified = participants.filter(p => p.user && p.user.email);
+    for (const participant of notified) {
+      await queueMail({
+        to: participant.user.email,
+        template: 'tournamentReminder',
+        data: {
+          name: participant.user.name,
+          tournamentName: tournament.name,
+          startDate: tournament.startDate,
+          locationName: tournament.location && tournament.location.name,
+          message: req.body.message
+        },
+        related: { model: 'Tournament', id: tournament._id }
+      });
+    }
+
     // Update notification status in tournament
     tournament.notificationsSent = true;
     tournament.lastNotificationDate = new Date();
@@ -440,13 +468,13 @@ exports.notifyParticipants = async (req, res, next) => {
 
     res.status(200).json({
       status: 'success',
-      message: `Notifications sent to ${participants.length} participants`,
+      message: `Notifications sent to ${notified.length} participants`,
       data: {
         tournament,
-        notifiedParticipants: participants.map(p => ({
+        notifiedParticipants: notified.map(p => ({
           id: p._id,
-          name: p.user ? p.user.name : 'Unknown',
-          email: p.user ? p.user.email : 'Unknown'
+          name: p.user.name,
+          email: p.user.email
         }))
       }
     });
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { parseDay } = require('../services/availabilityService');
+const {
+  createSessions,
+  updateSessions,
+  cancelSessions,
+  registerStudent,
+  cancelRegistration,
+} = require('../services/trainingSessionService');
+const { getCheckInCode, checkInWithCode } = require('../services/checkInService');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load a training session by :id
+ * @param {String} id - Route parameter
+ * @returns {Promise<Object>} TrainingSession document
+ * @throws {AppError} When the session does not exist
+ */
+const findSession = async (id) => {
+  const session = mongoose.isValidObjectId(id) ? await TrainingSession.findById(id) : null;
+  if (!session) {
+    throw new AppError('Training session not found', 404);
+  }
+  return session;
+};
+
+/**
+ * Get training sessions
+ * @route GET /api/v1/training-sessions?coach=&sportCategory=&facility=&level=&location=&from=YYYY-MM-DD&to=YYYY-MM-DD&status=&series=
+ * @access Private
+ */
+exports.getTrainingSessions = catchAsync(async (req, res, next) => {
+  const page = req.query.page * 1 || 1;
+  const limit = Math.min(req.query.limit * 1 || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  ['coach', 'sportCategory', 'facility', 'level', 'status', 'series'].forEach(field => {
+    if (req.query[field]) filter[field] = req.query[field];
+  });
+  if (req.query.location) {
+    filter['location.name'] = { $regex: escapeRegex(req.query.location), $options: 'i' };
+  }
+
+  if (req.query.from || req.query.to) {
+    const from = req.query.from && parseDay(req.query.from);
+    const to = req.query.to && parseDay(req.query.to);
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return next(new AppError('Please provide valid dates', 400));
+    }
+
+    filter.sessionDate = {};
+    if (from) filter.sessionDate.$gte = from;
+    if (to) {
+      to.setDate(to.getDate() + 1);
+      filter.sessionDate.$lt = to;
+    }
+  }
+
+  const [sessions, total] = await Promise.all([
+    TrainingSession.find(filter)
+      .select('-feedback')
+      .sort({ sessionDate: 1, startTime: 1 })
+      .skip(skip)
+      .limit(limit),
+    TrainingSession.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      sessions,
+    },
+  });
+});
+
+/**
+ * Get a training session
+ * @route GET /api/v1/training-sessions/:id
+ * @access Private
+ */
+exports.getTrainingSession = catchAsync(async (req, res) => {
+  const session = await findSession(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      session,
+    },
+  });
+});
+
+/**
+ * Schedule a training session or a recurring series
+ * @route POST /api/v1/training-sessions
+ * @access Private (trainingSession:manage)
+ */
+exports.createTrainingSession = catchAsync(async (req, res) => {
+  const sessions = await createSessions(req.body, req.user, req.permissionScope);
+
+  res.status(201).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+/**
+ * Update a training session, the ones after it in its series or the entire series
+ * @route PATCH /api/v1/training-sessions/:id
+ * @access Private (trainingSession:manage)
+ */
+exports.updateTrainingSession = catchAsync(async (req, res) => {
+  const sessions = await updateSessions(req.resource, req.body, req.user, req.permissionScope);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+/**
+ * Cancel a training session, the ones after it in its series or the entire series
+ * @route PATCH /api/v1/training-sessions/:id/cancel
+ * @access Private (trainingSession:manage)
+ */
+exports.cancelTrainingSession = catchAsync(async (req, res) => {
+  const sessions = await cancelSessions(req.resource, req.body, req.user, req.permissionScope);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${sessions.length} session(s) cancelled`,
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+/**
+ * Register for a training session, or join its waitlist when it is full
+ * @route POST /api/v1/training-sessions/:id/register
+ * @access Private (trainingSession:register)
+ */
+exports.registerForSession = catchAsync(async (req, res) => {
+  const session = await findSession(req.params.id);
+  const { status, position, session: updated } = await registerStudent(session, req.user, req.body.student, req.permissionScope);
+
+  res.status(201).json({
+    status: 'success',
+    message: status === 'waitlisted'
+      ? `The session is full. You are number ${position} on the waitlist.`
+      : 'Registered for the session',
+    data: {
+      registration: { status, position },
+      session: updated,
+    },
+  });
+});
+
+/**
+ * Cancel a registration for a training session, or leave its waitlist
+ * @route POST /api/v1/training-sessions/:id/register/cancel
+ * @access Private (trainingSession:register)
+ */
+exports.cancelRegistration = catchAsync(async (req, res) => {
+  const session = await findSession(req.params.id);
+  const updated = await cancelRegistration(session, req.user, req.body.student, req.permissionScope);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Registration cancelled',
+    data: {
+      session: updated,
+    },
+  });
+});
+
+/**
+ * Get a session's current check-in code, to show as a QR code
+ * @route GET /api/v1/training-sessions/:id/check-in-code
+ * @access Private (attendance:record)
+ */
+exports.getCheckInCode = catchAsync(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: getCheckInCode(req.resource),
+  });
+});
+
+/**
+ * Check in to a training session with its check-in code
+ * @route POST /api/v1/training-sessions/:id/check-in
+ * @access Private (attendance:checkIn)
+ */
+exports.checkIn = catchAsync(async (req, res) => {
+  const session = await findSession(req.params.id);
+  const attendance = await checkInWithCode(session, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: attendance.status === 'late' ? 'Checked in (late)' : 'Checked in',
+    data: {
+      attendance,
+    },
+  });
+});
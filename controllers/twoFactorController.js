@@ -0,0 +1,166 @@
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { generateSecret, verifyCode, buildOtpauthUri, generateBackupCodes } = require('../utils/totpUtils');
+const {
+  TWO_FACTOR_FIELDS,
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  checkCode,
+} = require('../services/twoFactorService');
+
+// Number of backup codes issued at a time
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Get two-factor authentication status for the current user
+ * @route GET /api/v1/auth/2fa
+ * @access Private
+ */
+exports.getStatus = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactorBackupCodes');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      available: canUseTwoFactor(user),
+      required: isTwoFactorRequired(user),
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      backupCodesRemaining: user.twoFactorEnabled ? (user.twoFactorBackupCodes || []).length : 0,
+    },
+  });
+});
+
+/**
+ * Start enrollment: generate a secret and the otpauth URI for the authenticator app
+ * @route POST /api/v1/auth/2fa/setup
+ * @access Private (admin, coach)
+ */
+exports.setup = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!canUseTwoFactor(user)) {
+    return next(new AppError('Two-factor authentication is not available for your account', 403));
+  }
+
+  if (user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!(await user.correctPassword(req.body.password, user.password))) {
+    return next(new AppError('Password is incorrect', 401));
+  }
+
+  // The secret only becomes active once a code from the app is confirmed
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    },
+  });
+});
+
+/**
+ * Confirm enrollment with a code from the authenticator app and enable 2FA
+ * @route POST /api/v1/auth/2fa/confirm
+ * @access Private (admin, coach)
+ */
+exports.confirm = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+  if (user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return next(new AppError('Start two-factor setup before confirming it', 400));
+  }
+
+  const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+  if (step === null) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const backupCodes = generateBackupCodes(BACKUP_CODE_COUNT);
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = Date.now();
+  user.twoFactorLastUsedStep = step;
+  user.setBackupCodes(backupCodes);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store your backup codes somewhere safe; they are only shown once',
+    data: {
+      backupCodes,
+    },
+  });
+});
+
+/**
+ * Replace the backup codes (requires a current code)
+ * @route POST /api/v1/auth/2fa/backup-codes
+ * @access Private (admin, coach)
+ */
+exports.regenerateBackupCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  await checkCode(user, req.body.code, req);
+
+  const backupCodes = generateBackupCodes(BACKUP_CODE_COUNT);
+  user.setBackupCodes(backupCodes);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'New backup codes generated. Previous codes no longer work',
+    data: {
+      backupCodes,
+    },
+  });
+});
+
+/**
+ * Disable two-factor authentication (requires password and a current code)
+ * @route DELETE /api/v1/auth/2fa
+ * @access Private (admin, coach)
+ */
+exports.disable = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (isTwoFactorRequired(user)) {
+    return next(new AppError('Two-factor authentication is required for your role and cannot be disabled', 403));
+  }
+
+  if (!(await user.correctPassword(req.body.password, user.password))) {
+    return next(new AppError('Password is incorrect', 401));
+  }
+
+  await checkCode(user, req.body.code, req);
+
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+  });
+});
@@ -0,0 +1,137 @@
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const CoachProfile = require('../models/coachProfileModel');
+const UserImport = require('../models/userImportModel');
+const AppError = require('../utils/appError');
+const { catchAsync } = require('../middlewares/errorMiddleware');
+const { toCsv, sendCsv } = require('../utils/csvUtils');
+const { createImport } = require('../services/userImportService');
+const { processUserImports } = require('../jobs/userImportJob');
+
+/**
+ * Upload a CSV of students and coaches to import in the background
+ * @route POST /api/v1/users/imports
+ * @access Private (user:manage)
+ */
+exports.createImport = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload a CSV file in the "file" field', 400));
+  }
+
+  const userImport = await createImport({
+    text: req.file.buffer.toString('utf8'),
+    fileName: req.file.originalname,
+    dryRun: req.body.dryRun,
+    sendWelcomeEmails: req.body.sendWelcomeEmails,
+    user: req.user,
+  });
+
+  // Start straight away instead of waiting for the next scheduled run
+  setImmediate(() => {
+    processUserImports().catch(err => console.error('Error processing user imports:', err));
+  });
+
+  res.status(202).json({
+    status: 'success',
+    message: userImport.dryRun
+      ? 'Dry run queued. Check the import for the validation report'
+      : 'Import queued. Check the import for progress and row errors',
+    data: {
+      import: userImport,
+    },
+  });
+});
+
+/**
+ * Get recent user imports
+ * @route GET /api/v1/users/imports
+ * @access Private (user:manage)
+ */
+exports.getImports = catchAsync(async (req, res) => {
+  const imports = await UserImport.find()
+    .select('-rowErrors -warnings -createdUsers')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  res.status(200).json({
+    status: 'success',
+    results: imports.length,
+    data: {
+      imports,
+    },
+  });
+});
+
+/**
+ * Get an import with its progress and per-row report
+ * @route GET /api/v1/users/imports/:id
+ * @access Private (user:manage)
+ */
+exports.getImport = catchAsync(async (req, res, next) => {
+  const userImport = await UserImport.findById(req.params.id).populate('createdBy', 'name email');
+
+  if (!userImport) {
+    return next(new AppError('No import found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      import: userImport,
+    },
+  });
+});
+
+/**
+ * Export users with their student/coach profiles as CSV. Columns match the
+ * import format so the file can be edited and imported elsewhere.
+ * @route GET /api/v1/users/export
+ * @access Private (user:manage)
+ */
+exports.exportUsers = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.role) filter.role = { $in: String(req.query.role).split(',') };
+
+  const users = await User.find(filter).sort('createdAt').lean();
+  const userIds = users.map(user => user._id);
+
+  const [studentProfiles, coachProfiles] = await Promise.all([
+    StudentProfile.find({ user: { $in: userIds } }).lean(),
+    CoachProfile.find({ user: { $in: userIds } }).lean(),
+  ]);
+
+  // Profiles keyed by user ID (the user reference is populated by the models)
+  const byUser = (profiles) =>
+    new Map(profiles.filter(profile => profile.user).map(profile => [String(profile.user._id || profile.user), profile]));
+  const students = byUser(studentProfiles);
+  const coaches = byUser(coachProfiles);
+
+  const names = (categories) => (categories || []).filter(Boolean).map(category => category.name || category).join(';');
+
+  const rows = users.map(user => ({
+    user,
+    student: students.get(String(user._id)),
+    coach: coaches.get(String(user._id)),
+  }));
+
+  const csv = toCsv(rows, [
+    { header: 'id', value: ({ user }) => user._id },
+    { header: 'name', value: ({ user }) => user.name },
+    { header: 'email', value: ({ user }) => user.email },
+    { header: 'role', value: ({ user }) => user.role },
+    { header: 'phone', value: ({ user }) => user.phone },
+    { header: 'approved', value: ({ user }) => user.approved },
+    { header: 'emailVerified', value: ({ user }) => user.emailVerified },
+    { header: 'createdAt', value: ({ user }) => user.createdAt },
+    { header: 'dateOfBirth', value: ({ student }) => student && student.dateOfBirth },
+    { header: 'gender', value: ({ student }) => student && student.gender },
+    { header: 'sportsCategories', value: ({ student, coach }) =>
+      student ? names(student.sportPreferences) : coach && names(coach.sportsCategories) },
+    { header: 'bio', value: ({ coach }) => coach && coach.bio },
+    { header: 'expertise', value: ({ coach }) => coach && (coach.expertise || []).join(';') },
+    { header: 'experienceYears', value: ({ coach }) => coach && coach.experienceYears },
+  ]);
+
+  sendCsv(res, `users-${new Date().toISOString().slice(0, 10)}.csv`, csv);
+});
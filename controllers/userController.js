@@ -1,7 +1,10 @@
 const User = require('../models/userModel');
 const StudentProfile = require('../models/studentProfileModel');
 const CoachProfile = require('../models/coachProfileModel');
+const CoachApplication = require('../models/coachApplicationModel');
 const { catchAsync } = require('../middlewares/errorMiddleware');
+const { queueMail } = require('../services/mailService');
+const { unlockAccount } = require('../services/loginProtectionService');
 
 /**
  * Get all users with filtering and pagination
@@ -116,6 +119,7 @@ exports.createUser = catchAsync(async (req, res) => {
     role: req.body.role || 'student',
     phone: req.body.phone,
     approved: true, // Admin-created users are auto-approved
+    emailVerified: true, // Admin vouches for the address
   });
 
   // Remove password from output
@@ -220,10 +224,36 @@ exports.approveUser = catchAsync(async (req, res) => {
     });
   }
 
+  // Coaches who applied are approved through their application
+  if (user.role === 'coach' && !user.approved) {
+    const application = await CoachApplication.findOne({ user: user._id, status: { $ne: 'approved' } }).select('_id');
+    if (application) {
+      return res.status(400).json({
+        status: 'error',
+        message: `This coach has an open application. Review it with PATCH /api/v1/coach-applications/${application._id}/approve`,
+      });
+    }
+  }
+
   // Update approval status
+  const wasApproved = user.approved;
   user.approved = true;
   await user.save({ validateBeforeSave: false });
 
+  // Let coaches know they can start using their account
+  if (user.role === 'coach' && !wasApproved) {
+    try {
+      await queueMail({
+        to: user.email,
+        template: 'coachApproved',
+        data: { name: user.name },
+        related: { model: 'User', id: user._id },
+      });
+    } catch (err) {
+      console.error('Error sending coach approval email:', err);
+    }
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'User approved successfully',
@@ -233,6 +263,61 @@ exports.approveUser = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Reset two-factor authentication for a user who lost their authenticator
+ * @route DELETE /api/v1/users/:id/two-factor
+ * @access Private/Admin
+ */
+exports.resetTwoFactor = catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'User not found',
+    });
+  }
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Two-factor authentication is not enabled for this user',
+    });
+  }
+
+  // The user can log in with their password and enroll a new device afterwards
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication reset successfully',
+  });
+});
+
+/**
+ * Unlock an account locked after too many failed logins
+ * @route PATCH /api/v1/users/:id/unlock
+ * @access Private/Admin
+ */
+exports.unlockUser = catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'User not found',
+    });
+  }
+
+  const wasLocked = await unlockAccount(user, req.user, req);
+
+  res.status(200).json({
+    status: 'success',
+    message: wasLocked ? 'User unlocked successfully' : 'User was not locked; failed login attempts were reset',
+  });
+});
+
 /**
  * Get pending approval requests
  * @route GET /api/v1/users/pending-approval
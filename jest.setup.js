@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+
+// Tests never connect to MongoDB: queries that were not mocked fail straight
+// away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// A fixed key so encrypted fields behave as in production
+process.env.FIELD_ENCRYPTION_KEY = process.env.FIELD_ENCRYPTION_KEY || Buffer.alloc(32, 7).toString('base64');
@@ -0,0 +1,70 @@
+const CoachProfile = require('../models/coachProfileModel');
+const Notification = require('../models/notificationModel');
+const { queueMail } = require('../services/mailService');
+
+// How many days before expiry coaches are reminded
+const REMINDER_DAYS = Number(process.env.CERTIFICATION_EXPIRY_REMINDER_DAYS) || 30;
+
+/**
+ * Email and notify coaches whose certifications expire soon.
+ * Each certification is only reminded once.
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+exports.sendCertificationExpiryReminders = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const coaches = await CoachProfile.find({
+    certifications: {
+      $elemMatch: {
+        expiresAt: { $gte: now, $lte: cutoff },
+        expiryReminderSentAt: null,
+      },
+    },
+  }).populate('user', 'name email');
+
+  let sent = 0;
+  for (const coach of coaches) {
+    const expiring = coach.certifications.filter(certification =>
+      certification.expiresAt >= now && certification.expiresAt <= cutoff && !certification.expiryReminderSentAt);
+
+    for (const certification of expiring) {
+      // Claim the certification first so parallel instances do not double-send
+      const claimed = await CoachProfile.updateOne(
+        { _id: coach._id, certifications: { $elemMatch: { _id: certification._id, expiryReminderSentAt: null } } },
+        { $set: { 'certifications.$.expiryReminderSentAt': now } }
+      );
+      if (claimed.modifiedCount === 0 || !coach.user) continue;
+
+      const daysRemaining = Math.ceil((certification.expiresAt - now) / (24 * 60 * 60 * 1000));
+
+      await Notification.create({
+        recipient: coach.user._id,
+        type: 'certification_expiring',
+        title: 'Certification expiring soon',
+        message: `Your ${certification.name} certification expires in ${daysRemaining} day(s).`,
+        related: {
+          model: 'CoachProfile',
+          id: coach._id,
+        },
+        priority: 'high',
+      });
+
+      await queueMail({
+        to: coach.user.email,
+        template: 'certificationExpiring',
+        data: {
+          name: coach.user.name,
+          certificationName: certification.name,
+          expiresAt: certification.expiresAt,
+          daysRemaining,
+        },
+        related: { model: 'CoachProfile', id: coach._id },
+      });
+
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
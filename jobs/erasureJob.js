@@ -0,0 +1,37 @@
+const ErasureRequest = require('../models/erasureRequestModel');
+const { runErasure } = require('../services/privacyService');
+
+// A request whose worker has not finished within this time is taken over
+const STALE_LOCK_MS = 30 * 60 * 1000;
+
+/**
+ * Erase the data of users whose approved erasure requests have reached the
+ * end of their grace period
+ * @returns {Promise<Number>} Number of requests processed
+ */
+exports.processErasureRequests = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+
+    // Claim one request at a time so several API instances can share the work
+    const erasureRequest = await ErasureRequest.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'approved', scheduledFor: { $lte: now } },
+          { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      { status: 'processing', lockedAt: now },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+
+    if (!erasureRequest) break;
+
+    await runErasure(erasureRequest);
+    processed += 1;
+  }
+
+  return processed;
+};
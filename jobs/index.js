@@ -0,0 +1,73 @@
+const { processOutbox } = require('../services/mailService');
+const { sendSubscriptionExpiryReminders } = require('./subscriptionExpiryJob');
+const { processUserImports } = require('./userImportJob');
+const { processErasureRequests } = require('./erasureJob');
+const { sendCertificationExpiryReminders } = require('./certificationExpiryJob');
+const { closePastBookings } = require('../services/bookingService');
+const { computeLastMonthPayslips } = require('../services/payrollService');
+const { computeAttendanceRisk } = require('../services/attendanceRiskService');
+
+/**
+ * Background job runner
+ * Runs periodic jobs inside the API process. Each job is skipped while its
+ * previous run is still in progress, and timers are unref'd so they never
+ * keep the process alive on shutdown.
+ */
+
+const timers = [];
+
+/**
+ * Schedule a job to run every `intervalMs` milliseconds
+ * @param {String} name - Job name (used in logs)
+ * @param {Number} intervalMs - Interval between runs
+ * @param {Function} fn - Async job function
+ */
+const scheduleJob = (name, intervalMs, fn) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`Job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.push(timer);
+};
+
+/**
+ * Start all background jobs. Call once after the database connection is up.
+ * Set DISABLE_BACKGROUND_JOBS=true to run an instance without jobs.
+ */
+exports.startJobs = () => {
+  if (process.env.DISABLE_BACKGROUND_JOBS === 'true') {
+    console.log('Background jobs are disabled');
+    return;
+  }
+
+  scheduleJob('email-outbox', 30 * 1000, processOutbox);
+  scheduleJob('subscription-expiry-reminders', 6 * 60 * 60 * 1000, sendSubscriptionExpiryReminders);
+  scheduleJob('user-imports', 15 * 1000, processUserImports);
+  scheduleJob('erasure-requests', 60 * 60 * 1000, processErasureRequests);
+  scheduleJob('certification-expiry-reminders', 12 * 60 * 60 * 1000, sendCertificationExpiryReminders);
+  scheduleJob('past-bookings', 15 * 60 * 1000, closePastBookings);
+  scheduleJob('monthly-payslips', 6 * 60 * 60 * 1000, computeLastMonthPayslips);
+  scheduleJob('attendance-risk', 12 * 60 * 60 * 1000, computeAttendanceRisk);
+
+  console.log('Background jobs started');
+};
+
+/**
+ * Stop all background jobs
+ */
+exports.stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
@@ -0,0 +1,62 @@
+const Subscription = require('../models/subscriptionModel');
+const Notification = require('../models/notificationModel');
+const { queueMail } = require('../services/mailService');
+
+// How many days before expiry students are reminded
+const REMINDER_DAYS = Number(process.env.SUBSCRIPTION_EXPIRY_REMINDER_DAYS) || 7;
+
+/**
+ * Email and notify students whose active subscription expires soon.
+ * Each subscription is only reminded once.
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+exports.sendSubscriptionExpiryReminders = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    endDate: { $gte: now, $lte: cutoff },
+    expiryReminderSentAt: null,
+  });
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    // Claim the subscription first so parallel instances do not double-send
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, expiryReminderSentAt: null },
+      { expiryReminderSentAt: now }
+    );
+    if (claimed.modifiedCount === 0 || !subscription.student) continue;
+
+    const planName = subscription.plan ? subscription.plan.name : 'academy';
+
+    await Notification.create({
+      recipient: subscription.student._id,
+      type: 'subscription_expiring',
+      title: 'Subscription expiring soon',
+      message: `Your ${planName} subscription expires in ${subscription.daysRemaining} day(s).`,
+      related: {
+        model: 'Subscription',
+        id: subscription._id,
+      },
+      priority: 'high',
+    });
+
+    await queueMail({
+      to: subscription.student.email,
+      template: 'subscriptionExpiring',
+      data: {
+        name: subscription.student.name,
+        planName,
+        endDate: subscription.endDate,
+        daysRemaining: subscription.daysRemaining,
+      },
+      related: { model: 'Subscription', id: subscription._id },
+    });
+
+    sent += 1;
+  }
+
+  return sent;
+};
@@ -0,0 +1,37 @@
+const UserImport = require('../models/userImportModel');
+const { runImport } = require('../services/userImportService');
+
+// An import whose worker has not saved progress for this long is taken over
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Run queued user imports one at a time. Imports left behind by a stopped
+ * instance are resumed from their last saved row.
+ * @returns {Promise<Number>} Number of imports processed
+ */
+exports.processUserImports = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+
+    // Claim one import at a time so several API instances can share the queue
+    const importJob = await UserImport.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      { status: 'processing', lockedAt: now, $min: { startedAt: now } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+
+    if (!importJob) break;
+
+    await runImport(importJob);
+    processed += 1;
+  }
+
+  return processed;
+};
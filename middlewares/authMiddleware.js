@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const { catchAsync } = require('./errorMiddleware');
 const User = require('../models/userModel');
+const { isSessionActive } = require('../services/sessionService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { getPermissionScope, isOwner } = require('../services/permissionService');
 
 /**
  * Middleware to check if user is authenticated with a valid JWT token
@@ -43,8 +46,28 @@ exports.protect = catchAsync(async (req, res, next) => {
       return next(error);
     }
 
-    // 5) Grant access to protected route
+    // 5) Check if the session the token was issued for is still active
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      const error = new Error('Your session has ended. Please log in again.');
+      error.statusCode = 401;
+      error.isOperational = true;
+      return next(error);
+    }
+
+    // 6) Roles that must use two-factor authentication can only reach the
+    // auth routes (where they enroll) until it is enabled
+    if (isTwoFactorRequired(currentUser) && !currentUser.twoFactorEnabled && req.baseUrl !== '/api/v1/auth') {
+      const error = new Error('Two-factor authentication is required for your account. Please set it up to continue.');
+      error.statusCode = 403;
+      error.isOperational = true;
+      return next(error);
+    }
+
+    // 7) Grant access to protected route
     req.user = currentUser;
+    req.sessionId = decoded.sid;
+    // Decides whether student profiles in the response show medical details
+    req.sensitiveDataScope = await getPermissionScope(currentUser, 'student:medical:view');
     next();
   } catch (err) {
     const error = new Error('Authentication failed! Please log in again.');
@@ -80,6 +103,82 @@ exports.authorize = (...roles) => {
   return exports.restrictTo(...roles);
 };
 
+/**
+ * Middleware to require a permission (see permissionService).
+ * Users holding only the ':own' variant of the permission need a resource
+ * loader, and are let through when they own the loaded document. For list
+ * routes without a loader they are let through with `req.permissionScope`
+ * set to 'own' so the controller can narrow the query.
+ * Use after `protect`.
+ * @param {String} permission - Permission name, e.g. 'dietPlan:assign'
+ * @param {Function} [resourceLoader] - async (req) => document the action targets
+ * @returns {Function} - Express middleware function
+ */
+exports.can = (permission, resourceLoader) => {
+  return catchAsync(async (req, res, next) => {
+    const scope = await getPermissionScope(req.user, permission);
+
+    if (!scope) {
+      const error = new Error('You do not have permission to perform this action');
+      error.statusCode = 403;
+      error.isOperational = true;
+      return next(error);
+    }
+
+    req.permissionScope = scope;
+    if (!resourceLoader) return next();
+
+    const resource = await resourceLoader(req);
+    if (!resource) {
+      const error = new Error('The requested resource was not found');
+      error.statusCode = 404;
+      error.isOperational = true;
+      return next(error);
+    }
+
+    if (scope === 'own' && !isOwner(req.user, resource)) {
+      const error = new Error('You do not have permission to perform this action');
+      error.statusCode = 403;
+      error.isOperational = true;
+      return next(error);
+    }
+
+    req.resource = resource;
+    next();
+  });
+};
+
+/**
+ * Block accounts that have not verified their email address.
+ * Use after `protect` on routes that need a confirmed contact address.
+ * Only enforced when REQUIRE_EMAIL_VERIFICATION is set to 'true'.
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') return next();
+
+  if (!req.user.emailVerified) {
+    const error = new Error('Please verify your email address to access this resource.');
+    error.statusCode = 403;
+    error.isOperational = true;
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Block enrolment of minors until a guardian has given consent.
+ * Use after `can` with a student profile loader.
+ */
+exports.requireGuardianConsent = (req, res, next) => {
+  if (req.resource && req.resource.requiresGuardianConsent) {
+    const error = new Error('A guardian must give consent before this student can enrol. Invite a guardian to continue.');
+    error.statusCode = 403;
+    error.isOperational = true;
+    return next(error);
+  }
+  next();
+};
+
 /**
  * Check if user is admin
  */
@@ -0,0 +1,51 @@
+const { requireVerifiedEmail, requireGuardianConsent } = require('./authMiddleware');
+
+describe('requireVerifiedEmail', () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  it('lets everyone through unless verification is required', () => {
+    const next = jest.fn();
+
+    requireVerifiedEmail({ user: { emailVerified: false } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('blocks unverified accounts when verification is required', () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    const next = jest.fn();
+
+    requireVerifiedEmail({ user: { emailVerified: false } }, {}, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+  });
+
+  it('lets verified accounts through when verification is required', () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    const next = jest.fn();
+
+    requireVerifiedEmail({ user: { emailVerified: true } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('requireGuardianConsent', () => {
+  it('blocks students that still need a guardian\'s consent', () => {
+    const next = jest.fn();
+
+    requireGuardianConsent({ resource: { requiresGuardianConsent: true } }, {}, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+  });
+
+  it('lets students through once consent is given', () => {
+    const next = jest.fn();
+
+    requireGuardianConsent({ resource: { requiresGuardianConsent: false } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -66,6 +66,9 @@ exports.errorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
+  // Tell throttled clients when they may try again
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+
   if (process.env.NODE_ENV === 'development') {
     sendErrorDev(err, res);
   } else if (process.env.NODE_ENV === 'production') {
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
 
@@ -13,6 +14,17 @@ const storage = multer.diskStorage({
   },
 });
 
+// Documents that are not for everyone (coach certifications, exercise plans)
+// are kept outside the public folder and only served through the API
+const privateStorage = multer.diskStorage({
+  destination: process.env.PRIVATE_UPLOAD_PATH || './uploads/private',
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname);
+    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
+  },
+});
+
 // Define file filter - which files to accept
 const fileFilter = (req, file, cb) => {
   const allowedTypes = [
@@ -36,6 +48,17 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// CSV imports are parsed straight from memory, so they are not written to disk
+const csvFileFilter = (req, file, cb) => {
+  const allowedTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+  if (allowedTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+  }
+};
+
 // Create upload instances for different file types
 const uploadImage = multer({
   storage,
@@ -53,6 +76,22 @@ const uploadDocument = multer({
   },
 });
 
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit for CSV imports
+  },
+});
+
+const uploadPrivateDocument = multer({
+  storage: privateStorage,
+  fileFilter,
+  limits: {
+    fileSize: 15 * 1024 * 1024, // 15MB limit for documents
+  },
+});
+
 // Default upload instance for general use
 const upload = multer({
   storage,
@@ -66,9 +105,11 @@ const upload = multer({
 const uploadProfileImage = uploadImage.single('profileImage');
 const uploadAnnouncementImage = uploadImage.single('announcementImage');
 const uploadTournamentImage = uploadImage.single('tournamentImage');
-const uploadExercisePlan = uploadDocument.single('exercisePlan');
+const uploadExercisePlan = uploadPrivateDocument.single('exercisePlan');
 const uploadTrainingSchedule = uploadDocument.single('trainingSchedule');
 const uploadTournamentDoc = uploadDocument.single('tournamentDocument');
+const uploadImportFile = uploadCsv.single('file');
+const uploadCertificationDocument = uploadPrivateDocument.single('document');
 
 // Handle upload errors
 const handleUploadError = (err, req, res, next) => {
@@ -94,6 +135,21 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
+// Remove the uploaded file when the request fails, e.g. when the fields sent
+// with it do not validate, so rejected uploads do not pile up on disk. Files
+// marked `persisted` are referenced by a saved document and are kept.
+const removeUploadOnFailure = (req, res, next) => {
+  res.on('finish', () => {
+    if (!req.file || !req.file.path || req.file.persisted || res.statusCode < 400) return;
+
+    fs.promises.unlink(req.file.path).catch(err => {
+      if (err.code !== 'ENOENT') console.error('Error removing rejected upload:', err.message);
+    });
+  });
+
+  next();
+};
+
 // Export all middleware functions
 module.exports = {
   upload,
@@ -105,5 +161,8 @@ module.exports = {
   uploadExercisePlan,
   uploadTrainingSchedule,
   uploadTournamentDoc,
-  handleUploadError
+  uploadImportFile,
+  uploadCertificationDocument,
+  handleUploadError,
+  removeUploadOnFailure
 }; 
\ No newline at end of file
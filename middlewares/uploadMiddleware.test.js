@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Keep the upload folders created by multer out of the working tree
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_PATH = uploadDir;
+process.env.PRIVATE_UPLOAD_PATH = uploadDir;
+
+const { removeUploadOnFailure } = require('./uploadMiddleware');
+
+/**
+ * Run the middleware for an uploaded file and finish the response
+ * @param {Object} file - Multer file
+ * @param {Number} statusCode - Response status
+ */
+const finishWith = async (file, statusCode) => {
+  const res = new EventEmitter();
+  removeUploadOnFailure({ file }, res, () => {});
+  res.statusCode = statusCode;
+  res.emit('finish');
+  // Let the unlink run
+  await new Promise(resolve => setTimeout(resolve, 20));
+};
+
+/**
+ * Write a file as if multer had just stored it
+ * @returns {Object} Multer file
+ */
+const upload = () => {
+  const file = path.join(uploadDir, `plan-${Date.now()}-${Math.random()}.pdf`);
+  fs.writeFileSync(file, 'pdf');
+  return { path: file };
+};
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('removeUploadOnFailure', () => {
+  it('removes the file when the request fails', async () => {
+    const file = upload();
+
+    await finishWith(file, 400);
+
+    expect(fs.existsSync(file.path)).toBe(false);
+  });
+
+  it('keeps the file when the request succeeds', async () => {
+    const file = upload();
+
+    await finishWith(file, 201);
+
+    expect(fs.existsSync(file.path)).toBe(true);
+  });
+
+  it('keeps files a saved document already points to', async () => {
+    const file = { ...upload(), persisted: true };
+
+    await finishWith(file, 500);
+
+    expect(fs.existsSync(file.path)).toBe(true);
+  });
+});
@@ -76,4 +76,35 @@ exports.validateParams = (schema) => {
     req.params = value;
     next();
   };
-}; 
\ No newline at end of file
+};
+
+/**
+ * Parse JSON-encoded fields of a multipart request body.
+ * Multipart forms can only send strings, so structured fields are sent as JSON.
+ * Use after the upload middleware and before `validateBody`.
+ * @param {String[]} fields - Body fields that may hold JSON
+ * @returns {Function} Express middleware function
+ */
+exports.parseJsonFields = (fields) => {
+  return (req, res, next) => {
+    const invalid = fields.filter((field) => {
+      if (typeof req.body[field] !== 'string') return false;
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+
+    if (invalid.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        errors: invalid.map(field => `"${field}" must be valid JSON`),
+      });
+    }
+
+    next();
+  };
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const attendanceSchema = new mongoose.Schema(
   {
@@ -27,6 +28,12 @@ const attendanceSchema = new mongoose.Schema(
     },
     checkInTime: Date,
     checkOutTime: Date,
+    // How the student was checked in: by the coach, with the session's QR code or at a kiosk
+    checkInMethod: {
+      type: String,
+      enum: ['manual', 'qr', 'kiosk'],
+      default: 'manual',
+    },
     duration: {
       type: Number, // Duration in minutes
       min: [0, 'Duration cannot be negative'],
@@ -51,6 +58,30 @@ const attendanceSchema = new mongoose.Schema(
       enum: ['excellent', 'good', 'average', 'needs_improvement', 'poor'],
     },
     performanceNotes: String,
+    // Changes made after the roll-call, oldest first
+    corrections: [{
+      previousStatus: {
+        type: String,
+        enum: ['present', 'absent', 'late', 'excused'],
+      },
+      status: {
+        type: String,
+        enum: ['present', 'absent', 'late', 'excused'],
+      },
+      reason: {
+        type: String,
+        required: [true, 'A correction must have a reason'],
+        trim: true,
+      },
+      correctedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      correctedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
   },
   {
     timestamps: true,
@@ -66,6 +97,11 @@ attendanceSchema.index({ session: 1 });
 attendanceSchema.index({ sessionDate: 1 });
 attendanceSchema.index({ status: 1 });
 attendanceSchema.index({ sportCategory: 1 });
+// One record per student and training session
+attendanceSchema.index(
+  { session: 1, student: 1 },
+  { unique: true, partialFilterExpression: { session: { $exists: true } } }
+);
 
 // Populate references when the document is queried
 attendanceSchema.pre(/^find/, function(next) {
@@ -87,34 +123,52 @@ attendanceSchema.virtual('isLate').get(function() {
   return this.status === 'late';
 });
 
-// Update studentProfile attendance stats when saving attendance
-attendanceSchema.post('save', async function() {
-  try {
-    const StudentProfile = mongoose.model('StudentProfile');
-    const studentProfile = await StudentProfile.findOne({ user: this.student });
-    
-    if (!studentProfile) return;
-    
-    // Increment total sessions
-    if (!studentProfile.attendanceStats.totalSessions) {
-      studentProfile.attendanceStats.totalSessions = 0;
-    }
-    studentProfile.attendanceStats.totalSessions += 1;
-    
-    // Update attended or missed sessions based on status
-    if (this.status === 'present' || this.status === 'late') {
-      if (!studentProfile.attendanceStats.attendedSessions) {
-        studentProfile.attendanceStats.attendedSessions = 0;
-      }
-      studentProfile.attendanceStats.attendedSessions += 1;
-    } else {
-      if (!studentProfile.attendanceStats.missedSessions) {
-        studentProfile.attendanceStats.missedSessions = 0;
-      }
-      studentProfile.attendanceStats.missedSessions += 1;
+// Recalculate a student's attendance stats from their records, so the
+// profile always agrees with them however the records were changed
+attendanceSchema.statics.calcStudentStats = async function(studentId) {
+  const StudentProfile = mongoose.model('StudentProfile');
+  const id = new mongoose.Types.ObjectId(studentId.toString());
+  const studentProfile = await StudentProfile.findOne({ $or: [{ user: id }, { _id: id }] }).select('user');
+  if (!studentProfile) return;
+
+  // Records reference the student by user or by profile ID
+  const [stats] = await this.aggregate([
+    { $match: { student: { $in: [studentProfile._id, studentProfile.user._id || studentProfile.user] } } },
+    {
+      $group: {
+        _id: null,
+        totalSessions: { $sum: 1 },
+        attendedSessions: { $sum: { $cond: [{ $in: ['$status', ['present', 'late']] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const totalSessions = stats ? stats.totalSessions : 0;
+  const attendedSessions = stats ? stats.attendedSessions : 0;
+  await StudentProfile.updateOne(
+    { _id: studentProfile._id },
+    {
+      $set: {
+        'attendanceStats.totalSessions': totalSessions,
+        'attendanceStats.attendedSessions': attendedSessions,
+        'attendanceStats.missedSessions': totalSessions - attendedSessions,
+      },
     }
-    
-    await studentProfile.save();
+  );
+};
+
+// Keep the student's attendance stats in step with their records
+attendanceSchema.post('save', async function(doc) {
+  try {
+    await doc.constructor.calcStudentStats(doc.student._id || doc.student);
+  } catch (err) {
+    console.error('Error updating student attendance stats:', err);
+  }
+});
+
+attendanceSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  try {
+    await doc.constructor.calcStudentStats(doc.student._id || doc.student);
   } catch (err) {
     console.error('Error updating student attendance stats:', err);
   }
@@ -177,6 +231,9 @@ attendanceSchema.statics.getCoachClassAttendance = async function(coachId, sessi
   }
 };
 
+// Record roll-call changes; corrections keep their own history
+attendanceSchema.plugin(auditPlugin, { ignore: ['corrections'] });
+
 const Attendance = mongoose.model('Attendance', attendanceSchema);
 
 module.exports = Attendance; 
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // User who performed the action; empty for actions taken by the system
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    actorRole: String,
+    action: {
+      type: String,
+      required: [true, 'Audit entry must have an action'],
+      trim: true,
+    },
+    target: {
+      model: String,
+      id: mongoose.Schema.ObjectId,
+    },
+    ip: String,
+    userAgent: String,
+    // Changed fields as { field: { before, after } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.model': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The log is append-only: entries can be written once and never changed or removed.
+// Only account erasure strips personal details, through the collection (see auditService)
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const AuditLog = require('./auditLogModel');
+
+describe('append-only log', () => {
+  it('rejects updates to stored entries', async () => {
+    await expect(AuditLog.updateOne({}, { action: 'edited' })).rejects.toThrow('cannot be modified');
+  });
+
+  it('rejects saving a stored entry again', async () => {
+    const entry = AuditLog.hydrate({ _id: new mongoose.Types.ObjectId(), action: 'user_approved' });
+    entry.action = 'edited';
+
+    await expect(entry.save()).rejects.toThrow('cannot be modified');
+  });
+
+  it('rejects deleting entries', async () => {
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be modified');
+  });
+});
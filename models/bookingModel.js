@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Length of the blocks a booking reserves in the coach's calendar
+const SLOT_MINUTES = 15;
+
+// Statuses in which a booking holds its time in the coach's calendar
+const HOLDING_STATUSES = ['pending', 'confirmed'];
+
+const bookingSchema = new mongoose.Schema(
+  {
+    coach: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Booking must have a coach'],
+    },
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Booking must have a student'],
+    },
+    // Student or guardian who made the booking
+    bookedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    subscription: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Subscription',
+      required: [true, 'Booking must use a subscription'],
+    },
+    sportCategory: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'SportCategory',
+    },
+    startsAt: {
+      type: Date,
+      required: [true, 'Booking must have a start time'],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'Booking must have an end time'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'declined', 'cancelled', 'expired', 'completed'],
+      default: 'pending',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot be longer than 500 characters'],
+    },
+    // Calendar blocks held by the booking. A unique index on these keeps two
+    // bookings from ever overlapping, even when requests race.
+    slotKeys: [Date],
+    // Whether booking also used one of the subscription's general sessions
+    sessionDeducted: {
+      type: Boolean,
+      default: false,
+    },
+    creditRefunded: {
+      type: Boolean,
+      default: false,
+    },
+    confirmedAt: Date,
+    declinedAt: Date,
+    declineReason: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    cancelReason: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+bookingSchema.index({ coach: 1, startsAt: 1 });
+bookingSchema.index({ student: 1, startsAt: 1 });
+bookingSchema.index({ status: 1, startsAt: 1 });
+bookingSchema.index(
+  { coach: 1, slotKeys: 1 },
+  { unique: true, partialFilterExpression: { 'slotKeys.0': { $exists: true } } }
+);
+
+// Virtual field for the length of the booking in minutes
+bookingSchema.virtual('duration').get(function() {
+  if (!this.startsAt || !this.endsAt) return null;
+  return Math.round((this.endsAt - this.startsAt) / (60 * 1000));
+});
+
+// Virtual field to check if the booking still holds its time
+bookingSchema.virtual('isActive').get(function() {
+  return HOLDING_STATUSES.includes(this.status);
+});
+
+// Static method to list the calendar blocks a period covers
+bookingSchema.statics.slotKeysFor = function(startsAt, endsAt) {
+  const keys = [];
+  for (let time = startsAt.getTime(); time < endsAt.getTime(); time += SLOT_MINUTES * 60 * 1000) {
+    keys.push(new Date(time));
+  }
+  return keys;
+};
+
+bookingSchema.statics.SLOT_MINUTES = SLOT_MINUTES;
+bookingSchema.statics.HOLDING_STATUSES = HOLDING_STATUSES;
+
+bookingSchema.plugin(auditPlugin, { ignore: ['slotKeys'] });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
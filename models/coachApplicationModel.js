@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Status changes an application may go through
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['under_review', 'approved', 'rejected'],
+  under_review: ['approved', 'rejected'],
+  rejected: ['draft'],
+  approved: [],
+};
+
+const coachApplicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Application must belong to a user'],
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(TRANSITIONS),
+      default: 'draft',
+    },
+    bio: {
+      type: String,
+      trim: true,
+    },
+    expertise: [String],
+    experienceYears: {
+      type: Number,
+      min: [0, 'Experience years cannot be negative'],
+    },
+    specializations: [String],
+    sportsCategories: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'SportCategory',
+    }],
+    certifications: [{
+      name: {
+        type: String,
+        required: [true, 'Certification name is required'],
+      },
+      issuedBy: String,
+      issuedAt: Date,
+      expiresAt: Date,
+      document: {
+        type: String,
+        required: [true, 'Certification document is required'],
+      },
+      documentName: String,
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending',
+      },
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: Date,
+      rejectionReason: String,
+    }],
+    backgroundCheckConsent: {
+      given: {
+        type: Boolean,
+        default: false,
+      },
+      givenAt: Date,
+      ip: String,
+    },
+    submittedAt: Date,
+    reviewStartedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+    rejectionReason: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+coachApplicationSchema.index({ status: 1, submittedAt: 1 });
+
+// Virtual field to check if the coach can still change the application
+coachApplicationSchema.virtual('isEditable').get(function() {
+  return this.status === 'draft' || this.status === 'rejected';
+});
+
+// Instance method to check whether a status change is allowed
+coachApplicationSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to list what is still missing before the coach can submit
+coachApplicationSchema.methods.getMissingItems = function() {
+  const missing = [];
+  if (!this.bio) missing.push('bio');
+  if (!this.expertise || this.expertise.length === 0) missing.push('expertise');
+  if (this.experienceYears === undefined || this.experienceYears === null) missing.push('experienceYears');
+  if (this.certifications.length === 0) missing.push('certifications');
+  if (!this.backgroundCheckConsent.given) missing.push('backgroundCheckConsent');
+  return missing;
+};
+
+coachApplicationSchema.plugin(auditPlugin);
+
+const CoachApplication = mongoose.model('CoachApplication', coachApplicationSchema);
+
+module.exports = CoachApplication;
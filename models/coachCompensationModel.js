@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Pay rates of a coach. Payslips copy the rates when they are computed, so
+// changing them only affects payslips computed afterwards.
+const coachCompensationSchema = new mongoose.Schema(
+  {
+    coach: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Compensation must belong to a coach'],
+      unique: true,
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      default: 'USD',
+    },
+    // Paid for every hour of delivered training sessions and private bookings
+    hourlyRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Hourly rate cannot be negative'],
+    },
+    // Paid once for every delivered training session
+    sessionRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Session rate cannot be negative'],
+    },
+    // Paid once for every completed private booking
+    bookingRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Booking rate cannot be negative'],
+    },
+    // Share of the entry fees of the teams the coach led in completed tournaments
+    tournamentFeePercentage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tournament fee percentage cannot be negative'],
+      max: [100, 'Tournament fee percentage cannot be more than 100'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot be longer than 500 characters'],
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+coachCompensationSchema.plugin(auditPlugin);
+
+const CoachCompensation = mongoose.model('CoachCompensation', coachCompensationSchema);
+
+module.exports = CoachCompensation;
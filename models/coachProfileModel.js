@@ -29,6 +29,9 @@ const coachProfileSchema = new mongoose.Schema(
       issuedBy: String,
       year: Number,
       document: String, // Path to uploaded certificate document
+      issuedAt: Date,
+      expiresAt: Date,
+      expiryReminderSentAt: Date,
     }],
     specializations: [String],
     availability: {
@@ -98,6 +101,7 @@ const coachProfileSchema = new mongoose.Schema(
 // Create index for better query performance
 coachProfileSchema.index({ user: 1 });
 coachProfileSchema.index({ sportsCategories: 1 });
+coachProfileSchema.index({ 'certifications.expiresAt': 1 });
 
 // Populate user reference with select fields when the document is queried
 coachProfileSchema.pre(/^find/, function(next) {
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+const coachReviewSchema = new mongoose.Schema(
+  {
+    coach: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Review must be about a coach'],
+    },
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Review must have an author'],
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Review must have a rating'],
+      min: [1, 'Rating must be at least 1'],
+      max: [5, 'Rating cannot be more than 5'],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review cannot be longer than 2000 characters'],
+    },
+    // Hidden reviews are not shown publicly and do not count towards the rating
+    status: {
+      type: String,
+      enum: ['published', 'hidden'],
+      default: 'published',
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    flagReason: String,
+    flaggedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    flaggedAt: Date,
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+    moderationReason: String,
+    reply: {
+      text: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Reply cannot be longer than 2000 characters'],
+      },
+      repliedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// One review per student and coach; students edit theirs instead of adding more
+coachReviewSchema.index({ coach: 1, student: 1 }, { unique: true });
+coachReviewSchema.index({ coach: 1, status: 1, createdAt: -1 });
+coachReviewSchema.index({ flagged: 1, createdAt: -1 });
+
+// Static method to recalculate a coach's rating from their published reviews
+coachReviewSchema.statics.calcCoachRating = async function(coachId) {
+  const [stats] = await this.aggregate([
+    { $match: { coach: new mongoose.Types.ObjectId(coachId.toString()), status: 'published' } },
+    { $group: { _id: '$coach', ratingCount: { $sum: 1 }, ratingAverage: { $avg: '$rating' } } },
+  ]);
+
+  await mongoose.model('CoachProfile').updateOne(
+    { user: coachId },
+    {
+      ratingAverage: stats ? stats.ratingAverage : 0,
+      ratingCount: stats ? stats.ratingCount : 0,
+    },
+    { runValidators: true }
+  );
+};
+
+// Keep the coach's rating in step with their reviews
+coachReviewSchema.post('save', async function(doc) {
+  await doc.constructor.calcCoachRating(doc.coach);
+});
+
+coachReviewSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await doc.constructor.calcCoachRating(doc.coach);
+});
+
+coachReviewSchema.plugin(auditPlugin);
+
+const CoachReview = mongoose.model('CoachReview', coachReviewSchema);
+
+module.exports = CoachReview;
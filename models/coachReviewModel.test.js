@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const CoachReview = require('./coachReviewModel');
+const CoachProfile = require('./coachProfileModel');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calcCoachRating', () => {
+  it('averages the published reviews of the coach', async () => {
+    const coachId = id();
+    const aggregate = jest.spyOn(CoachReview, 'aggregate').mockResolvedValue([{ ratingCount: 2, ratingAverage: 4.5 }]);
+    const update = jest.spyOn(CoachProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await CoachReview.calcCoachRating(coachId);
+
+    expect(aggregate.mock.calls[0][0][0].$match).toEqual({ coach: coachId, status: 'published' });
+    expect(update.mock.calls[0].slice(0, 2)).toEqual([{ user: coachId }, { ratingAverage: 4.5, ratingCount: 2 }]);
+  });
+
+  it('resets the rating when no published review is left', async () => {
+    jest.spyOn(CoachReview, 'aggregate').mockResolvedValue([]);
+    const update = jest.spyOn(CoachProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await CoachReview.calcCoachRating(id());
+
+    expect(update.mock.calls[0][1]).toEqual({ ratingAverage: 0, ratingCount: 0 });
+  });
+
+  it('runs whenever a review is saved', async () => {
+    const calc = jest.spyOn(CoachReview, 'calcCoachRating').mockResolvedValue();
+    // Run the save hooks without writing to MongoDB
+    jest.spyOn(CoachReview.prototype, '$__handleSave').mockImplementation(function(options, callback) {
+      this.$isNew = false;
+      callback(null, 1);
+    });
+    const review = new CoachReview({ coach: id(), student: id(), rating: 4 });
+
+    await review.save();
+
+    expect(calc).toHaveBeenCalledWith(review.coach);
+  });
+});
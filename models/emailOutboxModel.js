@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, 'Email must have a recipient'],
+      lowercase: true,
+      trim: true,
+    },
+    from: String,
+    template: String,
+    subject: {
+      type: String,
+      required: [true, 'Email must have a subject'],
+    },
+    // Body, removed once the message is sent or has failed for good
+    text: String,
+    html: String,
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lastError: String,
+    transport: String,
+    messageId: String,
+    sentAt: Date,
+    failedAt: Date,
+    related: {
+      model: String,
+      id: mongoose.Schema.ObjectId,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the outbox worker and for admin lookups
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+// Clean up delivered emails after 30 days
+emailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } }
+);
+// Clean up emails that could not be delivered after 30 days
+emailOutboxSchema.index(
+  { failedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'failed' } }
+);
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
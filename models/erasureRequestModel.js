@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Days between approval and erasure, during which the user can still cancel
+const ERASURE_GRACE_PERIOD_DAYS = Number(process.env.ERASURE_GRACE_PERIOD_DAYS) || 14;
+
+const erasureRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Erasure request must be for a user'],
+    },
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Erasure request must have a requester'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot be longer than 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled', 'processing', 'completed'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+    scheduledFor: Date,
+    cancelledAt: Date,
+    lockedAt: Date,
+    completedAt: Date,
+    // Number of records deleted or anonymized per collection
+    summary: mongoose.Schema.Types.Mixed,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+erasureRequestSchema.index({ user: 1, status: 1 });
+erasureRequestSchema.index({ status: 1, scheduledFor: 1 });
+
+// Virtual field to check if the user can still withdraw the request
+erasureRequestSchema.virtual('isCancellable').get(function() {
+  return ['pending', 'approved'].includes(this.status);
+});
+
+// Instance method to approve the request and start the grace period
+erasureRequestSchema.methods.approve = function(reviewer) {
+  this.status = 'approved';
+  this.reviewedBy = reviewer._id;
+  this.reviewedAt = Date.now();
+  this.scheduledFor = Date.now() + ERASURE_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+};
+
+erasureRequestSchema.plugin(auditPlugin, { ignore: ['lockedAt'] });
+
+const ErasureRequest = mongoose.model('ErasureRequest', erasureRequestSchema);
+
+module.exports = ErasureRequest;
@@ -105,6 +105,38 @@ const exercisePlanSchema = new mongoose.Schema(
       fileUrl: String,
       fileType: String,
     }],
+    // Uploaded plan document (PDF or Word), one entry per upload. Re-uploads
+    // add a version and keep the earlier ones; the last entry is current.
+    documents: [{
+      version: {
+        type: Number,
+        required: [true, 'Document must have a version'],
+      },
+      name: String, // Original file name
+      path: {
+        type: String,
+        required: [true, 'Document must have a file'],
+      },
+      mimeType: String,
+      size: Number, // Size in bytes
+      changes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Changes cannot be longer than 500 characters'],
+      },
+      uploadedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    version: {
+      type: Number,
+      default: 0,
+    },
     tags: [String],
     assignedStudents: [{
       type: mongoose.Schema.ObjectId,
@@ -149,6 +181,11 @@ exercisePlanSchema.virtual('exerciseCount').get(function() {
   return this.exercises ? this.exercises.length : 0;
 });
 
+// Virtual field for the current version of the plan document
+exercisePlanSchema.virtual('document').get(function() {
+  return this.documents && this.documents.length ? this.documents[this.documents.length - 1] : null;
+});
+
 // Virtual field for formatted duration
 exercisePlanSchema.virtual('formattedDuration').get(function() {
   const hours = Math.floor(this.duration / 60);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Opening hours of one day; a day without slots is closed
+const openingSlot = [{
+  _id: false,
+  startTime: String,
+  // HH:MM, or 24:00 for midnight
+  endTime: String,
+}];
+
+const facilitySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Facility must have a name'],
+      trim: true,
+      maxlength: [100, 'Name must be less than 100 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['court', 'pool', 'gym', 'field', 'track', 'studio', 'other'],
+      required: [true, 'Facility must have a type'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      name: String,
+      address: {
+        street: String,
+        city: String,
+        state: String,
+        zipCode: String,
+        country: String,
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: function(arr) {
+            return arr.length === 2;
+          },
+          message: 'Coordinates must be in the format [longitude, latitude]',
+        },
+      },
+    },
+    // Most people the facility holds at once
+    capacity: {
+      type: Number,
+      required: [true, 'Facility must have a capacity'],
+      min: [1, 'Capacity must be at least 1'],
+    },
+    // Sports the facility can be used for; empty means any sport
+    sportCategories: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'SportCategory',
+    }],
+    openingHours: {
+      monday: openingSlot,
+      tuesday: openingSlot,
+      wednesday: openingSlot,
+      thursday: openingSlot,
+      friday: openingSlot,
+      saturday: openingSlot,
+      sunday: openingSlot,
+    },
+    // Periods the facility cannot be booked
+    maintenance: [{
+      startsAt: {
+        type: Date,
+        required: [true, 'Maintenance must have a start'],
+      },
+      endsAt: {
+        type: Date,
+        required: [true, 'Maintenance must have an end'],
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot be longer than 500 characters'],
+      },
+      createdBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+    }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+facilitySchema.index({ type: 1, isActive: 1 });
+facilitySchema.index({ sportCategories: 1 });
+facilitySchema.index({ name: 1 });
+
+// Populate references when the document is queried
+facilitySchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'sportCategories',
+    select: 'name slug',
+  });
+  next();
+});
+
+facilitySchema.plugin(auditPlugin);
+
+const Facility = mongoose.model('Facility', facilitySchema);
+
+module.exports = Facility;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/passwordUtils');
+
+// How long an invitation link stays valid
+const INVITATION_EXPIRES_DAYS = Number(process.env.GUARDIAN_INVITATION_EXPIRES_DAYS) || 7;
+
+const guardianInvitationSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'StudentProfile',
+      required: [true, 'Invitation must be for a student'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Please provide the guardian\'s email'],
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    relationship: {
+      type: String,
+      trim: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Invitation must have a sender'],
+    },
+    tokenHash: {
+      type: String,
+      select: false, // Only the emailed link carries the raw token
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Invitation must have an expiry date'],
+    },
+    guardian: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    consentGivenAt: Date,
+    respondedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+guardianInvitationSchema.index({ tokenHash: 1 });
+guardianInvitationSchema.index({ student: 1, status: 1 });
+
+// Virtual field to check if the invitation can still be answered
+guardianInvitationSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+// Instance method to generate a fresh invitation token
+guardianInvitationSchema.methods.createInvitationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.tokenHash = hashToken(token);
+  this.expiresAt = Date.now() + INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Static method to find an invitation by its raw token
+guardianInvitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+const GuardianInvitation = mongoose.model('GuardianInvitation', guardianInvitationSchema);
+
+module.exports = GuardianInvitation;
@@ -11,6 +11,11 @@ const notificationSchema = new mongoose.Schema(
       type: mongoose.Schema.ObjectId,
       ref: 'User',
     },
+    // Student this notification concerns when it is a copy sent to their guardian
+    onBehalfOf: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
     type: {
       type: String,
       required: [true, 'Notification must have a type'],
@@ -25,6 +30,16 @@ const notificationSchema = new mongoose.Schema(
         'subscription_expiring',
         'system_announcement',
         'welcome',
+        'guardian_linked',
+        'coach_application',
+        'certification_expiring',
+        'booking',
+        'time_off',
+        'coach_substituted',
+        'training_session',
+        'coach_review',
+        'payroll',
+        'attendance_alert',
         'other'
       ],
     },
@@ -49,7 +64,7 @@ const notificationSchema = new mongoose.Schema(
     related: {
       model: {
         type: String,
-        enum: ['Tournament', 'DietPlan', 'Activity', 'Subscription', 'User', 'Content', null],
+        enum: ['Tournament', 'DietPlan', 'Activity', 'Subscription', 'User', 'StudentProfile', 'CoachProfile', 'CoachApplication', 'Booking', 'TimeOff', 'TrainingSession', 'CoachReview', 'Payslip', 'Content', null],
       },
       id: {
         type: mongoose.Schema.ObjectId,
@@ -89,6 +104,39 @@ notificationSchema.pre(/^find/, function(next) {
   next();
 });
 
+// Remember whether the save creates the notification; post hooks only see the saved document
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Send guardians a copy of every new notification addressed to a student they are linked to
+notificationSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew || doc.onBehalfOf) return;
+
+  try {
+    const studentProfile = await mongoose.model('StudentProfile')
+      .findOne({ user: doc.recipient, 'guardians.0': { $exists: true } })
+      .select('guardians');
+    if (!studentProfile) return;
+
+    const copy = doc.toObject();
+    delete copy._id;
+    delete copy.createdAt;
+    delete copy.updatedAt;
+    delete copy.__v;
+
+    await Notification.insertMany(studentProfile.guardians.map(guardian => ({
+      ...copy,
+      recipient: guardian.user,
+      onBehalfOf: doc.recipient,
+      read: false,
+    })));
+  } catch (err) {
+    console.error('Error copying notification to guardians:', err);
+  }
+});
+
 // Method to skip expired check
 notificationSchema.query.includeExpired = function() {
   this._skipExpiredCheck = true;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Notification = require('./notificationModel');
+const StudentProfile = require('./studentProfileModel');
+const { mockQuery } = require('../utils/testHelpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('guardian copies', () => {
+  let copies;
+
+  beforeEach(() => {
+    copies = jest.spyOn(Notification, 'insertMany').mockResolvedValue([]);
+    // Run the save hooks without writing to MongoDB
+    jest.spyOn(Notification.prototype, '$__handleSave').mockImplementation(function(options, callback) {
+      this.$isNew = false;
+      callback(null, 1);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends each linked guardian a copy of a new notification', async () => {
+    const guardians = [{ user: id() }, { user: id() }];
+    jest.spyOn(StudentProfile, 'findOne').mockReturnValue(mockQuery({ guardians }));
+    const notification = new Notification({ recipient: id(), type: 'other', title: 'Hello', message: 'Hi' });
+
+    await notification.save();
+
+    const [sent] = copies.mock.calls[0];
+    expect(sent.map(copy => copy.recipient)).toEqual(guardians.map(guardian => guardian.user));
+    expect(sent[0].onBehalfOf).toEqual(notification.recipient);
+    expect(sent[0]._id).toBeUndefined();
+  });
+
+  it('only copies the notification when it is created', async () => {
+    jest.spyOn(StudentProfile, 'findOne').mockReturnValue(mockQuery({ guardians: [{ user: id() }] }));
+    const notification = new Notification({ recipient: id(), type: 'other', title: 'Hello', message: 'Hi' });
+    await notification.save();
+
+    notification.read = true;
+    await notification.save();
+
+    expect(copies).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not copy copies', async () => {
+    const findProfile = jest.spyOn(StudentProfile, 'findOne');
+    const notification = new Notification({ recipient: id(), onBehalfOf: id(), type: 'other', title: 'Hello', message: 'Hi' });
+
+    await notification.save();
+
+    expect(findProfile).not.toHaveBeenCalled();
+    expect(copies).not.toHaveBeenCalled();
+  });
+});
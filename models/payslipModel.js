@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+// Round an amount of money to cents
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const payslipSchema = new mongoose.Schema(
+  {
+    coach: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Payslip must belong to a coach'],
+    },
+    // Month the payslip covers, as YYYY-MM
+    period: {
+      type: String,
+      required: [true, 'Payslip must have a period'],
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be in YYYY-MM format'],
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      default: 'USD',
+    },
+    // Rates the earnings were computed with
+    rates: {
+      hourlyRate: Number,
+      sessionRate: Number,
+      bookingRate: Number,
+      tournamentFeePercentage: Number,
+    },
+    // Earnings, one line per delivered session, completed booking or tournament team
+    items: [{
+      kind: {
+        type: String,
+        enum: ['session', 'booking', 'tournament'],
+        required: [true, 'Payslip item must have a kind'],
+      },
+      reference: mongoose.Schema.ObjectId,
+      date: Date,
+      description: String,
+      minutes: Number,
+      amount: {
+        type: Number,
+        required: [true, 'Payslip item must have an amount'],
+      },
+    }],
+    // Bonuses (positive) and deductions (negative) added by an administrator
+    adjustments: [{
+      amount: {
+        type: Number,
+        required: [true, 'Adjustment must have an amount'],
+      },
+      reason: {
+        type: String,
+        required: [true, 'Adjustment must have a reason'],
+        trim: true,
+        maxlength: [500, 'Reason cannot be longer than 500 characters'],
+      },
+      addedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    earnings: {
+      type: Number,
+      default: 0,
+    },
+    adjustmentsTotal: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'approved', 'paid'],
+      default: 'draft',
+    },
+    computedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    paidBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    paidAt: Date,
+    paymentMethod: {
+      type: String,
+      enum: ['bank_transfer', 'cash', 'cheque', 'other'],
+    },
+    paymentReference: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// One payslip per coach and month
+payslipSchema.index({ coach: 1, period: 1 }, { unique: true });
+payslipSchema.index({ period: 1, status: 1 });
+
+// Keep the totals in step with the items and adjustments
+payslipSchema.pre('validate', function(next) {
+  this.earnings = roundMoney(this.items.reduce((sum, item) => sum + item.amount, 0));
+  this.adjustmentsTotal = roundMoney(this.adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0));
+  this.total = roundMoney(this.earnings + this.adjustmentsTotal);
+  next();
+});
+
+payslipSchema.statics.roundMoney = roundMoney;
+
+payslipSchema.plugin(auditPlugin, { ignore: ['items'] });
+
+const Payslip = mongoose.model('Payslip', payslipSchema);
+
+module.exports = Payslip;
@@ -0,0 +1,160 @@
+const { recordAudit } = require('../../services/auditService');
+const { getCurrentRequest } = require('../../utils/requestContext');
+
+/**
+ * Audit plugin
+ * Writes an AuditLog entry with a before/after diff whenever a document of the
+ * model is created, updated or deleted by an authenticated user. Changes made
+ * outside a request (background jobs, logins) are not recorded; security
+ * events are recorded explicitly with `recordAudit`.
+ *
+ * Fields marked `select: false` are never written to the log.
+ *
+ * Usage: schema.plugin(auditPlugin, { ignore: ['lastLoginAt'] })
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options] - Plugin options
+ * @param {String[]} [options.ignore] - Paths whose changes are not recorded
+ */
+module.exports = function auditPlugin(schema, options = {}) {
+  const ignored = new Set(['_id', '__v', 'createdAt', 'updatedAt', ...(options.ignore || [])]);
+
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options && schemaType.options.select === false) ignored.add(path);
+  });
+
+  /**
+   * Convert a document to a plain object of recorded fields, with populated
+   * references replaced by their IDs
+   * @param {Object} doc - Mongoose document
+   * @returns {Object|null} Plain object
+   */
+  const snapshot = (doc) => {
+    if (!doc) return null;
+    const plain = doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+    const result = {};
+    Object.keys(plain).forEach(key => {
+      if (!ignored.has(key)) result[key] = plain[key];
+    });
+    return result;
+  };
+
+  /**
+   * Build the diff between two snapshots
+   * @param {Object|null} before - Snapshot before the change
+   * @param {Object|null} after - Snapshot after the change
+   * @returns {Object} Changed fields as { field: { before, after } }
+   */
+  const diff = (before, after) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+      const from = before ? before[key] : undefined;
+      const to = after ? after[key] : undefined;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[key] = { before: from, after: to };
+      }
+    });
+
+    return changes;
+  };
+
+  /**
+   * Record the change if it was made by an authenticated user
+   * @param {Object} model - Mongoose model
+   * @param {String} verb - 'created', 'updated' or 'deleted'
+   * @param {Object} id - ID of the changed document
+   * @param {Object|null} before - Snapshot before the change
+   * @param {Object|null} after - Snapshot after the change
+   */
+  const record = async (model, verb, id, before, after) => {
+    const req = getCurrentRequest();
+    if (!req || !req.user) return;
+
+    const changes = diff(before, after);
+    if (verb === 'updated' && Object.keys(changes).length === 0) return;
+
+    await recordAudit({
+      action: `${toSnakeCase(model.modelName)}_${verb}`,
+      actor: req.user,
+      target: { model: model.modelName, id },
+      req,
+      changes,
+    });
+  };
+
+  /**
+   * Load the stored copy of a document for diffing, when the change will be recorded
+   * @param {Object} model - Mongoose model
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Object|null>} Stored document
+   */
+  const loadStored = async (model, filter) => {
+    const req = getCurrentRequest();
+    if (!req || !req.user) return null;
+
+    try {
+      return await model.findOne(filter);
+    } catch (error) {
+      console.error('Error loading document for audit:', error.message);
+      return null;
+    }
+  };
+
+  schema.pre('save', async function() {
+    this.$locals.auditWasNew = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditBefore = snapshot(await loadStored(this.constructor, { _id: this._id }));
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    if (!doc.$locals.auditWasNew && !doc.$locals.auditBefore) return;
+
+    await record(doc.constructor, doc.$locals.auditWasNew ? 'created' : 'updated', doc._id, doc.$locals.auditBefore, snapshot(doc));
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, function() {
+    this.$locals.auditBefore = snapshot(this);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record(doc.constructor, 'deleted', doc._id, doc.$locals.auditBefore, null);
+  });
+
+  // Single-document query operations: load the document before and after
+  const queryOps = ['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne', 'findOneAndReplace', 'replaceOne'];
+
+  schema.pre(queryOps, { document: false, query: true }, async function() {
+    this._auditBefore = await loadStored(this.model, this.getFilter());
+  });
+
+  schema.post(queryOps, { document: false, query: true }, async function() {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    const isDelete = /delete/i.test(this.op);
+    let after = null;
+    if (!isDelete) {
+      try {
+        after = await this.model.findById(before._id);
+      } catch (error) {
+        console.error('Error loading document for audit:', error.message);
+        return;
+      }
+    }
+
+    await record(this.model, isDelete ? 'deleted' : 'updated', before._id, snapshot(before), snapshot(after));
+  });
+};
+
+/**
+ * Convert a model name to snake case, e.g. SubscriptionPlan -> subscription_plan
+ * @param {String} name - Model name
+ * @returns {String} Snake case name
+ */
+function toSnakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./auditPlugin');
+const { recordAudit } = require('../../services/auditService');
+const { requestContext } = require('../../utils/requestContext');
+
+jest.mock('../../services/auditService', () => ({ recordAudit: jest.fn() }));
+
+const schema = new mongoose.Schema({
+  name: String,
+  price: Number,
+  secret: { type: String, select: false },
+  lastViewedAt: Date,
+});
+schema.plugin(auditPlugin, { ignore: ['lastViewedAt'] });
+const SubscriptionOffer = mongoose.model('SubscriptionOffer', schema);
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+/**
+ * Run a function as if it were handling a request of the given user
+ * @param {Object} user - Request user
+ * @param {Function} fn - Work to run
+ * @returns {Promise<*>} Result of the work
+ */
+const asUser = (user, fn) => new Promise((resolve, reject) => {
+  requestContext({ user, ip: '10.0.0.1', headers: {} }, {}, () => fn().then(resolve, reject));
+});
+
+beforeEach(() => {
+  // Run the save hooks without writing to MongoDB
+  jest.spyOn(SubscriptionOffer.prototype, '$__handleSave').mockImplementation(function(options, callback) {
+    this.$isNew = false;
+    callback(null, 1);
+  });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('auditPlugin', () => {
+  it('records who created a document', async () => {
+    const offer = new SubscriptionOffer({ name: 'Gold', price: 50, secret: 'hidden' });
+
+    await asUser(admin, () => offer.save());
+
+    const entry = recordAudit.mock.calls[0][0];
+    expect(entry.action).toBe('subscription_offer_created');
+    expect(entry.actor).toBe(admin);
+    expect(entry.target).toEqual({ model: 'SubscriptionOffer', id: offer._id });
+    expect(entry.changes.price).toEqual({ before: undefined, after: 50 });
+    expect(entry.changes.secret).toBeUndefined();
+  });
+
+  it('records the diff of an update against the stored copy', async () => {
+    const stored = new SubscriptionOffer({ name: 'Gold', price: 50 });
+    const offer = SubscriptionOffer.hydrate(stored.toObject());
+    jest.spyOn(SubscriptionOffer, 'findOne').mockResolvedValue(stored);
+    offer.price = 60;
+    offer.lastViewedAt = new Date();
+
+    await asUser(admin, () => offer.save());
+
+    const entry = recordAudit.mock.calls[0][0];
+    expect(entry.action).toBe('subscription_offer_updated');
+    expect(entry.changes).toEqual({ price: { before: 50, after: 60 } });
+  });
+
+  it('skips updates that only touch ignored fields', async () => {
+    const stored = new SubscriptionOffer({ name: 'Gold', price: 50 });
+    const offer = SubscriptionOffer.hydrate(stored.toObject());
+    jest.spyOn(SubscriptionOffer, 'findOne').mockResolvedValue(stored);
+    offer.lastViewedAt = new Date();
+
+    await asUser(admin, () => offer.save());
+
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+
+  it('does not record changes made outside a request', async () => {
+    const findStored = jest.spyOn(SubscriptionOffer, 'findOne');
+
+    await new SubscriptionOffer({ name: 'Gold' }).save();
+
+    expect(findStored).not.toHaveBeenCalled();
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+});
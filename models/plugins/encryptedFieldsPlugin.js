@@ -0,0 +1,124 @@
+const { encryptValue, decryptValue, needsRotation } = require('../../utils/fieldEncryption');
+
+// Shown instead of a value the current user may not see
+const REDACTED = '[redacted]';
+
+/**
+ * Encrypted fields plugin
+ * Encrypts the given String (or [String]) paths whenever they are set, on
+ * documents and in update queries alike, so they are only ever stored
+ * encrypted. Reading them from a document returns the stored ciphertext;
+ * JSON output decrypts them when `canView(doc)` allows it and shows redacted
+ * placeholders otherwise. `lean()` queries return the ciphertext.
+ *
+ * Usage: schema.plugin(encryptedFieldsPlugin, { fields: ['notes'], canView: doc => ... })
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {String[]} options.fields - Paths to encrypt
+ * @param {Function} options.canView - Decides whether a document's values may be shown decrypted
+ */
+module.exports = function encryptedFieldsPlugin(schema, options) {
+  const { fields, canView } = options;
+
+  fields.forEach((path) => {
+    const schemaType = schema.path(path);
+    if (!schemaType) {
+      throw new Error(`Cannot encrypt unknown path "${path}"`);
+    }
+    // Array items are cast one by one, so the setter goes on the item type
+    (schemaType.$isMongooseArray ? schemaType.caster : schemaType).set(encryptValue);
+  });
+
+  /**
+   * Read a nested value from a plain object
+   * @param {Object} obj - Plain object
+   * @param {String} path - Dot-separated path
+   * @returns {*} Value, or undefined
+   */
+  const getPath = (obj, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+
+  /**
+   * Replace a nested value in a plain object, if its parent exists
+   * @param {Object} obj - Plain object
+   * @param {String} path - Dot-separated path
+   * @param {*} value - New value
+   */
+  const setPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? getPath(obj, keys.join('.')) : obj;
+    if (parent) parent[last] = value;
+  };
+
+  /**
+   * Decrypt a stored value, or an array of them
+   * @param {*} value - Stored value
+   * @returns {*} Plaintext, or null when the value cannot be decrypted
+   */
+  const decrypt = (value) => {
+    if (Array.isArray(value)) return value.map(decrypt);
+    try {
+      return decryptValue(value);
+    } catch (error) {
+      console.error('Error decrypting field:', error.message);
+      return null;
+    }
+  };
+
+  // Replace a value (or each item of an array) with the placeholder
+  const redact = (value) => {
+    if (Array.isArray(value)) return value.map(() => REDACTED);
+    return value === null || value === undefined || value === '' ? value : REDACTED;
+  };
+
+  /**
+   * Get the decrypted value of an encrypted path
+   * @param {String} path - One of the encrypted paths
+   * @returns {*} Plaintext value
+   */
+  schema.methods.getDecrypted = function(path) {
+    const value = this.get(path);
+    return decrypt(value && value.toObject ? value.toObject() : value);
+  };
+
+  /**
+   * Re-encrypt plaintext values and values encrypted with an older key
+   * @returns {Boolean} True if any path changed and the document needs saving
+   * @throws {Error} When a value cannot be decrypted with the configured keys
+   */
+  schema.methods.reencryptFields = function() {
+    let changed = false;
+
+    fields.forEach((path) => {
+      const value = this.get(path);
+      const stored = value && value.toObject ? value.toObject() : value;
+      const stale = Array.isArray(stored) ? stored.some(needsRotation) : needsRotation(stored);
+
+      if (stale) {
+        // Setting the plaintext runs the setter, which encrypts with the current key
+        this.set(path, Array.isArray(stored) ? stored.map(decryptValue) : decryptValue(stored));
+        changed = true;
+      }
+    });
+
+    return changed;
+  };
+
+  const toJSON = schema.get('toJSON') || {};
+  const previousTransform = toJSON.transform;
+
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, transformOptions) {
+      const visible = canView(doc);
+
+      fields.forEach((path) => {
+        const value = getPath(ret, path);
+        if (value !== undefined) setPath(ret, path, visible ? decrypt(value) : redact(value));
+      });
+
+      return typeof previousTransform === 'function' ? previousTransform(doc, ret, transformOptions) : ret;
+    },
+  });
+};
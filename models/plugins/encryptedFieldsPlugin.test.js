@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const encryptedFieldsPlugin = require('./encryptedFieldsPlugin');
+const { isEncrypted } = require('../../utils/fieldEncryption');
+
+let visible = true;
+
+const schema = new mongoose.Schema({
+  name: String,
+  notes: String,
+  allergies: [String],
+});
+schema.plugin(encryptedFieldsPlugin, { fields: ['notes', 'allergies'], canView: () => visible });
+const HealthRecord = mongoose.model('HealthRecord', schema);
+
+afterEach(() => {
+  visible = true;
+});
+
+describe('encryptedFieldsPlugin', () => {
+  it('encrypts values when they are set', () => {
+    const record = new HealthRecord({ name: 'Jane', notes: 'Asthma', allergies: ['nuts', 'pollen'] });
+
+    expect(isEncrypted(record.notes)).toBe(true);
+    expect(record.allergies.every(isEncrypted)).toBe(true);
+    expect(record.name).toBe('Jane');
+    expect(record.getDecrypted('allergies')).toEqual(['nuts', 'pollen']);
+  });
+
+  it('decrypts JSON output for users who may see the values', () => {
+    const record = new HealthRecord({ notes: 'Asthma', allergies: ['nuts'] });
+
+    expect(record.toJSON()).toMatchObject({ notes: 'Asthma', allergies: ['nuts'] });
+  });
+
+  it('redacts JSON output for everyone else', () => {
+    visible = false;
+    const record = new HealthRecord({ notes: 'Asthma', allergies: ['nuts', 'pollen'] });
+
+    expect(record.toJSON()).toMatchObject({ notes: '[redacted]', allergies: ['[redacted]', '[redacted]'] });
+  });
+
+  it('encrypts values set through update queries', () => {
+    const query = HealthRecord.updateOne({}, { $set: { notes: 'Asthma' }, $push: { allergies: 'nuts' } });
+
+    const update = query._castUpdate(query.getUpdate());
+
+    expect(isEncrypted(update.$set.notes)).toBe(true);
+    expect(isEncrypted(update.$push.allergies)).toBe(true);
+  });
+
+  it('re-encrypts plaintext stored before encryption was enabled', () => {
+    const record = HealthRecord.hydrate({ _id: new mongoose.Types.ObjectId(), notes: 'Asthma', allergies: ['nuts'] });
+
+    expect(record.reencryptFields()).toBe(true);
+    expect(isEncrypted(record.notes)).toBe(true);
+    expect(record.getDecrypted('notes')).toBe('Asthma');
+    expect(record.reencryptFields()).toBe(false);
+  });
+});
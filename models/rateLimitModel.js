@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fixed-window counters for throttling that must be shared between API
+ * instances and survive restarts (e.g. password reset emails per address).
+ */
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Rate limit entry must have a key'],
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Rate limit entry must have an expiry date'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB purge windows that have ended
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role must have a name'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Permission names, optionally suffixed with ':own' (see permissionService)
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Record who changed which permissions
+roleSchema.plugin(auditPlugin);
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
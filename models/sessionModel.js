@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Session must belong to a user'],
+    },
+    refreshTokenHash: {
+      type: String,
+      select: false, // Never expose the current refresh token hash
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedIp: String,
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Session must have an expiry date'],
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'revoked_by_user', 'reuse_detected', 'password_change', 'user_not_found'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual field to check if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Static method to find the active sessions of a user
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const encryptedFieldsPlugin = require('./plugins/encryptedFieldsPlugin');
+const { getCurrentRequest } = require('../utils/requestContext');
+
+// Students younger than this need a guardian's consent before enrolling
+const GUARDIAN_CONSENT_AGE = Number(process.env.GUARDIAN_CONSENT_AGE) || 18;
 
 const studentProfileSchema = new mongoose.Schema(
   {
@@ -27,6 +32,24 @@ const studentProfileSchema = new mongoose.Schema(
       relationship: String,
       phone: String,
     },
+    guardians: [{
+      user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      relationship: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    guardianConsent: {
+      grantedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      grantedAt: Date,
+    },
     medicalInformation: {
       conditions: [String],
       allergies: [String],
@@ -79,6 +102,29 @@ const studentProfileSchema = new mongoose.Schema(
         default: 0,
       },
     },
+    // Likelihood that the student is dropping out, recalculated by a background job
+    attendanceRisk: {
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      level: {
+        type: String,
+        enum: ['low', 'medium', 'high'],
+      },
+      factors: {
+        consecutiveAbsences: Number,
+        recentAttendanceRate: Number,
+        previousAttendanceRate: Number,
+        overallAttendanceRate: Number,
+        subscriptionDaysLeft: Number,
+      },
+      reasons: [String],
+      calculatedAt: Date,
+      // Last time the student and their coaches were alerted
+      alertedAt: Date,
+    },
     progressMetrics: {
       startingWeight: Number,
       currentWeight: Number,
@@ -119,6 +165,41 @@ const studentProfileSchema = new mongoose.Schema(
 studentProfileSchema.index({ user: 1 });
 studentProfileSchema.index({ sportPreferences: 1 });
 studentProfileSchema.index({ assignedCoaches: 1 });
+studentProfileSchema.index({ 'guardians.user': 1 });
+studentProfileSchema.index({ 'attendanceRisk.score': -1 });
+
+// Medical details and emergency contacts are encrypted at rest
+const SENSITIVE_FIELDS = [
+  'emergencyContact.name',
+  'emergencyContact.relationship',
+  'emergencyContact.phone',
+  'medicalInformation.conditions',
+  'medicalInformation.allergies',
+  'medicalInformation.medications',
+  'medicalInformation.notes',
+];
+
+/**
+ * Check whether the current request may see a profile's sensitive fields:
+ * users with `student:medical:view`, or `student:medical:view:own` for
+ * profiles they own (their own, or one of their assigned students)
+ * @param {Object} profile - StudentProfile document
+ * @returns {Boolean} True if the values may be shown decrypted
+ */
+const canViewSensitiveFields = (profile) => {
+  const req = getCurrentRequest();
+  if (!req || !req.user || !req.sensitiveDataScope) return false;
+  if (req.sensitiveDataScope === 'all') return true;
+
+  // Required here because the permission service loads this model
+  const { isOwner } = require('../services/permissionService');
+  return isOwner(req.user, profile);
+};
+
+studentProfileSchema.plugin(encryptedFieldsPlugin, {
+  fields: SENSITIVE_FIELDS,
+  canView: canViewSensitiveFields,
+});
 
 // Populate user reference with select fields when the document is queried
 studentProfileSchema.pre(/^find/, function(next) {
@@ -179,6 +260,19 @@ studentProfileSchema.virtual('age').get(function() {
   return age;
 });
 
+// Minors cannot enrol until a guardian has consented
+studentProfileSchema.virtual('requiresGuardianConsent').get(function() {
+  if (this.age === null || this.age >= GUARDIAN_CONSENT_AGE) return false;
+  return !(this.guardianConsent && this.guardianConsent.grantedAt);
+});
+
+// Check whether a user is a linked guardian of this student
+studentProfileSchema.methods.hasGuardian = function(userId) {
+  return (this.guardians || []).some(guardian =>
+    guardian.user && (guardian.user._id || guardian.user).toString() === userId.toString()
+  );
+};
+
 const StudentProfile = mongoose.model('StudentProfile', studentProfileSchema);
 
 module.exports = StudentProfile; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const subscriptionSchema = new mongoose.Schema(
   {
@@ -58,9 +59,18 @@ const subscriptionSchema = new mongoose.Schema(
       type: Number,
       default: null, // null means unlimited
     },
+    // Private coach sessions booked against the plan's allowedCoachSessions
+    coachSessionsUsed: {
+      type: Number,
+      default: 0,
+      min: [0, 'Coach sessions used cannot be negative'],
+    },
     notes: String,
     cancelledAt: Date,
     cancelReason: String,
+    expiryReminderSentAt: Date,
+    // Set when the student's personal data was erased
+    anonymizedAt: Date,
     createdBy: {
       type: mongoose.Schema.ObjectId,
       ref: 'User',
@@ -190,6 +200,9 @@ subscriptionSchema.methods.deductSession = async function() {
   return true;
 };
 
+// Record changes to subscriptions; reminder bookkeeping is left out
+subscriptionSchema.plugin(auditPlugin, { ignore: ['expiryReminderSentAt'] });
+
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
 
 module.exports = Subscription; 
\ No newline at end of file
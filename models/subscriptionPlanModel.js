@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const subscriptionPlanSchema = new mongoose.Schema(
   {
@@ -174,6 +175,9 @@ subscriptionPlanSchema.methods.getDiscountedPrice = function(code) {
   return parseFloat((this.price.amount - discountAmount).toFixed(2));
 };
 
+// Record who created, edited or removed plans
+subscriptionPlanSchema.plugin(auditPlugin);
+
 const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
 
 module.exports = SubscriptionPlan; 
\ No newline at end of file
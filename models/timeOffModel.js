@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+
+const timeOffSchema = new mongoose.Schema(
+  {
+    coach: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Time off must belong to a coach'],
+    },
+    // Whole days, both inclusive
+    startDate: {
+      type: Date,
+      required: [true, 'Time off must have a start date'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Time off must have an end date'],
+      validate: {
+        validator: function(value) {
+          return !this.startDate || value >= this.startDate;
+        },
+        message: 'End date cannot be before the start date',
+      },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot be longer than 500 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Create indexes for better query performance
+timeOffSchema.index({ coach: 1, status: 1, startDate: 1, endDate: 1 });
+
+// Virtual field for the first moment the coach is away
+timeOffSchema.virtual('startsAt').get(function() {
+  if (!this.startDate) return null;
+  const startsAt = new Date(this.startDate);
+  startsAt.setHours(0, 0, 0, 0);
+  return startsAt;
+});
+
+// Virtual field for the moment the coach is back
+timeOffSchema.virtual('endsAt').get(function() {
+  if (!this.endDate) return null;
+  const endsAt = new Date(this.endDate);
+  endsAt.setHours(24, 0, 0, 0);
+  return endsAt;
+});
+
+// Static method to find approved time off of a coach overlapping a period
+timeOffSchema.statics.findApprovedOverlapping = function(coachId, from, to) {
+  const firstDay = new Date(from);
+  firstDay.setHours(0, 0, 0, 0);
+
+  return this.find({
+    coach: coachId,
+    status: 'approved',
+    startDate: { $lt: to },
+    endDate: { $gte: firstDay },
+  });
+};
+
+timeOffSchema.plugin(auditPlugin);
+
+const TimeOff = mongoose.model('TimeOff', timeOffSchema);
+
+module.exports = TimeOff;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const tournamentSchema = new mongoose.Schema(
   {
@@ -149,6 +150,11 @@ const tournamentSchema = new mongoose.Schema(
       },
       startTime: Date,
       endTime: Date,
+      // Court or field the match is played at
+      facility: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Facility',
+      },
       location: String,
       status: {
         type: String,
@@ -197,6 +203,7 @@ const tournamentSchema = new mongoose.Schema(
 tournamentSchema.index({ sportCategory: 1 });
 tournamentSchema.index({ startDate: 1, endDate: 1 });
 tournamentSchema.index({ status: 1 });
+tournamentSchema.index({ 'matches.facility': 1, 'matches.startTime': 1 });
 tournamentSchema.index({ 'location.coordinates': '2dsphere' });
 tournamentSchema.index({ organizer: 1 });
 tournamentSchema.index(
@@ -314,6 +321,9 @@ tournamentSchema.methods.updateMatchResult = async function(matchId, team1Score,
   return await this.save();
 };
 
+// Record who created, edited or removed tournaments
+tournamentSchema.plugin(auditPlugin);
+
 const Tournament = mongoose.model('Tournament', tournamentSchema);
 
 module.exports = Tournament; 
\ No newline at end of file
@@ -50,6 +50,12 @@ const trainingSessionSchema = new mongoose.Schema(
       type: Number, // Duration in minutes
       min: [1, 'Duration must be positive'],
     },
+    // Court, pool, gym, ... the session is booked at; required for new sessions
+    facility: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Facility',
+      required: [function() { return this.isNew; }, 'Training session must take place at a facility'],
+    },
     location: {
       name: {
         type: String,
@@ -95,6 +101,8 @@ const trainingSessionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Occurrences of a recurring series share this ID
+    series: mongoose.Schema.ObjectId,
     recurrencePattern: {
       frequency: {
         type: String,
@@ -111,6 +119,32 @@ const trainingSessionSchema = new mongoose.Schema(
       }],
     },
     notes: String,
+    cancelledAt: Date,
+    cancellationReason: String,
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    // Set when the coach is away and the session needs another coach
+    coverage: {
+      needsSubstitute: {
+        type: Boolean,
+        default: false,
+      },
+      timeOff: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'TimeOff',
+      },
+      originalCoach: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      reassignedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      reassignedAt: Date,
+    },
     attendees: [{
       student: {
         type: mongoose.Schema.ObjectId,
@@ -123,6 +157,37 @@ const trainingSessionSchema = new mongoose.Schema(
       },
       checkInTime: Date,
       checkOutTime: Date,
+      // Subscription that made the student eligible for the session
+      subscription: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Subscription',
+      },
+      registeredBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      registeredAt: Date,
+      cancelledAt: Date,
+    }],
+    // Students waiting for a place, first come first served
+    waitlist: [{
+      student: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      subscription: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Subscription',
+      },
+      addedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now,
+      },
     }],
     exercisePlan: {
       type: mongoose.Schema.ObjectId,
@@ -159,10 +224,15 @@ trainingSessionSchema.index({ sessionDate: 1 });
 trainingSessionSchema.index({ status: 1 });
 trainingSessionSchema.index({ 'location.coordinates': '2dsphere' });
 trainingSessionSchema.index({ level: 1 });
+trainingSessionSchema.index({ 'coverage.timeOff': 1 });
+trainingSessionSchema.index({ series: 1, sessionDate: 1 });
+trainingSessionSchema.index({ 'attendees.student': 1 });
+trainingSessionSchema.index({ 'waitlist.student': 1 });
+trainingSessionSchema.index({ facility: 1, sessionDate: 1 });
 
 // Calculate duration from start and end time before saving
-trainingSessionSchema.pre('save', function(next) {
-  if (this.startTime && this.endTime && !this.duration) {
+trainingSessionSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && (!this.duration || this.isModified('startTime') || this.isModified('endTime'))) {
     const [startHour, startMinute] = this.startTime.split(':').map(Number);
     const [endHour, endMinute] = this.endTime.split(':').map(Number);
     
@@ -189,6 +259,9 @@ trainingSessionSchema.pre(/^find/, function(next) {
   }).populate({
     path: 'exercisePlan',
     select: 'title description level',
+  }).populate({
+    path: 'facility',
+    select: 'name type',
   });
   next();
 });
@@ -206,9 +279,13 @@ trainingSessionSchema.virtual('isFull').get(function() {
   return this.attendanceCount >= this.capacity;
 });
 
+// Virtual field for the number of students waiting for a place
+trainingSessionSchema.virtual('waitlistCount').get(function() {
+  return this.waitlist ? this.waitlist.length : 0;
+});
+
 // Virtual field to check if session is active
 trainingSessionSchema.virtual('isActive').get(function() {
-  const now = new Date();
   const sessionDate = new Date(this.sessionDate);
   sessionDate.setHours(0, 0, 0, 0);
   const today = new Date();
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -12,6 +13,11 @@ const transactionSchema = new mongoose.Schema(
       ref: 'Subscription',
       required: [true, 'Transaction must be associated with a subscription'],
     },
+    // User who made the payment when it was not the student (e.g. a guardian)
+    paidBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
     transactionId: {
       type: String,
       unique: true,
@@ -66,6 +72,8 @@ const transactionSchema = new mongoose.Schema(
     invoiceId: String,
     invoiceUrl: String,
     receiptUrl: String,
+    // Set when the student's personal data was erased
+    anonymizedAt: Date,
   },
   {
     timestamps: true,
@@ -175,6 +183,9 @@ transactionSchema.statics.processRefund = async function(transactionId, amount,
   }
 };
 
+// Record who created or changed payments
+transactionSchema.plugin(auditPlugin);
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const userImportSchema = new mongoose.Schema(
+  {
+    fileName: String,
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    sendWelcomeEmails: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    // Parsed CSV rows (without passwords) waiting to be imported; cleared once the import ends
+    rows: {
+      type: [mongoose.Schema.Types.Mixed],
+      select: false,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    // Rows that passed validation in a dry run and would be created
+    validCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Per-row problems; `row` is the line number in the uploaded file
+    rowErrors: [{
+      _id: false,
+      row: Number,
+      email: String,
+      errors: [String],
+    }],
+    // Non-blocking notes, e.g. sport categories that will be created
+    warnings: [{
+      _id: false,
+      row: Number,
+      message: String,
+    }],
+    createdUsers: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    }],
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Import must have an owner'],
+    },
+    lockedAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the import worker and for admin lookups
+userImportSchema.index({ status: 1, createdAt: 1 });
+userImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+const UserImport = mongoose.model('UserImport', userImportSchema);
+
+module.exports = UserImport;
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { hashToken } = require('../utils/passwordUtils');
+const { verifyCode, normalizeBackupCode } = require('../utils/totpUtils');
+const auditPlugin = require('./plugins/auditPlugin');
 
 const userSchema = new mongoose.Schema(
   {
@@ -16,7 +19,7 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
       match: [
-        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
         'Please provide a valid email address',
       ],
     },
@@ -26,7 +29,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['admin', 'coach', 'student'],
+      enum: ['admin', 'coach', 'student', 'staff', 'finance', 'guardian'],
       default: 'student',
     },
     password: {
@@ -54,14 +57,70 @@ const userSchema = new mongoose.Schema(
     approved: {
       type: Boolean,
       default: function() {
-        // Auto-approve admins and coaches
-        return this.role === 'admin' || this.role === 'coach';
+        // Auto-approve admins, coaches and back-office roles; students need approval
+        return this.role !== 'student';
       },
     },
     profileImage: String,
     passwordChangedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: Date,
+    emailVerificationSendCount: {
+      type: Number,
+      default: 0,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: Date,
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret awaiting confirmation with a first valid code
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Hashes of unused backup codes
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // Brute-force protection (see loginProtectionService)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+    // Hash of the secret in the user's calendar feed URLs (see calendarService)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+      index: { sparse: true },
+    },
+    calendarFeedCreatedAt: Date,
   },
   {
     timestamps: true,
@@ -85,6 +144,11 @@ userSchema.virtual('studentProfile', {
   justOne: true,
 });
 
+// Virtual field to check if the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function (next) {
   // Only run this function if password was modified
@@ -147,6 +211,101 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+// Instance method to create a single-use email verification token
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(verificationToken);
+
+  // Token expires in 24 hours
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  // Track how many emails were sent in the current 24 hour window
+  const windowStart = Date.now() - 24 * 60 * 60 * 1000;
+  if (!this.emailVerificationSentAt || this.emailVerificationSentAt < windowStart) {
+    this.emailVerificationSendCount = 0;
+  }
+  this.emailVerificationSendCount += 1;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Instance method to mark the email address as verified
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = Date.now();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Instance method to store new backup codes (only hashes are kept)
+userSchema.methods.setBackupCodes = function (codes) {
+  this.twoFactorBackupCodes = codes.map(code => hashToken(normalizeBackupCode(code)));
+};
+
+// Instance method to check an authenticator or backup code.
+// Requires the two-factor secret fields to be selected. Returns the method
+// that matched ('totp' or 'backup_code') or null; backup codes are consumed.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) return null;
+
+  const step = verifyCode(this.twoFactorSecret, code, { afterStep: this.twoFactorLastUsedStep });
+  if (step !== null) {
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  const hashedCode = hashToken(normalizeBackupCode(code));
+  const index = (this.twoFactorBackupCodes || []).indexOf(hashedCode);
+  if (index !== -1) {
+    this.twoFactorBackupCodes.splice(index, 1);
+    return 'backup_code';
+  }
+
+  return null;
+};
+
+// Instance method to turn two-factor authentication off and forget all secrets
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorBackupCodes = undefined;
+  this.twoFactorLastUsedStep = undefined;
+};
+
+// Instance method to create a calendar feed token, replacing any earlier one
+userSchema.methods.createCalendarFeedToken = function () {
+  const feedToken = crypto.randomBytes(32).toString('hex');
+
+  this.calendarFeedToken = hashToken(feedToken);
+  this.calendarFeedCreatedAt = Date.now();
+
+  return feedToken;
+};
+
+// Instance method to stop the calendar feeds from working
+userSchema.methods.revokeCalendarFeedToken = function () {
+  this.calendarFeedToken = undefined;
+  this.calendarFeedCreatedAt = undefined;
+};
+
+// Record administrative changes to accounts; login bookkeeping is left out
+userSchema.plugin(auditPlugin, {
+  ignore: [
+    'passwordConfirm',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'emailVerificationSentAt',
+    'emailVerificationSendCount',
+    'failedLoginAttempts',
+    'lastFailedLoginAt',
+    'lockUntil',
+  ],
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
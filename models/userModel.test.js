@@ -0,0 +1,78 @@
+const User = require('./userModel');
+const { hashToken } = require('../utils/passwordUtils');
+const { generateSecret, generateCode, generateBackupCodes } = require('../utils/totpUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('email verification', () => {
+  it('stores only the hash of the verification token, valid for a day', () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com' });
+
+    const token = user.createEmailVerificationToken();
+
+    expect(user.emailVerificationToken).toBe(hashToken(token));
+    expect(user.emailVerificationExpires - Date.now()).toBeGreaterThan(DAY_MS - 1000);
+    expect(user.emailVerificationSendCount).toBe(1);
+  });
+
+  it('counts the emails sent in the last day and starts again after that', () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com' });
+    user.createEmailVerificationToken();
+    user.createEmailVerificationToken();
+    expect(user.emailVerificationSendCount).toBe(2);
+
+    user.emailVerificationSentAt = new Date(Date.now() - DAY_MS - 1000);
+    user.createEmailVerificationToken();
+
+    expect(user.emailVerificationSendCount).toBe(1);
+  });
+
+  it('clears the token once the address is verified', () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com' });
+    user.createEmailVerificationToken();
+
+    user.markEmailVerified();
+
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeDefined();
+    expect(user.emailVerificationToken).toBeUndefined();
+    expect(user.emailVerificationExpires).toBeUndefined();
+  });
+});
+
+describe('two-factor codes', () => {
+  const enrolledUser = () => {
+    const user = new User({ name: 'Coach', email: 'coach@example.com', role: 'coach', twoFactorEnabled: true });
+    user.twoFactorSecret = generateSecret();
+    return user;
+  };
+
+  it('accepts an authenticator code once', () => {
+    const user = enrolledUser();
+    const code = generateCode(user.twoFactorSecret);
+
+    expect(user.verifyTwoFactorCode(code)).toBe('totp');
+    expect(user.verifyTwoFactorCode(code)).toBeNull();
+  });
+
+  it('accepts each backup code once and stores only hashes', () => {
+    const user = enrolledUser();
+    const codes = generateBackupCodes(3);
+    user.setBackupCodes(codes);
+
+    expect(user.twoFactorBackupCodes).not.toContain(codes[0]);
+    expect(user.verifyTwoFactorCode(codes[0])).toBe('backup_code');
+    expect(user.verifyTwoFactorCode(codes[0])).toBeNull();
+    expect(user.twoFactorBackupCodes).toHaveLength(2);
+  });
+
+  it('accepts nothing once two-factor authentication is disabled', () => {
+    const user = enrolledUser();
+    const code = generateCode(user.twoFactorSecret);
+
+    user.disableTwoFactor();
+
+    expect(user.verifyTwoFactorCode(code)).toBeNull();
+    expect(user.twoFactorSecret).toBeUndefined();
+  });
+});
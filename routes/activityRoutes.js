@@ -1,23 +1,28 @@
 const express = require('express');
 const activityController = require('../controllers/activityController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const Activity = require('../models/activityModel');
 
 const router = express.Router();
 
 // Protect all routes after this middleware
 router.use(protect);
 
-// Routes for all authenticated users
-router.get('/', activityController.getAllActivities);
-router.get('/stats', activityController.getActivityStats);
-router.get('/:id', activityController.getActivity);
+// Loads the activity named by :id for ownership checks
+const activity = byId(Activity);
+
+// Students see their own activities, coaches the ones they are assigned to
+router.get('/', can('activity:view'), activityController.getAllActivities);
+router.get('/stats', can('activity:view'), activityController.getActivityStats);
+router.get('/:id', can('activity:view', activity), activityController.getActivity);
 
 // Routes for creating and managing activities
-router.post('/', authorize('student', 'coach', 'admin'), activityController.createActivity);
-router.patch('/:id', authorize('student', 'coach', 'admin'), activityController.updateActivity);
-router.delete('/:id', authorize('student', 'coach', 'admin'), activityController.deleteActivity);
+router.post('/', can('activity:create'), activityController.createActivity);
+router.patch('/:id', can('activity:update', activity), activityController.updateActivity);
+router.delete('/:id', can('activity:update', activity), activityController.deleteActivity);
 
 // Special route for tracking area coverage
-router.patch('/:id/area', authorize('student', 'coach'), activityController.trackAreaCoverage);
+router.patch('/:id/area', can('activity:update', activity), activityController.trackAreaCoverage);
 
 module.exports = router; 
\ No newline at end of file
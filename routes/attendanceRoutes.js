@@ -0,0 +1,40 @@
+const express = require('express');
+const attendanceController = require('../controllers/attendanceController');
+const Attendance = require('../models/attendanceModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { byId, student } = require('../utils/resourceLoaders');
+const { validateBody, validateQuery } = require('../middlewares/validationMiddleware');
+const {
+  rollCallSchema,
+  attendanceCorrectionSchema,
+  kioskCheckInSchema,
+  attendanceQuerySchema,
+} = require('../validations/attendanceValidation');
+
+const router = express.Router();
+
+router.use(protect);
+
+const session = byId(TrainingSession, 'sessionId');
+const record = byId(Attendance);
+
+router.get('/', can('attendance:view'), validateQuery(attendanceQuerySchema), attendanceController.getAttendance);
+
+// Front-desk kiosk
+router.get('/kiosk/sessions', can('attendance:kiosk'), attendanceController.getKioskSessions);
+router.post('/kiosk/check-in', can('attendance:kiosk'), validateBody(kioskCheckInSchema), attendanceController.kioskCheckIn);
+
+// Roll-call of a training session
+router.route('/sessions/:sessionId')
+  .get(can('attendance:view', session), attendanceController.getSessionRollCall)
+  .post(can('attendance:record', session), validateBody(rollCallSchema), attendanceController.takeRollCall);
+
+// A student's history
+router.get('/students/:studentId', can('attendance:view', student('studentId')), validateQuery(attendanceQuerySchema), attendanceController.getStudentHistory);
+
+router.route('/:id')
+  .get(can('attendance:view', record), attendanceController.getAttendanceRecord)
+  .patch(can('attendance:record', record), validateBody(attendanceCorrectionSchema), attendanceController.correctAttendance);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const auditLogController = require('../controllers/auditLogController');
+const { protect, can } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// Only users allowed to read the audit trail
+router.use(protect);
+router.use(can('audit:view'));
+
+router.get('/', auditLogController.getAuditLogs);
+router.get('/export', auditLogController.exportAuditLogs);
+router.get('/:id', auditLogController.getAuditLog);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { protect } = require('../middlewares/authMiddleware');
 const { validateBody } = require('../middlewares/validationMiddleware');
 const {
@@ -9,6 +10,11 @@ const {
   resetPasswordSchema,
   refreshTokenSchema,
   changePasswordSchema,
+  logoutSchema,
+  twoFactorSetupSchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  twoFactorLoginSchema,
 } = require('../validations/authValidation');
 
 const router = express.Router();
@@ -16,15 +22,30 @@ const router = express.Router();
 // Public routes
 router.post('/register', validateBody(registerSchema), authController.register);
 router.post('/login', validateBody(loginSchema), authController.login);
+router.post('/login/2fa', validateBody(twoFactorLoginSchema), authController.loginTwoFactor);
 router.post('/refresh-token', validateBody(refreshTokenSchema), authController.refreshToken);
 router.post('/forgot-password', validateBody(forgotPasswordSchema), authController.forgotPassword);
 router.post('/reset-password', validateBody(resetPasswordSchema), authController.resetPassword);
-router.post('/logout', authController.logout);
+router.post('/logout', validateBody(logoutSchema), authController.logout);
+router.get('/verify-email/:token', authController.verifyEmail);
 
 // Protected routes - require authentication
 router.use(protect); // Apply authentication middleware to all routes below
 
 router.get('/me', authController.getMe);
+router.post('/resend-verification', authController.resendVerificationEmail);
 router.patch('/change-password', validateBody(changePasswordSchema), authController.changePassword);
 
+// Session management
+router.post('/logout-all', authController.logoutAll);
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions/:id', authController.revokeMySession);
+
+// Two-factor authentication
+router.get('/2fa', twoFactorController.getStatus);
+router.post('/2fa/setup', validateBody(twoFactorSetupSchema), twoFactorController.setup);
+router.post('/2fa/confirm', validateBody(twoFactorCodeSchema), twoFactorController.confirm);
+router.post('/2fa/backup-codes', validateBody(twoFactorCodeSchema), twoFactorController.regenerateBackupCodes);
+router.delete('/2fa', validateBody(twoFactorDisableSchema), twoFactorController.disable);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Calendar apps cannot sign in; the feed token in the URL identifies the user
+router.get('/:token/coach.ics', calendarController.getCoachFeed);
+router.get('/:token/student.ics', calendarController.getStudentFeed);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const coachApplicationController = require('../controllers/coachApplicationController');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { uploadCertificationDocument, handleUploadError, removeUploadOnFailure } = require('../middlewares/uploadMiddleware');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { requestContext } = require('../utils/requestContext');
+const {
+  coachApplicationSchema,
+  certificationSchema,
+  certificationReviewSchema,
+  rejectCoachApplicationSchema,
+} = require('../validations/coachApplicationValidation');
+
+const router = express.Router();
+
+router.use(protect);
+
+// The signed-in coach's own application
+router.route('/me')
+  .get(can('coach:apply'), coachApplicationController.getMyApplication)
+  .patch(can('coach:apply'), validateBody(coachApplicationSchema), coachApplicationController.updateMyApplication);
+router.post(
+  '/me/certifications',
+  can('coach:apply'),
+  uploadCertificationDocument,
+  handleUploadError,
+  removeUploadOnFailure,
+  requestContext,
+  validateBody(certificationSchema),
+  coachApplicationController.addMyCertification
+);
+router.delete('/me/certifications/:certificationId', can('coach:apply'), coachApplicationController.removeMyCertification);
+router.post('/me/submit', can('coach:apply'), coachApplicationController.submitMyApplication);
+
+// Review
+router.use(can('coach:approve'));
+
+router.get('/', coachApplicationController.getApplications);
+router.get('/:id', coachApplicationController.getApplication);
+router.patch('/:id/review', coachApplicationController.startReview);
+router.get('/:id/certifications/:certificationId/document', coachApplicationController.getCertificationDocument);
+router.patch('/:id/certifications/:certificationId', validateBody(certificationReviewSchema), coachApplicationController.reviewCertification);
+router.patch('/:id/approve', coachApplicationController.approveApplication);
+router.patch('/:id/reject', validateBody(rejectCoachApplicationSchema), coachApplicationController.rejectApplication);
+
+module.exports = router;
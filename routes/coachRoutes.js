@@ -1,49 +1,110 @@
 const express = require('express');
-const { protect, authorize } = require('../middlewares/authMiddleware');
-const { validateBody } = require('../middlewares/validationMiddleware');
-const { upload, uploadExercisePlan, handleUploadError } = require('../middlewares/uploadMiddleware');
+const { protect, can, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { coach } = require('../utils/resourceLoaders');
+const { validateBody, validateQuery, parseJsonFields } = require('../middlewares/validationMiddleware');
+const { availabilityQuerySchema, bookingSchema, bookingReasonSchema } = require('../validations/bookingValidation');
+const { coachReviewSchema, reviewReplySchema, reviewModerationSchema } = require('../validations/coachReviewValidation');
+const { compensationSchema, payrollQuerySchema } = require('../validations/payrollValidation');
+const { EXERCISE_PLAN_JSON_FIELDS, exercisePlanSchema, exercisePlanVersionSchema } = require('../validations/exercisePlanValidation');
+const { trainingSessionSchema } = require('../validations/trainingSessionValidation');
+const { studentAttendanceSchema } = require('../validations/attendanceValidation');
+const { uploadExercisePlan, handleUploadError, removeUploadOnFailure } = require('../middlewares/uploadMiddleware');
 const router = express.Router();
 
 // Import controller (will create this next)
 const coachController = require('../controllers/coachController');
+const bookingController = require('../controllers/bookingController');
+const coachReviewController = require('../controllers/coachReviewController');
+const payrollController = require('../controllers/payrollController');
 
 // Coach profile routes
 router.route('/')
-  .get(protect, authorize('admin'), coachController.getAllCoaches)
-  .post(protect, authorize('admin'), coachController.createCoach);
+  .get(protect, can('coach:manage'), coachController.getAllCoaches)
+  .post(protect, can('coach:manage'), coachController.createCoach);
+
+// Review moderation queue (before /:id so "reviews" is not taken for an ID)
+router.get('/reviews', protect, can('review:moderate'), coachReviewController.getReviewsForModeration);
 
 router.route('/:id')
   .get(protect, coachController.getCoach)
-  .patch(protect, authorize('admin', 'coach'), coachController.updateCoach)
-  .delete(protect, authorize('admin'), coachController.deleteCoach);
+  .patch(protect, can('coach:update', coach()), coachController.updateCoach)
+  .delete(protect, can('coach:manage'), coachController.deleteCoach);
 
 // Coach schedule management
 router.route('/:id/schedule')
   .get(protect, coachController.getCoachSchedule)
-  .post(protect, authorize('admin', 'coach'), coachController.updateCoachSchedule);
+  .post(protect, can('coach:update', coach()), validateBody(trainingSessionSchema), coachController.updateCoachSchedule);
+
+// Private session availability and bookings
+router.get('/:id/availability', protect, validateQuery(availabilityQuerySchema), bookingController.getCoachAvailability);
+
+router.route('/:id/bookings')
+  .get(protect, can('booking:manage', coach()), bookingController.getCoachBookings)
+  .post(protect, requireVerifiedEmail, can('booking:create'), validateBody(bookingSchema), bookingController.createBooking);
+
+router.patch('/:id/bookings/:bookingId/confirm', protect, can('booking:manage', coach()), bookingController.confirmBooking);
+router.patch('/:id/bookings/:bookingId/decline', protect, can('booking:manage', coach()), validateBody(bookingReasonSchema), bookingController.declineBooking);
+router.patch('/:id/bookings/:bookingId/cancel', protect, validateBody(bookingReasonSchema), bookingController.cancelBooking);
+
+// Ratings and reviews
+router.route('/:id/reviews')
+  .get(coachReviewController.getCoachReviews)
+  .post(protect, can('review:create'), validateBody(coachReviewSchema), coachReviewController.submitReview);
+
+router.delete('/:id/reviews/:reviewId', protect, coachReviewController.deleteReview);
+router.route('/:id/reviews/:reviewId/reply')
+  .put(protect, can('review:reply', coach()), validateBody(reviewReplySchema), coachReviewController.replyToReview)
+  .delete(protect, can('review:reply', coach()), coachReviewController.deleteReply);
+router.patch('/:id/reviews/:reviewId/moderation', protect, can('review:moderate'), validateBody(reviewModerationSchema), coachReviewController.moderateReview);
+
+// Pay rates and earnings
+router.route('/:id/compensation')
+  .get(protect, can('payroll:view', coach()), payrollController.getCompensation)
+  .put(protect, can('payroll:manage', coach()), validateBody(compensationSchema), payrollController.setCompensation);
+router.get('/:id/earnings', protect, can('payroll:view', coach()), validateQuery(payrollQuerySchema), payrollController.getCoachEarnings);
 
 // Exercise & training plans
 router.route('/:id/exercise-plans')
   .get(protect, coachController.getExercisePlans)
   .post(
     protect, 
-    authorize('coach'), 
+    can('exercisePlan:manage', coach()), 
     uploadExercisePlan, 
     handleUploadError,
+    removeUploadOnFailure,
+    parseJsonFields(EXERCISE_PLAN_JSON_FIELDS),
+    validateBody(exercisePlanSchema),
     coachController.uploadExercisePlan
   );
 
 router.route('/:id/exercise-plans/:planId')
-  .get(coachController.getExercisePlan)
-  .delete(protect, authorize('coach', 'admin'), coachController.deleteExercisePlan);
+  .get(protect, coachController.getExercisePlan)
+  .delete(protect, can('exercisePlan:manage', coach()), coachController.deleteExercisePlan);
+
+router.get('/:id/exercise-plans/:planId/document', protect, coachController.getExercisePlanDocument);
+router.post(
+  '/:id/exercise-plans/:planId/versions',
+  protect,
+  can('exercisePlan:manage', coach()),
+  uploadExercisePlan,
+  handleUploadError,
+  removeUploadOnFailure,
+  parseJsonFields(EXERCISE_PLAN_JSON_FIELDS),
+  validateBody(exercisePlanVersionSchema),
+  coachController.uploadExercisePlanVersion
+);
 
 // Student management for coaches
 router.route('/:id/students')
-  .get(protect, authorize('admin', 'coach'), coachController.getCoachStudents);
+  .get(protect, can('coach:students:view', coach()), coachController.getCoachStudents);
+
+// Feedback and attendance for a coach's students
+router.post('/:id/students/:studentId/feedback', protect, can('coach:students:record', coach()), coachController.provideFeedback);
+router.post('/:id/students/:studentId/attendance', protect, can('coach:students:record', coach()), validateBody(studentAttendanceSchema), coachController.recordAttendance);
 
 // Add routes for student assignment
 router.route('/:coachId/students/:studentId')
-  .post(protect, authorize('admin'), coachController.assignStudentToCoach)
-  .delete(protect, authorize('admin'), coachController.removeStudentFromCoach);
+  .post(protect, can('coach:manage'), coachController.assignStudentToCoach)
+  .delete(protect, can('coach:manage'), coachController.removeStudentFromCoach);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,5 @@
 const express = require('express');
-const { protect, authorize } = require('../middlewares/authMiddleware');
-const { validateBody } = require('../middlewares/validationMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
 const { upload, handleUploadError } = require('../middlewares/uploadMiddleware');
 const router = express.Router();
 
@@ -12,7 +11,7 @@ router.route('/announcements')
   .get(contentController.getAllAnnouncements)
   .post(
     protect, 
-    authorize('admin'), 
+    can('content:manage'), 
     upload.single('image'), 
     handleUploadError,
     contentController.createAnnouncement
@@ -22,19 +21,19 @@ router.route('/announcements/:id')
   .get(contentController.getAnnouncement)
   .patch(
     protect, 
-    authorize('admin'), 
+    can('content:manage'), 
     upload.single('image'), 
     handleUploadError,
     contentController.updateAnnouncement
   )
-  .delete(protect, authorize('admin'), contentController.deleteAnnouncement);
+  .delete(protect, can('content:manage'), contentController.deleteAnnouncement);
 
 // Sports Categories
 router.route('/sports')
   .get(contentController.getAllSportsCategories)
   .post(
     protect, 
-    authorize('admin'), 
+    can('sportCategory:manage'), 
     contentController.createSportsCategory
   );
 
@@ -42,19 +41,19 @@ router.route('/sports/:id')
   .get(contentController.getSportsCategory)
   .patch(
     protect, 
-    authorize('admin'), 
+    can('sportCategory:manage'), 
     contentController.updateSportsCategory
   )
-  .delete(protect, authorize('admin'), contentController.deleteSportsCategory);
+  .delete(protect, can('sportCategory:manage'), contentController.deleteSportsCategory);
 
 // Terms & Policies
 router.route('/policies')
   .get(contentController.getAllPolicies)
-  .post(protect, authorize('admin'), contentController.createPolicy);
+  .post(protect, can('content:manage'), contentController.createPolicy);
 
 router.route('/policies/:id')
   .get(contentController.getPolicy)
-  .patch(protect, authorize('admin'), contentController.updatePolicy)
-  .delete(protect, authorize('admin'), contentController.deletePolicy);
+  .patch(protect, can('content:manage'), contentController.updatePolicy)
+  .delete(protect, can('content:manage'), contentController.deletePolicy);
 
 module.exports = router; 
\ No newline at end of file
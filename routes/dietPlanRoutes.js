@@ -1,36 +1,33 @@
 const express = require('express');
 const dietPlanController = require('../controllers/dietPlanController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const DietPlan = require('../models/dietPlanModel');
 
 const router = express.Router();
 
 // Protect all routes after this middleware
 router.use(protect);
 
-// Admin-specific route to get all diet plans regardless of coach - must come before more generic routes
-router.get('/admin/all', authorize('admin'), async (req, res, next) => {
-  try {
-    // Remove coach filter for admin
-    req.user.role = 'admin';
-    next();
-  } catch (error) {
-    next(error);
-  }
-}, dietPlanController.getAllDietPlans);
-
-// Routes accessible by coaches and admins
-router.get('/', authorize('admin', 'coach'), dietPlanController.getAllDietPlans);
-router.get('/:id', dietPlanController.getDietPlan);
-
-// Allow both admins and coaches to create diet plans
-router.post('/', authorize('admin', 'coach'), dietPlanController.createDietPlan);
-
-// Allow both admins and coaches to update and delete their own diet plans
+// Loads the diet plan named by :id for ownership checks
+const dietPlan = byId(DietPlan);
+
+// Kept for the admin panel; the same as GET / for users who can view every plan.
+// Must come before more generic routes
+router.get('/admin/all', can('dietPlan:view'), dietPlanController.getAllDietPlans);
+
+// Coaches see the plans they wrote, students the plans assigned to them
+router.get('/', can('dietPlan:view'), dietPlanController.getAllDietPlans);
+router.get('/:id', can('dietPlan:view', dietPlan), dietPlanController.getDietPlan);
+
+router.post('/', can('dietPlan:create'), dietPlanController.createDietPlan);
+
+// Coaches can only update and delete their own diet plans
 router.route('/:id')
-  .patch(authorize('admin', 'coach'), dietPlanController.updateDietPlan)
-  .delete(authorize('admin', 'coach'), dietPlanController.deleteDietPlan);
+  .patch(can('dietPlan:update', dietPlan), dietPlanController.updateDietPlan)
+  .delete(can('dietPlan:update', dietPlan), dietPlanController.deleteDietPlan);
 
 // Assign diet plan to students
-router.patch('/:id/assign', authorize('admin', 'coach'), dietPlanController.assignDietPlan);
+router.patch('/:id/assign', can('dietPlan:assign', dietPlan), dietPlanController.assignDietPlan);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const privacyController = require('../controllers/privacyController');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { adminErasureRequestSchema, rejectErasureSchema } = require('../validations/privacyValidation');
+
+const router = express.Router();
+
+// Only users allowed to review erasure requests
+router.use(protect);
+router.use(can('privacy:manage'));
+
+router.route('/')
+  .get(privacyController.getErasureRequests)
+  .post(validateBody(adminErasureRequestSchema), privacyController.createErasureRequest);
+
+router.route('/:id')
+  .get(privacyController.getErasureRequest)
+  .delete(privacyController.cancelErasureRequest);
+
+router.patch('/:id/approve', privacyController.approveErasureRequest);
+router.patch('/:id/reject', validateBody(rejectErasureSchema), privacyController.rejectErasureRequest);
+
+module.exports = router;
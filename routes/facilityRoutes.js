@@ -0,0 +1,32 @@
+const express = require('express');
+const facilityController = require('../controllers/facilityController');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { validateBody, validateQuery } = require('../middlewares/validationMiddleware');
+const {
+  facilitySchema,
+  updateFacilitySchema,
+  maintenanceSchema,
+  calendarQuerySchema,
+  facilityQuerySchema,
+} = require('../validations/facilityValidation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(validateQuery(facilityQuerySchema), facilityController.getFacilities)
+  .post(can('facility:manage'), validateBody(facilitySchema), facilityController.createFacility);
+
+router.route('/:id')
+  .get(facilityController.getFacility)
+  .patch(can('facility:manage'), validateBody(updateFacilitySchema), facilityController.updateFacility)
+  .delete(can('facility:manage'), facilityController.deleteFacility);
+
+router.get('/:id/calendar', validateQuery(calendarQuerySchema), facilityController.getFacilityCalendar);
+
+// Maintenance blocks
+router.post('/:id/maintenance', can('facility:manage'), validateBody(maintenanceSchema), facilityController.addMaintenance);
+router.delete('/:id/maintenance/:blockId', can('facility:manage'), facilityController.removeMaintenance);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const guardianController = require('../controllers/guardianController');
+const { protect } = require('../middlewares/authMiddleware');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { acceptGuardianInvitationSchema } = require('../validations/guardianValidation');
+
+const router = express.Router();
+
+// Invitation links are answered before the guardian has logged in
+router.get('/invitations/:token', guardianController.getInvitation);
+router.post('/invitations/:token/accept', validateBody(acceptGuardianInvitationSchema), guardianController.acceptInvitation);
+router.post('/invitations/:token/decline', guardianController.declineInvitation);
+
+// Students linked to the logged-in guardian
+router.get('/me/students', protect, guardianController.getMyStudents);
+
+module.exports = router;
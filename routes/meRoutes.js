@@ -0,0 +1,50 @@
+const express = require('express');
+const profileController = require('../controllers/profileController');
+const privacyController = require('../controllers/privacyController');
+const bookingController = require('../controllers/bookingController');
+const attendanceController = require('../controllers/attendanceController');
+const calendarController = require('../controllers/calendarController');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { uploadProfileImage, handleUploadError } = require('../middlewares/uploadMiddleware');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { requestContext } = require('../utils/requestContext');
+const { profileUpdateSchemaFor } = require('../validations/profileValidation');
+const { erasureRequestSchema } = require('../validations/privacyValidation');
+
+const router = express.Router();
+
+// Every route here acts on the signed-in user
+router.use(protect);
+
+// The editable fields depend on the user's role
+const validateProfileUpdate = (req, res, next) =>
+  validateBody(profileUpdateSchemaFor(req.user.role))(req, res, next);
+
+router.route('/profile')
+  .get(profileController.getMyProfile)
+  .patch(validateProfileUpdate, profileController.updateMyProfile);
+
+router.route('/profile/image')
+  .put(uploadProfileImage, handleUploadError, requestContext, profileController.uploadMyProfileImage)
+  .delete(profileController.deleteMyProfileImage);
+
+// Personal data export and erasure
+router.get('/data-export', privacyController.exportMyData);
+router.route('/erasure-request')
+  .get(privacyController.getMyErasureRequest)
+  .post(validateBody(erasureRequestSchema), privacyController.requestMyErasure)
+  .delete(privacyController.cancelMyErasureRequest);
+
+// Private sessions booked with coaches
+router.get('/bookings', can('booking:create'), bookingController.getMyBookings);
+
+// Member code scanned at the front-desk kiosk
+router.get('/member-code', can('attendance:checkIn'), attendanceController.getMyMemberCode);
+
+// Calendar feed URLs for phone and desktop calendars
+router.route('/calendar-feed')
+  .get(calendarController.getMyCalendarFeed)
+  .post(calendarController.createMyCalendarFeed)
+  .delete(calendarController.revokeMyCalendarFeed);
+
+module.exports = router;
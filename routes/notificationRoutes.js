@@ -1,6 +1,6 @@
 const express = require('express');
 const notificationController = require('../controllers/notificationController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -16,10 +16,10 @@ router.get('/:id', notificationController.getNotification);
 router.patch('/:id/read', notificationController.markAsRead);
 router.delete('/:id', notificationController.deleteNotification);
 
-// Admin only routes
+// Sending to other users
 router.post(
   '/system',
-  authorize('admin'),
+  can('notification:send'),
   notificationController.createSystemNotification
 );
 
@@ -0,0 +1,28 @@
+const express = require('express');
+const payrollController = require('../controllers/payrollController');
+const Payslip = require('../models/payslipModel');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const { validateBody, validateQuery } = require('../middlewares/validationMiddleware');
+const {
+  computePayrollSchema,
+  adjustmentSchema,
+  payoutSchema,
+  payrollQuerySchema,
+} = require('../validations/payrollValidation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', can('payroll:view'), validateQuery(payrollQuerySchema), payrollController.getPayslips);
+router.post('/compute', can('payroll:manage'), validateBody(computePayrollSchema), payrollController.computePayroll);
+router.get('/:id', can('payroll:view', byId(Payslip)), payrollController.getPayslip);
+
+// Adjustments and payout
+router.post('/:id/adjustments', can('payroll:manage'), validateBody(adjustmentSchema), payrollController.addAdjustment);
+router.delete('/:id/adjustments/:adjustmentId', can('payroll:manage'), payrollController.removeAdjustment);
+router.patch('/:id/approve', can('payroll:manage'), payrollController.approvePayslip);
+router.patch('/:id/pay', can('payroll:manage'), validateBody(payoutSchema), payrollController.markPayslipPaid);
+
+module.exports = router;
@@ -1,24 +1,27 @@
 const express = require('express');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { validateQuery } = require('../middlewares/validationMiddleware');
+const { atRiskQuerySchema } = require('../validations/reportValidation');
 const router = express.Router();
 
 // Import controller
 const reportController = require('../controllers/reportController');
 
 // Reporting and analytics routes
-router.get('/students/total', protect, authorize('admin'), reportController.getTotalStudentsReport);
-router.get('/students/engagement', protect, authorize('admin'), reportController.getStudentEngagementReport);
+router.get('/students/total', protect, can('report:view'), reportController.getTotalStudentsReport);
+router.get('/students/engagement', protect, can('report:view'), reportController.getStudentEngagementReport);
+router.get('/students/at-risk', protect, can('report:view'), validateQuery(atRiskQuerySchema), reportController.getAtRiskStudentsReport);
 
-router.get('/coaches/performance', protect, authorize('admin'), reportController.getCoachPerformanceReport);
+router.get('/coaches/performance', protect, can('report:view'), reportController.getCoachPerformanceReport);
 
-router.get('/subscriptions/active', protect, authorize('admin'), reportController.getActiveSubscriptionsReport);
-router.get('/subscriptions/revenue', protect, authorize('admin'), reportController.getRevenueReport);
+router.get('/subscriptions/active', protect, can('report:revenue:view'), reportController.getActiveSubscriptionsReport);
+router.get('/subscriptions/revenue', protect, can('report:revenue:view'), reportController.getRevenueReport);
 
-router.get('/sports/popularity', protect, authorize('admin'), reportController.getSportsPopularityReport);
+router.get('/sports/popularity', protect, can('report:view'), reportController.getSportsPopularityReport);
 
-router.get('/tournaments/participation', protect, authorize('admin'), reportController.getTournamentParticipationReport);
+router.get('/tournaments/participation', protect, can('report:view'), reportController.getTournamentParticipationReport);
 
 // Export dashboard summary data
-router.get('/dashboard/summary', protect, authorize('admin'), reportController.getDashboardSummary);
+router.get('/dashboard/summary', protect, can('report:view'), reportController.getDashboardSummary);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const roleController = require('../controllers/roleController');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { updateRoleSchema } = require('../validations/roleValidation');
+
+const router = express.Router();
+
+// Only users who may edit role mappings
+router.use(protect);
+router.use(can('role:manage'));
+
+router.get('/', roleController.getAllRoles);
+router.get('/permissions', roleController.getPermissions);
+
+router.route('/:name')
+  .get(roleController.getRole)
+  .patch(validateBody(updateRoleSchema), roleController.updateRole);
+
+router.post('/:name/reset', roleController.resetRole);
+
+module.exports = router;
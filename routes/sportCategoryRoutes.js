@@ -1,6 +1,6 @@
 const express = require('express');
 const sportCategoryController = require('../controllers/sportCategoryController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -10,7 +10,7 @@ router.get('/:id', sportCategoryController.getSportCategory);
 
 // Protected routes
 router.use(protect);
-router.use(authorize('admin')); // Only admin can create/update/delete sport categories
+router.use(can('sportCategory:manage'));
 
 router.post('/', sportCategoryController.createSportCategory);
 router.patch('/:id', sportCategoryController.updateSportCategory);
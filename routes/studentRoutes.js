@@ -1,15 +1,18 @@
 const express = require('express');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, can, requireVerifiedEmail, requireGuardianConsent } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const StudentProfile = require('../models/studentProfileModel');
 const { validateBody } = require('../middlewares/validationMiddleware');
+const { guardianInvitationSchema } = require('../validations/guardianValidation');
 const router = express.Router();
 
 // Import controller (will create this next)
 const studentController = require('../controllers/studentController');
+const guardianController = require('../controllers/guardianController');
 
 // Test route for debugging - no auth required
 router.get('/test', async (req, res) => {
   try {
-    const StudentProfile = require('../models/studentProfileModel');
     const students = await StudentProfile.find()
       .populate({
         path: 'user',
@@ -39,34 +42,45 @@ router.get('/test', async (req, res) => {
   }
 });
 
+// Loads the student profile named by :id for ownership checks
+const student = byId(StudentProfile);
+
 // Student profile routes
 router.route('/')
-  .get(protect, authorize('admin'), studentController.getAllStudents)
-  .post(protect, authorize('admin'), studentController.createStudent);
+  .get(protect, can('student:view'), studentController.getAllStudents)
+  .post(protect, can('student:manage'), studentController.createStudent);
 
 router.route('/:id')
-  .get(protect, studentController.getStudent)
-  .patch(protect, authorize('admin', 'student'), studentController.updateStudent)
-  .delete(protect, authorize('admin'), studentController.deleteStudent);
+  .get(protect, can('student:view', student), studentController.getStudent)
+  .patch(protect, can('student:update', student), studentController.updateStudent)
+  .delete(protect, can('student:manage'), studentController.deleteStudent);
 
 // Subscription related routes
-router.get('/:id/subscriptions', protect, studentController.getStudentSubscriptions);
-router.post('/:id/subscriptions', protect, authorize('admin', 'student'), studentController.createSubscription);
+router.get('/:id/subscriptions', protect, can('student:view', student), studentController.getStudentSubscriptions);
+router.post('/:id/subscriptions', protect, requireVerifiedEmail, can('subscription:create', student), requireGuardianConsent, studentController.createSubscription);
+router.get('/:id/transactions', protect, can('student:view', student), studentController.getStudentTransactions);
 
 // Training and progress
-router.get('/:id/training-sessions', protect, studentController.getStudentTrainingSessions);
-router.get('/:id/exercise-plans', protect, studentController.getStudentExercisePlans);
-router.get('/:id/progress', protect, studentController.getStudentProgress);
+router.get('/:id/training-sessions', protect, can('student:view', student), studentController.getStudentTrainingSessions);
+router.get('/:id/exercise-plans', protect, can('student:view', student), studentController.getStudentExercisePlans);
+router.get('/:id/progress', protect, can('student:view', student), studentController.getStudentProgress);
+router.get('/:id/attendance', protect, can('student:view', student), studentController.getStudentAttendance);
 
 // Activity tracking
-router.post('/:id/exercises/complete', protect, authorize('student'), studentController.markExerciseComplete);
-router.post('/:id/tasks', protect, authorize('student'), studentController.submitTask);
+router.post('/:id/exercises/complete', protect, can('student:training:record', student), studentController.markExerciseComplete);
+router.post('/:id/tasks', protect, can('student:training:record', student), studentController.submitTask);
 
 // Coach assignment
-router.patch('/:id/assign-coach/:coachId', protect, authorize('admin'), studentController.assignCoach);
+router.patch('/:id/assign-coach/:coachId', protect, can('student:manage'), studentController.assignCoach);
 
 // Tournaments
-router.get('/:id/tournaments', protect, studentController.getStudentTournaments);
-router.post('/:id/tournaments/:tournamentId/register', protect, authorize('student'), studentController.registerForTournament);
+router.get('/:id/tournaments', protect, can('student:view', student), studentController.getStudentTournaments);
+router.post('/:id/tournaments/:tournamentId/register', protect, requireVerifiedEmail, can('tournament:register', student), requireGuardianConsent, studentController.registerForTournament);
+
+// Guardians
+router.get('/:id/guardians', protect, can('student:view', student), guardianController.getStudentGuardians);
+router.post('/:id/guardians/invitations', protect, can('guardian:manage', student), validateBody(guardianInvitationSchema), guardianController.createInvitation);
+router.delete('/:id/guardians/invitations/:invitationId', protect, can('guardian:manage', student), guardianController.revokeInvitation);
+router.delete('/:id/guardians/:guardianId', protect, can('guardian:manage', student), guardianController.removeGuardian);
 
 module.exports = router; 
\ No newline at end of file
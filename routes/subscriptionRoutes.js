@@ -1,6 +1,8 @@
 const express = require('express');
-const { protect, authorize } = require('../middlewares/authMiddleware');
-const { validateBody } = require('../middlewares/validationMiddleware');
+const { protect, can, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const Subscription = require('../models/subscriptionModel');
+const Transaction = require('../models/transactionModel');
 const router = express.Router();
 
 // Import controller
@@ -9,29 +11,35 @@ const subscriptionController = require('../controllers/subscriptionController');
 // Subscription plan routes
 router.route('/plans')
   .get(subscriptionController.getAllPlans)
-  .post(protect, authorize('admin'), subscriptionController.createPlan);
+  .post(protect, can('subscriptionPlan:manage'), subscriptionController.createPlan);
 
 router.route('/plans/:id')
   .get(subscriptionController.getPlan)
-  .patch(protect, authorize('admin'), subscriptionController.updatePlan)
-  .delete(protect, authorize('admin'), subscriptionController.deletePlan);
+  .patch(protect, can('subscriptionPlan:manage'), subscriptionController.updatePlan)
+  .delete(protect, can('subscriptionPlan:manage'), subscriptionController.deletePlan);
 
 // Active subscriptions routes
 router.route('/')
-  .get(protect, authorize('admin'), subscriptionController.getAllSubscriptions);
+  .get(protect, can('subscription:view'), subscriptionController.getAllSubscriptions);
 
 router.route('/:id')
-  .get(protect, subscriptionController.getSubscription)
-  .patch(protect, authorize('admin'), subscriptionController.updateSubscription)
-  .delete(protect, authorize('admin'), subscriptionController.deleteSubscription);
+  .get(protect, can('subscription:view', byId(Subscription)), subscriptionController.getSubscription)
+  .patch(protect, can('subscription:manage'), subscriptionController.updateSubscription)
+  .delete(protect, can('subscription:manage'), subscriptionController.deleteSubscription);
 
 // Transactions routes
-router.get('/transactions', protect, authorize('admin'), subscriptionController.getAllTransactions);
-router.get('/transactions/:id', protect, subscriptionController.getTransaction);
-router.post('/transactions/:subscriptionId', protect, subscriptionController.createTransaction);
+router.get('/transactions', protect, can('transaction:view'), subscriptionController.getAllTransactions);
+router.get('/transactions/:id', protect, can('transaction:view', byId(Transaction)), subscriptionController.getTransaction);
+router.post(
+  '/transactions/:subscriptionId',
+  protect,
+  requireVerifiedEmail,
+  can('transaction:create', byId(Subscription, 'subscriptionId')),
+  subscriptionController.createTransaction
+);
 
 // Reports
-router.get('/reports/revenue', protect, authorize('admin'), subscriptionController.getRevenueReport);
-router.get('/reports/active', protect, authorize('admin'), subscriptionController.getActiveSubscriptionsReport);
+router.get('/reports/revenue', protect, can('report:revenue:view'), subscriptionController.getRevenueReport);
+router.get('/reports/active', protect, can('report:revenue:view'), subscriptionController.getActiveSubscriptionsReport);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const timeOffController = require('../controllers/timeOffController');
+const TimeOff = require('../models/timeOffModel');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { timeOffSchema, rejectTimeOffSchema, reassignSessionsSchema } = require('../validations/timeOffValidation');
+
+const router = express.Router();
+
+router.use(protect);
+
+const timeOff = byId(TimeOff);
+
+router.route('/')
+  .get(can('timeOff:request'), timeOffController.getTimeOffRequests)
+  .post(can('timeOff:request'), validateBody(timeOffSchema), timeOffController.createTimeOff);
+
+router.get('/:id', can('timeOff:request', timeOff), timeOffController.getTimeOff);
+router.patch('/:id/cancel', can('timeOff:request', timeOff), timeOffController.cancelTimeOff);
+router.get('/:id/sessions', can('timeOff:request', timeOff), timeOffController.getAffectedSessions);
+
+// Review and substitutes
+router.patch('/:id/approve', can('timeOff:manage'), timeOffController.approveTimeOff);
+router.patch('/:id/reject', can('timeOff:manage'), validateBody(rejectTimeOffSchema), timeOffController.rejectTimeOff);
+router.get('/:id/substitutes', can('timeOff:manage'), timeOffController.getSubstituteSuggestions);
+router.post('/:id/reassign', can('timeOff:manage'), validateBody(reassignSessionsSchema), timeOffController.reassignSessions);
+
+module.exports = router;
@@ -1,18 +1,20 @@
 const express = require('express');
-const { protect, authorize } = require('../middlewares/authMiddleware');
-const { validateBody } = require('../middlewares/validationMiddleware');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const Tournament = require('../models/tournamentModel');
 const router = express.Router();
 
 // Import controllers
 const tournamentController = require('../controllers/tournamentController');
 const notificationController = require('../controllers/notificationController');
+const calendarController = require('../controllers/calendarController');
 
 // Tournament routes
 router.route('/')
   .get(tournamentController.getAllTournaments)
   .post(
     protect, 
-    authorize('admin'), 
+    can('tournament:manage'), 
     tournamentController.createTournament
   );
 
@@ -20,37 +22,43 @@ router.route('/:id')
   .get(tournamentController.getTournament)
   .patch(
     protect, 
-    authorize('admin'), 
+    can('tournament:manage'), 
     tournamentController.updateTournament
   )
-  .delete(protect, authorize('admin'), tournamentController.deleteTournament);
+  .delete(protect, can('tournament:manage'), tournamentController.deleteTournament);
+
+// Fixture list for calendar apps
+router.get('/:id/fixtures.ics', calendarController.getTournamentFeed);
 
 // Participant management
 router.get('/:id/participants', tournamentController.getTournamentParticipants);
-router.post('/:id/participants/:studentId', protect, authorize('admin'), tournamentController.addParticipant);
-router.delete('/:id/participants/:studentId', protect, authorize('admin'), tournamentController.removeParticipant);
+router.post('/:id/participants/:studentId', protect, can('tournament:manage'), tournamentController.addParticipant);
+router.delete('/:id/participants/:studentId', protect, can('tournament:manage'), tournamentController.removeParticipant);
 
 // Notification routes
 router.post(
   '/:id/notify',
   protect,
-  authorize('admin', 'coach'),
+  can('tournament:notify', byId(Tournament)),
   notificationController.createTournamentNotifications
 );
 
+// Email reminders
+router.post('/:id/reminders', protect, can('tournament:notify', byId(Tournament)), tournamentController.notifyParticipants);
+
 // Google Form management
-router.get('/:id/form-responses', protect, authorize('admin'), tournamentController.getFormResponses);
+router.get('/:id/form-responses', protect, can('tournament:manage'), tournamentController.getFormResponses);
 router.post('/:id/form-responses', protect, tournamentController.submitFormResponse);
 
 // Schedule and team assignment
-router.post('/:id/schedule', protect, authorize('admin'), tournamentController.updateSchedule);
-router.post('/:id/teams', protect, authorize('admin'), tournamentController.assignTeams);
+router.post('/:id/schedule', protect, can('tournament:manage'), tournamentController.updateSchedule);
+router.post('/:id/teams', protect, can('tournament:manage'), tournamentController.assignTeams);
 
 // Tournament notification routes
 router.route('/:id/notifications')
   .post(
     protect, 
-    authorize('admin'), 
+    can('tournament:notify', byId(Tournament)), 
     notificationController.createTournamentNotifications
   );
 
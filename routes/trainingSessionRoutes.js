@@ -0,0 +1,40 @@
+const express = require('express');
+const trainingSessionController = require('../controllers/trainingSessionController');
+const TrainingSession = require('../models/trainingSessionModel');
+const { protect, can, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { byId } = require('../utils/resourceLoaders');
+const { validateBody, validateQuery } = require('../middlewares/validationMiddleware');
+const {
+  trainingSessionSchema,
+  updateTrainingSessionSchema,
+  cancelTrainingSessionSchema,
+  registrationSchema,
+  checkInSchema,
+  trainingSessionQuerySchema,
+} = require('../validations/trainingSessionValidation');
+
+const router = express.Router();
+
+router.use(protect);
+
+const session = byId(TrainingSession);
+
+router.route('/')
+  .get(validateQuery(trainingSessionQuerySchema), trainingSessionController.getTrainingSessions)
+  .post(can('trainingSession:manage'), validateBody(trainingSessionSchema), trainingSessionController.createTrainingSession);
+
+router.route('/:id')
+  .get(trainingSessionController.getTrainingSession)
+  .patch(can('trainingSession:manage', session), validateBody(updateTrainingSessionSchema), trainingSessionController.updateTrainingSession);
+
+router.patch('/:id/cancel', can('trainingSession:manage', session), validateBody(cancelTrainingSessionSchema), trainingSessionController.cancelTrainingSession);
+
+// Student registration and waitlist
+router.post('/:id/register', requireVerifiedEmail, can('trainingSession:register'), validateBody(registrationSchema), trainingSessionController.registerForSession);
+router.post('/:id/register/cancel', can('trainingSession:register'), validateBody(registrationSchema), trainingSessionController.cancelRegistration);
+
+// QR check-in
+router.get('/:id/check-in-code', can('attendance:record', session), trainingSessionController.getCheckInCode);
+router.post('/:id/check-in', can('attendance:checkIn'), validateBody(checkInSchema), trainingSessionController.checkIn);
+
+module.exports = router;
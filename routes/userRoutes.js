@@ -1,20 +1,30 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const { protect, restrictTo } = require('../middlewares/authMiddleware');
-const { uploadProfileImage } = require('../middlewares/uploadMiddleware');
+const userBulkController = require('../controllers/userBulkController');
+const { protect, can } = require('../middlewares/authMiddleware');
+const { uploadImportFile, handleUploadError } = require('../middlewares/uploadMiddleware');
+const { validateBody } = require('../middlewares/validationMiddleware');
+const { importOptionsSchema } = require('../validations/userValidation');
 const router = express.Router();
 
 // Protect all routes after this middleware
 router.use(protect);
 
-// Admin only routes
-router.use(restrictTo('admin'));
+// Account management
+router.use(can('user:manage'));
 
 // User management
 router.route('/')
   .get(userController.getAllUsers)
   .post(userController.createUser);
 
+// Bulk import and export
+router.route('/imports')
+  .get(userBulkController.getImports)
+  .post(uploadImportFile, handleUploadError, validateBody(importOptionsSchema), userBulkController.createImport);
+router.get('/imports/:id', userBulkController.getImport);
+router.get('/export', userBulkController.exportUsers);
+
 router.route('/:id')
   .get(userController.getUser)
   .patch(userController.updateUser)
@@ -23,6 +33,8 @@ router.route('/:id')
 // Special admin operations
 router.get('/pending-approval', userController.getPendingApprovals);
 router.patch('/:id/approve', userController.approveUser);
+router.delete('/:id/two-factor', userController.resetTwoFactor);
+router.patch('/:id/unlock', userController.unlockUser);
 
 // Assign coach to student
 router.post('/:studentId/assign-coach/:coachId', userController.assignCoachToStudent);
@@ -9,6 +9,7 @@ const adminUser = {
   passwordConfirm: 'Admin@123',
   role: 'admin',
   approved: true,
+  emailVerified: true,
   active: true
 };
 
@@ -63,7 +64,7 @@ const createAdminUser = async () => {
     }
 
     // Create new admin user
-    const admin = await User.create(adminUser);
+    await User.create(adminUser);
     console.log('\nAdmin user created successfully!');
     console.log('You can now login to the admin panel with the credentials shown above.');
   } catch (error) {
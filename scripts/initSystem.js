@@ -3,6 +3,7 @@ const User = require('../models/userModel');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Load environment variables
 dotenv.config();
@@ -14,7 +15,8 @@ const DEFAULT_ADMIN = {
   password: 'Admin@123',
   passwordConfirm: 'Admin@123',
   role: 'admin',
-  approved: true
+  approved: true,
+  emailVerified: true
 };
 
 // Connect to MongoDB
@@ -70,6 +72,9 @@ REFRESH_TOKEN_SECRET=default_refresh_token_secret_please_change_in_production
 JWT_EXPIRES_IN=30d
 JWT_COOKIE_EXPIRES_IN=30
 
+# Field Encryption (medical information)
+FIELD_ENCRYPTION_KEY=${crypto.randomBytes(32).toString('base64')}
+
 # Rate Limiting
 RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX=100
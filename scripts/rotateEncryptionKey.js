@@ -0,0 +1,67 @@
+/**
+ * Re-encrypt sensitive student profile fields with the current key
+ *
+ * Use it to encrypt data written before FIELD_ENCRYPTION_KEY was set, and to
+ * rotate keys:
+ *   1. Generate a new key and set it as FIELD_ENCRYPTION_KEY
+ *   2. Move the old key to FIELD_ENCRYPTION_PREVIOUS_KEYS and restart the API
+ *   3. Run `node scripts/rotateEncryptionKey.js` (add --dry-run to only count)
+ *   4. Once it reports no failures, remove the old key
+ */
+require('dotenv').config({ path: './.env' });
+const mongoose = require('mongoose');
+const StudentProfile = require('../models/studentProfileModel');
+const { currentKeyId } = require('../config/encryptionConfig');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const rotateKeys = async () => {
+  if (!currentKeyId) {
+    console.error('FIELD_ENCRYPTION_KEY is not set. Set the new key before running this script.');
+    process.exit(1);
+  }
+
+  const mongoURI = process.env.MONGO_URI.replace(/\s+/g, '');
+  console.log('Connecting to MongoDB...');
+  await mongoose.connect(mongoURI);
+  console.log('MongoDB connected successfully');
+
+  const summary = { checked: 0, updated: 0, failed: 0 };
+
+  try {
+    const cursor = StudentProfile.find().cursor();
+
+    for await (const profile of cursor) {
+      summary.checked += 1;
+
+      try {
+        if (!profile.reencryptFields()) continue;
+
+        if (!dryRun) {
+          await profile.save({ validateBeforeSave: false });
+        }
+        summary.updated += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Student profile ${profile._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`\n${dryRun ? 'Dry run: ' : ''}checked ${summary.checked} profiles, ` +
+      `${dryRun ? 'would re-encrypt' : 're-encrypted'} ${summary.updated}, ${summary.failed} failed`);
+    console.log(`Current key id: ${currentKeyId}`);
+
+    if (summary.failed > 0) {
+      console.log('Keep the previous keys configured until every profile can be re-encrypted.');
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+    console.log('MongoDB connection closed');
+  }
+};
+
+rotateKeys().catch((error) => {
+  console.error('Key rotation failed:', error.message);
+  process.exit(1);
+});
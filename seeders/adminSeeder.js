@@ -12,7 +12,8 @@ const DEFAULT_ADMIN = {
   password: 'Admin@123',
   passwordConfirm: 'Admin@123',
   role: 'admin',
-  approved: true
+  approved: true,
+  emailVerified: true
 };
 
 // Connect to MongoDB
@@ -2,6 +2,8 @@ const app = require('./app');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
 const seedAdminUser = require('./utils/seedAdmin');
+const { startJobs } = require('./jobs');
+const { seedRoles } = require('./services/permissionService');
 
 // Load environment variables
 dotenv.config();
@@ -20,6 +22,12 @@ process.on('uncaughtException', (err) => {
     if (connection && connection.connection) {
       // Database connected successfully, seed admin user
       await seedAdminUser();
+
+      // Create the built-in roles and their default permissions if missing
+      await seedRoles();
+
+      // Start background jobs (email outbox, reminders) once the database is ready
+      startJobs();
     }
   } catch (error) {
     console.error('Failed to initialize application:', error);
@@ -0,0 +1,255 @@
+const StudentProfile = require('../models/studentProfileModel');
+const Attendance = require('../models/attendanceModel');
+const Subscription = require('../models/subscriptionModel');
+const Notification = require('../models/notificationModel');
+
+/**
+ * Attendance risk service
+ * Scores how likely each student is to drop out, from 0 to 100, so coaches
+ * can reach out before a student quietly stops coming. The score adds up:
+ *
+ * - absences in a row (2 or more), up to 45 points
+ * - attendance in the last ATTENDANCE_RISK_WINDOW_DAYS falling behind the
+ *   period before, up to 30 points
+ * - a low overall attendance rate (`attendanceStats`), up to 10 points
+ * - a subscription that ends within two weeks or has just ended, 25 points
+ *
+ * Students scoring 60 or more are high risk; they and their assigned coaches
+ * are notified, at most once every ATTENDANCE_RISK_ALERT_COOLDOWN_DAYS.
+ */
+
+const WINDOW_DAYS = Number(process.env.ATTENDANCE_RISK_WINDOW_DAYS) || 28;
+const ALERT_COOLDOWN_DAYS = Number(process.env.ATTENDANCE_RISK_ALERT_COOLDOWN_DAYS) || 14;
+
+// Days before (and after) the end of a subscription that count towards the score
+const SUBSCRIPTION_DAYS = 14;
+
+// Sessions needed before the overall attendance rate counts
+const MIN_SESSIONS_FOR_RATE = 4;
+
+// Lowest score of each level
+const LEVELS = [['high', 60], ['medium', 30], ['low', 0]];
+
+// Students scored per database round trip
+const BATCH_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Percentage of sessions attended; excused absences do not count
+ * @param {Array} records - Attendance records
+ * @returns {Number|null} Rate, or null without any counted session
+ */
+const attendanceRate = (records) => {
+  const counted = records.filter(record => record.status !== 'excused');
+  if (!counted.length) return null;
+  const attended = counted.filter(record => ['present', 'late'].includes(record.status)).length;
+  return Math.round((attended / counted.length) * 100);
+};
+
+/**
+ * Work out a student's risk score
+ * @param {Object} data - Student data
+ * @param {Array} data.records - Attendance records of the last two windows, newest first
+ * @param {Object} [data.stats] - StudentProfile.attendanceStats
+ * @param {Array} data.subscriptions - Subscriptions active now or ended recently
+ * @param {Date} [now] - Current time
+ * @returns {Object} { score, level, factors, reasons }
+ */
+exports.scoreStudent = ({ records, stats, subscriptions }, now = new Date()) => {
+  const reasons = [];
+  let score = 0;
+
+  // Absences in a row, most recent first; excused absences are skipped
+  let consecutiveAbsences = 0;
+  for (const record of records) {
+    if (record.status === 'excused') continue;
+    if (record.status !== 'absent') break;
+    consecutiveAbsences += 1;
+  }
+  if (consecutiveAbsences >= 2) {
+    score += Math.min(consecutiveAbsences, 3) * 15;
+    reasons.push(`${consecutiveAbsences} absences in a row`);
+  }
+
+  // This window against the one before; no sessions at all after attending counts as 0%
+  const windowStart = new Date(now.getTime() - WINDOW_DAYS * DAY_MS);
+  const recentAttendanceRate = attendanceRate(records.filter(record => record.sessionDate >= windowStart));
+  const previousAttendanceRate = attendanceRate(records.filter(record => record.sessionDate < windowStart));
+  if (previousAttendanceRate !== null) {
+    const drop = previousAttendanceRate - (recentAttendanceRate || 0);
+    if (drop >= 20) {
+      score += Math.min(30, Math.round(drop / 2));
+      reasons.push(`Attendance fell from ${previousAttendanceRate}% to ${recentAttendanceRate || 0}% over the last ${WINDOW_DAYS} days`);
+    }
+  }
+
+  let overallAttendanceRate = null;
+  if (stats && stats.totalSessions >= MIN_SESSIONS_FOR_RATE) {
+    overallAttendanceRate = Math.round((stats.attendedSessions / stats.totalSessions) * 100);
+    if (overallAttendanceRate < 60) {
+      score += Math.min(10, Math.round((60 - overallAttendanceRate) / 4));
+      reasons.push(`Overall attendance is ${overallAttendanceRate}%`);
+    }
+  }
+
+  // The subscription that runs longest decides
+  let subscriptionDaysLeft = null;
+  if (subscriptions.length) {
+    const lastEnd = Math.max(...subscriptions.map(subscription => new Date(subscription.endDate).getTime()));
+    subscriptionDaysLeft = Math.ceil((lastEnd - now.getTime()) / DAY_MS);
+    if (subscriptionDaysLeft <= SUBSCRIPTION_DAYS) {
+      score += 25;
+      reasons.push(subscriptionDaysLeft > 0
+        ? `Subscription ends in ${subscriptionDaysLeft} day(s)`
+        : 'Subscription has ended');
+    }
+  }
+
+  score = Math.min(100, score);
+  return {
+    score,
+    level: LEVELS.find(([, min]) => score >= min)[0],
+    factors: {
+      consecutiveAbsences,
+      recentAttendanceRate,
+      previousAttendanceRate,
+      overallAttendanceRate,
+      subscriptionDaysLeft,
+    },
+    reasons,
+  };
+};
+
+/**
+ * Tell a high-risk student and their assigned coaches
+ * @param {Object} profile - StudentProfile (lean, user populated)
+ * @param {Object} risk - Result of scoreStudent
+ */
+const sendAlerts = async (profile, risk) => {
+  const name = profile.user.name || 'A student';
+
+  await Notification.create([
+    {
+      recipient: profile.user._id,
+      type: 'attendance_alert',
+      title: 'We miss you at training',
+      message: 'We noticed you have missed some training lately. If something is keeping you away, let your coach know. We are happy to help you find a time that works.',
+      related: { model: 'StudentProfile', id: profile._id },
+    },
+    ...(profile.assignedCoaches || []).map(coach => ({
+      recipient: coach,
+      type: 'attendance_alert',
+      title: 'Student at risk of dropping out',
+      message: `${name} may be dropping out (risk score ${risk.score}): ${risk.reasons.join('; ')}.`,
+      related: { model: 'StudentProfile', id: profile._id },
+      priority: 'high',
+    })),
+  ]);
+};
+
+/**
+ * Score a batch of students, save the results and send alerts
+ * @param {Array} profiles - StudentProfiles (lean)
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of alerts sent
+ */
+const scoreBatch = async (profiles, now) => {
+  // Records and subscriptions reference students by user or by profile ID
+  const ids = profiles.flatMap(profile => [profile._id, profile.user._id]);
+  const ownerOf = new Map(profiles.flatMap(profile => [[String(profile._id), profile], [String(profile.user._id), profile]]));
+  const since = new Date(now.getTime() - 2 * WINDOW_DAYS * DAY_MS);
+
+  // Aggregated rather than found: the find hooks would populate the student
+  // as a user and lose records that reference the profile
+  const [records, subscriptions] = await Promise.all([
+    Attendance.aggregate([
+      { $match: { student: { $in: ids }, sessionDate: { $gte: since, $lte: now } } },
+      { $sort: { sessionDate: -1 } },
+      { $project: { student: 1, status: 1, sessionDate: 1 } },
+    ]),
+    Subscription.aggregate([
+      {
+        $match: {
+          student: { $in: ids },
+          status: { $in: ['active', 'expired'] },
+          endDate: { $gte: new Date(now.getTime() - SUBSCRIPTION_DAYS * DAY_MS) },
+        },
+      },
+      { $project: { student: 1, status: 1, endDate: 1 } },
+    ]),
+  ]);
+
+  const data = new Map(profiles.map(profile => [profile, { records: [], subscriptions: [], stats: profile.attendanceStats }]));
+  records.forEach(record => {
+    const profile = ownerOf.get(String(record.student));
+    if (profile) data.get(profile).records.push(record);
+  });
+  subscriptions.forEach(subscription => {
+    const profile = ownerOf.get(String(subscription.student));
+    if (profile) data.get(profile).subscriptions.push(subscription);
+  });
+
+  let alerts = 0;
+  for (const profile of profiles) {
+    const risk = exports.scoreStudent(data.get(profile), now);
+    const lastAlert = profile.attendanceRisk && profile.attendanceRisk.alertedAt;
+    const alert = risk.level === 'high' &&
+      (!lastAlert || now - new Date(lastAlert) >= ALERT_COOLDOWN_DAYS * DAY_MS);
+
+    await StudentProfile.updateOne(
+      { _id: profile._id },
+      {
+        $set: {
+          'attendanceRisk.score': risk.score,
+          'attendanceRisk.level': risk.level,
+          'attendanceRisk.factors': risk.factors,
+          'attendanceRisk.reasons': risk.reasons,
+          'attendanceRisk.calculatedAt': now,
+          ...(alert ? { 'attendanceRisk.alertedAt': now } : {}),
+        },
+      }
+    );
+
+    if (alert) {
+      await sendAlerts(profile, risk);
+      alerts += 1;
+    }
+  }
+
+  return alerts;
+};
+
+/**
+ * Recalculate the risk score of every student and alert the high-risk ones
+ * @returns {Promise<Object>} { scored, alerted }
+ */
+exports.computeAttendanceRisk = async () => {
+  const now = new Date();
+  let scored = 0;
+  let alerted = 0;
+  let batch = [];
+
+  const cursor = StudentProfile.find()
+    .select('user assignedCoaches attendanceStats attendanceRisk')
+    .lean()
+    .cursor();
+
+  for await (const profile of cursor) {
+    // Profiles of deactivated accounts are skipped
+    if (!profile.user) continue;
+    batch.push(profile);
+
+    if (batch.length === BATCH_SIZE) {
+      alerted += await scoreBatch(batch, now);
+      scored += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    alerted += await scoreBatch(batch, now);
+    scored += batch.length;
+  }
+
+  return { scored, alerted };
+};
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const StudentProfile = require('../models/studentProfileModel');
+const Attendance = require('../models/attendanceModel');
+const Subscription = require('../models/subscriptionModel');
+const Notification = require('../models/notificationModel');
+const { scoreStudent, computeAttendanceRisk } = require('./attendanceRiskService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const now = new Date('2030-03-31T12:00:00Z');
+
+/**
+ * Get a date a number of days before now
+ * @param {Number} days - Days before now
+ * @returns {Date} Date
+ */
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+/**
+ * Build attendance records, newest first, one week apart
+ * @param {Array} statuses - Statuses, newest first
+ * @param {Number} [fromDaysAgo] - Age of the newest record in days
+ * @returns {Array} Attendance records
+ */
+const weekly = (statuses, fromDaysAgo = 1) =>
+  statuses.map((status, index) => ({ status, sessionDate: daysAgo(fromDaysAgo + 7 * index) }));
+
+describe('scoreStudent', () => {
+  it('scores a regular student as low risk', () => {
+    const risk = scoreStudent({
+      records: weekly(['present', 'late', 'present', 'present', 'present', 'present']),
+      stats: { totalSessions: 20, attendedSessions: 18 },
+      subscriptions: [{ endDate: daysAgo(-60) }],
+    }, now);
+
+    expect(risk).toMatchObject({ score: 0, level: 'low', reasons: [] });
+    expect(risk.factors).toMatchObject({ recentAttendanceRate: 100, previousAttendanceRate: 100, subscriptionDaysLeft: 60 });
+  });
+
+  it('counts absences in a row, skipping excused ones, up to three', () => {
+    const two = scoreStudent({ records: weekly(['absent', 'excused', 'absent', 'present']), subscriptions: [] }, now);
+    const five = scoreStudent({ records: weekly(['absent', 'absent', 'absent', 'absent', 'absent']), subscriptions: [] }, now);
+
+    expect(two.factors.consecutiveAbsences).toBe(2);
+    expect(two.reasons).toContain('2 absences in a row');
+    expect(five.factors.consecutiveAbsences).toBe(5);
+    expect(five.score).toBe(45);
+  });
+
+  it('scores a drop against the previous window', () => {
+    const risk = scoreStudent({
+      records: [...weekly(['present', 'absent'], 10), ...weekly(['present', 'present', 'present', 'present'], 30)],
+      subscriptions: [],
+    }, now);
+
+    expect(risk.factors).toMatchObject({ recentAttendanceRate: 50, previousAttendanceRate: 100 });
+    expect(risk.score).toBe(25);
+    expect(risk.reasons[0]).toBe('Attendance fell from 100% to 50% over the last 28 days');
+  });
+
+  it('treats a student who stopped coming as attending none of the recent sessions', () => {
+    const risk = scoreStudent({ records: weekly(['present', 'present'], 30), subscriptions: [] }, now);
+
+    expect(risk.factors.recentAttendanceRate).toBeNull();
+    expect(risk.score).toBe(30);
+  });
+
+  it('only counts the overall rate after a few sessions', () => {
+    const early = scoreStudent({ records: [], stats: { totalSessions: 3, attendedSessions: 0 }, subscriptions: [] }, now);
+    const low = scoreStudent({ records: [], stats: { totalSessions: 10, attendedSessions: 2 }, subscriptions: [] }, now);
+
+    expect(early.score).toBe(0);
+    expect(low).toMatchObject({ score: 10, factors: { overallAttendanceRate: 20 } });
+  });
+
+  it('uses the subscription that runs longest', () => {
+    const ending = scoreStudent({ records: [], subscriptions: [{ endDate: daysAgo(-5) }, { endDate: daysAgo(3) }] }, now);
+    const renewed = scoreStudent({ records: [], subscriptions: [{ endDate: daysAgo(3) }, { endDate: daysAgo(-90) }] }, now);
+    const ended = scoreStudent({ records: [], subscriptions: [{ endDate: daysAgo(3) }] }, now);
+
+    expect(ending).toMatchObject({ score: 25, reasons: ['Subscription ends in 5 day(s)'] });
+    expect(renewed.score).toBe(0);
+    expect(ended.reasons).toEqual(['Subscription has ended']);
+  });
+
+  it('caps the score at 100', () => {
+    const risk = scoreStudent({
+      records: [...weekly(['absent', 'absent', 'absent']), ...weekly(['present', 'present'], 35)],
+      stats: { totalSessions: 10, attendedSessions: 0 },
+      subscriptions: [{ endDate: daysAgo(1) }],
+    }, now);
+
+    expect(risk).toMatchObject({ score: 100, level: 'high' });
+  });
+});
+
+describe('computeAttendanceRisk', () => {
+  const coach = id();
+
+  /**
+   * Build a lean student profile
+   * @param {Object} [fields] - Fields to override
+   * @returns {Object} StudentProfile (lean)
+   */
+  const profile = fields => ({ _id: id(), user: { _id: id(), name: 'Sam' }, assignedCoaches: [coach], ...fields });
+
+  /**
+   * Let the student cursor return the given profiles
+   * @param {Array} profiles - StudentProfiles (lean)
+   */
+  const students = (profiles) => {
+    const query = { select: () => query, lean: () => query, cursor: () => profiles };
+    jest.spyOn(StudentProfile, 'find').mockReturnValue(query);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(StudentProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Subscription, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Notification, 'create').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves every score and alerts high-risk students and their coaches', async () => {
+    const [away, regular] = [profile(), profile()];
+    students([away, regular, profile({ user: null })]);
+    // Records may reference the profile or the user
+    jest.spyOn(Attendance, 'aggregate').mockResolvedValue([
+      { student: away._id, status: 'absent', sessionDate: new Date() },
+      { student: away.user._id, status: 'absent', sessionDate: new Date() },
+      { student: away._id, status: 'absent', sessionDate: new Date() },
+      { student: regular.user._id, status: 'present', sessionDate: new Date() },
+    ]);
+    Subscription.aggregate.mockResolvedValue([{ student: away.user._id, endDate: new Date() }]);
+
+    expect(await computeAttendanceRisk()).toEqual({ scored: 2, alerted: 1 });
+
+    const [filter, update] = StudentProfile.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: away._id });
+    expect(update.$set).toMatchObject({ 'attendanceRisk.score': 70, 'attendanceRisk.level': 'high' });
+    expect(update.$set['attendanceRisk.alertedAt']).toBeInstanceOf(Date);
+    expect(StudentProfile.updateOne.mock.calls[1][1].$set['attendanceRisk.level']).toBe('low');
+    const [alerts] = Notification.create.mock.calls[0];
+    expect(alerts.map(alert => alert.recipient)).toEqual([away.user._id, coach]);
+    expect(alerts[1].message).toMatch(/^Sam may be dropping out \(risk score 70\)/);
+  });
+
+  it('does not alert the same student again during the cooldown', async () => {
+    const away = profile({ attendanceRisk: { alertedAt: new Date(Date.now() - 24 * 60 * 60 * 1000) } });
+    students([away]);
+    jest.spyOn(Attendance, 'aggregate')
+      .mockResolvedValue(['absent', 'absent', 'absent'].map(status => ({ student: away._id, status, sessionDate: new Date() })));
+    Subscription.aggregate.mockResolvedValue([{ student: away._id, endDate: new Date() }]);
+
+    expect(await computeAttendanceRisk()).toEqual({ scored: 1, alerted: 0 });
+    expect(StudentProfile.updateOne.mock.calls[0][1].$set['attendanceRisk.alertedAt']).toBeUndefined();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
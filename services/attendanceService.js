@@ -0,0 +1,306 @@
+const Attendance = require('../models/attendanceModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const StudentProfile = require('../models/studentProfileModel');
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { sessionPeriod } = require('./availabilityService');
+
+/**
+ * Attendance service
+ * Coaches take the roll-call of a training session in one request, one
+ * Attendance record per student. Changing a record afterwards is a
+ * correction with a reason, kept on the record. Every change is copied to the
+ * session's `attendees` and the student's `attendanceStats` are recalculated
+ * from their records, so the three never disagree.
+ */
+
+// Attendee status on the training session for each attendance status
+const ATTENDEE_STATUS = {
+  present: 'attended',
+  late: 'attended',
+  absent: 'absent',
+  excused: 'absent',
+};
+
+// Fields a roll-call entry or correction may set on a record
+const RECORD_FIELDS = ['checkInTime', 'checkOutTime', 'lateReason', 'absenceReason', 'notes', 'performance', 'performanceNotes'];
+
+/**
+ * Get the ID of a possibly populated reference
+ * @param {Object|String} ref - Reference
+ * @returns {String} ID
+ */
+const idOf = ref => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Copy the allowed record fields from a request
+ * @param {Object} details - Validated entry
+ * @returns {Object} Fields to set
+ */
+const recordFields = (details) => {
+  const fields = {};
+  RECORD_FIELDS.forEach(field => {
+    if (details[field] !== undefined) fields[field] = details[field];
+  });
+  return fields;
+};
+
+/**
+ * Work out how long a student stayed
+ * @param {Object} record - Attendance document
+ */
+const updateDuration = (record) => {
+  if (record.checkInTime && record.checkOutTime) {
+    record.duration = Math.max(0, Math.round((record.checkOutTime - record.checkInTime) / 60000));
+  }
+};
+
+/**
+ * Map the student IDs of a request (StudentProfile or User IDs) to user IDs
+ * @param {Array} ids - IDs from the request
+ * @returns {Promise<Map>} Requested ID => User ID
+ * @throws {AppError} When a student does not exist
+ */
+const resolveStudents = async (ids) => {
+  const profiles = await StudentProfile.find({ $or: [{ _id: { $in: ids } }, { user: { $in: ids } }] })
+    .select('user');
+
+  const students = new Map();
+  profiles.forEach(profile => {
+    if (!profile.user) return;
+    const userId = profile.user._id || profile.user;
+    students.set(String(profile._id), userId);
+    students.set(String(userId), userId);
+  });
+
+  const unknown = ids.filter(id => !students.has(String(id)));
+  if (unknown.length) {
+    throw new AppError(`Student not found: ${unknown.join(', ')}`, 404);
+  }
+  return students;
+};
+
+/**
+ * Copy attendance records to a session's attendees. Students who were not
+ * registered (walk-ins) are added. Each record is written with atomic
+ * updates, so concurrent check-ins and registrations cannot conflict.
+ * @param {Object} session - TrainingSession document
+ * @param {Array} records - Attendance documents of the session
+ */
+const syncAttendees = async (session, records) => {
+  for (const record of records) {
+    const student = record.student._id || record.student;
+    const status = ATTENDEE_STATUS[record.status];
+
+    const set = { 'attendees.$.status': status };
+    const unset = {};
+    ['checkInTime', 'checkOutTime'].forEach(field => {
+      if (record[field]) {
+        set[`attendees.$.${field}`] = record[field];
+      } else {
+        unset[`attendees.$.${field}`] = 1;
+      }
+    });
+    const update = Object.keys(unset).length ? { $set: set, $unset: unset } : { $set: set };
+    const updateAttendee = () => TrainingSession.updateOne({ _id: session._id, 'attendees.student': student }, update);
+
+    const updated = await updateAttendee();
+    if (updated.matchedCount > 0) continue;
+
+    const added = await TrainingSession.updateOne(
+      { _id: session._id, 'attendees.student': { $ne: student } },
+      {
+        $push: {
+          attendees: {
+            student,
+            status,
+            checkInTime: record.checkInTime,
+            checkOutTime: record.checkOutTime,
+            registeredBy: record.markedBy,
+            registeredAt: new Date(),
+          },
+        },
+      }
+    );
+
+    // The student was registered in the meantime: update their entry instead
+    if (added.matchedCount === 0) await updateAttendee();
+  }
+};
+
+/**
+ * Build a new attendance record for a session
+ * @param {Object} session - TrainingSession document
+ * @param {Object} entry - { student, status, ...fields }
+ * @param {Object} user - User marking attendance
+ * @returns {Object} Unsaved Attendance document
+ */
+const newRecord = (session, entry, user) => {
+  const record = new Attendance({
+    ...recordFields(entry),
+    student: entry.student,
+    status: entry.status,
+    coach: session.coach._id || session.coach,
+    session: session._id,
+    sessionDate: session.sessionDate,
+    location: session.location && session.location.name,
+    sportCategory: session.sportCategory._id || session.sportCategory,
+    markedBy: user._id,
+  });
+  updateDuration(record);
+  return record;
+};
+
+/**
+ * Take the roll-call of a training session. Students who already have a
+ * record are left alone; use a correction to change them.
+ * @param {Object} session - TrainingSession document
+ * @param {Object} details - Validated { records, markMissingAbsent }
+ * @param {Object} user - User taking the roll-call
+ * @returns {Promise<Object>} { created, alreadyMarked }
+ */
+exports.takeRollCall = async (session, { records, markMissingAbsent }, user) => {
+  if (session.status === 'cancelled') {
+    throw new AppError('This session was cancelled', 400);
+  }
+  if (sessionPeriod(session).startsAt > new Date()) {
+    throw new AppError('The roll-call opens when the session starts', 400);
+  }
+
+  const students = await resolveStudents(records.map(entry => entry.student));
+  const entries = records.map(entry => ({ ...entry, student: students.get(String(entry.student)) }));
+
+  // Registered students left out of the roll-call did not come
+  if (markMissingAbsent) {
+    const listed = new Set(entries.map(entry => idOf(entry.student)));
+    session.attendees
+      .filter(attendee => attendee.status === 'registered' && attendee.student && !listed.has(idOf(attendee.student)))
+      .forEach(attendee => entries.push({ student: attendee.student._id || attendee.student, status: 'absent' }));
+  }
+
+  const seen = new Set();
+  const unique = entries.filter(entry => {
+    const student = idOf(entry.student);
+    if (seen.has(student)) return false;
+    seen.add(student);
+    return true;
+  });
+  if (unique.length < entries.length) {
+    throw new AppError('Each student can only appear once in a roll-call', 400);
+  }
+
+  const marked = new Set((await Attendance.distinct('student', { session: session._id })).map(String));
+  const alreadyMarked = unique.filter(entry => marked.has(idOf(entry.student))).map(entry => entry.student);
+
+  const created = unique
+    .filter(entry => !marked.has(idOf(entry.student)))
+    .map(entry => newRecord(session, entry, user));
+
+  // Saved one by one so the stats and audit hooks run for every record
+  const results = await Promise.allSettled(created.map(record => record.save()));
+  await syncAttendees(session, created.filter((record, index) => results[index].status === 'fulfilled'));
+
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    if (failed.reason.code === 11000) {
+      throw new AppError('Attendance for some of these students was just recorded by someone else. Please reload the roll-call.', 409);
+    }
+    throw failed.reason;
+  }
+
+  return { created, alreadyMarked };
+};
+
+/**
+ * Correct an attendance record
+ * @param {Object} record - Attendance document
+ * @param {Object} details - Validated { reason, status, ...fields }
+ * @param {Object} user - User making the correction
+ * @returns {Promise<Object>} Updated Attendance document
+ */
+exports.correctAttendance = async (record, { reason, status, ...details }, user) => {
+  record.corrections.push({
+    previousStatus: record.status,
+    status: status || record.status,
+    reason,
+    correctedBy: user._id,
+  });
+  if (status) record.status = status;
+  record.set(recordFields(details));
+  updateDuration(record);
+
+  await record.save();
+
+  if (record.session) {
+    await syncAttendees({ _id: record.session }, [record]);
+  }
+
+  return record;
+};
+
+/**
+ * Record that a student checked in to a session themselves or at a kiosk.
+ * A student marked absent before checking in is corrected.
+ * @param {Object} session - TrainingSession document
+ * @param {Object} student - Student's user ID
+ * @param {Object} details - { status: 'present'|'late', method: 'qr'|'kiosk' }
+ * @param {Object} user - User making the check-in
+ * @returns {Promise<Object>} Attendance document
+ * @throws {AppError} When the student already checked in
+ */
+exports.recordCheckIn = async (session, student, { status, method }, user) => {
+  const checkInTime = new Date();
+  const existing = await Attendance.findOne({ session: session._id, student });
+
+  if (existing) {
+    if (ATTENDEE_STATUS[existing.status] === 'attended') {
+      throw new AppError('Already checked in to this session', 409);
+    }
+    existing.checkInMethod = method;
+    return exports.correctAttendance(existing, { status, checkInTime, reason: `Checked in (${method})` }, user);
+  }
+
+  const record = newRecord(session, { student, status, checkInTime }, user);
+  record.checkInMethod = method;
+  try {
+    await record.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('Already checked in to this session', 409);
+    }
+    throw error;
+  }
+
+  await syncAttendees(session, [record]);
+  return record;
+};
+
+/**
+ * Get the roll-call of a session: every registered or marked student with
+ * their attendance record, if any
+ * @param {Object} session - TrainingSession document
+ * @returns {Promise<Array>} [{ student, registration, attendance }]
+ */
+exports.getRollCall = async (session) => {
+  const records = await Attendance.find({ session: session._id });
+  const byStudent = new Map(records.map(record => [idOf(record.student), record]));
+
+  const studentIds = [...new Set([
+    ...session.attendees.filter(attendee => attendee.student && attendee.status !== 'cancelled')
+      .map(attendee => idOf(attendee.student)),
+    ...byStudent.keys(),
+  ])];
+  const users = await User.find({ _id: { $in: studentIds } }).select('name email profileImage');
+  const names = new Map(users.map(student => [idOf(student), student]));
+
+  return studentIds.map(id => {
+    const attendee = session.attendees.find(entry => entry.student && idOf(entry.student) === id);
+    return {
+      student: names.get(id) || id,
+      registration: attendee ? attendee.status : null,
+      attendance: byStudent.get(id) || null,
+    };
+  });
+};
+
+exports.ATTENDEE_STATUS = ATTENDEE_STATUS;
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/attendanceModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const StudentProfile = require('../models/studentProfileModel');
+const User = require('../models/userModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { takeRollCall, correctAttendance, recordCheckIn, getRollCall } = require('./attendanceService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coach = { _id: id(), role: 'coach' };
+
+/**
+ * Build a training session that started an hour ago
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} TrainingSession document
+ */
+const startedSession = (fields) => {
+  const start = new Date(Date.now() - 60 * 60 * 1000);
+  return new TrainingSession({
+    title: 'Juniors',
+    coach: coach._id,
+    sportCategory: id(),
+    sessionDate: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+    startTime: `${String(start.getHours()).padStart(2, '0')}:00`,
+    endTime: '23:59',
+    capacity: 10,
+    location: { name: 'Court 1' },
+    ...fields,
+  });
+};
+
+/**
+ * Let the student lookup find a profile for each user ID
+ * @param {Array} users - Student user IDs
+ */
+const knownStudents = (users) => {
+  jest.spyOn(StudentProfile, 'find').mockReturnValue(mockQuery(users.map(user => ({ _id: id(), user }))));
+};
+
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(Attendance.prototype, 'save').mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(Attendance, 'distinct').mockResolvedValue([]);
+  jest.spyOn(TrainingSession, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('takeRollCall', () => {
+  it('records each student and copies the status to the session', async () => {
+    const [present, late] = [id(), id()];
+    knownStudents([present, late]);
+    const session = startedSession();
+
+    const { created } = await takeRollCall(session, {
+      records: [{ student: present, status: 'present' }, { student: late, status: 'late', lateReason: 'Bus' }],
+    }, coach);
+
+    expect(created.map(record => record.status)).toEqual(['present', 'late']);
+    expect(created[1]).toMatchObject({ lateReason: 'Bus', location: 'Court 1', markedBy: coach._id });
+    const [filter, update] = TrainingSession.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: session._id, 'attendees.student': present });
+    expect(update.$set['attendees.$.status']).toBe('attended');
+  });
+
+  it('marks registered students left out as absent when asked', async () => {
+    const [present, missing] = [id(), id()];
+    knownStudents([present]);
+    const session = startedSession({ attendees: [{ student: present, status: 'registered' }, { student: missing, status: 'registered' }] });
+
+    const { created } = await takeRollCall(session, { records: [{ student: present, status: 'present' }], markMissingAbsent: true }, coach);
+
+    expect(created[1]).toMatchObject({ student: missing, status: 'absent' });
+  });
+
+  it('leaves students who already have a record alone', async () => {
+    const [marked, fresh] = [id(), id()];
+    knownStudents([marked, fresh]);
+    Attendance.distinct.mockResolvedValue([marked]);
+
+    const result = await takeRollCall(startedSession(), {
+      records: [{ student: marked, status: 'present' }, { student: fresh, status: 'present' }],
+    }, coach);
+
+    expect(result.alreadyMarked).toEqual([marked]);
+    expect(saved.map(record => record.student)).toEqual([fresh]);
+  });
+
+  it('refuses students listed twice and sessions that have not started', async () => {
+    const student = id();
+    knownStudents([student]);
+
+    await expect(takeRollCall(startedSession(), {
+      records: [{ student, status: 'present' }, { student, status: 'absent' }],
+    }, coach)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(takeRollCall(startedSession({ sessionDate: new Date(Date.now() + 2 * 86400000) }), { records: [] }, coach))
+      .rejects.toThrow('The roll-call opens when the session starts');
+  });
+
+  it('reports records written concurrently by someone else', async () => {
+    const student = id();
+    knownStudents([student]);
+    Attendance.prototype.save.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(takeRollCall(startedSession(), { records: [{ student, status: 'present' }] }, coach))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(TrainingSession.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('correctAttendance', () => {
+  it('keeps the previous status and reason on the record', async () => {
+    const record = new Attendance({ student: id(), coach: coach._id, session: id(), sessionDate: new Date(), status: 'absent' });
+
+    await correctAttendance(record, { status: 'excused', reason: 'Doctor note' }, coach);
+
+    expect(record.status).toBe('excused');
+    expect(record.corrections[0]).toMatchObject({ previousStatus: 'absent', status: 'excused', reason: 'Doctor note' });
+    expect(TrainingSession.updateOne.mock.calls[0][1].$set['attendees.$.status']).toBe('absent');
+  });
+});
+
+describe('recordCheckIn', () => {
+  it('adds walk-ins to the session', async () => {
+    const student = id();
+    const session = startedSession();
+    jest.spyOn(Attendance, 'findOne').mockResolvedValue(null);
+    TrainingSession.updateOne
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1 });
+
+    const record = await recordCheckIn(session, student, { status: 'present', method: 'qr' }, coach);
+
+    expect(record.checkInMethod).toBe('qr');
+    const [filter, update] = TrainingSession.updateOne.mock.calls[1];
+    expect(filter['attendees.student']).toEqual({ $ne: student });
+    expect(update.$push.attendees).toMatchObject({ student, status: 'attended', checkInTime: record.checkInTime });
+  });
+
+  it('updates the entry of a student registered in the meantime', async () => {
+    jest.spyOn(Attendance, 'findOne').mockResolvedValue(null);
+    TrainingSession.updateOne
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1 });
+
+    await recordCheckIn(startedSession(), id(), { status: 'present', method: 'kiosk' }, coach);
+
+    expect(TrainingSession.updateOne).toHaveBeenCalledTimes(3);
+    expect(TrainingSession.updateOne.mock.calls[2]).toEqual(TrainingSession.updateOne.mock.calls[0]);
+  });
+
+  it('corrects students marked absent before they arrived', async () => {
+    const existing = new Attendance({ student: id(), coach: coach._id, session: id(), sessionDate: new Date(), status: 'absent' });
+    jest.spyOn(Attendance, 'findOne').mockResolvedValue(existing);
+
+    await recordCheckIn(startedSession(), existing.student, { status: 'late', method: 'qr' }, coach);
+
+    expect(existing.status).toBe('late');
+    expect(existing.corrections[0].reason).toBe('Checked in (qr)');
+  });
+
+  it('refuses students who already checked in', async () => {
+    jest.spyOn(Attendance, 'findOne').mockResolvedValue(new Attendance({ status: 'present' }));
+
+    await expect(recordCheckIn(startedSession(), id(), { status: 'present', method: 'qr' }, coach))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('getRollCall', () => {
+  it('lists registered and marked students with their records', async () => {
+    const [registered, walkIn, cancelled] = [id(), id(), id()];
+    const session = startedSession({
+      attendees: [{ student: registered, status: 'registered' }, { student: cancelled, status: 'cancelled' }],
+    });
+    const record = { student: walkIn, status: 'present' };
+    jest.spyOn(Attendance, 'find').mockResolvedValue([record]);
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([{ _id: registered, name: 'Sam' }]));
+
+    const rollCall = await getRollCall(session);
+
+    expect(rollCall).toEqual([
+      { student: { _id: registered, name: 'Sam' }, registration: 'registered', attendance: null },
+      { student: String(walkIn), registration: null, attendance: record },
+    ]);
+  });
+});
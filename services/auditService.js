@@ -0,0 +1,83 @@
+const AuditLog = require('../models/auditLogModel');
+
+/**
+ * Audit service
+ * Records security-relevant events. Failures are logged rather than thrown so
+ * that auditing never breaks the request that triggered it.
+ */
+
+/**
+ * Record an audit entry
+ * @param {Object} entry - Audit details
+ * @param {String} entry.action - What happened, e.g. 'account_locked'
+ * @param {Object} [entry.actor] - User who performed the action (omit for system actions)
+ * @param {Object} [entry.target] - Affected document ({ model, id })
+ * @param {Object} [entry.req] - Express request (for IP and user agent)
+ * @param {Object} [entry.changes] - Changed fields as { field: { before, after } }
+ * @param {Object} [entry.metadata] - Extra details
+ * @returns {Promise<Object|null>} AuditLog document, or null if it could not be saved
+ */
+exports.recordAudit = async ({ action, actor, target, req, changes, metadata }) => {
+  try {
+    return await AuditLog.create({
+      actor: actor && actor._id,
+      actorRole: actor && actor.role,
+      action,
+      target,
+      ip: req && req.ip,
+      userAgent: req && req.headers['user-agent'],
+      changes,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry "${action}":`, error.message);
+    return null;
+  }
+};
+
+// Replaces recorded values that belonged to an erased person
+const ERASED_VALUE = '[erased]';
+
+/**
+ * Strip an erased user's personal details from the audit log. The entries
+ * stay, so the history of who did what is kept, but changed values of the
+ * user's own records, IP addresses, user agents and emails are removed.
+ * The model rejects updates to keep the log append-only, so this writes to
+ * the collection directly.
+ * @param {Object} user - User being erased
+ * @param {Object[]} subjectIds - IDs of the user and their profiles
+ * @returns {Promise<Number>} Number of entries changed
+ */
+exports.pseudonymizeAuditEntries = async (user, subjectIds) => {
+  const results = await Promise.all([
+    AuditLog.collection.updateMany(
+      { 'target.id': { $in: subjectIds } },
+      [
+        {
+          $set: {
+            changes: {
+              $cond: [
+                { $eq: [{ $type: '$changes' }, 'object'] },
+                {
+                  $arrayToObject: {
+                    $map: {
+                      input: { $objectToArray: '$changes' },
+                      as: 'change',
+                      in: { k: '$$change.k', v: { before: ERASED_VALUE, after: ERASED_VALUE } },
+                    },
+                  },
+                },
+                '$$REMOVE',
+              ],
+            },
+          },
+        },
+        { $unset: ['ip', 'userAgent'] },
+      ]
+    ),
+    AuditLog.collection.updateMany({ actor: user._id }, { $unset: { ip: 1, userAgent: 1 } }),
+    AuditLog.collection.updateMany({ 'metadata.email': user.email }, { $set: { 'metadata.email': ERASED_VALUE } }),
+  ]);
+
+  return results.reduce((total, result) => total + result.modifiedCount, 0);
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const { recordAudit, pseudonymizeAuditEntries } = require('./auditService');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordAudit', () => {
+  it('stores the actor, request details and changes', async () => {
+    const create = jest.spyOn(AuditLog, 'create').mockImplementation(async entry => entry);
+    const actor = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const req = { ip: '10.0.0.1', headers: { 'user-agent': 'jest' } };
+
+    await recordAudit({ action: 'user_approved', actor, req, changes: { active: { before: false, after: true } } });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      actor: actor._id,
+      actorRole: 'admin',
+      action: 'user_approved',
+      ip: '10.0.0.1',
+      userAgent: 'jest',
+    });
+  });
+
+  it('returns null instead of failing the request when the entry cannot be saved', async () => {
+    jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await recordAudit({ action: 'account_locked' })).toBeNull();
+  });
+});
+
+describe('pseudonymizeAuditEntries', () => {
+  it('strips the person\'s details without deleting entries', async () => {
+    const update = jest.spyOn(AuditLog.collection, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com' };
+    const profileId = new mongoose.Types.ObjectId();
+
+    const changed = await pseudonymizeAuditEntries(user, [user._id, profileId]);
+
+    expect(changed).toBe(6);
+    const filters = update.mock.calls.map(call => call[0]);
+    expect(filters).toEqual([
+      { 'target.id': { $in: [user._id, profileId] } },
+      { actor: user._id },
+      { 'metadata.email': 'jane@example.com' },
+    ]);
+    expect(update.mock.calls[0][1][1]).toEqual({ $unset: ['ip', 'userAgent'] });
+    expect(update.mock.calls[2][1]).toEqual({ $set: { 'metadata.email': '[erased]' } });
+  });
+});
@@ -0,0 +1,260 @@
+const TrainingSession = require('../models/trainingSessionModel');
+const Booking = require('../models/bookingModel');
+const TimeOff = require('../models/timeOffModel');
+const AppError = require('../utils/appError');
+
+/**
+ * Coach availability service
+ * Works out when a coach is free: the weekly `availability` slots of their
+ * profile minus training sessions they run, private bookings that hold time
+ * and approved time off. Times are in the server's time zone, like the
+ * `sessionDate` / `startTime` pairs of training sessions.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const { SLOT_MINUTES } = Booking;
+
+// Shortest private session that can be booked
+const MIN_BOOKING_MINUTES = 30;
+
+/**
+ * Convert an HH:MM time to minutes after midnight
+ * @param {String} time - HH:MM
+ * @returns {Number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes after midnight to an HH:MM time
+ * @param {Number} minutes - Minutes
+ * @returns {String} HH:MM
+ */
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Get midnight of the day a date falls on
+ * @param {Date} date - Date
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Parse a YYYY-MM-DD date as midnight in the server's time zone
+ * @param {String} value - Date string
+ * @returns {Date|null} Start of the day, or null if invalid
+ */
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return day.getDate() === Number(match[3]) ? day : null;
+};
+
+/**
+ * Parse a YYYY-MM-DD date from a request, rejecting dates that do not exist
+ * @param {String} value - Date string
+ * @param {String} label - Field name used in the error message
+ * @returns {Date} Start of the day
+ * @throws {AppError} When the date does not exist
+ */
+const requireDay = (value, label) => {
+  const day = parseDay(value);
+  if (!day) {
+    throw new AppError(`${label} is not a valid date`, 400);
+  }
+  return day;
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {String} Date string
+ */
+const formatDay = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Minutes between the start of a day and a moment, clamped to the day
+ * @param {Date} day - Start of the day
+ * @param {Date} date - Moment
+ * @returns {Number} Minutes (0 - 1440)
+ */
+const minutesInto = (day, date) =>
+  Math.min(MINUTES_PER_DAY, Math.max(0, Math.round((date - day) / (60 * 1000))));
+
+/**
+ * Remove busy intervals from free intervals
+ * @param {Array} free - [[start, end]] in minutes
+ * @param {Array} busy - [[start, end]] in minutes
+ * @returns {Array} Remaining free intervals
+ */
+const subtract = (free, busy) => busy.reduce((remaining, [busyStart, busyEnd]) => {
+  const result = [];
+  remaining.forEach(([start, end]) => {
+    if (busyEnd <= start || busyStart >= end) {
+      result.push([start, end]);
+      return;
+    }
+    if (busyStart > start) result.push([start, busyStart]);
+    if (busyEnd < end) result.push([busyEnd, end]);
+  });
+  return result;
+}, free);
+
+/**
+ * Load everything that keeps a coach busy in a period, bucketed by day
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {Date} from - Start of the first day
+ * @param {Date} to - End of the period (exclusive)
+ * @returns {Promise<Map>} Day timestamp => [[start, end]] busy minutes
+ */
+const loadBusyIntervals = async (coachUserId, from, to) => {
+  const [sessions, bookings, timeOff] = await Promise.all([
+    TrainingSession.find({
+      coach: coachUserId,
+      status: { $ne: 'cancelled' },
+      sessionDate: { $gte: from, $lt: to },
+    }).select('sessionDate startTime endTime').lean(),
+    Booking.find({
+      coach: coachUserId,
+      status: { $in: Booking.HOLDING_STATUSES },
+      startsAt: { $lt: to },
+      endsAt: { $gt: from },
+    }).select('startsAt endsAt').lean(),
+    TimeOff.findApprovedOverlapping(coachUserId, from, to),
+  ]);
+
+  const busy = new Map();
+  const add = (day, interval) => {
+    const key = day.getTime();
+    if (!busy.has(key)) busy.set(key, []);
+    busy.get(key).push(interval);
+  };
+
+  // Add a period that may span several days
+  const addPeriod = (startsAt, endsAt) => {
+    for (let day = startOfDay(startsAt); day < endsAt; day.setDate(day.getDate() + 1)) {
+      add(new Date(day), [minutesInto(day, startsAt), minutesInto(day, endsAt)]);
+    }
+  };
+
+  sessions.forEach(session => {
+    const start = toMinutes(session.startTime);
+    let end = toMinutes(session.endTime);
+    // Sessions ending after midnight keep the coach busy for the rest of the day
+    if (end <= start) end = MINUTES_PER_DAY;
+    add(startOfDay(session.sessionDate), [start, end]);
+  });
+  bookings.forEach(booking => addPeriod(booking.startsAt, booking.endsAt));
+  timeOff.forEach(period => addPeriod(period.startsAt, period.endsAt));
+
+  return busy;
+};
+
+/**
+ * Get the free time of a coach, day by day
+ * @param {Object} coachProfile - CoachProfile document
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Promise<Array>} [{ date, weekday, free: [{ startTime, endTime }] }]
+ */
+exports.getCoachAvailability = async (coachProfile, from, to) => {
+  const firstDay = startOfDay(from);
+  const end = startOfDay(to);
+  end.setDate(end.getDate() + 1);
+
+  const coachUserId = coachProfile.user._id || coachProfile.user;
+  const busy = await loadBusyIntervals(coachUserId, firstDay, end);
+  const now = new Date();
+  const availability = coachProfile.availability || {};
+
+  const days = [];
+  for (let day = new Date(firstDay); day < end; day.setDate(day.getDate() + 1)) {
+    const weekday = WEEKDAYS[day.getDay()];
+    const slots = availability[weekday] || [];
+
+    let free = slots
+      .filter(slot => slot.startTime && slot.endTime)
+      .map(slot => [toMinutes(slot.startTime), toMinutes(slot.endTime)])
+      .filter(([start, finish]) => finish > start);
+
+    free = subtract(free, busy.get(day.getTime()) || []);
+
+    // Nothing can be booked in the past
+    const dayEnd = new Date(day);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+    if (now > day) free = subtract(free, [[0, now < dayEnd ? minutesInto(day, now) : MINUTES_PER_DAY]]);
+
+    // Align to the booking grid and drop gaps too short to book
+    free = free
+      .map(([start, finish]) => [Math.ceil(start / SLOT_MINUTES) * SLOT_MINUTES, Math.floor(finish / SLOT_MINUTES) * SLOT_MINUTES])
+      .filter(([start, finish]) => finish - start >= MIN_BOOKING_MINUTES)
+      .sort((a, b) => a[0] - b[0]);
+
+    days.push({
+      date: formatDay(day),
+      weekday,
+      free: free.map(([start, finish]) => ({ startTime: formatMinutes(start), endTime: formatMinutes(finish) })),
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Get the start and end of a training session as dates
+ * @param {Object} session - TrainingSession document
+ * @returns {Object} { startsAt, endsAt }
+ */
+exports.sessionPeriod = (session) => {
+  const day = startOfDay(session.sessionDate);
+  const start = toMinutes(session.startTime);
+  let end = toMinutes(session.endTime);
+  if (end <= start) end += MINUTES_PER_DAY;
+
+  const startsAt = new Date(day);
+  startsAt.setMinutes(start);
+  const endsAt = new Date(day);
+  endsAt.setMinutes(end);
+
+  return { startsAt, endsAt };
+};
+
+/**
+ * Check whether a coach is free for a whole period on one day
+ * @param {Object} coachProfile - CoachProfile document
+ * @param {Date} startsAt - Start
+ * @param {Date} endsAt - End
+ * @returns {Promise<Boolean>} True if the period is free
+ */
+exports.isCoachAvailable = async (coachProfile, startsAt, endsAt) => {
+  const day = startOfDay(startsAt);
+  if (startOfDay(endsAt - 1).getTime() !== day.getTime()) return false;
+
+  const [{ free }] = await exports.getCoachAvailability(coachProfile, day, day);
+  const start = minutesInto(day, startsAt);
+  const end = minutesInto(day, endsAt);
+
+  return free.some(window => toMinutes(window.startTime) <= start && toMinutes(window.endTime) >= end);
+};
+
+exports.WEEKDAYS = WEEKDAYS;
+exports.MIN_BOOKING_MINUTES = MIN_BOOKING_MINUTES;
+exports.toMinutes = toMinutes;
+exports.startOfDay = startOfDay;
+exports.parseDay = parseDay;
+exports.requireDay = requireDay;
+exports.formatDay = formatDay;
+exports.formatMinutes = formatMinutes;
+exports.minutesInto = minutesInto;
+exports.subtract = subtract;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const Booking = require('../models/bookingModel');
+const TimeOff = require('../models/timeOffModel');
+const { mockQuery } = require('../utils/testHelpers');
+const {
+  parseDay,
+  requireDay,
+  formatDay,
+  subtract,
+  sessionPeriod,
+  getCoachAvailability,
+  isCoachAvailable,
+} = require('./availabilityService');
+
+/**
+ * Get the next Monday at least a week away
+ * @returns {Date} Start of the day
+ */
+const nextMonday = () => {
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + 7 + ((8 - day.getDay()) % 7));
+  return day;
+};
+
+/**
+ * Get a time on a day
+ * @param {Date} day - Start of the day
+ * @param {Number} hours - Hours
+ * @param {Number} [minutes] - Minutes
+ * @returns {Date} Date
+ */
+const at = (day, hours, minutes = 0) => {
+  const date = new Date(day);
+  date.setHours(hours, minutes);
+  return date;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseDay', () => {
+  it('parses a date as local midnight', () => {
+    const day = parseDay('2024-03-04');
+
+    expect(formatDay(day)).toBe('2024-03-04');
+    expect(day.getHours()).toBe(0);
+  });
+
+  it('rejects dates that do not exist', () => {
+    expect(parseDay('2024-02-30')).toBeNull();
+    expect(parseDay('04/03/2024')).toBeNull();
+    expect(parseDay(undefined)).toBeNull();
+  });
+});
+
+describe('requireDay', () => {
+  it('throws a 400 naming the field', () => {
+    expect(() => requireDay('2023-02-29', 'From')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'From is not a valid date',
+    }));
+  });
+});
+
+describe('subtract', () => {
+  it('cuts busy intervals out of free ones', () => {
+    expect(subtract([[540, 720]], [[600, 660]])).toEqual([[540, 600], [660, 720]]);
+    expect(subtract([[540, 720]], [[500, 560], [700, 800]])).toEqual([[560, 700]]);
+    expect(subtract([[540, 600]], [[540, 600]])).toEqual([]);
+  });
+});
+
+describe('sessionPeriod', () => {
+  it('ends sessions that run past midnight on the next day', () => {
+    const { startsAt, endsAt } = sessionPeriod({ sessionDate: new Date(2024, 2, 4), startTime: '23:00', endTime: '01:00' });
+
+    expect(startsAt).toEqual(new Date(2024, 2, 4, 23));
+    expect(endsAt).toEqual(new Date(2024, 2, 5, 1));
+  });
+});
+
+describe('getCoachAvailability', () => {
+  const monday = nextMonday();
+  const coachProfile = {
+    user: new mongoose.Types.ObjectId(),
+    availability: { monday: [{ startTime: '09:00', endTime: '13:00' }] },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([
+      { sessionDate: monday, startTime: '10:00', endTime: '11:00' },
+    ]));
+    jest.spyOn(Booking, 'find').mockReturnValue(mockQuery([
+      { startsAt: at(monday, 12), endsAt: at(monday, 12, 15) },
+    ]));
+    jest.spyOn(TimeOff, 'findApprovedOverlapping').mockResolvedValue([]);
+  });
+
+  it('leaves out sessions, bookings and gaps too short to book', async () => {
+    const [day, tuesday] = await getCoachAvailability(coachProfile, monday, new Date(monday.getTime() + 24 * 60 * 60 * 1000));
+
+    expect(day.weekday).toBe('monday');
+    expect(day.free).toEqual([
+      { startTime: '09:00', endTime: '10:00' },
+      { startTime: '11:00', endTime: '12:00' },
+      { startTime: '12:15', endTime: '13:00' },
+    ]);
+    expect(tuesday.free).toEqual([]);
+  });
+
+  it('treats approved time off as busy', async () => {
+    TimeOff.findApprovedOverlapping.mockResolvedValue([{ startsAt: at(monday, 0), endsAt: at(monday, 11) }]);
+
+    const [day] = await getCoachAvailability(coachProfile, monday, monday);
+
+    expect(day.free[0]).toEqual({ startTime: '11:00', endTime: '12:00' });
+  });
+
+  it('checks whether a whole period is free', async () => {
+    expect(await isCoachAvailable(coachProfile, at(monday, 9), at(monday, 10))).toBe(true);
+    expect(await isCoachAvailable(coachProfile, at(monday, 9, 30), at(monday, 10, 30))).toBe(false);
+  });
+});
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+const Subscription = require('../models/subscriptionModel');
+const SubscriptionPlan = require('../models/subscriptionPlanModel');
+const StudentProfile = require('../models/studentProfileModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+const { isOwner } = require('./permissionService');
+const { isCoachAvailable, requireDay, toMinutes } = require('./availabilityService');
+
+/**
+ * Private session booking service
+ * Students (or their guardians) book 1:1 sessions in a coach's free time.
+ * Each booking uses one of the coach sessions included in the student's plan
+ * (`SubscriptionPlan.allowedCoachSessions`) and, for plans with a session
+ * limit, one of the subscription's `remainingSessions`. The coach confirms or
+ * declines the booking; cancelling early enough gives the session back.
+ */
+
+// Hours before the start until which a student can cancel and keep the session credit
+const CANCELLATION_HOURS = Number(process.env.BOOKING_CANCELLATION_HOURS) || 24;
+
+/**
+ * Format a booking's start for notifications
+ * @param {Object} booking - Booking document
+ * @returns {String} e.g. "Mon Mar 04 2024 at 17:00"
+ */
+const describeStart = (booking) =>
+  `${booking.startsAt.toDateString()} at ${booking.startsAt.toTimeString().slice(0, 5)}`;
+
+/**
+ * Notify a user about a booking
+ * @param {Object|String} recipient - User or user ID
+ * @param {Object} booking - Booking document
+ * @param {String} title - Notification title
+ * @param {String} message - Notification message
+ * @param {String} [priority] - Notification priority
+ */
+const notify = (recipient, booking, title, message, priority) => Notification.create({
+  recipient: recipient._id || recipient,
+  type: 'booking',
+  title,
+  message,
+  related: {
+    model: 'Booking',
+    id: booking._id,
+  },
+  priority,
+});
+
+/**
+ * Find the student profile a booking is made for and check the user may book for them
+ * @param {Object} user - User making the booking
+ * @param {String} [studentId] - StudentProfile or User ID; the user's own profile when omitted
+ * @param {String} scope - Scope of the user's booking:create permission
+ * @returns {Promise<Object>} StudentProfile document
+ */
+const resolveStudent = async (user, studentId, scope) => {
+  let profile;
+  if (studentId) {
+    profile = mongoose.isValidObjectId(studentId)
+      ? await StudentProfile.findOne({ $or: [{ _id: studentId }, { user: studentId }] })
+      : null;
+  } else {
+    profile = await StudentProfile.findOne({ user: user._id });
+  }
+
+  if (!profile || !profile.user) {
+    throw new AppError(studentId ? 'Student not found' : 'Please choose the student to book for', 404);
+  }
+  if (scope === 'own' && !isOwner(user, profile)) {
+    throw new AppError('You can only book sessions for yourself or the students you look after', 403);
+  }
+  if (profile.requiresGuardianConsent) {
+    throw new AppError('A guardian must give consent before this student can book sessions. Invite a guardian to continue.', 403);
+  }
+
+  return profile;
+};
+
+/**
+ * Use a coach session credit from one of the student's active subscriptions.
+ * The conditional updates keep concurrent bookings from overspending credits.
+ * @param {Object} profile - StudentProfile document
+ * @param {Date} startsAt - Start of the booking
+ * @param {String} [subscriptionId] - Subscription to use; any eligible one when omitted
+ * @returns {Promise<Object>} { subscription, sessionDeducted }
+ */
+const reserveCredit = async (profile, startsAt, subscriptionId) => {
+  const filter = {
+    student: { $in: [profile._id, profile.user._id || profile.user] },
+    status: 'active',
+    startDate: { $lte: startsAt },
+    endDate: { $gte: startsAt },
+  };
+  if (subscriptionId) filter._id = subscriptionId;
+
+  const subscriptions = await Subscription.find(filter).sort({ endDate: 1 }).lean();
+  if (subscriptions.length === 0) {
+    throw new AppError('An active subscription covering the session date is required to book a coach', 403);
+  }
+
+  const plans = await SubscriptionPlan.find({ _id: { $in: subscriptions.map(s => s.plan._id || s.plan) } })
+    .select('allowedCoachSessions');
+  const allowance = new Map(plans.map(plan => [plan._id.toString(), plan.allowedCoachSessions || 0]));
+
+  for (const subscription of subscriptions) {
+    const allowed = allowance.get((subscription.plan._id || subscription.plan).toString()) || 0;
+    if (allowed <= 0) continue;
+    const limited = subscription.remainingSessions !== null && subscription.remainingSessions !== undefined;
+
+    const claimed = await Subscription.updateOne(
+      {
+        _id: subscription._id,
+        status: 'active',
+        $and: [
+          { $or: [{ coachSessionsUsed: { $lt: allowed } }, { coachSessionsUsed: { $exists: false } }] },
+          limited ? { remainingSessions: { $gt: 0 } } : { remainingSessions: null },
+        ],
+      },
+      { $inc: limited ? { coachSessionsUsed: 1, remainingSessions: -1 } : { coachSessionsUsed: 1 } }
+    );
+
+    if (claimed.modifiedCount > 0) {
+      return { subscription: subscription._id, sessionDeducted: limited };
+    }
+  }
+
+  throw new AppError('No coach sessions left on your subscription', 403);
+};
+
+/**
+ * Give a booking's session credit back to its subscription
+ * @param {Object} booking - Booking document
+ */
+const refundCredit = async (booking) => {
+  await Subscription.updateOne(
+    { _id: booking.subscription, coachSessionsUsed: { $gt: 0 } },
+    { $inc: booking.sessionDeducted ? { coachSessionsUsed: -1, remainingSessions: 1 } : { coachSessionsUsed: -1 } }
+  );
+};
+
+/**
+ * Move a booking out of one of the given statuses. The status filter makes
+ * concurrent changes (a cancel racing a decline) apply only once.
+ * @param {Object} booking - Booking document
+ * @param {String[]} from - Statuses the booking may be in
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object>} Updated booking
+ * @throws {AppError} When the booking is no longer in one of the statuses
+ */
+const changeStatus = async (booking, from, changes) => {
+  const releases = !Booking.HOLDING_STATUSES.includes(changes.status);
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: from } },
+    { $set: { ...changes, ...(releases ? { slotKeys: [] } : {}) } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError(`This booking is ${booking.status} and cannot be changed`, 409);
+  }
+  return updated;
+};
+
+/**
+ * Book a private session with a coach
+ * @param {Object} coachProfile - CoachProfile document
+ * @param {Object} user - User making the booking
+ * @param {Object} details - Validated booking details
+ * @param {String} scope - Scope of the user's booking:create permission
+ * @returns {Promise<Object>} Booking document
+ */
+exports.createBooking = async (coachProfile, user, details, scope) => {
+  const coachUserId = coachProfile.user._id || coachProfile.user;
+  const profile = await resolveStudent(user, details.student, scope);
+  const studentUserId = profile.user._id || profile.user;
+
+  if (studentUserId.toString() === coachUserId.toString()) {
+    throw new AppError('Coaches cannot book sessions with themselves', 400);
+  }
+
+  const startsAt = requireDay(details.date, 'Date');
+  startsAt.setMinutes(toMinutes(details.startTime));
+  const endsAt = new Date(startsAt.getTime() + details.duration * 60 * 1000);
+
+  if (startsAt <= new Date()) {
+    throw new AppError('Sessions can only be booked in the future', 400);
+  }
+  if (!(await isCoachAvailable(coachProfile, startsAt, endsAt))) {
+    throw new AppError('The coach is not available at that time', 409);
+  }
+
+  const { subscription, sessionDeducted } = await reserveCredit(profile, startsAt, details.subscription);
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      coach: coachUserId,
+      student: studentUserId,
+      bookedBy: user._id,
+      subscription,
+      sportCategory: details.sportCategory,
+      startsAt,
+      endsAt,
+      notes: details.notes,
+      slotKeys: Booking.slotKeysFor(startsAt, endsAt),
+      sessionDeducted,
+    });
+  } catch (error) {
+    await refundCredit({ subscription, sessionDeducted });
+    if (error.code === 11000) {
+      throw new AppError('Someone else just booked that time. Please pick another slot.', 409);
+    }
+    throw error;
+  }
+
+  const studentName = profile.user.name || 'A student';
+  await notify(coachUserId, booking, 'New session request',
+    `${studentName} requested a private session on ${describeStart(booking)}. Please confirm or decline it.`, 'high');
+
+  return booking;
+};
+
+/**
+ * Confirm a pending booking
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.confirmBooking = async (booking) => {
+  const updated = await changeStatus(booking, ['pending'], { status: 'confirmed', confirmedAt: Date.now() });
+
+  await notify(updated.student, updated, 'Session confirmed',
+    `Your private session on ${describeStart(updated)} has been confirmed.`);
+
+  return updated;
+};
+
+/**
+ * Decline a pending booking and give the session credit back
+ * @param {Object} booking - Booking document
+ * @param {String} [reason] - Explanation for the student
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.declineBooking = async (booking, reason) => {
+  const updated = await changeStatus(booking, ['pending'], {
+    status: 'declined',
+    declinedAt: Date.now(),
+    declineReason: reason,
+    creditRefunded: true,
+  });
+  await refundCredit(updated);
+
+  await notify(updated.student, updated, 'Session declined',
+    `Your private session request for ${describeStart(updated)} was declined${reason ? `: ${reason}` : ''}. The session has been returned to your subscription.`);
+
+  return updated;
+};
+
+/**
+ * Cancel a booking. Students who cancel within the cancellation window lose
+ * the session credit; cancellations by the coach or staff always return it.
+ * @param {Object} booking - Booking document
+ * @param {Object} user - User cancelling
+ * @param {Object} options
+ * @param {Boolean} options.onStudentSide - Whether the student (or their guardian) is cancelling
+ * @param {String} [options.reason] - Cancellation reason
+ * @returns {Promise<Object>} Updated booking
+ */
+exports.cancelBooking = async (booking, user, { onStudentSide, reason }) => {
+  if (booking.startsAt <= new Date()) {
+    throw new AppError('Sessions that have started can no longer be cancelled', 400);
+  }
+
+  const hoursLeft = (booking.startsAt - Date.now()) / (60 * 60 * 1000);
+  const refund = !onStudentSide || hoursLeft >= CANCELLATION_HOURS;
+
+  const updated = await changeStatus(booking, Booking.HOLDING_STATUSES, {
+    status: 'cancelled',
+    cancelledAt: Date.now(),
+    cancelledBy: user._id,
+    cancelReason: reason,
+    creditRefunded: refund,
+  });
+  if (refund) await refundCredit(updated);
+
+  if (onStudentSide) {
+    await notify(updated.coach, updated, 'Session cancelled',
+      `The private session on ${describeStart(updated)} was cancelled by the student${reason ? `: ${reason}` : ''}.`);
+  } else {
+    await notify(updated.student, updated, 'Session cancelled',
+      `Your private session on ${describeStart(updated)} was cancelled${reason ? `: ${reason}` : ''}. The session has been returned to your subscription.`, 'high');
+  }
+
+  return updated;
+};
+
+/**
+ * Expire requests the coach never answered and complete sessions that took place
+ * @returns {Promise<Object>} { expired, completed }
+ */
+exports.closePastBookings = async () => {
+  const now = new Date();
+  let expired = 0;
+
+  const unanswered = await Booking.find({ status: 'pending', startsAt: { $lte: now } });
+  for (const booking of unanswered) {
+    try {
+      const updated = await changeStatus(booking, ['pending'], { status: 'expired', creditRefunded: true });
+      await refundCredit(updated);
+      await notify(updated.student, updated, 'Session request expired',
+        `The coach did not confirm your private session on ${describeStart(updated)}. The session has been returned to your subscription.`);
+      expired += 1;
+    } catch (error) {
+      // Confirmed or cancelled in the meantime
+      if (!(error instanceof AppError)) throw error;
+    }
+  }
+
+  const completed = await Booking.updateMany(
+    { status: 'confirmed', endsAt: { $lte: now } },
+    { $set: { status: 'completed', slotKeys: [] } }
+  );
+
+  return { expired, completed: completed.modifiedCount };
+};
+
+exports.CANCELLATION_HOURS = CANCELLATION_HOURS;
+exports.resolveStudent = resolveStudent;
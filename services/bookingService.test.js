@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+const Subscription = require('../models/subscriptionModel');
+const SubscriptionPlan = require('../models/subscriptionPlanModel');
+const StudentProfile = require('../models/studentProfileModel');
+const Notification = require('../models/notificationModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { isCoachAvailable } = require('./availabilityService');
+const { createBooking, cancelBooking } = require('./bookingService');
+
+jest.mock('./availabilityService', () => ({
+  ...jest.requireActual('./availabilityService'),
+  isCoachAvailable: jest.fn(),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coachProfile = { user: id() };
+const studentUser = { _id: id(), name: 'Jane', role: 'student' };
+const plan = { _id: id(), allowedCoachSessions: 4 };
+
+/**
+ * Get tomorrow's date as YYYY-MM-DD
+ * @returns {String} Date string
+ */
+const tomorrow = () => {
+  const day = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+let claim;
+
+beforeEach(() => {
+  const profile = new StudentProfile({ user: studentUser._id });
+  jest.spyOn(StudentProfile, 'findOne').mockResolvedValue(profile);
+  jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([
+    { _id: id(), plan: plan._id, remainingSessions: 3 },
+  ]));
+  jest.spyOn(SubscriptionPlan, 'find').mockReturnValue(mockQuery([plan]));
+  claim = jest.spyOn(Subscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Booking, 'create').mockImplementation(async data => new Booking(data));
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+  isCoachAvailable.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('createBooking', () => {
+  const details = () => ({ date: tomorrow(), startTime: '17:00', duration: 60 });
+
+  it('uses a session credit and holds the booked slots', async () => {
+    const booking = await createBooking(coachProfile, studentUser, details(), 'own');
+
+    expect(claim.mock.calls[0][1]).toEqual({ $inc: { coachSessionsUsed: 1, remainingSessions: -1 } });
+    expect(booking.sessionDeducted).toBe(true);
+    expect(booking.slotKeys).toHaveLength(4);
+    expect(Notification.create.mock.calls[0][0].recipient).toBe(coachProfile.user);
+  });
+
+  it('rejects dates that do not exist', async () => {
+    await expect(createBooking(coachProfile, studentUser, { ...details(), date: '2030-02-30' }, 'own'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Date is not a valid date' });
+  });
+
+  it('rejects times the coach is not free', async () => {
+    isCoachAvailable.mockResolvedValue(false);
+
+    await expect(createBooking(coachProfile, studentUser, details(), 'own')).rejects.toMatchObject({ statusCode: 409 });
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('fails when the subscription has no coach sessions left', async () => {
+    claim.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(createBooking(coachProfile, studentUser, details(), 'own'))
+      .rejects.toThrow('No coach sessions left on your subscription');
+  });
+
+  it('gives the credit back when someone else booked the slot first', async () => {
+    Booking.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(createBooking(coachProfile, studentUser, details(), 'own')).rejects.toMatchObject({ statusCode: 409 });
+    expect(claim.mock.calls[1][1]).toEqual({ $inc: { coachSessionsUsed: -1, remainingSessions: 1 } });
+  });
+
+  it('refuses minors without guardian consent', async () => {
+    const minor = new StudentProfile({ user: studentUser._id, dateOfBirth: new Date(new Date().getFullYear() - 10, 0, 1) });
+    StudentProfile.findOne.mockResolvedValue(minor);
+
+    await expect(createBooking(coachProfile, studentUser, details(), 'own')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('cancelBooking', () => {
+  const bookingStarting = hoursFromNow => new Booking({
+    coach: coachProfile.user,
+    student: studentUser._id,
+    subscription: id(),
+    status: 'confirmed',
+    sessionDeducted: false,
+    startsAt: new Date(Date.now() + hoursFromNow * 60 * 60 * 1000),
+    endsAt: new Date(Date.now() + (hoursFromNow + 1) * 60 * 60 * 1000),
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const booking = bookingStarting(48);
+      booking.set(update.$set);
+      return booking;
+    });
+  });
+
+  it('keeps the credit when the student cancels late', async () => {
+    await cancelBooking(bookingStarting(2), studentUser, { onStudentSide: true });
+
+    expect(Booking.findOneAndUpdate.mock.calls[0][1].$set.creditRefunded).toBe(false);
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('always returns the credit when the coach cancels', async () => {
+    await cancelBooking(bookingStarting(2), { _id: coachProfile.user }, { onStudentSide: false });
+
+    expect(claim.mock.calls[0][1]).toEqual({ $inc: { coachSessionsUsed: -1 } });
+  });
+
+  it('refuses bookings changed by a concurrent request', async () => {
+    Booking.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(cancelBooking(bookingStarting(48), studentUser, { onStudentSide: true }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
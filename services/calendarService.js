@@ -0,0 +1,596 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const Tournament = require('../models/tournamentModel');
+const Facility = require('../models/facilityModel');
+const StudentProfile = require('../models/studentProfileModel');
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { hashToken } = require('../utils/passwordUtils');
+const { sessionPeriod, startOfDay, formatDay } = require('./availabilityService');
+const { expandRecurrence } = require('./trainingSessionService');
+const { facilityLocation } = require('./facilityService');
+const { buildUrl } = require('./mailService');
+
+/**
+ * Calendar service
+ * Builds read-only iCalendar (.ics) feeds that calendar apps subscribe to: a
+ * coach's training sessions, the sessions and tournament matches of a student
+ * (or of a guardian's students) and the fixture list of a public tournament.
+ *
+ * Personal feeds are reached through URLs containing a secret feed token.
+ * Each user has at most one; only its hash is stored, creating a new one
+ * revokes the old URLs.
+ *
+ * Occurrences of a recurring series are stored as separate sessions. In a
+ * feed they are folded back into one event with an RRULE built from the
+ * `recurrencePattern`; days without an occurrence in the feed become
+ * EXDATEs and occurrences that were moved, changed or cancelled are sent as
+ * overrides (RECURRENCE-ID). Cancelled sessions and matches stay in the feed
+ * with STATUS:CANCELLED, so subscribed calendars show the cancellation.
+ *
+ * Times are written in the server's time zone.
+ */
+
+const ACADEMY_NAME = process.env.ACADEMY_NAME || 'Sports Academy';
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const UTC_ZONE = /^(Etc\/)?(UTC|GMT)$/;
+
+// Feeds reach this far back so recent sessions stay in the calendar
+const PAST_DAYS = 90;
+
+// Length assumed for tournament matches without an end time
+const MATCH_MINUTES = 60;
+
+// Feeds each role can subscribe to
+const FEEDS_BY_ROLE = {
+  coach: ['coach'],
+  student: ['student'],
+  guardian: ['student'],
+};
+
+const BYDAY = {
+  sunday: 'SU',
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA',
+};
+
+/**
+ * Get the domain that makes event UIDs unique
+ * @returns {String} Host name
+ */
+const uidDomain = () => {
+  try {
+    return new URL(process.env.APP_URL).hostname;
+  } catch (error) {
+    return 'sports-academy';
+  }
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into lines of at most 75 octets
+ * @param {String} line - Content line
+ * @returns {String} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a moment in UTC
+ * @param {Date} date - Moment
+ * @returns {String} YYYYMMDDTHHMMSSZ
+ */
+const formatUtc = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a moment as a date-time property value in the server's time zone
+ * @param {String} name - Property name
+ * @param {Date|Date[]} dates - Moment, or moments for a list property
+ * @returns {String} Content line
+ */
+const dateTimeLine = (name, dates) => {
+  const list = [].concat(dates);
+  if (UTC_ZONE.test(TIME_ZONE)) {
+    return `${name}:${list.map(formatUtc).join(',')}`;
+  }
+
+  const local = date => `${formatDay(date).replace(/-/g, '')}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${name};TZID=${TIME_ZONE}:${list.map(local).join(',')}`;
+};
+
+/**
+ * Turn a location into one line of text
+ * @param {Object|String} location - { name, address } or text
+ * @returns {String|null} Location
+ */
+const describeLocation = (location) => {
+  if (!location) return null;
+  if (typeof location === 'string') return location;
+
+  const address = location.address || {};
+  return [location.name, address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ') || null;
+};
+
+/**
+ * Render an event
+ * @param {Object} event - { uid, start, end, allDay, summary, description, location,
+ *   coordinates, cancelled, updatedAt, recurrenceId, rrule, exdates }
+ * @returns {String[]} Content lines
+ */
+const renderEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${uidDomain()}`,
+    // Feeds have no METHOD, so DTSTAMP is when the event last changed
+    `DTSTAMP:${formatUtc(event.updatedAt || Date.now())}`,
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDay(event.start).replace(/-/g, '')}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDay(event.end).replace(/-/g, '')}`);
+  } else {
+    lines.push(dateTimeLine('DTSTART', event.start));
+    lines.push(dateTimeLine('DTEND', event.end));
+  }
+  if (event.recurrenceId) lines.push(dateTimeLine('RECURRENCE-ID', event.recurrenceId));
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.exdates && event.exdates.length) lines.push(dateTimeLine('EXDATE', event.exdates));
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.coordinates) lines.push(`GEO:${event.coordinates[1]};${event.coordinates[0]}`);
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Render a calendar
+ * @param {String} name - Calendar name shown by calendar apps
+ * @param {Array} events - Events (see renderEvent)
+ * @returns {String} iCalendar text
+ */
+const renderCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(ACADEMY_NAME)}//Schedule//EN`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    // Ask calendar apps to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(renderEvent),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Build the RRULE of a recurrence pattern
+ * @param {Object} pattern - { frequency, interval, daysOfWeek, endDate }
+ * @returns {String} RRULE value
+ */
+const recurrenceRule = ({ frequency, interval, daysOfWeek, endDate }) => {
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (frequency === 'weekly') {
+    // Series weeks start on Sunday (see trainingSessionService)
+    parts.push('WKST=SU');
+    if (daysOfWeek && daysOfWeek.length) {
+      parts.push(`BYDAY=${[...new Set(daysOfWeek)].map(day => BYDAY[day]).join(',')}`);
+    }
+  }
+
+  // UNTIL has to be in UTC when DTSTART has a time zone
+  const lastDay = startOfDay(endDate);
+  lastDay.setHours(23, 59, 59);
+  parts.push(`UNTIL=${formatUtc(lastDay)}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Get a moment on a day at a session's start time
+ * @param {Date} day - Start of the day
+ * @param {String} time - HH:MM
+ * @returns {Date} Moment
+ */
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Describe a training session as an event
+ * @param {Object} session - TrainingSession (lean, with coach and sport populated)
+ * @param {String[]} [students] - Names of the students it is on the calendar for
+ * @returns {Object} Event
+ */
+const sessionEvent = (session, students = []) => {
+  const { startsAt, endsAt } = sessionPeriod(session);
+  const location = session.location || {};
+  const cancelled = session.status === 'cancelled';
+
+  return {
+    uid: `session-${session._id}`,
+    start: startsAt,
+    end: endsAt,
+    summary: students.length ? `${session.title} (${students.join(', ')})` : session.title,
+    description: [
+      cancelled && `Cancelled${session.cancellationReason ? `: ${session.cancellationReason}` : ''}`,
+      session.description,
+      session.sportCategory && session.sportCategory.name && `Sport: ${session.sportCategory.name}`,
+      session.coach && session.coach.name && `Coach: ${session.coach.name}`,
+      session.level && session.level !== 'all' && `Level: ${session.level}`,
+    ].filter(Boolean).join('\n'),
+    location: describeLocation(location),
+    coordinates: location.coordinates && location.coordinates.length === 2 ? location.coordinates : null,
+    cancelled,
+    updatedAt: session.updatedAt,
+  };
+};
+
+/**
+ * Fold the occurrences of one series with one recurrence pattern into an
+ * event with an RRULE, plus overrides and events for stray occurrences
+ * @param {String} uid - UID of the series event
+ * @param {Array} occurrences - Sessions, in order
+ * @param {Function} describe - Turns a session into an event
+ * @returns {Array} Events
+ */
+const seriesEvents = (uid, occurrences, describe) => {
+  // The series event starts at the first occurrence that goes ahead; an
+  // RRULE is only worth it for two or more
+  const live = occurrences.filter(session => session.status !== 'cancelled');
+  if (live.length < 2) return occurrences.map(session => describe(session));
+
+  const master = live[0];
+  let days;
+  try {
+    days = expandRecurrence(startOfDay(master.sessionDate), master.recurrencePattern);
+  } catch (error) {
+    return occurrences.map(session => describe(session));
+  }
+
+  const byDay = new Map();
+  occurrences.forEach((session) => {
+    const day = formatDay(startOfDay(session.sessionDate));
+    if (!byDay.has(day)) byDay.set(day, session);
+  });
+
+  // Occurrences that differ from the series event are sent as overrides
+  const masterEvent = describe(master);
+  const signature = (session, event) => JSON.stringify([
+    session.startTime, session.endTime, event.summary, event.description, event.location, event.cancelled,
+  ]);
+  const masterSignature = signature(master, masterEvent);
+
+  const events = [];
+  const covered = new Set([master]);
+  const exdates = [];
+  let updatedAt = masterEvent.updatedAt;
+
+  days.forEach((day) => {
+    const recurrenceId = atTime(day, master.startTime);
+    const session = byDay.get(formatDay(day));
+    if (!session) {
+      exdates.push(recurrenceId);
+      return;
+    }
+    if (session === master) return;
+
+    covered.add(session);
+    const event = describe(session);
+    if (event.updatedAt > updatedAt) updatedAt = event.updatedAt;
+    if (signature(session, event) !== masterSignature) {
+      events.push({ ...event, uid, recurrenceId });
+    }
+  });
+
+  events.unshift({
+    ...masterEvent,
+    uid,
+    rrule: recurrenceRule(master.recurrencePattern),
+    exdates,
+    updatedAt,
+  });
+
+  // Occurrences off the pattern, e.g. cancelled ones before the series event
+  occurrences
+    .filter(session => !covered.has(session))
+    .forEach(session => events.push(describe(session)));
+
+  return events;
+};
+
+/**
+ * Turn training sessions into events, folding recurring series
+ * @param {Array} sessions - Sessions, in date order
+ * @param {Function} [studentsOf] - Names of the students a session is on the calendar for
+ * @returns {Array} Events
+ */
+const sessionEvents = (sessions, studentsOf = () => []) => {
+  const describe = session => sessionEvent(session, studentsOf(session));
+  const events = [];
+  const series = new Map();
+
+  sessions.forEach((session) => {
+    const pattern = session.recurrencePattern;
+    if (!session.series || !pattern || !pattern.frequency || !pattern.endDate) {
+      events.push(describe(session));
+      return;
+    }
+
+    // Changing the recurrence of a whole series leaves past occurrences with
+    // the old pattern, so they are folded separately
+    const key = crypto.createHash('sha256')
+      .update(JSON.stringify([pattern.frequency, pattern.interval, pattern.daysOfWeek, pattern.endDate]))
+      .digest('hex')
+      .slice(0, 12);
+    const uid = `series-${session.series}-${key}`;
+    if (!series.has(uid)) series.set(uid, []);
+    series.get(uid).push(session);
+  });
+
+  series.forEach((occurrences, uid) => events.push(...seriesEvents(uid, occurrences, describe)));
+  return events;
+};
+
+/**
+ * Turn a tournament and some of its matches into events
+ * @param {Object} tournament - Tournament (lean)
+ * @param {Array} matches - Matches to include
+ * @param {Map} facilities - Facilities by ID, for the match locations
+ * @returns {Array} Events
+ */
+const tournamentEvents = (tournament, matches, facilities) => {
+  const tournamentCancelled = tournament.status === 'cancelled';
+  const end = startOfDay(tournament.endDate);
+  end.setDate(end.getDate() + 1);
+
+  const events = [{
+    uid: `tournament-${tournament._id}`,
+    allDay: true,
+    start: startOfDay(tournament.startDate),
+    end,
+    summary: tournament.name,
+    description: [
+      tournament.description,
+      tournament.sportCategory && tournament.sportCategory.name && `Sport: ${tournament.sportCategory.name}`,
+    ].filter(Boolean).join('\n'),
+    location: describeLocation(tournament.location),
+    cancelled: tournamentCancelled,
+    updatedAt: tournament.updatedAt,
+  }];
+
+  matches
+    .filter(match => match.startTime)
+    .forEach((match) => {
+      const start = new Date(match.startTime);
+      const facility = match.facility && facilities.get(String(match.facility));
+      const location = facility ? facilityLocation(facility) : tournament.location;
+      const teams = `${(match.team1 && match.team1.name) || 'TBD'} vs ${(match.team2 && match.team2.name) || 'TBD'}`;
+      const played = match.status === 'completed' && match.team1 && match.team2 &&
+        match.team1.score !== undefined && match.team2.score !== undefined;
+
+      events.push({
+        uid: `match-${match._id}`,
+        start,
+        end: match.endTime ? new Date(match.endTime) : new Date(start.getTime() + MATCH_MINUTES * 60 * 1000),
+        summary: `${tournament.name}: ${teams}`,
+        description: [
+          `Round ${match.round}, match ${match.matchNumber}`,
+          played && `Result: ${match.team1.score} - ${match.team2.score}`,
+          match.notes,
+        ].filter(Boolean).join('\n'),
+        location: [match.location, describeLocation(location)].filter(Boolean).join(', ') || null,
+        coordinates: location && location.coordinates && location.coordinates.length === 2 ? location.coordinates : null,
+        cancelled: tournamentCancelled || match.status === 'cancelled',
+        updatedAt: tournament.updatedAt,
+      });
+    });
+
+  return events;
+};
+
+/**
+ * Load the facilities tournament matches are played at
+ * @param {Array} tournaments - Tournaments (lean)
+ * @returns {Promise<Map>} Facilities by ID
+ */
+const loadMatchFacilities = async (tournaments) => {
+  const ids = tournaments.flatMap(tournament => (tournament.matches || [])
+    .filter(match => match.facility)
+    .map(match => match.facility));
+  if (!ids.length) return new Map();
+
+  const facilities = await Facility.find({ _id: { $in: ids } }).select('name location').lean();
+  return new Map(facilities.map(facility => [String(facility._id), facility]));
+};
+
+/**
+ * Get the first day personal feeds include
+ * @returns {Date} Start of the day
+ */
+const feedStart = () => {
+  const day = startOfDay(new Date());
+  day.setDate(day.getDate() - PAST_DAYS);
+  return day;
+};
+
+/**
+ * Get the feeds a user can subscribe to
+ * @param {Object} user - User document
+ * @returns {String[]} Feed names
+ */
+exports.feedsFor = user => FEEDS_BY_ROLE[user.role] || [];
+
+/**
+ * Build the subscription URLs of a user's feeds
+ * @param {Object} user - User document
+ * @param {String} token - Feed token
+ * @param {Object} [req] - Express request (used when APP_URL is not set)
+ * @returns {Object} URLs by feed name
+ */
+exports.feedUrls = (user, token, req) => Object.fromEntries(
+  exports.feedsFor(user).map(feed => [feed, buildUrl(req, `/api/v1/calendar/${token}/${feed}.ics`)])
+);
+
+/**
+ * Find the user a feed token belongs to
+ * @param {String} token - Feed token from the URL
+ * @param {String} feed - Requested feed
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} When the token is unknown, revoked or not valid for the feed
+ */
+exports.findFeedUser = async (token, feed) => {
+  const user = /^[0-9a-f]{64}$/.test(token || '')
+    ? await User.findOne({ calendarFeedToken: hashToken(token) })
+    : null;
+
+  // Unknown tokens and feeds look the same
+  if (!user || !exports.feedsFor(user).includes(feed)) {
+    throw new AppError('Calendar feed not found', 404);
+  }
+  return user;
+};
+
+/**
+ * Build a coach's feed: the training sessions they lead
+ * @param {Object} user - Coach
+ * @returns {Promise<String>} iCalendar text
+ */
+exports.getCoachFeed = async (user) => {
+  const sessions = await TrainingSession.find({ coach: user._id, sessionDate: { $gte: feedStart() } })
+    .select('-attendees -waitlist -feedback')
+    .sort({ sessionDate: 1, startTime: 1 })
+    .lean();
+
+  return renderCalendar(`${ACADEMY_NAME}: ${user.name}`, sessionEvents(sessions));
+};
+
+/**
+ * Build a student's feed: the sessions they are registered for and their
+ * tournaments and matches. A guardian's feed covers all their students.
+ * @param {Object} user - Student or guardian
+ * @returns {Promise<String>} iCalendar text
+ */
+exports.getStudentFeed = async (user) => {
+  const profiles = await StudentProfile.find(user.role === 'guardian' ? { 'guardians.user': user._id } : { user: user._id })
+    .select('user')
+    .lean();
+
+  // Sessions and tournaments reference students by user, some records by profile
+  const students = profiles.map(profile => ({
+    ids: [String(profile._id), profile.user && String(profile.user._id || profile.user)].filter(Boolean),
+    name: profile.user && profile.user.name,
+  }));
+  if (user.role !== 'guardian' && !profiles.length) {
+    students.push({ ids: [String(user._id)], name: user.name });
+  }
+  const ids = [...new Set(students.flatMap(student => student.ids))];
+
+  const since = feedStart();
+  const [sessions, tournaments] = await Promise.all([
+    TrainingSession.find({
+      sessionDate: { $gte: since },
+      attendees: { $elemMatch: { student: { $in: ids }, status: { $ne: 'cancelled' } } },
+    })
+      .select('-waitlist -feedback')
+      .sort({ sessionDate: 1, startTime: 1 })
+      .lean(),
+    Tournament.find({ endDate: { $gte: since }, 'teams.participants': { $in: ids } })
+      .select('-documents -prizes')
+      .sort({ startDate: 1 })
+      .lean(),
+  ]);
+
+  // A guardian's calendar says whose session it is
+  const studentsOf = (session) => {
+    if (user.role !== 'guardian') return [];
+    const registered = new Set(session.attendees
+      .filter(attendee => attendee.status !== 'cancelled')
+      .map(attendee => String(attendee.student)));
+    return students
+      .filter(student => student.name && student.ids.some(id => registered.has(id)))
+      .map(student => student.name);
+  };
+
+  const facilities = await loadMatchFacilities(tournaments);
+  const matchEvents = tournaments.flatMap((tournament) => {
+    const teams = new Set(tournament.teams
+      .filter(team => (team.participants || []).some(participant => ids.includes(String(participant))))
+      .map(team => String(team._id)));
+    const matches = (tournament.matches || []).filter(match =>
+      (match.team1 && teams.has(String(match.team1.teamId))) || (match.team2 && teams.has(String(match.team2.teamId))));
+    return tournamentEvents(tournament, matches, facilities);
+  });
+
+  return renderCalendar(`${ACADEMY_NAME}: ${user.name}`, [...sessionEvents(sessions, studentsOf), ...matchEvents]);
+};
+
+/**
+ * Build the fixture list of a public tournament
+ * @param {String} id - Tournament ID
+ * @returns {Promise<String>} iCalendar text
+ * @throws {AppError} When the tournament does not exist or is not public
+ */
+exports.getTournamentFeed = async (id) => {
+  const tournament = mongoose.isValidObjectId(id)
+    ? await Tournament.findOne({ _id: id, isPublic: true }).select('-documents -prizes').lean()
+    : null;
+  if (!tournament) {
+    throw new AppError('Tournament not found', 404);
+  }
+
+  const matches = [...(tournament.matches || [])]
+    .sort((a, b) => a.round - b.round || a.matchNumber - b.matchNumber);
+  const facilities = await loadMatchFacilities([tournament]);
+
+  return renderCalendar(tournament.name, tournamentEvents(tournament, matches, facilities));
+};
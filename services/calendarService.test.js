@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const Tournament = require('../models/tournamentModel');
+const StudentProfile = require('../models/studentProfileModel');
+const User = require('../models/userModel');
+const { hashToken } = require('../utils/passwordUtils');
+const { mockQuery } = require('../utils/testHelpers');
+const { findFeedUser, getCoachFeed, getStudentFeed, getTournamentFeed } = require('./calendarService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coach = { _id: id(), name: 'Alex', role: 'coach' };
+
+/**
+ * Build a lean training session
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} TrainingSession (lean)
+ */
+const session = fields => ({
+  _id: id(),
+  title: 'Juniors',
+  coach: { _id: coach._id, name: coach.name },
+  sessionDate: new Date(2030, 2, 4),
+  startTime: '17:00',
+  endTime: '18:00',
+  status: 'scheduled',
+  attendees: [],
+  ...fields,
+});
+
+/**
+ * Split a feed into its events, with folded lines joined again
+ * @param {String} feed - iCalendar text
+ * @returns {Array} Content lines of each event
+ */
+const eventsOf = feed => feed.replace(/\r\n /g, '').split('BEGIN:VEVENT\r\n').slice(1)
+  .map(event => event.split('\r\n'));
+
+/**
+ * Get the value of a property of an event
+ * @param {Array} event - Content lines
+ * @param {String} name - Property name
+ * @returns {String|undefined} Value
+ */
+const property = (event, name) => {
+  const line = event.find(entry => entry.startsWith(`${name}:`) || entry.startsWith(`${name};`));
+  return line && line.slice(line.indexOf(':') + 1);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findFeedUser', () => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  it('finds the user by the hash of the token', async () => {
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(coach);
+
+    expect(await findFeedUser(token, 'coach')).toBe(coach);
+    expect(findOne).toHaveBeenCalledWith({ calendarFeedToken: hashToken(token) });
+  });
+
+  it('hides feeds the user cannot subscribe to and malformed tokens', async () => {
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(coach);
+
+    await expect(findFeedUser(token, 'student')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(findFeedUser('not-a-token', 'coach')).rejects.toMatchObject({ statusCode: 404 });
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getCoachFeed', () => {
+  it('escapes text and folds long lines at 75 octets', async () => {
+    const description = `Bring water; rackets, balls\\nets\nÜben für das Turnier ${'é'.repeat(60)}`;
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([session({ title: 'Juniors, level 1', description })]));
+
+    const feed = await getCoachFeed(coach);
+
+    expect(feed.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    feed.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    const [event] = eventsOf(feed);
+    expect(property(event, 'SUMMARY')).toBe('Juniors\\, level 1');
+    expect(property(event, 'DESCRIPTION'))
+      .toBe(`Bring water\\; rackets\\, balls\\\\nets\\nÜben für das Turnier ${'é'.repeat(60)}\\nCoach: Alex`);
+    expect(property(event, 'STATUS')).toBe('CONFIRMED');
+  });
+
+  it('folds a series into one event with exceptions', async () => {
+    const series = id();
+    const recurrencePattern = { frequency: 'weekly', interval: 1, daysOfWeek: ['monday'], endDate: new Date(2030, 2, 25) };
+    const occurrence = (day, fields) => session({ series, recurrencePattern, sessionDate: new Date(2030, 2, day), ...fields });
+    // The occurrence on the 11th was deleted
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([
+      occurrence(4),
+      occurrence(18, { status: 'cancelled', cancellationReason: 'Storm' }),
+      occurrence(25),
+    ]));
+
+    const events = eventsOf(await getCoachFeed(coach));
+
+    expect(events).toHaveLength(2);
+    const [master, cancelled] = events;
+    expect(property(master, 'RRULE')).toMatch(/^FREQ=WEEKLY;WKST=SU;BYDAY=MO;UNTIL=\d{8}T\d{6}Z$/);
+    expect(property(master, 'EXDATE')).toMatch(/20300311T170000Z?$/);
+    expect(property(cancelled, 'UID')).toBe(property(master, 'UID'));
+    expect(property(cancelled, 'RECURRENCE-ID')).toMatch(/20300318T170000Z?$/);
+    expect(property(cancelled, 'STATUS')).toBe('CANCELLED');
+    expect(property(cancelled, 'DESCRIPTION')).toBe('Cancelled: Storm\\nCoach: Alex');
+  });
+
+  it('sends a series with a single session left as a plain event', async () => {
+    const recurrencePattern = { frequency: 'daily', endDate: new Date(2030, 2, 5) };
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([session({ series: id(), recurrencePattern })]));
+
+    const [event] = eventsOf(await getCoachFeed(coach));
+
+    expect(property(event, 'RRULE')).toBeUndefined();
+  });
+});
+
+describe('getStudentFeed', () => {
+  it('shows a guardian whose session it is and only their matches', async () => {
+    const guardian = { _id: id(), name: 'Pat', role: 'guardian' };
+    const ward = { _id: id(), user: { _id: id(), name: 'Sam' } };
+    const team = { _id: id(), participants: [ward.user._id] };
+    jest.spyOn(StudentProfile, 'find').mockReturnValue(mockQuery([ward]));
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([
+      session({ attendees: [{ student: ward.user._id, status: 'registered' }] }),
+    ]));
+    jest.spyOn(Tournament, 'find').mockReturnValue(mockQuery([{
+      _id: id(),
+      name: 'Spring Cup',
+      startDate: new Date(2030, 2, 9),
+      endDate: new Date(2030, 2, 10),
+      teams: [team, { _id: id(), participants: [id()] }],
+      matches: [
+        { _id: id(), round: 1, matchNumber: 1, startTime: new Date(2030, 2, 9, 10), team1: { teamId: team._id, name: 'Lions' } },
+        { _id: id(), round: 1, matchNumber: 2, startTime: new Date(2030, 2, 9, 11), team1: { teamId: id(), name: 'Tigers' } },
+      ],
+    }]));
+
+    const events = eventsOf(await getStudentFeed(guardian));
+
+    expect(events.map(event => property(event, 'SUMMARY'))).toEqual(['Juniors (Sam)', 'Spring Cup', 'Spring Cup: Lions vs TBD']);
+    expect(property(events[1], 'DTSTART')).toBe('20300309');
+    expect(property(events[1], 'DTEND')).toBe('20300311');
+  });
+});
+
+describe('getTournamentFeed', () => {
+  it('lists the fixtures of a public tournament with their results', async () => {
+    jest.spyOn(Tournament, 'findOne').mockReturnValue(mockQuery({
+      _id: id(),
+      name: 'Spring Cup',
+      startDate: new Date(2030, 2, 9),
+      endDate: new Date(2030, 2, 9),
+      matches: [
+        {
+          _id: id(),
+          round: 2,
+          matchNumber: 1,
+          startTime: new Date(2030, 2, 9, 14),
+          status: 'scheduled',
+        },
+        {
+          _id: id(),
+          round: 1,
+          matchNumber: 1,
+          startTime: new Date(2030, 2, 9, 10),
+          status: 'completed',
+          team1: { name: 'Lions', score: 2 },
+          team2: { name: 'Tigers', score: 1 },
+        },
+      ],
+    }));
+
+    const [, first, final] = eventsOf(await getTournamentFeed(String(id())));
+
+    expect(property(first, 'SUMMARY')).toBe('Spring Cup: Lions vs Tigers');
+    expect(property(first, 'DESCRIPTION')).toBe('Round 1\\, match 1\\nResult: 2 - 1');
+    expect(property(final, 'DTEND')).toMatch(/T150000Z?$/);
+  });
+
+  it('hides tournaments that are not public', async () => {
+    jest.spyOn(Tournament, 'findOne').mockReturnValue(mockQuery(null));
+
+    await expect(getTournamentFeed(String(id()))).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
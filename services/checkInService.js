@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { deriveSecret } = require('../utils/jwtUtils');
+const { sessionPeriod, startOfDay } = require('./availabilityService');
+const { recordCheckIn } = require('./attendanceService');
+
+/**
+ * Check-in service
+ * Students check themselves in to a training session by scanning the
+ * session's check-in code, which the coach shows as a QR code. The code is an
+ * HMAC of the session and the current time window, so it changes every
+ * CHECK_IN_CODE_SECONDS and a photo of it stops working soon after. Students
+ * can also be checked in at a front-desk kiosk by scanning their member code.
+ *
+ * Check-in opens CHECK_IN_OPENS_MINUTES before a session starts and closes
+ * when it ends. Students checking in more than CHECK_IN_LATE_MINUTES after
+ * the start are marked late. When a session has coordinates, self check-in
+ * only works within CHECK_IN_RADIUS_METERS of them (0 turns this off).
+ */
+
+const CODE_SECONDS = Number(process.env.CHECK_IN_CODE_SECONDS) || 60;
+const OPENS_MINUTES = Number(process.env.CHECK_IN_OPENS_MINUTES) || 30;
+const LATE_MINUTES = Number(process.env.CHECK_IN_LATE_MINUTES) || 10;
+const RADIUS_METERS = process.env.CHECK_IN_RADIUS_METERS === undefined
+  ? 200
+  : Number(process.env.CHECK_IN_RADIUS_METERS);
+
+// Prefixes of the QR payloads, so scanners can tell the codes apart
+const CHECK_IN_PREFIX = 'academy:check-in:';
+const MEMBER_PREFIX = 'academy:member:';
+
+/**
+ * Get the key codes are signed with
+ * @returns {String} Secret
+ */
+const secret = () => process.env.CHECK_IN_SECRET || deriveSecret('check-in');
+
+/**
+ * Sign a value
+ * @param {String} value - Value to sign
+ * @returns {String} Signature (base64url)
+ */
+const sign = value => crypto.createHmac('sha256', secret()).update(value).digest('base64url').slice(0, 22);
+
+/**
+ * Compare a signature in constant time
+ * @param {String} expected - Expected signature
+ * @param {String} actual - Signature to check
+ * @returns {Boolean} True if they match
+ */
+const sameSignature = (expected, actual) => {
+  if (typeof actual !== 'string') return false;
+
+  // Compare byte lengths: multibyte characters would make timingSafeEqual throw
+  const expectedBytes = Buffer.from(expected);
+  const actualBytes = Buffer.from(actual);
+  return actualBytes.length === expectedBytes.length && crypto.timingSafeEqual(expectedBytes, actualBytes);
+};
+
+/**
+ * Remove a QR payload prefix
+ * @param {String} code - Scanned code or payload
+ * @param {String} prefix - Payload prefix
+ * @returns {String} Code
+ */
+const stripPrefix = (code, prefix) => (code.startsWith(prefix) ? code.slice(prefix.length) : code).trim();
+
+/**
+ * Get the time window a moment falls in
+ * @param {Date} [now] - Moment
+ * @returns {Number} Window number
+ */
+const windowOf = (now = new Date()) => Math.floor(now.getTime() / (CODE_SECONDS * 1000));
+
+/**
+ * Get the current check-in code of a session
+ * @param {Object} session - TrainingSession document
+ * @param {Date} [now] - Current time
+ * @returns {Object} { code, payload, expiresAt, rotatesEvery } - `payload` is the QR content
+ */
+exports.getCheckInCode = (session, now = new Date()) => {
+  const window = windowOf(now);
+  const code = `${session._id}.${window}.${sign(`check-in:${session._id}:${window}`)}`;
+
+  return {
+    code,
+    payload: `${CHECK_IN_PREFIX}${code}`,
+    expiresAt: new Date((window + 1) * CODE_SECONDS * 1000),
+    rotatesEvery: CODE_SECONDS,
+  };
+};
+
+/**
+ * Check a session's check-in code. The previous code is still accepted so a
+ * scan just before it rotates goes through.
+ * @param {Object} session - TrainingSession document
+ * @param {String} input - Scanned code or QR payload
+ * @param {Date} [now] - Current time
+ * @returns {Boolean} True if valid
+ */
+exports.verifyCheckInCode = (session, input, now = new Date()) => {
+  const [sessionId, window, signature] = stripPrefix(input, CHECK_IN_PREFIX).split('.');
+  const current = windowOf(now);
+
+  if (sessionId !== String(session._id)) return false;
+  if (![current, current - 1].includes(Number(window))) return false;
+  return sameSignature(sign(`check-in:${sessionId}:${window}`), signature);
+};
+
+/**
+ * Get a student's member code, scanned at the front-desk kiosk
+ * @param {Object} user - Student's user document
+ * @returns {Object} { code, payload } - `payload` is the QR content
+ */
+exports.getMemberCode = (user) => {
+  const code = `${user._id}.${sign(`member:${user._id}`)}`;
+  return { code, payload: `${MEMBER_PREFIX}${code}` };
+};
+
+/**
+ * Read a member code
+ * @param {String} input - Scanned code or QR payload
+ * @returns {String|null} Student's user ID, or null if the code is not valid
+ */
+exports.parseMemberCode = (input) => {
+  const [userId, signature] = stripPrefix(input, MEMBER_PREFIX).split('.');
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return sameSignature(sign(`member:${userId}`), signature) ? userId : null;
+};
+
+/**
+ * Distance between two points on Earth (haversine)
+ * @param {Array} from - [longitude, latitude]
+ * @param {Array} to - [longitude, latitude]
+ * @returns {Number} Distance in meters
+ */
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const radians = degrees => degrees * Math.PI / 180;
+  const a = Math.sin(radians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * Math.sin(radians(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a session is open for check-in
+ * @param {Object} session - TrainingSession document
+ * @param {Date} [now] - Current time
+ * @returns {Boolean} True if it is
+ */
+const isOpen = (session, now = new Date()) => {
+  if (!['scheduled', 'in_progress'].includes(session.status)) return false;
+  const { startsAt, endsAt } = sessionPeriod(session);
+  return now >= new Date(startsAt.getTime() - OPENS_MINUTES * 60 * 1000) && now < endsAt;
+};
+
+/**
+ * Check a student in to a session
+ * @param {Object} session - TrainingSession document
+ * @param {Object} student - Student's user ID
+ * @param {Object} options - { method: 'qr'|'kiosk', position: [longitude, latitude] }
+ * @param {Object} user - User making the check-in
+ * @returns {Promise<Object>} Attendance document
+ */
+const checkIn = async (session, student, { method, position }, user) => {
+  const now = new Date();
+  if (!isOpen(session, now)) {
+    throw new AppError(`Check-in is open from ${OPENS_MINUTES} minutes before the session starts until it ends`, 400);
+  }
+
+  const attendee = session.attendees.find(entry =>
+    entry.student && String(entry.student._id || entry.student) === String(student) && entry.status !== 'cancelled');
+  if (!attendee) {
+    throw new AppError('Only students registered for this session can check in', 403);
+  }
+
+  const coordinates = session.location && session.location.coordinates;
+  if (method === 'qr' && RADIUS_METERS > 0 && coordinates && coordinates.length === 2) {
+    if (!position) {
+      throw new AppError('Please share your location to check in to this session', 400);
+    }
+    if (distanceMeters(position, coordinates) > RADIUS_METERS) {
+      throw new AppError('You need to be at the session\'s location to check in', 403);
+    }
+  }
+
+  const { startsAt } = sessionPeriod(session);
+  const status = now > new Date(startsAt.getTime() + LATE_MINUTES * 60 * 1000) ? 'late' : 'present';
+
+  return recordCheckIn(session, student, { status, method }, user);
+};
+
+/**
+ * Check the signed-in student in to a session with its check-in code
+ * @param {Object} session - TrainingSession document
+ * @param {Object} user - Student
+ * @param {Object} details - Validated { code, latitude, longitude }
+ * @returns {Promise<Object>} Attendance document
+ */
+exports.checkInWithCode = async (session, user, { code, latitude, longitude }) => {
+  if (!exports.verifyCheckInCode(session, code)) {
+    throw new AppError('This check-in code is not valid or has expired. Please scan it again.', 400);
+  }
+
+  const position = latitude !== undefined && longitude !== undefined ? [longitude, latitude] : null;
+  return checkIn(session, user._id, { method: 'qr', position }, user);
+};
+
+/**
+ * Find the sessions open for check-in now
+ * @param {Object} [filter] - Additional filter
+ * @returns {Promise<Array>} TrainingSession documents
+ */
+exports.getOpenSessions = async (filter = {}) => {
+  const now = new Date();
+  // Sessions that run past midnight started the day before
+  const from = startOfDay(now);
+  from.setDate(from.getDate() - 1);
+  const to = startOfDay(now);
+  to.setDate(to.getDate() + 1);
+
+  const sessions = await TrainingSession.find({
+    ...filter,
+    status: { $in: ['scheduled', 'in_progress'] },
+    sessionDate: { $gte: from, $lt: to },
+  }).select('-feedback').sort({ sessionDate: 1, startTime: 1 });
+
+  return sessions.filter(session => isOpen(session, now));
+};
+
+/**
+ * Check a student in at the kiosk by their member code
+ * @param {Object} details - Validated { memberCode, session }
+ * @param {Object} user - User running the kiosk
+ * @returns {Promise<Object>} { student, session, attendance }
+ */
+exports.kioskCheckIn = async ({ memberCode, session: sessionId }, user) => {
+  const studentId = exports.parseMemberCode(memberCode);
+  const student = studentId && await User.findById(studentId).select('name profileImage role');
+  if (!student || student.role !== 'student') {
+    throw new AppError('Member code not recognised', 404);
+  }
+
+  const filter = { attendees: { $elemMatch: { student: student._id, status: { $ne: 'cancelled' } } } };
+  if (sessionId) filter._id = sessionId;
+  const sessions = await exports.getOpenSessions(filter);
+
+  if (sessions.length === 0) {
+    throw new AppError(`${student.name} has no session to check in to right now`, 404);
+  }
+  if (sessions.length > 1) {
+    const list = sessions.map(session => `"${session.title}" at ${session.startTime} (${session._id})`);
+    throw new AppError(`${student.name} is registered for several sessions now: ${list.join(', ')}. Please choose the session.`, 409);
+  }
+
+  const attendance = await checkIn(sessions[0], student._id, { method: 'kiosk' }, user);
+  return { student, session: sessions[0], attendance };
+};
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const User = require('../models/userModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { recordCheckIn } = require('./attendanceService');
+const {
+  getCheckInCode,
+  verifyCheckInCode,
+  getMemberCode,
+  parseMemberCode,
+  checkInWithCode,
+  kioskCheckIn,
+} = require('./checkInService');
+
+jest.mock('./attendanceService', () => ({ recordCheckIn: jest.fn(async () => ({ status: 'present' })) }));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const student = { _id: id(), name: 'Sam', role: 'student' };
+
+/**
+ * Build a session that started a number of minutes ago and runs for two hours
+ * @param {Number} minutesAgo - Minutes since the start (negative if it starts later)
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} TrainingSession document
+ */
+const sessionStarted = (minutesAgo, fields) => {
+  const start = new Date(Date.now() - minutesAgo * 60 * 1000);
+  const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+  const time = date => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return new TrainingSession({
+    title: 'Juniors',
+    sessionDate: new Date(start.getFullYear(), start.getMonth(), start.getDate()),
+    startTime: time(start),
+    endTime: time(end),
+    attendees: [{ student: student._id, status: 'registered' }],
+    ...fields,
+  });
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  delete process.env.CHECK_IN_SECRET;
+});
+
+describe('verifyCheckInCode', () => {
+  const session = { _id: id() };
+  const now = new Date('2030-03-04T17:00:30Z');
+
+  it('accepts the current and the previous code, with or without the QR prefix', () => {
+    const { code, payload } = getCheckInCode(session, now);
+
+    expect(payload).toBe(`academy:check-in:${code}`);
+    expect(verifyCheckInCode(session, payload, now)).toBe(true);
+    expect(verifyCheckInCode(session, code, new Date(now.getTime() + 60 * 1000))).toBe(true);
+  });
+
+  it('rejects expired codes and codes of other sessions', () => {
+    const { code } = getCheckInCode(session, now);
+
+    expect(verifyCheckInCode(session, code, new Date(now.getTime() + 120 * 1000))).toBe(false);
+    expect(verifyCheckInCode({ _id: id() }, code, now)).toBe(false);
+  });
+
+  it('rejects tampered signatures', () => {
+    const { code } = getCheckInCode(session, now);
+
+    expect(verifyCheckInCode(session, `${code.slice(0, -1)}é`, now)).toBe(false);
+    expect(verifyCheckInCode(session, code.split('.').slice(0, 2).join('.'), now)).toBe(false);
+  });
+
+  it('signs with the check-in secret when one is set', () => {
+    const { code } = getCheckInCode(session, now);
+
+    process.env.CHECK_IN_SECRET = 'another-secret';
+
+    expect(verifyCheckInCode(session, code, now)).toBe(false);
+  });
+
+  it('derives the secret from the access token secret otherwise', () => {
+    const jwtSecret = process.env.JWT_SECRET;
+    const { code } = getCheckInCode(session, now);
+
+    process.env.JWT_SECRET = 'a-rotated-secret';
+
+    try {
+      expect(verifyCheckInCode(session, code, now)).toBe(false);
+    } finally {
+      if (jwtSecret === undefined) delete process.env.JWT_SECRET;
+      else process.env.JWT_SECRET = jwtSecret;
+    }
+  });
+});
+
+describe('parseMemberCode', () => {
+  it('reads back the student of a member code', () => {
+    const { code, payload } = getMemberCode(student);
+
+    expect(parseMemberCode(payload)).toBe(String(student._id));
+    expect(parseMemberCode(code)).toBe(String(student._id));
+  });
+
+  it('rejects forged and malformed codes', () => {
+    const { code } = getMemberCode(student);
+    const [, signature] = code.split('.');
+
+    expect(parseMemberCode(`${id()}.${signature}`)).toBeNull();
+    expect(parseMemberCode('not-a-member-code')).toBeNull();
+  });
+});
+
+describe('checkInWithCode', () => {
+  it('checks a registered student in on time', async () => {
+    const session = sessionStarted(5);
+
+    await checkInWithCode(session, student, { code: getCheckInCode(session).code });
+
+    expect(recordCheckIn).toHaveBeenCalledWith(session, student._id, { status: 'present', method: 'qr' }, student);
+  });
+
+  it('marks students arriving after the grace period late', async () => {
+    const session = sessionStarted(20);
+
+    await checkInWithCode(session, student, { code: getCheckInCode(session).code });
+
+    expect(recordCheckIn.mock.calls[0][2].status).toBe('late');
+  });
+
+  it('refuses students who are not registered and sessions that have not opened', async () => {
+    const other = sessionStarted(5, { attendees: [] });
+    const later = sessionStarted(-60);
+
+    await expect(checkInWithCode(other, student, { code: getCheckInCode(other).code })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(checkInWithCode(later, student, { code: getCheckInCode(later).code })).rejects.toMatchObject({ statusCode: 400 });
+    expect(recordCheckIn).not.toHaveBeenCalled();
+  });
+
+  it('requires students to be near a session with coordinates', async () => {
+    const session = sessionStarted(5, { location: { name: 'Court 1', coordinates: [-0.1276, 51.5072] } });
+    const { code } = getCheckInCode(session);
+
+    await expect(checkInWithCode(session, student, { code })).rejects.toThrow('Please share your location');
+    await expect(checkInWithCode(session, student, { code, longitude: -0.14, latitude: 51.5072 }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await checkInWithCode(session, student, { code, longitude: -0.1277, latitude: 51.5073 });
+    expect(recordCheckIn).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects codes that do not verify', async () => {
+    await expect(checkInWithCode(sessionStarted(5), student, { code: 'expired' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('kioskCheckIn', () => {
+  const kiosk = { _id: id(), role: 'admin' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(student));
+  });
+
+  it('checks the student in to their open session', async () => {
+    const session = sessionStarted(0);
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([session]));
+
+    const result = await kioskCheckIn({ memberCode: getMemberCode(student).payload }, kiosk);
+
+    expect(result.session).toBe(session);
+    expect(recordCheckIn).toHaveBeenCalledWith(session, student._id, { status: 'present', method: 'kiosk' }, kiosk);
+  });
+
+  it('asks which session when several are open', async () => {
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([sessionStarted(0), sessionStarted(10)]));
+
+    await expect(kioskCheckIn({ memberCode: getMemberCode(student).code }, kiosk)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('rejects member codes of other accounts', async () => {
+    User.findById.mockReturnValue(mockQuery({ ...student, role: 'coach' }));
+
+    await expect(kioskCheckIn({ memberCode: getMemberCode(student).code }, kiosk)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
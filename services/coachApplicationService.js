@@ -0,0 +1,331 @@
+const fs = require('fs');
+const User = require('../models/userModel');
+const CoachProfile = require('../models/coachProfileModel');
+const CoachApplication = require('../models/coachApplicationModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+const { queueMail } = require('./mailService');
+
+/**
+ * Coach application service
+ * Self-registered coaches fill in an application (bio, expertise,
+ * certifications with documents, background-check consent) and submit it.
+ * Reviewers verify each certification document and approve or reject the
+ * application. Approval creates the coach profile and approves the account;
+ * a rejected application can be edited and submitted again.
+ */
+
+/**
+ * Notify a user about their application, or the reviewers about a new one
+ * @param {Object|String} recipient - User or user ID
+ * @param {Object} application - CoachApplication document
+ * @param {String} title - Notification title
+ * @param {String} message - Notification message
+ */
+const notify = (recipient, application, title, message) => Notification.create({
+  recipient: recipient._id || recipient,
+  type: 'coach_application',
+  title,
+  message,
+  related: {
+    model: 'CoachApplication',
+    id: application._id,
+  },
+});
+
+/**
+ * Check that an application may move to a new status
+ * @param {Object} application - CoachApplication document
+ * @param {String} status - New status
+ * @throws {AppError} When the transition is not allowed
+ */
+const ensureTransition = (application, status) => {
+  if (!application.canTransitionTo(status)) {
+    throw new AppError(`An application that is ${application.status.replace('_', ' ')} cannot be ${status.replace('_', ' ')}`, 400);
+  }
+};
+
+/**
+ * Move an application to a new status
+ * @param {Object} application - CoachApplication document
+ * @param {String} status - New status
+ * @throws {AppError} When the transition is not allowed
+ */
+const transition = (application, status) => {
+  ensureTransition(application, status);
+  application.status = status;
+};
+
+/**
+ * Reopen a rejected application when the coach starts changing it
+ * @param {Object} application - CoachApplication document
+ * @throws {AppError} When the application can no longer be changed
+ */
+const ensureEditable = (application) => {
+  if (!application.isEditable) {
+    throw new AppError(`Your application is ${application.status.replace('_', ' ')} and can no longer be changed`, 400);
+  }
+  if (application.status === 'rejected') transition(application, 'draft');
+};
+
+/**
+ * Remove an uploaded document from disk
+ * @param {String} path - File path
+ */
+const removeDocument = (path) => {
+  if (!path) return;
+  fs.promises.unlink(path).catch(err => {
+    console.error('Error removing certification document:', err.message);
+  });
+};
+
+/**
+ * Create or update the coach's application
+ * @param {Object} user - Coach user
+ * @param {Object} fields - Validated application fields
+ * @param {Object} [req] - Express request (for the consent IP)
+ * @returns {Promise<Object>} CoachApplication document
+ */
+exports.saveApplication = async (user, fields, req) => {
+  const application = await CoachApplication.findOne({ user: user._id }) || new CoachApplication({ user: user._id });
+  ensureEditable(application);
+
+  const { backgroundCheckConsent, ...details } = fields;
+  application.set(details);
+
+  if (backgroundCheckConsent !== undefined) {
+    application.backgroundCheckConsent = backgroundCheckConsent
+      ? { given: true, givenAt: Date.now(), ip: req && req.ip }
+      : { given: false };
+  }
+
+  await application.save();
+  return application;
+};
+
+/**
+ * Add a certification with its uploaded document
+ * @param {Object} application - CoachApplication document
+ * @param {Object} certification - Validated certification fields
+ * @param {Object} file - Uploaded document (multer file); marked `persisted` once saved
+ * @returns {Promise<Object>} Updated CoachApplication document
+ */
+exports.addCertification = async (application, certification, file) => {
+  try {
+    ensureEditable(application);
+  } catch (error) {
+    removeDocument(file.path);
+    throw error;
+  }
+
+  application.certifications.push({
+    ...certification,
+    document: file.path,
+    documentName: file.originalname,
+  });
+  await application.save();
+  // The application now points to the file, so it must survive a later failure
+  file.persisted = true;
+
+  return application;
+};
+
+/**
+ * Remove a certification and its document
+ * @param {Object} application - CoachApplication document
+ * @param {String} certificationId - Certification ID
+ * @returns {Promise<Object>} Updated CoachApplication document
+ */
+exports.removeCertification = async (application, certificationId) => {
+  ensureEditable(application);
+
+  const certification = application.certifications.id(certificationId);
+  if (!certification) {
+    throw new AppError('Certification not found', 404);
+  }
+
+  const { document } = certification;
+  certification.deleteOne();
+  await application.save();
+  removeDocument(document);
+
+  return application;
+};
+
+/**
+ * Submit an application for review
+ * @param {Object} application - CoachApplication document
+ * @param {Object} user - Coach user
+ * @returns {Promise<Object>} Updated CoachApplication document
+ */
+exports.submitApplication = async (application, user) => {
+  if (application.status === 'rejected') transition(application, 'draft');
+
+  const missing = application.getMissingItems();
+  if (missing.length > 0) {
+    throw new AppError(`Please complete your application before submitting it. Missing: ${missing.join(', ')}`, 400);
+  }
+
+  transition(application, 'submitted');
+  application.submittedAt = Date.now();
+  application.rejectionReason = undefined;
+  await application.save();
+
+  await notify(user, application, 'Application submitted',
+    'Thanks! Your coach application has been submitted and will be reviewed shortly.');
+
+  const reviewers = await User.find({ role: 'admin', active: { $ne: false } }).select('_id');
+  await Promise.all(reviewers.map(reviewer => notify(reviewer, application, 'New coach application',
+    `${user.name} submitted a coach application with ${application.certifications.length} certification(s) to review.`)));
+
+  return application;
+};
+
+/**
+ * Start reviewing a submitted application
+ * @param {Object} application - CoachApplication document
+ * @param {Object} reviewer - Reviewing user
+ * @returns {Promise<Object>} Updated CoachApplication document
+ */
+exports.startReview = async (application, reviewer) => {
+  transition(application, 'under_review');
+  application.reviewStartedAt = Date.now();
+  application.reviewedBy = reviewer._id;
+  await application.save();
+
+  await notify(application.user, application, 'Application under review',
+    'An administrator has started reviewing your coach application.');
+
+  return application;
+};
+
+/**
+ * Approve or reject one certification document
+ * @param {Object} application - CoachApplication document
+ * @param {String} certificationId - Certification ID
+ * @param {Object} decision - { status: 'approved'|'rejected', reason }
+ * @param {Object} reviewer - Reviewing user
+ * @returns {Promise<Object>} Updated CoachApplication document
+ */
+exports.reviewCertification = async (application, certificationId, { status, reason }, reviewer) => {
+  // Reviewing a document starts the review if nobody has yet
+  if (application.status === 'submitted') {
+    await exports.startReview(application, reviewer);
+  }
+  if (application.status !== 'under_review') {
+    throw new AppError('Documents can only be reviewed while the application is under review', 400);
+  }
+
+  const certification = application.certifications.id(certificationId);
+  if (!certification) {
+    throw new AppError('Certification not found', 404);
+  }
+
+  certification.status = status;
+  certification.reviewedBy = reviewer._id;
+  certification.reviewedAt = Date.now();
+  certification.rejectionReason = status === 'rejected' ? reason : undefined;
+  await application.save();
+
+  if (status === 'rejected') {
+    await notify(application.user, application, 'Certification document rejected',
+      `Your "${certification.name}" document was rejected: ${reason}`);
+  }
+
+  return application;
+};
+
+/**
+ * Approve an application: creates or updates the coach profile with the
+ * verified certifications and approves the account
+ * @param {Object} application - CoachApplication document
+ * @param {Object} reviewer - Reviewing user
+ * @returns {Promise<Object>} { application, coach }
+ */
+exports.approveApplication = async (application, reviewer) => {
+  ensureTransition(application, 'approved');
+
+  const pending = application.certifications.filter(c => c.status === 'pending');
+  if (pending.length > 0) {
+    throw new AppError(`Review every certification document first (${pending.length} pending)`, 400);
+  }
+  const verified = application.certifications.filter(c => c.status === 'approved');
+  if (verified.length === 0) {
+    throw new AppError('At least one certification must be approved', 400);
+  }
+
+  const user = await User.findById(application.user);
+  if (!user) {
+    throw new AppError('The applicant\'s account no longer exists', 404);
+  }
+
+  const coach = await CoachProfile.findOneAndUpdate(
+    { user: user._id },
+    {
+      bio: application.bio,
+      expertise: application.expertise,
+      experienceYears: application.experienceYears,
+      specializations: application.specializations,
+      sportsCategories: application.sportsCategories,
+      certifications: verified.map(c => ({
+        name: c.name,
+        issuedBy: c.issuedBy,
+        year: c.issuedAt ? c.issuedAt.getFullYear() : undefined,
+        issuedAt: c.issuedAt,
+        expiresAt: c.expiresAt,
+        document: c.document,
+      })),
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  transition(application, 'approved');
+  application.reviewedBy = reviewer._id;
+  application.decidedAt = Date.now();
+  await application.save();
+
+  user.approved = true;
+  await user.save({ validateBeforeSave: false });
+
+  await notify(user, application, 'Application approved',
+    'Congratulations! Your coach application has been approved.');
+  await queueMail({
+    to: user.email,
+    template: 'coachApproved',
+    data: { name: user.name },
+    related: { model: 'CoachApplication', id: application._id },
+  });
+
+  return { application, coach };
+};
+
+/**
+ * Reject an application. The coach can change it and submit it again.
+ * @param {Object} application - CoachApplication document
+ * @param {String} reason - Explanation sent to the coach
+ * @param {Object} reviewer - Reviewing user
+ * @returns {Promise<Object>} Updated CoachApplication document
+ */
+exports.rejectApplication = async (application, reason, reviewer) => {
+  transition(application, 'rejected');
+  application.reviewedBy = reviewer._id;
+  application.decidedAt = Date.now();
+  application.rejectionReason = reason;
+  await application.save();
+
+  const user = await User.findById(application.user);
+  if (user) {
+    await notify(user, application, 'Application not approved',
+      `Your coach application was not approved: ${reason}. You can update it and submit it again.`);
+    await queueMail({
+      to: user.email,
+      template: 'coachApplicationRejected',
+      data: { name: user.name, reason },
+      related: { model: 'CoachApplication', id: application._id },
+    });
+  }
+
+  return application;
+};
+
+exports.removeDocument = removeDocument;
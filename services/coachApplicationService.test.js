@@ -0,0 +1,159 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const CoachProfile = require('../models/coachProfileModel');
+const CoachApplication = require('../models/coachApplicationModel');
+const Notification = require('../models/notificationModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { queueMail } = require('./mailService');
+const {
+  addCertification,
+  submitApplication,
+  reviewCertification,
+  approveApplication,
+  rejectApplication,
+} = require('./coachApplicationService');
+
+jest.mock('./mailService', () => ({
+  ...jest.requireActual('./mailService'),
+  queueMail: jest.fn(),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coach = { _id: id(), name: 'Chris', role: 'coach' };
+const reviewer = { _id: id(), role: 'admin' };
+
+/**
+ * Build an application that is ready to be submitted
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} CoachApplication document
+ */
+const completeApplication = fields => new CoachApplication({
+  user: coach._id,
+  bio: 'Tennis coach',
+  expertise: ['tennis'],
+  experienceYears: 5,
+  certifications: [{ name: 'Level 2', document: 'uploads/private/level2.pdf' }],
+  backgroundCheckConsent: { given: true },
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.spyOn(CoachApplication.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+  jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('addCertification', () => {
+  const file = () => ({ path: 'uploads/private/cert.pdf', originalname: 'cert.pdf' });
+
+  it('marks the document persisted once the application is saved', async () => {
+    const application = completeApplication();
+    const upload = file();
+
+    await addCertification(application, { name: 'First aid' }, upload);
+
+    expect(application.certifications[1].document).toBe(upload.path);
+    expect(upload.persisted).toBe(true);
+  });
+
+  it('removes the document when the application can no longer be changed', async () => {
+    const upload = file();
+
+    await expect(addCertification(completeApplication({ status: 'submitted' }), { name: 'First aid' }, upload))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(fs.promises.unlink).toHaveBeenCalledWith(upload.path);
+    expect(upload.persisted).toBeUndefined();
+  });
+});
+
+describe('submitApplication', () => {
+  it('lists what is missing', async () => {
+    const application = completeApplication({ bio: '', certifications: [] });
+
+    await expect(submitApplication(application, coach))
+      .rejects.toThrow('Missing: bio, certifications');
+  });
+
+  it('notifies the coach and every reviewer', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([reviewer]));
+    const application = completeApplication();
+
+    await submitApplication(application, coach);
+
+    expect(application.status).toBe('submitted');
+    expect(Notification.create.mock.calls.map(call => call[0].recipient)).toEqual([coach._id, reviewer._id]);
+  });
+
+  it('lets a rejected application be submitted again', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+    const application = completeApplication({ status: 'rejected', rejectionReason: 'Blurry scan' });
+
+    await submitApplication(application, coach);
+
+    expect(application.status).toBe('submitted');
+    expect(application.rejectionReason).toBeUndefined();
+  });
+});
+
+describe('reviewCertification', () => {
+  it('starts the review of a submitted application', async () => {
+    const application = completeApplication({ status: 'submitted' });
+    const certification = application.certifications[0];
+
+    await reviewCertification(application, certification._id, { status: 'approved' }, reviewer);
+
+    expect(application.status).toBe('under_review');
+    expect(certification.status).toBe('approved');
+    expect(certification.reviewedBy).toEqual(reviewer._id);
+  });
+
+  it('cannot review documents of a draft', async () => {
+    const application = completeApplication();
+
+    await expect(reviewCertification(application, application.certifications[0]._id, { status: 'approved' }, reviewer))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('approveApplication', () => {
+  it('waits until every document is reviewed', async () => {
+    const application = completeApplication({ status: 'under_review' });
+
+    await expect(approveApplication(application, reviewer)).rejects.toThrow('1 pending');
+  });
+
+  it('creates the coach profile with only the verified certifications', async () => {
+    const application = completeApplication({ status: 'under_review' });
+    application.certifications[0].status = 'approved';
+    application.certifications.push({ name: 'Fake', document: 'uploads/private/fake.pdf', status: 'rejected' });
+    const user = new User({ _id: coach._id, name: 'Chris', email: 'chris@example.com', role: 'coach' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    const upsert = jest.spyOn(CoachProfile, 'findOneAndUpdate').mockResolvedValue({});
+
+    await approveApplication(application, reviewer);
+
+    expect(upsert.mock.calls[0][1].certifications.map(c => c.name)).toEqual(['Level 2']);
+    expect(application.status).toBe('approved');
+    expect(user.approved).toBe(true);
+    expect(queueMail.mock.calls[0][0].template).toBe('coachApproved');
+  });
+});
+
+describe('rejectApplication', () => {
+  it('cannot reject an approved application', async () => {
+    await expect(rejectApplication(completeApplication({ status: 'approved' }), 'Too late', reviewer))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const CoachReview = require('../models/coachReviewModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+
+/**
+ * Coach review service
+ * Students who attended at least one of a coach's training sessions can rate
+ * and review the coach, one review per coach that they can edit later.
+ * Coaches reply publicly; administrators flag reviews for follow-up and hide
+ * the ones that break the rules. Hidden reviews leave the coach's rating.
+ */
+
+/**
+ * Load one of a coach's reviews
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {String} reviewId - CoachReview ID
+ * @returns {Promise<Object>} CoachReview document
+ * @throws {AppError} When the review does not exist
+ */
+exports.findReview = async (coachUserId, reviewId) => {
+  const review = mongoose.isValidObjectId(reviewId)
+    ? await CoachReview.findOne({ _id: reviewId, coach: coachUserId })
+    : null;
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+  return review;
+};
+
+/**
+ * Check whether a student attended one of a coach's sessions
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {Object} studentId - Student's user ID
+ * @returns {Promise<Boolean>} True if they did
+ */
+exports.hasAttended = async (coachUserId, studentId) => Boolean(await TrainingSession.exists({
+  coach: coachUserId,
+  attendees: { $elemMatch: { student: studentId, status: 'attended' } },
+}));
+
+/**
+ * Create or update a student's review of a coach
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {Object} student - Student user
+ * @param {Object} details - Validated { rating, comment }
+ * @returns {Promise<Object>} { review, created }
+ */
+exports.submitReview = async (coachUserId, student, { rating, comment }) => {
+  if (coachUserId.toString() === student._id.toString()) {
+    throw new AppError('You cannot review yourself', 400);
+  }
+  if (!(await exports.hasAttended(coachUserId, student._id))) {
+    throw new AppError('You can review a coach after attending one of their sessions', 403);
+  }
+
+  let review = await CoachReview.findOne({ coach: coachUserId, student: student._id });
+  const created = !review;
+
+  if (created) {
+    review = new CoachReview({ coach: coachUserId, student: student._id });
+  } else if (review.status === 'hidden') {
+    throw new AppError('Your review was hidden by a moderator and can no longer be changed', 403);
+  }
+
+  review.rating = rating;
+  review.comment = comment;
+
+  try {
+    await review.save();
+  } catch (error) {
+    // Submitted twice at the same moment
+    if (error.code === 11000) throw new AppError('You have already reviewed this coach', 409);
+    throw error;
+  }
+
+  if (created) {
+    await Notification.create({
+      recipient: coachUserId,
+      type: 'coach_review',
+      title: 'New review',
+      message: `${student.name} rated you ${rating}/5.`,
+      related: { model: 'CoachReview', id: review._id },
+    });
+  }
+
+  return { review, created };
+};
+
+/**
+ * Reply to a review as the coach, or remove the reply
+ * @param {Object} review - CoachReview document
+ * @param {String} [text] - Reply; removes the reply when empty
+ * @returns {Promise<Object>} Updated review
+ */
+exports.replyToReview = async (review, text) => {
+  if (text) {
+    review.reply = { text, repliedAt: Date.now() };
+  } else {
+    review.reply = undefined;
+  }
+  await review.save();
+
+  if (text) {
+    await Notification.create({
+      recipient: review.student,
+      type: 'coach_review',
+      title: 'Your coach replied',
+      message: 'Your coach replied to your review.',
+      related: { model: 'CoachReview', id: review._id },
+    });
+  }
+
+  return review;
+};
+
+/**
+ * Moderate a review: hide or publish it, flag it or clear the flag
+ * @param {Object} review - CoachReview document
+ * @param {Object} changes - Validated { status, flagged, reason }
+ * @param {Object} moderator - Moderating user
+ * @returns {Promise<Object>} Updated review
+ */
+exports.moderateReview = async (review, { status, flagged, reason }, moderator) => {
+  if (flagged !== undefined && flagged !== review.flagged) {
+    review.flagged = flagged;
+    review.flagReason = flagged ? reason : undefined;
+    review.flaggedBy = flagged ? moderator._id : undefined;
+    review.flaggedAt = flagged ? Date.now() : undefined;
+  }
+
+  const statusChanged = status !== undefined && status !== review.status;
+  if (statusChanged) {
+    review.status = status;
+    review.moderationReason = reason;
+  }
+
+  review.moderatedBy = moderator._id;
+  review.moderatedAt = Date.now();
+  await review.save();
+
+  if (statusChanged && status === 'hidden') {
+    await Notification.create({
+      recipient: review.student,
+      type: 'coach_review',
+      title: 'Review hidden',
+      message: `Your review was hidden by a moderator${reason ? `: ${reason}` : ''}.`,
+      related: { model: 'CoachReview', id: review._id },
+    });
+  }
+
+  return review;
+};
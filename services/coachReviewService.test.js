@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const CoachReview = require('../models/coachReviewModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Notification = require('../models/notificationModel');
+const { submitReview, moderateReview } = require('./coachReviewService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coachId = id();
+const student = { _id: id(), name: 'Jane', role: 'student' };
+
+beforeEach(() => {
+  jest.spyOn(CoachReview.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+  jest.spyOn(TrainingSession, 'exists').mockResolvedValue({ _id: id() });
+  jest.spyOn(CoachReview, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('submitReview', () => {
+  it('only accepts reviews from students who attended a session', async () => {
+    TrainingSession.exists.mockResolvedValue(null);
+
+    await expect(submitReview(coachId, student, { rating: 5 })).rejects.toMatchObject({ statusCode: 403 });
+    expect(TrainingSession.exists.mock.calls[0][0]).toEqual({
+      coach: coachId,
+      attendees: { $elemMatch: { student: student._id, status: 'attended' } },
+    });
+  });
+
+  it('refuses reviews of yourself', async () => {
+    await expect(submitReview(student._id, student, { rating: 5 })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('creates a review and tells the coach', async () => {
+    const { review, created } = await submitReview(coachId, student, { rating: 4, comment: 'Great' });
+
+    expect(created).toBe(true);
+    expect(review.rating).toBe(4);
+    expect(Notification.create.mock.calls[0][0]).toMatchObject({ recipient: coachId, message: 'Jane rated you 4/5.' });
+  });
+
+  it('updates the existing review without notifying again', async () => {
+    const existing = new CoachReview({ coach: coachId, student: student._id, rating: 2 });
+    CoachReview.findOne.mockResolvedValue(existing);
+
+    const { review, created } = await submitReview(coachId, student, { rating: 5 });
+
+    expect(created).toBe(false);
+    expect(review).toBe(existing);
+    expect(existing.rating).toBe(5);
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps hidden reviews hidden', async () => {
+    CoachReview.findOne.mockResolvedValue(new CoachReview({ coach: coachId, student: student._id, status: 'hidden' }));
+
+    await expect(submitReview(coachId, student, { rating: 5 })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('reports a review submitted twice at once as a conflict', async () => {
+    CoachReview.prototype.save.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(submitReview(coachId, student, { rating: 5 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('moderateReview', () => {
+  const moderator = { _id: id(), role: 'admin' };
+
+  it('tells the student when their review is hidden', async () => {
+    const review = new CoachReview({ coach: coachId, student: student._id, rating: 1 });
+
+    await moderateReview(review, { status: 'hidden', reason: 'Abusive language' }, moderator);
+
+    expect(review.status).toBe('hidden');
+    expect(Notification.create.mock.calls[0][0].message).toBe('Your review was hidden by a moderator: Abusive language.');
+  });
+
+  it('flags a review without changing its status', async () => {
+    const review = new CoachReview({ coach: coachId, student: student._id, rating: 1 });
+
+    await moderateReview(review, { flagged: true, reason: 'Check facts' }, moderator);
+
+    expect(review.status).toBe('published');
+    expect(review.flagReason).toBe('Check facts');
+    expect(review.flaggedBy).toEqual(moderator._id);
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const ExercisePlan = require('../models/exercisePlanModel');
+
+/**
+ * Exercise plan service
+ * Coaches upload their plans as PDF or Word documents, optionally with the
+ * exercises, warm-up and cool-down as structured fields. Documents are stored
+ * on disk under PRIVATE_UPLOAD_PATH, outside the public folder, and are only
+ * served through the download endpoint. Uploading a new document for an
+ * existing plan adds a version; earlier versions are kept and can still be
+ * downloaded.
+ */
+
+/**
+ * Remove an uploaded document from disk
+ * @param {String} path - File path
+ */
+const removeDocument = (path) => {
+  if (!path) return;
+  fs.promises.unlink(path).catch(err => {
+    console.error('Error removing exercise plan document:', err.message);
+  });
+};
+
+/**
+ * Add an uploaded file to a plan as its next document version
+ * @param {Object} plan - ExercisePlan document
+ * @param {Object} file - Multer file
+ * @param {Object} user - Uploading user
+ * @param {String} [changes] - What changed in this version
+ */
+const addDocument = (plan, file, user, changes) => {
+  plan.version += 1;
+  plan.documents.push({
+    version: plan.version,
+    name: file.originalname,
+    path: file.path,
+    mimeType: file.mimetype,
+    size: file.size,
+    changes,
+    uploadedBy: user._id,
+  });
+};
+
+/**
+ * Create an exercise plan for a coach
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {Object} details - Validated plan fields
+ * @param {Object} [file] - Uploaded plan document; marked `persisted` once saved
+ * @param {Object} user - User creating the plan
+ * @returns {Promise<Object>} ExercisePlan document
+ */
+exports.createExercisePlan = async (coachUserId, details, file, user) => {
+  const { changes, ...fields } = details;
+  const plan = new ExercisePlan({ ...fields, coach: coachUserId });
+  if (file) addDocument(plan, file, user, changes);
+
+  try {
+    await plan.save();
+  } catch (error) {
+    if (file) removeDocument(file.path);
+    throw error;
+  }
+  // The plan now points to the file, so it must survive a later failure
+  if (file) file.persisted = true;
+
+  return plan;
+};
+
+/**
+ * Upload a new version of a plan's document, optionally updating its fields
+ * @param {Object} plan - ExercisePlan document
+ * @param {Object} details - Validated plan fields and `changes` note
+ * @param {Object} file - Uploaded plan document; marked `persisted` once saved
+ * @param {Object} user - Uploading user
+ * @returns {Promise<Object>} Updated ExercisePlan document
+ */
+exports.addPlanVersion = async (plan, details, file, user) => {
+  const { changes, ...fields } = details;
+  plan.set(fields);
+  addDocument(plan, file, user, changes);
+
+  try {
+    await plan.save();
+  } catch (error) {
+    removeDocument(file.path);
+    throw error;
+  }
+  file.persisted = true;
+
+  return plan;
+};
+
+/**
+ * Delete an exercise plan with every version of its document
+ * @param {Object} plan - ExercisePlan document
+ */
+exports.deleteExercisePlan = async (plan) => {
+  await plan.deleteOne();
+  plan.documents.forEach(document => removeDocument(document.path));
+};
+
+exports.removeDocument = removeDocument;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const ExercisePlan = require('../models/exercisePlanModel');
+const { createExercisePlan, addPlanVersion, deleteExercisePlan } = require('./exercisePlanService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coach = { _id: id(), role: 'coach' };
+
+/**
+ * Build an uploaded file
+ * @param {String} name - Original file name
+ * @returns {Object} Multer file
+ */
+const upload = name => ({
+  originalname: name,
+  path: `uploads/private/${name}`,
+  mimetype: 'application/pdf',
+  size: 1024,
+});
+
+beforeEach(() => {
+  jest.spyOn(ExercisePlan.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createExercisePlan', () => {
+  it('stores the document as the first version', async () => {
+    const file = upload('week1.pdf');
+
+    const plan = await createExercisePlan(coach._id, { title: 'Week 1', changes: 'First draft' }, file, coach);
+
+    expect(plan.version).toBe(1);
+    expect(plan.documents[0]).toMatchObject({ version: 1, name: 'week1.pdf', changes: 'First draft' });
+    expect(file.persisted).toBe(true);
+  });
+
+  it('removes the document when the plan cannot be saved', async () => {
+    ExercisePlan.prototype.save.mockRejectedValue(new Error('Validation failed'));
+    const file = upload('week1.pdf');
+
+    await expect(createExercisePlan(coach._id, { title: 'Week 1' }, file, coach)).rejects.toThrow('Validation failed');
+    expect(fs.promises.unlink).toHaveBeenCalledWith(file.path);
+    expect(file.persisted).toBeUndefined();
+  });
+});
+
+describe('addPlanVersion', () => {
+  it('keeps earlier versions', async () => {
+    const plan = await createExercisePlan(coach._id, { title: 'Week 1' }, upload('week1.pdf'), coach);
+
+    await addPlanVersion(plan, { changes: 'More squats' }, upload('week1-v2.pdf'), coach);
+
+    expect(plan.version).toBe(2);
+    expect(plan.documents.map(document => document.name)).toEqual(['week1.pdf', 'week1-v2.pdf']);
+  });
+});
+
+describe('deleteExercisePlan', () => {
+  it('removes every version of the document', async () => {
+    const plan = await createExercisePlan(coach._id, { title: 'Week 1' }, upload('week1.pdf'), coach);
+    await addPlanVersion(plan, {}, upload('week1-v2.pdf'), coach);
+    jest.spyOn(plan, 'deleteOne').mockResolvedValue(plan);
+
+    await deleteExercisePlan(plan);
+
+    expect(fs.promises.unlink.mock.calls.map(call => call[0])).toEqual([
+      'uploads/private/week1.pdf',
+      'uploads/private/week1-v2.pdf',
+    ]);
+  });
+});
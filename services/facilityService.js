@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const Facility = require('../models/facilityModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Tournament = require('../models/tournamentModel');
+const AppError = require('../utils/appError');
+const {
+  sessionPeriod,
+  startOfDay,
+  formatDay,
+  formatMinutes,
+  minutesInto,
+  subtract,
+  toMinutes,
+  WEEKDAYS,
+} = require('./availabilityService');
+
+/**
+ * Facility service
+ * Training sessions and tournament matches take place at a facility (a
+ * court, pool, gym, ...), so a facility can only be booked once at a time.
+ * A booking must fit the facility's weekly opening hours, stay clear of its
+ * maintenance blocks, and be for a sport and a group size the facility
+ * suits. Unlike a busy coach, a clash here cannot be forced through.
+ */
+
+// Longest period the calendar covers in one request
+const MAX_CALENDAR_DAYS = 93;
+
+/**
+ * Get the ID of a possibly populated reference
+ * @param {Object|String} ref - Reference
+ * @returns {String} ID
+ */
+const idOf = ref => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Total length of intervals
+ * @param {Array} intervals - [[start, end]] in minutes
+ * @returns {Number} Minutes
+ */
+const totalMinutes = intervals => intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+
+/**
+ * Get the part of a period that falls on a day
+ * @param {Date} day - Start of the day
+ * @param {Date} startsAt - Start of the period
+ * @param {Date} endsAt - End of the period
+ * @returns {Array|null} [start, end] in minutes, or null if the period misses the day
+ */
+const partOnDay = (day, startsAt, endsAt) => {
+  const dayEnd = new Date(day);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  if (endsAt <= day || startsAt >= dayEnd) return null;
+  return [minutesInto(day, startsAt), minutesInto(day, endsAt)];
+};
+
+/**
+ * Get the opening hours of a facility on a day
+ * @param {Object} facility - Facility document
+ * @param {Date} day - Start of the day
+ * @returns {Array} [[start, end]] in minutes
+ */
+const openingIntervals = (facility, day) => ((facility.openingHours || {})[WEEKDAYS[day.getDay()]] || [])
+  .filter(slot => slot.startTime && slot.endTime)
+  .map(slot => [toMinutes(slot.startTime), toMinutes(slot.endTime)])
+  .filter(([start, end]) => end > start);
+
+/**
+ * Check whether a facility is open for a whole period, which may span midnight
+ * @param {Object} facility - Facility document
+ * @param {Date} startsAt - Start
+ * @param {Date} endsAt - End
+ * @returns {Boolean} True if it is
+ */
+const isOpenDuring = (facility, startsAt, endsAt) => {
+  for (let day = startOfDay(startsAt); day < endsAt; day.setDate(day.getDate() + 1)) {
+    const part = partOnDay(day, startsAt, endsAt);
+    if (part && subtract([part], openingIntervals(facility, day)).length) return false;
+  }
+  return true;
+};
+
+/**
+ * Share of a whole, as a percentage with one decimal
+ * @param {Number} part - Part
+ * @param {Number} whole - Whole
+ * @returns {Number|null} Percentage, or null when the whole is 0
+ */
+const percentage = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Describe a booking for conflict messages
+ * @param {Object} booking - { startsAt, endsAt }
+ * @returns {String} e.g. "2026-10-20 17:00-18:30"
+ */
+const describePeriod = ({ startsAt, endsAt }) =>
+  `${formatDay(startsAt)} ${formatMinutes(minutesInto(startOfDay(startsAt), startsAt))}-${formatMinutes(minutesInto(startOfDay(endsAt), endsAt))}`;
+
+/**
+ * Load the training sessions and tournament matches booked at facilities in a period
+ * @param {Array} facilityIds - Facility IDs
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period (exclusive)
+ * @param {Object} [exclude] - { sessions, tournament } to leave out, e.g. the ones being changed
+ * @returns {Promise<Array>} [{ facility, startsAt, endsAt, kind, id, title }]
+ */
+const loadBookings = async (facilityIds, from, to, { sessions: excludedSessions = [], tournament } = {}) => {
+  // Sessions that run past midnight belong to the day before
+  const firstDay = startOfDay(from);
+  firstDay.setDate(firstDay.getDate() - 1);
+
+  const tournamentFilter = {
+    matches: { $elemMatch: { facility: { $in: facilityIds }, startTime: { $lt: to }, endTime: { $gt: from } } },
+  };
+  if (tournament) tournamentFilter._id = { $ne: tournament };
+
+  const [sessions, tournaments] = await Promise.all([
+    TrainingSession.find({
+      _id: { $nin: excludedSessions },
+      facility: { $in: facilityIds },
+      status: { $ne: 'cancelled' },
+      sessionDate: { $gte: firstDay, $lt: to },
+    }).select('title facility sessionDate startTime endTime').lean(),
+    Tournament.find(tournamentFilter).select('name matches').lean(),
+  ]);
+
+  const ids = new Set(facilityIds.map(String));
+  const bookings = sessions.map(session => ({
+    facility: idOf(session.facility),
+    ...sessionPeriod(session),
+    kind: 'session',
+    id: session._id,
+    title: session.title,
+  }));
+  tournaments.forEach(other => other.matches
+    .filter(match => match.facility && ids.has(idOf(match.facility)) && match.status !== 'cancelled' &&
+      match.startTime && match.endTime)
+    .forEach(match => bookings.push({
+      facility: idOf(match.facility),
+      startsAt: match.startTime,
+      endsAt: match.endTime,
+      kind: 'match',
+      id: match._id,
+      tournament: other._id,
+      title: `${other.name}, round ${match.round} match ${match.matchNumber}`,
+    })));
+
+  return bookings.filter(booking => booking.startsAt < to && booking.endsAt > from);
+};
+
+/**
+ * Find an active facility
+ * @param {String} id - Facility ID
+ * @returns {Promise<Object>} Facility document
+ * @throws {AppError} When it does not exist or is no longer in use
+ */
+exports.findFacility = async (id) => {
+  const facility = mongoose.isValidObjectId(id) ? await Facility.findById(id) : null;
+  if (!facility || !facility.isActive) {
+    throw new AppError('Facility not found', 404);
+  }
+  return facility;
+};
+
+/**
+ * Build a session's location from its facility
+ * @param {Object} facility - Facility document
+ * @returns {Object} { name, address, coordinates }
+ */
+exports.facilityLocation = (facility) => {
+  const location = facility.location || {};
+  return {
+    name: location.name ? `${facility.name}, ${location.name}` : facility.name,
+    address: location.address,
+    coordinates: location.coordinates && location.coordinates.length === 2 ? location.coordinates : undefined,
+  };
+};
+
+/**
+ * Make sure facilities can be booked: they exist, suit the sport and group
+ * size, are open and are not under maintenance or booked at the times
+ * @param {Array} bookings - [{ facility, startsAt, endsAt, sportCategory, capacity }]
+ * @param {Object} [exclude] - { sessions, tournament } whose bookings are being replaced
+ * @throws {AppError} 404 for unknown facilities, 400 for unsuitable ones, 409 for clashes
+ */
+exports.ensureFacilitiesFree = async (bookings, exclude = {}) => {
+  if (!bookings.length) return;
+
+  const facilityIds = [...new Set(bookings.map(booking => idOf(booking.facility)))];
+  const facilities = await Facility.find({ _id: { $in: facilityIds.filter(id => mongoose.isValidObjectId(id)) }, isActive: true });
+  const byId = new Map(facilities.map(facility => [idOf(facility), facility]));
+
+  const missing = facilityIds.filter(id => !byId.has(id));
+  if (missing.length) {
+    throw new AppError(`Facility not found: ${missing.join(', ')}`, 404);
+  }
+
+  bookings.forEach(booking => {
+    const facility = byId.get(idOf(booking.facility));
+    const sports = facility.sportCategories.map(idOf);
+    if (booking.sportCategory && sports.length && !sports.includes(idOf(booking.sportCategory))) {
+      throw new AppError(`"${facility.name}" cannot be used for this sport`, 400);
+    }
+    if (booking.capacity > facility.capacity) {
+      throw new AppError(`"${facility.name}" holds at most ${facility.capacity} people`, 400);
+    }
+  });
+
+  const from = new Date(Math.min(...bookings.map(booking => booking.startsAt)));
+  const to = new Date(Math.max(...bookings.map(booking => booking.endsAt)));
+  const existing = await loadBookings(facilityIds.map(id => new mongoose.Types.ObjectId(id)), from, to, exclude);
+
+  const conflicts = [];
+  bookings.forEach((booking, index) => {
+    const facility = byId.get(idOf(booking.facility));
+    const overlaps = other => idOf(other.facility) === idOf(facility) &&
+      other.startsAt < booking.endsAt && other.endsAt > booking.startsAt;
+
+    let reason;
+    if (!isOpenDuring(facility, booking.startsAt, booking.endsAt)) {
+      reason = 'closed';
+    } else if (facility.maintenance.some(block => block.startsAt < booking.endsAt && block.endsAt > booking.startsAt)) {
+      reason = 'under maintenance';
+    } else if (existing.some(overlaps)) {
+      reason = `booked for "${existing.find(overlaps).title}"`;
+    } else if (bookings.slice(0, index).some(overlaps)) {
+      reason = 'booked twice in this request';
+    }
+
+    if (reason) conflicts.push(`"${facility.name}" ${describePeriod(booking)} (${reason})`);
+  });
+
+  if (conflicts.length) {
+    throw new AppError(
+      `The facility cannot be booked at ${conflicts.length} of these times: ${conflicts.slice(0, 5).join(', ')}${conflicts.length > 5 ? ', ...' : ''}`,
+      409
+    );
+  }
+};
+
+/**
+ * Make sure the facilities of training sessions are free. Sessions from
+ * before facilities existed have none and are not checked.
+ * @param {Array} sessions - Sessions (documents or plain objects) to check
+ * @param {Array} [excludeIds] - Sessions to ignore, e.g. the ones being changed
+ */
+exports.ensureSessionFacilitiesFree = (sessions, excludeIds = []) => exports.ensureFacilitiesFree(
+  sessions
+    .filter(session => session.facility && session.status !== 'cancelled')
+    .map(session => ({
+      facility: session.facility,
+      ...sessionPeriod(session),
+      sportCategory: session.sportCategory,
+      capacity: session.capacity,
+    })),
+  { sessions: excludeIds }
+);
+
+/**
+ * Make sure a tournament's matches can take place: every match that is not
+ * cancelled needs a facility and a start and end time, and the facilities
+ * must be free. The tournament's current matches are replaced, so they do
+ * not count as clashes.
+ * @param {Object} tournament - { _id, sportCategory }
+ * @param {Array} matches - Matches to save
+ * @throws {AppError} When a match cannot take place
+ */
+exports.ensureMatchesBookable = async (tournament, matches = []) => {
+  const bookings = matches
+    .filter(match => match.status !== 'cancelled')
+    .map(match => {
+      const label = `Match ${match.matchNumber} of round ${match.round}`;
+      if (!match.facility) {
+        throw new AppError(`${label} needs a facility`, 400);
+      }
+
+      const startsAt = new Date(match.startTime);
+      const endsAt = new Date(match.endTime);
+      if (!match.startTime || !match.endTime || isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+        throw new AppError(`${label} needs a start time and a later end time`, 400);
+      }
+      return { facility: match.facility, startsAt, endsAt, sportCategory: tournament.sportCategory };
+    });
+
+  await exports.ensureFacilitiesFree(bookings, { tournament: tournament._id });
+};
+
+/**
+ * Block a facility for maintenance. The period must be free of bookings;
+ * move or cancel them first.
+ * @param {Object} facility - Facility document
+ * @param {Object} details - Validated { startsAt, endsAt, reason }
+ * @param {Object} user - User adding the block
+ * @returns {Promise<Object>} Updated Facility document
+ * @throws {AppError} When sessions or matches are booked in the period
+ */
+exports.addMaintenance = async (facility, { startsAt, endsAt, reason }, user) => {
+  const booked = await loadBookings([facility._id], startsAt, endsAt);
+  if (booked.length) {
+    const list = booked.slice(0, 5).map(booking => `"${booking.title}" ${describePeriod(booking)}`);
+    throw new AppError(
+      `${booked.length} booking(s) fall in this period: ${list.join(', ')}${booked.length > 5 ? ', ...' : ''}. Move or cancel them first`,
+      409
+    );
+  }
+
+  facility.maintenance.push({ startsAt, endsAt, reason, createdBy: user._id });
+  await facility.save();
+  return facility;
+};
+
+/**
+ * Take a facility out of use. Upcoming sessions and matches must be moved first.
+ * @param {Object} facility - Facility document
+ * @returns {Promise<Object>} Updated Facility document
+ * @throws {AppError} When sessions or matches are still booked
+ */
+exports.deactivateFacility = async (facility) => {
+  const now = new Date();
+  const [sessions, tournaments] = await Promise.all([
+    TrainingSession.countDocuments({ facility: facility._id, status: 'scheduled', sessionDate: { $gte: startOfDay(now) } }),
+    Tournament.countDocuments({
+      matches: { $elemMatch: { facility: facility._id, status: 'scheduled', endTime: { $gt: now } } },
+    }),
+  ]);
+  if (sessions || tournaments) {
+    throw new AppError(
+      `"${facility.name}" still has ${sessions} upcoming session(s) and matches in ${tournaments} tournament(s). Move them to another facility first`,
+      409
+    );
+  }
+
+  facility.isActive = false;
+  await facility.save();
+  return facility;
+};
+
+/**
+ * Get a facility's bookings and utilization, day by day and week by week.
+ * Utilization is the share of the opening hours, less maintenance, that is
+ * booked. Weeks start on Sunday, like Date#getDay.
+ * @param {Object} facility - Facility document
+ * @param {Date} from - First day
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Promise<Object>} { days, weeks, summary }
+ * @throws {AppError} When the period is empty or too long
+ */
+exports.getFacilityCalendar = async (facility, from, to) => {
+  const firstDay = startOfDay(from);
+  const end = startOfDay(to);
+  end.setDate(end.getDate() + 1);
+  if (end <= firstDay) {
+    throw new AppError('The end date cannot be before the start date', 400);
+  }
+  if (Math.round((end - firstDay) / (24 * 60 * 60 * 1000)) > MAX_CALENDAR_DAYS) {
+    throw new AppError(`The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time`, 400);
+  }
+
+  const bookings = (await loadBookings([facility._id], firstDay, end)).sort((a, b) => a.startsAt - b.startsAt);
+
+  const days = [];
+  const weeks = new Map();
+  for (let day = new Date(firstDay); day < end; day.setDate(day.getDate() + 1)) {
+    const opening = openingIntervals(facility, day);
+    const maintenance = facility.maintenance.filter(block => partOnDay(day, block.startsAt, block.endsAt));
+    const available = subtract(opening, maintenance.map(block => partOnDay(day, block.startsAt, block.endsAt)));
+    const onDay = bookings.filter(booking => partOnDay(day, booking.startsAt, booking.endsAt));
+
+    const availableMinutes = totalMinutes(available);
+    const bookedMinutes = availableMinutes -
+      totalMinutes(subtract(available, onDay.map(booking => partOnDay(day, booking.startsAt, booking.endsAt))));
+
+    days.push({
+      date: formatDay(day),
+      weekday: WEEKDAYS[day.getDay()],
+      openingHours: opening.map(([start, finish]) => ({ startTime: formatMinutes(start), endTime: formatMinutes(finish) })),
+      availableMinutes,
+      bookedMinutes,
+      utilization: percentage(bookedMinutes, availableMinutes),
+      bookings: onDay.map(({ kind, id, tournament, title, startsAt, endsAt }) => ({ kind, id, tournament, title, startsAt, endsAt })),
+      maintenance: maintenance.map(({ _id, startsAt, endsAt, reason }) => ({ _id, startsAt, endsAt, reason })),
+    });
+
+    const weekStart = new Date(day);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    const key = formatDay(weekStart);
+    if (!weeks.has(key)) weeks.set(key, { weekStart: key, availableMinutes: 0, bookedMinutes: 0, bookings: 0 });
+    const week = weeks.get(key);
+    week.availableMinutes += availableMinutes;
+    week.bookedMinutes += bookedMinutes;
+    week.bookings += onDay.filter(booking => booking.startsAt >= day).length;
+  }
+
+  const availableMinutes = days.reduce((sum, day) => sum + day.availableMinutes, 0);
+  const bookedMinutes = days.reduce((sum, day) => sum + day.bookedMinutes, 0);
+
+  return {
+    days,
+    weeks: [...weeks.values()].map(week => ({ ...week, utilization: percentage(week.bookedMinutes, week.availableMinutes) })),
+    summary: {
+      availableMinutes,
+      bookedMinutes,
+      utilization: percentage(bookedMinutes, availableMinutes),
+      bookings: bookings.length,
+    },
+  };
+};
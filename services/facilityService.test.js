@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Facility = require('../models/facilityModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Tournament = require('../models/tournamentModel');
+const { mockQuery } = require('../utils/testHelpers');
+const {
+  facilityLocation,
+  ensureFacilitiesFree,
+  ensureMatchesBookable,
+  addMaintenance,
+  deactivateFacility,
+  getFacilityCalendar,
+} = require('./facilityService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const tennis = id();
+
+// Monday 4 March 2030, local time
+const at = (hour, minute = 0) => new Date(2030, 2, 4, hour, minute);
+
+/**
+ * Build a tennis court open 08:00-22:00 on weekdays and 10:00-14:00 on Saturdays
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Facility document
+ */
+const court = (fields) => {
+  const weekday = [{ startTime: '08:00', endTime: '22:00' }];
+  return new Facility({
+    name: 'Court 1',
+    type: 'court',
+    capacity: 8,
+    sportCategories: [tennis],
+    openingHours: {
+      monday: weekday,
+      tuesday: weekday,
+      wednesday: weekday,
+      thursday: weekday,
+      friday: weekday,
+      saturday: [{ startTime: '10:00', endTime: '14:00' }],
+    },
+    ...fields,
+  });
+};
+
+/**
+ * Set what is already booked
+ * @param {Array} [sessions] - Training sessions (lean)
+ * @param {Array} [tournaments] - Tournaments (lean)
+ */
+const booked = (sessions = [], tournaments = []) => {
+  jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery(sessions));
+  jest.spyOn(Tournament, 'find').mockReturnValue(mockQuery(tournaments));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('facilityLocation', () => {
+  it('names the facility and its site', () => {
+    const facility = court({ location: { name: 'North Park', address: { city: 'London' }, coordinates: [-0.12, 51.5] } });
+
+    const location = facilityLocation(facility);
+
+    expect(location.name).toBe('Court 1, North Park');
+    expect(location.address.city).toBe('London');
+    expect([...location.coordinates]).toEqual([-0.12, 51.5]);
+  });
+
+  it('leaves out incomplete coordinates', () => {
+    expect(facilityLocation(court())).toMatchObject({ name: 'Court 1', coordinates: undefined });
+  });
+});
+
+describe('ensureFacilitiesFree', () => {
+  let facility;
+
+  beforeEach(() => {
+    facility = court();
+    jest.spyOn(Facility, 'find').mockResolvedValue([facility]);
+    booked();
+  });
+
+  /**
+   * Book the court
+   * @param {Array} bookings - [{ startsAt, endsAt, ...fields }]
+   * @returns {Promise} Result of ensureFacilitiesFree
+   */
+  const book = bookings => ensureFacilitiesFree(bookings.map(booking => ({ facility: facility._id, sportCategory: tennis, ...booking })));
+
+  it('accepts bookings within the opening hours', async () => {
+    await expect(book([{ startsAt: at(17), endsAt: at(18, 30), capacity: 8 }])).resolves.toBeUndefined();
+  });
+
+  it('refuses bookings outside the opening hours', async () => {
+    await expect(book([{ startsAt: at(21), endsAt: at(22, 30) }]))
+      .rejects.toThrow('"Court 1" 2030-03-04 21:00-22:30 (closed)');
+  });
+
+  it('refuses other sports and groups too large', async () => {
+    await expect(book([{ startsAt: at(17), endsAt: at(18), sportCategory: id() }])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(book([{ startsAt: at(17), endsAt: at(18), capacity: 9 }])).rejects.toThrow('holds at most 8 people');
+  });
+
+  it('refuses periods under maintenance', async () => {
+    facility.maintenance.push({ startsAt: at(12), endsAt: at(18) });
+
+    await expect(book([{ startsAt: at(17), endsAt: at(18) }])).rejects.toThrow('(under maintenance)');
+  });
+
+  it('refuses times taken by sessions and matches', async () => {
+    booked(
+      [{ _id: id(), title: 'Juniors', facility: facility._id, sessionDate: at(0), startTime: '17:00', endTime: '18:00' }],
+      [{ _id: id(), name: 'Spring Cup', matches: [{ facility: facility._id, round: 1, matchNumber: 2, startTime: at(19), endTime: at(20) }] }]
+    );
+
+    await expect(book([{ startsAt: at(17, 30), endsAt: at(18, 30) }])).rejects.toThrow('(booked for "Juniors")');
+    await expect(book([{ startsAt: at(19, 30), endsAt: at(20, 30) }])).rejects.toThrow('(booked for "Spring Cup, round 1 match 2")');
+  });
+
+  it('refuses overlapping bookings within one request', async () => {
+    await expect(book([{ startsAt: at(17), endsAt: at(18) }, { startsAt: at(17, 30), endsAt: at(18, 30) }]))
+      .rejects.toThrow('(booked twice in this request)');
+  });
+
+  it('refuses unknown facilities', async () => {
+    const unknown = id();
+
+    await expect(ensureFacilitiesFree([{ facility: unknown, startsAt: at(17), endsAt: at(18) }]))
+      .rejects.toThrow(`Facility not found: ${unknown}`);
+  });
+});
+
+describe('ensureMatchesBookable', () => {
+  it('requires a facility and a valid time for matches that take place', async () => {
+    const tournament = { _id: id(), sportCategory: tennis };
+
+    await expect(ensureMatchesBookable(tournament, [{ round: 1, matchNumber: 1, startTime: at(10), endTime: at(11) }]))
+      .rejects.toThrow('Match 1 of round 1 needs a facility');
+    await expect(ensureMatchesBookable(tournament, [{ round: 1, matchNumber: 1, facility: id(), startTime: at(11), endTime: at(10) }]))
+      .rejects.toThrow('needs a start time and a later end time');
+    await expect(ensureMatchesBookable(tournament, [{ round: 1, matchNumber: 1, status: 'cancelled' }])).resolves.toBeUndefined();
+  });
+});
+
+describe('addMaintenance', () => {
+  it('refuses periods with bookings', async () => {
+    const facility = court();
+    booked([{ _id: id(), title: 'Juniors', facility: facility._id, sessionDate: at(0), startTime: '17:00', endTime: '18:00' }]);
+    const save = jest.spyOn(facility, 'save');
+
+    await expect(addMaintenance(facility, { startsAt: at(8), endsAt: at(20) }, { _id: id() }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('deactivateFacility', () => {
+  it('refuses facilities with upcoming bookings', async () => {
+    jest.spyOn(TrainingSession, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Tournament, 'countDocuments').mockResolvedValue(0);
+
+    await expect(deactivateFacility(court())).rejects.toThrow('"Court 1" still has 2 upcoming session(s)');
+  });
+});
+
+describe('getFacilityCalendar', () => {
+  it('reports the booked share of the opening hours less maintenance', async () => {
+    const facility = court();
+    facility.maintenance.push({ startsAt: at(8), endsAt: at(10), reason: 'Resurfacing' });
+    booked([
+      { _id: id(), title: 'Juniors', facility: facility._id, sessionDate: at(0), startTime: '17:00', endTime: '20:00' },
+      { _id: id(), title: 'Seniors', facility: facility._id, sessionDate: new Date(2030, 2, 9), startTime: '10:00', endTime: '12:00' },
+    ]);
+
+    const { days, weeks, summary } = await getFacilityCalendar(facility, at(0), new Date(2030, 2, 10));
+
+    expect(days[0]).toMatchObject({ date: '2030-03-04', weekday: 'monday', availableMinutes: 720, bookedMinutes: 180, utilization: 25 });
+    expect(days[0].maintenance[0].reason).toBe('Resurfacing');
+    expect(days[5]).toMatchObject({ weekday: 'saturday', availableMinutes: 240, bookedMinutes: 120, utilization: 50 });
+    expect(days[6]).toMatchObject({ weekday: 'sunday', availableMinutes: 0, utilization: null });
+    expect(weeks.map(week => week.weekStart)).toEqual(['2030-03-03', '2030-03-10']);
+    expect(summary).toEqual({ availableMinutes: 720 + 4 * 840 + 240, bookedMinutes: 300, utilization: 6.9, bookings: 2 });
+  });
+
+  it('refuses periods that are empty or too long', async () => {
+    await expect(getFacilityCalendar(court(), at(0), new Date(2030, 2, 1))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(getFacilityCalendar(court(), at(0), new Date(2030, 6, 1))).rejects.toThrow('at most 93 days');
+  });
+});
@@ -0,0 +1,208 @@
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const GuardianInvitation = require('../models/guardianInvitationModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+const { queueMail, buildUrl } = require('./mailService');
+const { recordAudit } = require('./auditService');
+
+/**
+ * Guardian service
+ * Links parent/guardian accounts to student profiles. A student (or staff on
+ * their behalf) invites a guardian by email; accepting the invitation links
+ * the accounts and records the guardian's consent for minors.
+ */
+
+/**
+ * Build the link sent in the invitation email. Points at the client app when
+ * GUARDIAN_INVITATION_URL is configured, otherwise at the API.
+ * @param {String} token - Raw invitation token
+ * @param {Object} [req] - Express request
+ * @returns {String} Invitation URL
+ */
+const buildInvitationUrl = (token, req) =>
+  process.env.GUARDIAN_INVITATION_URL
+    ? `${process.env.GUARDIAN_INVITATION_URL}?token=${token}`
+    : buildUrl(req, `/api/v1/guardians/invitations/${token}`);
+
+/**
+ * Invite a guardian for a student by email
+ * @param {Object} options - Invitation details
+ * @param {Object} options.student - StudentProfile document
+ * @param {String} options.email - Guardian's email address
+ * @param {String} [options.name] - Guardian's name
+ * @param {String} [options.relationship] - e.g. 'mother', 'legal guardian'
+ * @param {Object} options.invitedBy - User sending the invitation
+ * @param {Object} [options.req] - Express request
+ * @returns {Promise<Object>} GuardianInvitation document
+ */
+exports.inviteGuardian = async ({ student, email, name, relationship, invitedBy, req }) => {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser && existingUser.role !== 'guardian') {
+    throw new AppError('This email belongs to an account that cannot be a guardian', 409);
+  }
+  if (existingUser && student.hasGuardian(existingUser._id)) {
+    throw new AppError('This guardian is already linked to the student', 400);
+  }
+
+  // A new invitation replaces any open one for the same address
+  await GuardianInvitation.updateMany(
+    { student: student._id, email: normalizedEmail, status: 'pending' },
+    { status: 'revoked', respondedAt: Date.now() }
+  );
+
+  const invitation = new GuardianInvitation({
+    student: student._id,
+    email: normalizedEmail,
+    name,
+    relationship,
+    invitedBy: invitedBy._id,
+  });
+  const token = invitation.createInvitationToken();
+  await invitation.save();
+
+  const studentName = student.user && student.user.name ? student.user.name : 'A student';
+
+  await queueMail({
+    to: normalizedEmail,
+    template: 'guardianInvitation',
+    data: {
+      name: name || (existingUser && existingUser.name),
+      studentName,
+      inviterName: invitedBy.name,
+      relationship,
+      requiresConsent: student.requiresGuardianConsent,
+      acceptURL: buildInvitationUrl(token, req),
+      expiresInDays: Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)),
+    },
+    related: { model: 'GuardianInvitation', id: invitation._id },
+  });
+
+  await recordAudit({
+    action: 'guardian_invited',
+    actor: invitedBy,
+    target: { model: 'StudentProfile', id: student._id },
+    req,
+    metadata: { email: normalizedEmail },
+  });
+
+  return invitation;
+};
+
+/**
+ * Look up an invitation that can still be answered
+ * @param {String} token - Raw invitation token
+ * @returns {Promise<Object>} GuardianInvitation document
+ */
+exports.findOpenInvitation = async (token) => {
+  const invitation = await GuardianInvitation.findByToken(token);
+
+  if (!invitation || !invitation.isOpen) {
+    throw new AppError('This invitation is invalid or has expired', 400);
+  }
+
+  return invitation;
+};
+
+/**
+ * Accept an invitation: link the guardian to the student and record consent
+ * @param {Object} invitation - Open GuardianInvitation document
+ * @param {Object} guardian - Guardian user accepting it
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object>} Updated StudentProfile document
+ */
+exports.acceptInvitation = async (invitation, guardian, req) => {
+  const now = new Date();
+
+  const update = {
+    $push: {
+      guardians: {
+        user: guardian._id,
+        relationship: invitation.relationship,
+        linkedAt: now,
+      },
+    },
+  };
+
+  // Accepting the invitation is the guardian's consent for a minor to enrol
+  const student = await StudentProfile.findById(invitation.student);
+  if (!student) {
+    throw new AppError('The student for this invitation no longer exists', 404);
+  }
+  if (student.requiresGuardianConsent) {
+    update.$set = { guardianConsent: { grantedBy: guardian._id, grantedAt: now } };
+  }
+
+  // The filter keeps a guardian from being linked twice by concurrent requests
+  const updatedStudent = await StudentProfile.findOneAndUpdate(
+    { _id: student._id, 'guardians.user': { $ne: guardian._id } },
+    update,
+    { new: true }
+  );
+
+  if (!updatedStudent) {
+    throw new AppError('This guardian is already linked to the student', 400);
+  }
+
+  invitation.status = 'accepted';
+  invitation.guardian = guardian._id;
+  invitation.respondedAt = now;
+  if (update.$set) invitation.consentGivenAt = now;
+  await invitation.save();
+
+  await Notification.create({
+    recipient: updatedStudent.user._id || updatedStudent.user,
+    type: 'guardian_linked',
+    title: 'Guardian linked',
+    message: `${guardian.name} is now linked to your account as your ${invitation.relationship || 'guardian'}.`,
+    related: {
+      model: 'StudentProfile',
+      id: updatedStudent._id,
+    },
+  });
+
+  await recordAudit({
+    action: 'guardian_linked',
+    actor: guardian,
+    target: { model: 'StudentProfile', id: updatedStudent._id },
+    req,
+    metadata: { invitation: invitation._id, consentGiven: Boolean(update.$set) },
+  });
+
+  return updatedStudent;
+};
+
+/**
+ * Unlink a guardian from a student
+ * @param {Object} student - StudentProfile document
+ * @param {String} guardianId - Guardian user ID
+ * @param {Object} actor - User removing the link
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object>} Updated StudentProfile document
+ */
+exports.removeGuardian = async (student, guardianId, actor, req) => {
+  if (!student.hasGuardian(guardianId)) {
+    throw new AppError('This guardian is not linked to the student', 404);
+  }
+
+  const update = { $pull: { guardians: { user: guardianId } } };
+
+  // A minor without any guardian left has to get consent again
+  if (student.guardians.length === 1) {
+    update.$unset = { guardianConsent: 1 };
+  }
+
+  const updatedStudent = await StudentProfile.findByIdAndUpdate(student._id, update, { new: true });
+
+  await recordAudit({
+    action: 'guardian_unlinked',
+    actor,
+    target: { model: 'StudentProfile', id: student._id },
+    req,
+    metadata: { guardian: guardianId },
+  });
+
+  return updatedStudent;
+};
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const GuardianInvitation = require('../models/guardianInvitationModel');
+const Notification = require('../models/notificationModel');
+const { hashToken } = require('../utils/passwordUtils');
+const { queueMail } = require('./mailService');
+const { recordAudit } = require('./auditService');
+const { inviteGuardian, findOpenInvitation, acceptInvitation, removeGuardian } = require('./guardianService');
+
+jest.mock('./mailService', () => ({
+  ...jest.requireActual('./mailService'),
+  queueMail: jest.fn(),
+}));
+jest.mock('./auditService', () => ({ recordAudit: jest.fn() }));
+
+const id = () => new mongoose.Types.ObjectId();
+const yearsAgo = years => new Date(new Date().getFullYear() - years, 0, 1);
+
+const inviter = { _id: id(), name: 'Sam', role: 'student' };
+
+let saved;
+
+beforeEach(() => {
+  saved = null;
+  jest.spyOn(GuardianInvitation.prototype, 'save').mockImplementation(async function() {
+    saved = this;
+    return this;
+  });
+  jest.spyOn(GuardianInvitation, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('inviteGuardian', () => {
+  it('stores a hashed token and mails the raw one', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const student = new StudentProfile({ user: id(), dateOfBirth: yearsAgo(12) });
+
+    const invitation = await inviteGuardian({ student, email: ' Parent@Example.com ', invitedBy: inviter });
+
+    expect(invitation).toBe(saved);
+    expect(invitation.email).toBe('parent@example.com');
+    const mail = queueMail.mock.calls[0][0];
+    const token = mail.data.acceptURL.split('/').pop();
+    expect(invitation.tokenHash).toBe(hashToken(token));
+    expect(mail.data.requiresConsent).toBe(true);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'guardian_invited' }));
+  });
+
+  it('revokes open invitations for the same address', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const student = new StudentProfile({ user: id() });
+
+    await inviteGuardian({ student, email: 'parent@example.com', invitedBy: inviter });
+
+    expect(GuardianInvitation.updateMany.mock.calls[0][0]).toEqual({
+      student: student._id, email: 'parent@example.com', status: 'pending',
+    });
+  });
+
+  it('refuses addresses of accounts that are not guardians', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: id(), role: 'coach' });
+    const student = new StudentProfile({ user: id() });
+
+    await expect(inviteGuardian({ student, email: 'coach@example.com', invitedBy: inviter }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(queueMail).not.toHaveBeenCalled();
+  });
+
+  it('refuses guardians that are already linked', async () => {
+    const guardian = { _id: id(), role: 'guardian' };
+    jest.spyOn(User, 'findOne').mockResolvedValue(guardian);
+    const student = new StudentProfile({ user: id(), guardians: [{ user: guardian._id }] });
+
+    await expect(inviteGuardian({ student, email: 'parent@example.com', invitedBy: inviter }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('findOpenInvitation', () => {
+  it('rejects expired invitations', async () => {
+    const invitation = new GuardianInvitation({ status: 'pending', expiresAt: new Date(Date.now() - 1000) });
+    jest.spyOn(GuardianInvitation, 'findOne').mockResolvedValue(invitation);
+
+    await expect(findOpenInvitation('token')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('acceptInvitation', () => {
+  const guardian = { _id: id(), name: 'Pat', role: 'guardian' };
+
+  it('links the guardian and records consent for minors', async () => {
+    const student = new StudentProfile({ user: id(), dateOfBirth: yearsAgo(12) });
+    const invitation = new GuardianInvitation({ student: student._id, relationship: 'mother' });
+    jest.spyOn(StudentProfile, 'findById').mockResolvedValue(student);
+    const update = jest.spyOn(StudentProfile, 'findOneAndUpdate').mockResolvedValue(student);
+
+    await acceptInvitation(invitation, guardian);
+
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter['guardians.user']).toEqual({ $ne: guardian._id });
+    expect(changes.$push.guardians.user).toBe(guardian._id);
+    expect(changes.$set.guardianConsent.grantedBy).toBe(guardian._id);
+    expect(invitation.status).toBe('accepted');
+    expect(invitation.consentGivenAt).toBeInstanceOf(Date);
+  });
+
+  it('does not record consent for adults', async () => {
+    const student = new StudentProfile({ user: id(), dateOfBirth: yearsAgo(30) });
+    const invitation = new GuardianInvitation({ student: student._id });
+    jest.spyOn(StudentProfile, 'findById').mockResolvedValue(student);
+    const update = jest.spyOn(StudentProfile, 'findOneAndUpdate').mockResolvedValue(student);
+
+    await acceptInvitation(invitation, guardian);
+
+    expect(update.mock.calls[0][1].$set).toBeUndefined();
+    expect(invitation.consentGivenAt).toBeUndefined();
+  });
+
+  it('refuses a guardian linked by a concurrent request', async () => {
+    const student = new StudentProfile({ user: id() });
+    const invitation = new GuardianInvitation({ student: student._id });
+    jest.spyOn(StudentProfile, 'findById').mockResolvedValue(student);
+    jest.spyOn(StudentProfile, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(acceptInvitation(invitation, guardian)).rejects.toMatchObject({ statusCode: 400 });
+    expect(saved).toBeNull();
+  });
+});
+
+describe('removeGuardian', () => {
+  it('withdraws consent when the last guardian is removed', async () => {
+    const guardianId = id();
+    const student = new StudentProfile({ user: id(), guardians: [{ user: guardianId }] });
+    const update = jest.spyOn(StudentProfile, 'findByIdAndUpdate').mockResolvedValue(student);
+
+    await removeGuardian(student, guardianId, inviter);
+
+    expect(update.mock.calls[0][1]).toEqual({
+      $pull: { guardians: { user: guardianId } },
+      $unset: { guardianConsent: 1 },
+    });
+  });
+
+  it('rejects guardians that are not linked', async () => {
+    const student = new StudentProfile({ user: id() });
+
+    await expect(removeGuardian(student, id(), inviter)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
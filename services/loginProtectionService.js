@@ -0,0 +1,192 @@
+const User = require('../models/userModel');
+const RateLimit = require('../models/rateLimitModel');
+const AppError = require('../utils/appError');
+const { recordAudit } = require('./auditService');
+
+/**
+ * Login protection service
+ * Per-account brute-force protection that complements the IP-based rate
+ * limiter in app.js. All state lives in MongoDB and is updated atomically,
+ * so limits hold across restarts and multiple API instances.
+ *
+ * - After a few failed attempts every further attempt has to wait a growing delay
+ * - After LOGIN_MAX_FAILED_ATTEMPTS the account is locked for LOGIN_LOCKOUT_MINUTES
+ * - Password reset emails are throttled per email address
+ */
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Failed attempts allowed before delays kick in, and the longest delay
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * Delay required before the next attempt after a number of failures
+ * @param {Number} failedAttempts - Consecutive failed attempts
+ * @returns {Number} Delay in milliseconds (1s, 2s, 4s, ... capped at a minute)
+ */
+const getDelayMs = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+/**
+ * Check whether a user may attempt to log in right now
+ * @param {Object} user - User document
+ * @returns {Object|null} Block details ({ statusCode, message, retryAfter }) or null if allowed
+ */
+exports.getLoginBlock = (user) => {
+  const now = Date.now();
+
+  if (user.lockUntil && user.lockUntil > now) {
+    return {
+      statusCode: 423,
+      message: 'This account is temporarily locked after too many failed login attempts. Please try again later or contact an administrator.',
+      retryAfter: Math.ceil((user.lockUntil - now) / 1000),
+    };
+  }
+
+  const delayMs = getDelayMs(user.failedLoginAttempts || 0);
+  if (delayMs && user.lastFailedLoginAt) {
+    const nextAttemptAt = user.lastFailedLoginAt.getTime() + delayMs;
+    if (nextAttemptAt > now) {
+      return {
+        statusCode: 429,
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: Math.ceil((nextAttemptAt - now) / 1000),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Throw if a user may not attempt to log in right now
+ * @param {Object} user - User document
+ * @throws {AppError} With `retryAfter` (seconds) if blocked
+ */
+exports.assertLoginAllowed = (user) => {
+  const block = exports.getLoginBlock(user);
+  if (block) {
+    const error = new AppError(block.message, block.statusCode);
+    error.retryAfter = block.retryAfter;
+    throw error;
+  }
+};
+
+/**
+ * Record a failed login attempt (wrong password or second-factor code)
+ * and lock the account once the limit is reached
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Boolean>} True if this attempt locked the account
+ */
+exports.recordFailedLogin = async (user, req) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) return false;
+
+  // Only one concurrent request gets to lock the account and write the audit entry
+  const lockUntil = new Date(Date.now() + LOCKOUT_MS);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+    { $set: { lockUntil, failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1 } },
+    { new: true }
+  );
+
+  if (!locked) return false;
+
+  await recordAudit({
+    action: 'account_locked',
+    target: { model: 'User', id: user._id },
+    req,
+    metadata: {
+      failedAttempts: MAX_FAILED_ATTEMPTS,
+      lockUntil,
+    },
+  });
+
+  return true;
+};
+
+/**
+ * Clear failed attempts after a successful login
+ * @param {Object} user - User document
+ */
+exports.recordSuccessfulLogin = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil && !user.lastFailedLoginAt) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
+/**
+ * Unlock an account and reset its failed attempts
+ * @param {Object} user - User document to unlock
+ * @param {Object} admin - Administrator performing the unlock
+ * @param {Object} req - Express request
+ * @returns {Promise<Boolean>} True if the account was locked before
+ */
+exports.unlockAccount = async (user, admin, req) => {
+  const wasLocked = Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+
+  await recordAudit({
+    action: 'account_unlocked',
+    actor: admin,
+    target: { model: 'User', id: user._id },
+    req,
+    metadata: { wasLocked },
+  });
+
+  return wasLocked;
+};
+
+/**
+ * Count an action against a shared fixed-window limit
+ * @param {String} key - Limit key, e.g. 'forgot-password:jane@example.com'
+ * @param {Object} options - Limit options
+ * @param {Number} options.limit - Maximum actions per window
+ * @param {Number} options.windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} { allowed, remaining, retryAfter } (retryAfter in seconds)
+ */
+exports.consumeRateLimit = async (key, { limit, windowMs }) => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + windowMs);
+
+  // Start a new window if the previous one ended, otherwise count within it
+  const entry = await RateLimit.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          count: {
+            $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$count', 1] }, 1],
+          },
+          expiresAt: {
+            $cond: [{ $gt: ['$expiresAt', now] }, '$expiresAt', windowEnd],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+
+  return {
+    allowed: entry.count <= limit,
+    remaining: Math.max(limit - entry.count, 0),
+    retryAfter: Math.ceil((entry.expiresAt - now) / 1000),
+  };
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const RateLimit = require('../models/rateLimitModel');
+const { recordAudit } = require('./auditService');
+const {
+  getLoginBlock,
+  assertLoginAllowed,
+  recordFailedLogin,
+  unlockAccount,
+  consumeRateLimit,
+} = require('./loginProtectionService');
+
+jest.mock('./auditService', () => ({ recordAudit: jest.fn() }));
+
+const SECOND_MS = 1000;
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('getLoginBlock', () => {
+  it('allows the first few failed attempts without a delay', () => {
+    expect(getLoginBlock({ failedLoginAttempts: 2, lastFailedLoginAt: new Date() })).toBeNull();
+  });
+
+  it('makes further attempts wait a growing delay', () => {
+    const justFailed = new Date();
+
+    expect(getLoginBlock({ failedLoginAttempts: 3, lastFailedLoginAt: justFailed })).toMatchObject({ statusCode: 429, retryAfter: 1 });
+    expect(getLoginBlock({ failedLoginAttempts: 5, lastFailedLoginAt: justFailed })).toMatchObject({ statusCode: 429, retryAfter: 4 });
+    expect(getLoginBlock({ failedLoginAttempts: 20, lastFailedLoginAt: justFailed })).toMatchObject({ retryAfter: 60 });
+  });
+
+  it('allows an attempt once the delay has passed', () => {
+    expect(getLoginBlock({ failedLoginAttempts: 3, lastFailedLoginAt: new Date(Date.now() - 2 * SECOND_MS) })).toBeNull();
+  });
+
+  it('blocks locked accounts until the lock ends', () => {
+    const block = getLoginBlock({ lockUntil: new Date(Date.now() + 90 * SECOND_MS) });
+
+    expect(block.statusCode).toBe(423);
+    expect(block.retryAfter).toBe(90);
+  });
+});
+
+describe('assertLoginAllowed', () => {
+  it('throws with the number of seconds to wait', () => {
+    expect(() => assertLoginAllowed({ lockUntil: new Date(Date.now() + 10 * SECOND_MS) }))
+      .toThrow(expect.objectContaining({ statusCode: 423, retryAfter: 10 }));
+  });
+});
+
+describe('recordFailedLogin', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it('only counts attempts below the limit', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValueOnce({ failedLoginAttempts: 4 });
+
+    await expect(recordFailedLogin(user, {})).resolves.toBe(false);
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+
+  it('locks the account and records it at the limit', async () => {
+    const update = jest.spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ failedLoginAttempts: 10 })
+      .mockResolvedValueOnce({ _id: user._id });
+
+    await expect(recordFailedLogin(user, {})).resolves.toBe(true);
+    expect(update.mock.calls[1][1].$set.lockUntil).toBeInstanceOf(Date);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'account_locked' }));
+  });
+
+  it('leaves locking to the request that got there first', async () => {
+    jest.spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ failedLoginAttempts: 11 })
+      .mockResolvedValueOnce(null);
+
+    await expect(recordFailedLogin(user, {})).resolves.toBe(false);
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+});
+
+describe('unlockAccount', () => {
+  it('clears the lock and records who unlocked it', async () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const update = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const wasLocked = await unlockAccount({ _id: 'user-id', lockUntil: new Date(Date.now() + 60 * SECOND_MS) }, admin, {});
+
+    expect(wasLocked).toBe(true);
+    expect(update.mock.calls[0][1].$unset).toHaveProperty('lockUntil');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'account_unlocked', actor: admin }));
+  });
+});
+
+describe('consumeRateLimit', () => {
+  it('reports whether the action is still within the limit', async () => {
+    const expiresAt = new Date(Date.now() + 30 * 60 * SECOND_MS);
+    jest.spyOn(RateLimit, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ count: 3, expiresAt })
+      .mockResolvedValueOnce({ count: 4, expiresAt });
+
+    const options = { limit: 3, windowMs: 60 * 60 * SECOND_MS };
+
+    await expect(consumeRateLimit('forgot-password:jane@example.com', options)).resolves.toMatchObject({ allowed: true, remaining: 0 });
+    await expect(consumeRateLimit('forgot-password:jane@example.com', options)).resolves.toMatchObject({ allowed: false, retryAfter: 1800 });
+  });
+});
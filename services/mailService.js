@@ -0,0 +1,212 @@
+const EmailOutbox = require('../models/emailOutboxModel');
+const { render } = require('./mailTemplates');
+const consoleTransport = require('./mailTransports/consoleTransport');
+const fileTransport = require('./mailTransports/fileTransport');
+const smtpTransport = require('./mailTransports/smtpTransport');
+
+/**
+ * Mail service
+ * Single entry point for outbound email. The transport is picked with the
+ * MAIL_TRANSPORT environment variable so delivery can be swapped without
+ * touching the callers. Messages are persisted in an outbox first and retried
+ * with exponential backoff when delivery fails. The body is removed once the
+ * message is sent or has failed for good.
+ */
+
+// Registered transports, keyed by name
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport,
+};
+
+// Retry settings for failed deliveries
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1 minute, doubled on every attempt
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const STALE_LOCK_MS = 10 * 60 * 1000; // Reclaim messages stuck in "sending"
+
+/**
+ * Register an additional transport (e.g. a test double)
+ * @param {Object} transport - Object with a `name` and an async `send(message)` method
+ */
+exports.registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('A mail transport needs a name and a send(message) function');
+  }
+  transports[transport.name] = transport;
+};
+
+/**
+ * Get the transport selected by MAIL_TRANSPORT (defaults to console)
+ * @returns {Object} Mail transport
+ */
+exports.getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transport;
+};
+
+/**
+ * Check whether a mail transport was explicitly configured.
+ * Without one, emails only go to the console and development helpers
+ * (such as returning reset tokens in responses) stay enabled.
+ * @returns {Boolean} True if MAIL_TRANSPORT is set
+ */
+exports.isTransportConfigured = () => Boolean(process.env.MAIL_TRANSPORT);
+
+/**
+ * Send an email immediately through the configured transport, bypassing the outbox
+ * @param {Object} message - Message to send
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain text body
+ * @param {String} [message.html] - HTML body
+ * @returns {Promise<Object>} Delivery info returned by the transport
+ */
+exports.sendMail = async (message) => {
+  const transport = exports.getTransport();
+
+  return await transport.send({
+    from: process.env.EMAIL_FROM || 'noreply@sportsacademy.com',
+    ...message,
+  });
+};
+
+/**
+ * Calculate when a failed message should be retried
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Date} Next attempt time
+ */
+const getNextAttemptAt = (attempts) => {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+  return new Date(Date.now() + delay);
+};
+
+/**
+ * Try to deliver a claimed outbox message and record the outcome
+ * @param {Object} outboxMessage - EmailOutbox document in "sending" state
+ * @returns {Promise<Object>} Updated outbox document
+ */
+const deliver = async (outboxMessage) => {
+  outboxMessage.attempts += 1;
+
+  try {
+    const transport = exports.getTransport();
+    const info = await transport.send({
+      from: outboxMessage.from,
+      to: outboxMessage.to,
+      subject: outboxMessage.subject,
+      text: outboxMessage.text,
+      html: outboxMessage.html,
+    });
+
+    outboxMessage.status = 'sent';
+    outboxMessage.sentAt = new Date();
+    outboxMessage.transport = transport.name;
+    outboxMessage.messageId = info && info.messageId;
+    outboxMessage.lastError = undefined;
+  } catch (error) {
+    console.error(`Error sending email to ${outboxMessage.to} (attempt ${outboxMessage.attempts}):`, error.message);
+
+    outboxMessage.lastError = error.message;
+    if (outboxMessage.attempts >= outboxMessage.maxAttempts) {
+      outboxMessage.status = 'failed';
+      outboxMessage.failedAt = new Date();
+    } else {
+      outboxMessage.status = 'pending';
+      outboxMessage.nextAttemptAt = getNextAttemptAt(outboxMessage.attempts);
+    }
+  }
+
+  // Bodies can hold reset, verification and invitation tokens, so they are
+  // only kept while the message may still be retried
+  if (outboxMessage.status !== 'pending') {
+    outboxMessage.text = undefined;
+    outboxMessage.html = undefined;
+  }
+
+  outboxMessage.lockedAt = undefined;
+  return await outboxMessage.save();
+};
+
+/**
+ * Render a template, store it in the outbox and attempt delivery straight away.
+ * Delivery failures do not throw; the message is retried by `processOutbox`.
+ * @param {Object} options - Email options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.template - Template name (see mailTemplates)
+ * @param {Object} [options.data] - Template data
+ * @param {Object} [options.related] - Related document ({ model, id }) for tracing
+ * @returns {Promise<Object>} EmailOutbox document
+ */
+exports.queueMail = async ({ to, template, data, related }) => {
+  const content = render(template, data);
+
+  const outboxMessage = await EmailOutbox.create({
+    to,
+    from: process.env.EMAIL_FROM || 'noreply@sportsacademy.com',
+    template,
+    subject: content.subject,
+    text: content.text,
+    html: content.html,
+    related,
+    status: 'sending',
+    lockedAt: new Date(),
+  });
+
+  return await deliver(outboxMessage);
+};
+
+/**
+ * Deliver outbox messages that are due for a (re)try
+ * @param {Number} [limit=50] - Maximum number of messages to process
+ * @returns {Promise<Object>} Counts of sent and failed deliveries
+ */
+exports.processOutbox = async (limit = 50) => {
+  const summary = { processed: 0, sent: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+
+    // Claim one message at a time so several API instances can share the outbox
+    const outboxMessage = await EmailOutbox.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      { status: 'sending', lockedAt: now },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!outboxMessage) break;
+
+    const result = await deliver(outboxMessage);
+    summary.processed += 1;
+    if (result.status === 'sent') {
+      summary.sent += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Build an absolute URL to this API for links in emails
+ * @param {Object|null} req - Express request (used when APP_URL is not set)
+ * @param {String} pathname - Path starting with a slash
+ * @returns {String} Absolute URL
+ */
+exports.buildUrl = (req, pathname) => {
+  const baseUrl = process.env.APP_URL ||
+    (req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${process.env.PORT || 5000}`);
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
@@ -0,0 +1,106 @@
+const EmailOutbox = require('../models/emailOutboxModel');
+const { registerTransport, queueMail, processOutbox } = require('./mailService');
+const { render } = require('./mailTemplates');
+
+const MINUTE_MS = 60 * 1000;
+
+// Transport double; `failWith` makes every delivery fail with that error
+const transport = {
+  name: 'test',
+  sent: [],
+  failWith: null,
+  send: async (message) => {
+    if (transport.failWith) throw transport.failWith;
+    transport.sent.push(message);
+    return { messageId: `message-${transport.sent.length}` };
+  },
+};
+registerTransport(transport);
+
+const resetMail = { to: 'jane@example.com', template: 'resetPassword', data: { name: 'Jane', resetToken: 'secret-token', expiresInMinutes: 10 } };
+
+beforeEach(() => {
+  process.env.MAIL_TRANSPORT = 'test';
+  transport.sent = [];
+  transport.failWith = null;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(EmailOutbox.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(EmailOutbox, 'create').mockImplementation(async fields => new EmailOutbox(fields));
+});
+
+afterEach(() => {
+  delete process.env.MAIL_TRANSPORT;
+  jest.restoreAllMocks();
+});
+
+describe('queueMail', () => {
+  it('renders the template and delivers it through the configured transport', async () => {
+    const message = await queueMail(resetMail);
+
+    expect(message.status).toBe('sent');
+    expect(message.transport).toBe('test');
+    expect(transport.sent[0].to).toBe('jane@example.com');
+    expect(transport.sent[0].text).toContain('secret-token');
+  });
+
+  it('does not keep the body of delivered mail', async () => {
+    const message = await queueMail(resetMail);
+
+    expect(message.text).toBeUndefined();
+    expect(message.html).toBeUndefined();
+  });
+
+  it('keeps failed mail for a retry with backoff instead of throwing', async () => {
+    transport.failWith = new Error('SMTP down');
+
+    const message = await queueMail(resetMail);
+
+    expect(message.status).toBe('pending');
+    expect(message.attempts).toBe(1);
+    expect(message.lastError).toBe('SMTP down');
+    expect(message.text).toContain('secret-token');
+    expect(message.nextAttemptAt - Date.now()).toBeGreaterThan(0.9 * MINUTE_MS);
+  });
+
+  it('rejects unknown templates', async () => {
+    await expect(queueMail({ to: 'jane@example.com', template: 'nope' })).rejects.toThrow();
+  });
+});
+
+describe('processOutbox', () => {
+  it('gives up after the last attempt and drops the body', async () => {
+    transport.failWith = new Error('SMTP down');
+    const message = new EmailOutbox({ to: 'jane@example.com', subject: 'Hi', text: 'token', attempts: 4, maxAttempts: 5 });
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValueOnce(message).mockResolvedValue(null);
+
+    const summary = await processOutbox();
+
+    expect(summary).toEqual({ processed: 1, sent: 0, failed: 1 });
+    expect(message.status).toBe('failed');
+    expect(message.failedAt).toBeInstanceOf(Date);
+    expect(message.text).toBeUndefined();
+  });
+
+  it('doubles the delay between retries', async () => {
+    transport.failWith = new Error('SMTP down');
+    const message = new EmailOutbox({ to: 'jane@example.com', subject: 'Hi', text: 'body', attempts: 2 });
+    jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValueOnce(message).mockResolvedValue(null);
+
+    await processOutbox();
+
+    expect(message.status).toBe('pending');
+    expect(message.nextAttemptAt - Date.now()).toBeGreaterThan(3.9 * MINUTE_MS);
+  });
+});
+
+describe('render', () => {
+  it('escapes values in the HTML body', () => {
+    const { html, text } = render('verifyEmail', { name: '<b>Jane</b>', verifyURL: 'https://example.com/verify?a=1&b=2' });
+
+    expect(html).toContain('&lt;b&gt;Jane&lt;/b&gt;');
+    expect(html).toContain('a=1&amp;b=2');
+    expect(text).toContain('https://example.com/verify?a=1&b=2');
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Email templates
+ * Each template receives a data object and returns the subject plus plain
+ * text and HTML bodies. Add new templates here and send them with
+ * `mailService.queueMail({ to, template, data })`.
+ */
+
+const ACADEMY_NAME = process.env.ACADEMY_NAME || 'Sports Academy';
+
+/**
+ * Escape a value for safe use inside HTML
+ * @param {*} value - Value to escape
+ * @returns {String} Escaped string
+ */
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format a date for display in emails
+ * @param {Date|String} date - Date to format
+ * @returns {String} Human readable date
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Build a message from paragraphs and an optional call-to-action link
+ * @param {Object} options - Message parts
+ * @param {String} options.subject - Subject line
+ * @param {String} options.greeting - First line, e.g. "Hi Alex,"
+ * @param {String[]} options.paragraphs - Body paragraphs (plain text)
+ * @param {Object} [options.action] - Link with `label` and `url`
+ * @returns {Object} Subject, text and html
+ */
+const layout = ({ subject, greeting, paragraphs, action }) => {
+  const textParts = [greeting, ...paragraphs];
+  if (action) textParts.push(`${action.label}: ${action.url}`);
+  textParts.push(`— The ${ACADEMY_NAME} team`);
+
+  const htmlParts = [greeting, ...paragraphs].map(p => `<p>${escapeHtml(p)}</p>`);
+  if (action) {
+    htmlParts.push(`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`);
+  }
+  htmlParts.push(`<p>&mdash; The ${escapeHtml(ACADEMY_NAME)} team</p>`);
+
+  return {
+    subject,
+    text: textParts.join('\n\n'),
+    html: `<!DOCTYPE html><html><body>${htmlParts.join('')}</body></html>`,
+  };
+};
+
+const templates = {
+  verifyEmail: ({ name, verifyURL }) => layout({
+    subject: 'Verify your email address',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      'Please confirm your email address by opening the link below. The link expires in 24 hours.',
+      'If you did not create an account, you can ignore this email.',
+    ],
+    action: { label: 'Verify email', url: verifyURL },
+  }),
+
+  welcome: ({ name, role, verifyURL }) => layout({
+    subject: `Welcome to ${ACADEMY_NAME}`,
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Thanks for registering with ${ACADEMY_NAME}.`,
+      role === 'coach'
+        ? 'Before you can start coaching, complete your coach application in the app: add your bio, expertise and certification documents, then submit it for review. We will email you as soon as it is approved.'
+        : 'You can now browse training sessions, tournaments and subscription plans in the app.',
+      'Please confirm your email address using the link below. The link expires in 24 hours.',
+    ],
+    action: verifyURL ? { label: 'Verify email', url: verifyURL } : undefined,
+  }),
+
+  resetPassword: ({ name, resetURL, resetToken, expiresInMinutes }) => layout({
+    subject: 'Your password reset token',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `We received a request to reset your password. Your reset token is valid for ${expiresInMinutes} minutes:`,
+      resetToken,
+      'If you did not request a password reset, you can ignore this email and your password will stay the same.',
+    ],
+    action: resetURL ? { label: 'Reset password', url: resetURL } : undefined,
+  }),
+
+  accountCreated: ({ name, role }) => layout({
+    subject: `Your ${ACADEMY_NAME} account is ready`,
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `An administrator has created a ${role} account for you at ${ACADEMY_NAME}.`,
+      'To sign in for the first time, choose "Forgot password" in the app and enter this email address to set your password.',
+    ],
+  }),
+
+  coachApproved: ({ name }) => layout({
+    subject: 'Your coach account has been approved',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Good news! Your coach account at ${ACADEMY_NAME} has been approved.`,
+      'You can now log in to manage your schedule, students and training plans.',
+    ],
+  }),
+
+  coachApplicationRejected: ({ name, reason }) => layout({
+    subject: 'Your coach application was not approved',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Your coach application at ${ACADEMY_NAME} was not approved.`,
+      `Reason: ${reason}`,
+      'You can update your application in the app and submit it again.',
+    ],
+  }),
+
+  certificationExpiring: ({ name, certificationName, expiresAt, daysRemaining }) => layout({
+    subject: `Your ${certificationName} certification expires soon`,
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Your ${certificationName} certification expires on ${formatDate(expiresAt)} (in ${daysRemaining} day(s)).`,
+      'Please renew it and send the new certificate to an administrator so your coach profile stays up to date.',
+    ],
+  }),
+
+  tournamentReminder: ({ name, tournamentName, startDate, locationName, message }) => layout({
+    subject: `Reminder: ${tournamentName}`,
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `This is a reminder that ${tournamentName} starts on ${formatDate(startDate)}${locationName ? ` at ${locationName}` : ''}.`,
+      ...(message ? [message] : []),
+      'Good luck!',
+    ],
+  }),
+
+  guardianInvitation: ({ name, studentName, inviterName, relationship, requiresConsent, acceptURL, expiresInDays }) => layout({
+    subject: `${studentName} invited you to ${ACADEMY_NAME}`,
+    greeting: `Hi ${name || 'there'},`,
+    paragraphs: [
+      `${inviterName} has invited you to join ${ACADEMY_NAME} as ${studentName}'s ${relationship || 'guardian'}.`,
+      'As a guardian you can follow their attendance, progress and diet plans, see invoices and pay subscriptions on their behalf.',
+      ...(requiresConsent
+        ? [`${studentName} is a minor, so they can only enrol in subscriptions and tournaments once you have given your consent.`]
+        : []),
+      `Open the link below to accept. The link expires in ${expiresInDays} days.`,
+    ],
+    action: { label: 'Accept invitation', url: acceptURL },
+  }),
+
+  subscriptionExpiring: ({ name, planName, endDate, daysRemaining }) => layout({
+    subject: 'Your subscription is about to expire',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Your ${planName} subscription expires on ${formatDate(endDate)} (${daysRemaining} day${daysRemaining === 1 ? '' : 's'} from now).`,
+      'Renew in the app to keep your training going without interruption.',
+    ],
+  }),
+
+  erasureRequested: ({ name }) => layout({
+    subject: 'We received your data erasure request',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `We received a request to erase your ${ACADEMY_NAME} account and personal data. An administrator will review it shortly.`,
+      'You can download a copy of your data from your profile before it is erased.',
+      'If you did not make this request, please contact us.',
+    ],
+  }),
+
+  erasureApproved: ({ name, scheduledFor }) => layout({
+    subject: 'Your data erasure request was approved',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      `Your account and personal data will be erased on ${formatDate(scheduledFor)}.`,
+      'Until then you can still sign in, download a copy of your data, or cancel the request from your profile.',
+      'Payment records are kept for bookkeeping, without your personal details.',
+    ],
+  }),
+
+  erasureRejected: ({ name, reason }) => layout({
+    subject: 'Your data erasure request was not approved',
+    greeting: `Hi ${name},`,
+    paragraphs: [
+      'Your request to erase your account and personal data was not approved.',
+      ...(reason ? [`Reason: ${reason}`] : []),
+      'Please contact us if you have any questions.',
+    ],
+  }),
+};
+
+/**
+ * Render a template
+ * @param {String} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} Subject, text and html
+ * @throws {Error} If the template does not exist
+ */
+exports.render = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+};
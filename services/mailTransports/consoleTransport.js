@@ -0,0 +1,25 @@
+/**
+ * Console mail transport
+ * Prints outgoing messages to stdout instead of delivering them.
+ * Default transport for local development.
+ */
+module.exports = {
+  name: 'console',
+
+  /**
+   * "Send" a message by logging it
+   * @param {Object} message - Message with to, from, subject, text and html
+   * @returns {Promise<Object>} Delivery info
+   */
+  send: async (message) => {
+    console.log('==============================================');
+    console.log(`Email to: ${message.to}`);
+    console.log(`From: ${message.from}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('----------------------------------------------');
+    console.log(message.text);
+    console.log('==============================================');
+
+    return { messageId: `console-${Date.now()}` };
+  },
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File mail transport
+ * Writes every outgoing message as a JSON file in a local directory so that
+ * developers and tests can inspect exactly what would have been sent.
+ */
+const getMailDirectory = () =>
+  process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'sports-academy-mail');
+
+module.exports = {
+  name: 'file',
+
+  /**
+   * Write a message to the mail directory
+   * @param {Object} message - Message with to, from, subject, text and html
+   * @returns {Promise<Object>} Delivery info including the file path
+   */
+  send: async (message) => {
+    const directory = getMailDirectory();
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(directory, `${messageId}.json`);
+
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2)
+    );
+
+    return { messageId, filePath };
+  },
+
+  getMailDirectory,
+};
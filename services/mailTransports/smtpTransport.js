@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport
+ * Delivers messages through the SMTP server configured with the EMAIL_*
+ * environment variables.
+ */
+let transporter;
+
+/**
+ * Lazily create the nodemailer transporter so the SMTP settings are only
+ * required when this transport is actually selected
+ * @returns {Object} Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.EMAIL_HOST) {
+      throw new Error('SMTP transport requires EMAIL_HOST to be set');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: Number(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USERNAME
+        ? {
+            user: process.env.EMAIL_USERNAME,
+            pass: process.env.EMAIL_PASSWORD,
+          }
+        : undefined,
+    });
+  }
+
+  return transporter;
+};
+
+module.exports = {
+  name: 'smtp',
+
+  /**
+   * Send a message over SMTP
+   * @param {Object} message - Message with to, from, subject, text and html
+   * @returns {Promise<Object>} Delivery info
+   */
+  send: async (message) => {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  },
+};
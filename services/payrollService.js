@@ -0,0 +1,405 @@
+const mongoose = require('mongoose');
+const CoachCompensation = require('../models/coachCompensationModel');
+const Payslip = require('../models/payslipModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Attendance = require('../models/attendanceModel');
+const Booking = require('../models/bookingModel');
+const Tournament = require('../models/tournamentModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+const { sessionPeriod } = require('./availabilityService');
+
+/**
+ * Coach payroll service
+ * Coaches are paid from the rates in their compensation record:
+ *  - every delivered training session pays `sessionRate` plus `hourlyRate`
+ *    per hour. A session counts as delivered when it is marked completed or
+ *    when attendance shows that at least one student was there;
+ *  - every completed private booking pays `bookingRate` plus `hourlyRate`
+ *    per hour;
+ *  - every completed tournament pays `tournamentFeePercentage` of the entry
+ *    fees of the teams the coach led.
+ * Earnings are computed per calendar month into a draft payslip, which an
+ * administrator can adjust, approve and finally mark paid. Approved and paid
+ * payslips are never recomputed.
+ */
+
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Fields of a compensation record that are copied onto payslips
+const RATE_FIELDS = ['hourlyRate', 'sessionRate', 'bookingRate', 'tournamentFeePercentage'];
+
+const { roundMoney } = Payslip;
+
+/**
+ * Get the first day of a YYYY-MM month and of the month after it
+ * @param {String} period - YYYY-MM
+ * @returns {Object} { from, to }
+ * @throws {AppError} When the period is invalid
+ */
+const parsePeriod = (period) => {
+  const match = PERIOD_PATTERN.exec(period || '');
+  if (!match) {
+    throw new AppError('Period must be in YYYY-MM format', 400);
+  }
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
+};
+
+/**
+ * Format the month a date falls in as YYYY-MM
+ * @param {Date} [date=now] - Date
+ * @returns {String} Period
+ */
+const formatPeriod = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Get the period before a period
+ * @param {String} period - YYYY-MM
+ * @returns {String} Previous YYYY-MM
+ */
+const previousPeriod = (period) => {
+  const { from } = parsePeriod(period);
+  return formatPeriod(new Date(from.getFullYear(), from.getMonth() - 1, 1));
+};
+
+/**
+ * Notify a coach about one of their payslips
+ * @param {Object} payslip - Payslip document
+ * @param {String} title - Notification title
+ * @param {String} message - Notification message
+ */
+const notify = (payslip, title, message) => Notification.create({
+  recipient: payslip.coach,
+  type: 'payroll',
+  title,
+  message,
+  related: { model: 'Payslip', id: payslip._id },
+});
+
+/**
+ * Describe the total of a payslip
+ * @param {Object} payslip - Payslip document
+ * @returns {String} e.g. "1250.00 USD"
+ */
+const describeTotal = payslip => `${payslip.total.toFixed(2)} ${payslip.currency}`;
+
+/**
+ * Get a coach's compensation record
+ * @param {Object} coachUserId - Coach's user ID
+ * @returns {Promise<Object|null>} CoachCompensation document
+ */
+exports.getCompensation = coachUserId => CoachCompensation.findOne({ coach: coachUserId });
+
+/**
+ * Create or replace a coach's pay rates
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {Object} details - Validated rates, currency and notes
+ * @param {Object} user - Administrator making the change
+ * @returns {Promise<Object>} CoachCompensation document
+ */
+exports.setCompensation = async (coachUserId, details, user) => {
+  let compensation = await exports.getCompensation(coachUserId);
+  if (!compensation) {
+    compensation = new CoachCompensation({ coach: coachUserId });
+  }
+
+  compensation.set(details);
+  compensation.updatedBy = user._id;
+  await compensation.save();
+
+  return compensation;
+};
+
+/**
+ * Work out what a coach earned in a month
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {String} period - YYYY-MM
+ * @param {Object} compensation - CoachCompensation document
+ * @returns {Promise<Object>} { currency, rates, items, earnings }
+ */
+exports.computeEarnings = async (coachUserId, period, compensation) => {
+  const { from, to } = parsePeriod(period);
+  const rates = {};
+  RATE_FIELDS.forEach(field => {
+    rates[field] = compensation[field] || 0;
+  });
+  const hourly = minutes => rates.hourlyRate * minutes / 60;
+
+  const [sessions, bookings, tournaments] = await Promise.all([
+    TrainingSession.find({
+      coach: coachUserId,
+      sessionDate: { $gte: from, $lt: to },
+      status: { $ne: 'cancelled' },
+    }).select('title sessionDate startTime endTime status attendees').lean(),
+    Booking.find({
+      coach: coachUserId,
+      status: 'completed',
+      startsAt: { $gte: from, $lt: to },
+    }).populate('student', 'name').lean(),
+    Tournament.find({
+      status: 'completed',
+      endDate: { $gte: from, $lt: to },
+      'teams.coach': coachUserId,
+    }).select('name endDate entryFee teams').lean(),
+  ]);
+
+  // Sessions someone was marked present at, in the attendance register
+  const attended = new Set((await Attendance.distinct('session', {
+    session: { $in: sessions.map(session => session._id) },
+    status: { $in: ['present', 'late'] },
+  })).map(String));
+
+  const items = [];
+
+  sessions
+    .filter(session =>
+      session.status === 'completed' ||
+      attended.has(String(session._id)) ||
+      (session.attendees || []).some(attendee => attendee.status === 'attended'))
+    .forEach(session => {
+      const { startsAt, endsAt } = sessionPeriod(session);
+      const minutes = Math.round((endsAt - startsAt) / 60000);
+      items.push({
+        kind: 'session',
+        reference: session._id,
+        date: startsAt,
+        description: session.title,
+        minutes,
+        amount: roundMoney(rates.sessionRate + hourly(minutes)),
+      });
+    });
+
+  bookings.forEach(booking => {
+    const minutes = Math.round((booking.endsAt - booking.startsAt) / 60000);
+    items.push({
+      kind: 'booking',
+      reference: booking._id,
+      date: booking.startsAt,
+      description: `Private session${booking.student ? ` with ${booking.student.name}` : ''}`,
+      minutes,
+      amount: roundMoney(rates.bookingRate + hourly(minutes)),
+    });
+  });
+
+  tournaments.forEach(tournament => {
+    const fee = (tournament.entryFee && tournament.entryFee.amount) || 0;
+    tournament.teams
+      .filter(team => team.coach && team.coach.toString() === coachUserId.toString() && team.status !== 'withdrawn')
+      .forEach(team => {
+        const participants = (team.participants || []).length;
+        items.push({
+          kind: 'tournament',
+          reference: tournament._id,
+          date: tournament.endDate,
+          description: `${tournament.name}: ${team.name} (${participants} x ${fee} ${tournament.entryFee.currency})`,
+          amount: roundMoney(participants * fee * rates.tournamentFeePercentage / 100),
+        });
+      });
+  });
+
+  items.sort((a, b) => a.date - b.date);
+
+  return {
+    currency: compensation.currency,
+    rates,
+    items,
+    earnings: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+  };
+};
+
+/**
+ * Compute a coach's payslip for a month, or refresh its draft
+ * @param {Object} coachUserId - Coach's user ID
+ * @param {String} period - YYYY-MM
+ * @returns {Promise<Object>} Payslip document
+ * @throws {AppError} When the coach has no pay rates or the payslip is approved
+ */
+exports.computePayslip = async (coachUserId, period) => {
+  parsePeriod(period);
+
+  const compensation = await exports.getCompensation(coachUserId);
+  if (!compensation) {
+    throw new AppError('This coach has no pay rates yet', 400);
+  }
+
+  let payslip = await Payslip.findOne({ coach: coachUserId, period });
+  if (payslip && payslip.status !== 'draft') {
+    throw new AppError(`The ${period} payslip is already ${payslip.status} and cannot be recomputed`, 409);
+  }
+  if (!payslip) {
+    payslip = new Payslip({ coach: coachUserId, period });
+  }
+
+  const { currency, rates, items } = await exports.computeEarnings(coachUserId, period, compensation);
+  payslip.set({ currency, rates, items, computedAt: Date.now() });
+
+  try {
+    await payslip.save();
+  } catch (error) {
+    // Computed twice at the same moment
+    if (error.code === 11000) throw new AppError(`The ${period} payslip is already being computed`, 409);
+    throw error;
+  }
+
+  return payslip;
+};
+
+/**
+ * Compute the payslips of every coach with pay rates for a month
+ * @param {String} period - YYYY-MM
+ * @param {Object} [options]
+ * @param {Array} [options.coaches] - Only these coaches' user IDs
+ * @param {Boolean} [options.missingOnly=false] - Leave existing drafts alone
+ * @returns {Promise<Object>} { computed, skipped }
+ */
+exports.computePayroll = async (period, { coaches, missingOnly = false } = {}) => {
+  parsePeriod(period);
+
+  const filter = coaches ? { coach: { $in: coaches } } : {};
+  const coachIds = await CoachCompensation.distinct('coach', filter);
+
+  const existing = missingOnly
+    ? new Set((await Payslip.distinct('coach', { period, coach: { $in: coachIds } })).map(String))
+    : new Set();
+
+  const computed = [];
+  const skipped = [];
+
+  // One coach at a time; a month of sessions per coach is a fair amount of data
+  for (const coachId of coachIds) {
+    if (existing.has(String(coachId))) continue;
+    try {
+      computed.push(await exports.computePayslip(coachId, period));
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      skipped.push({ coach: coachId, reason: error.message });
+    }
+  }
+
+  return { computed, skipped };
+};
+
+/**
+ * Compute last month's payslips for the coaches that do not have one yet
+ * @returns {Promise<Object>} { computed, skipped }
+ */
+exports.computeLastMonthPayslips = () =>
+  exports.computePayroll(previousPeriod(formatPeriod()), { missingOnly: true });
+
+/**
+ * Make sure a payslip can still be changed
+ * @param {Object} payslip - Payslip document
+ * @throws {AppError} When the payslip is approved or paid
+ */
+const assertDraft = (payslip) => {
+  if (payslip.status !== 'draft') {
+    throw new AppError(`This payslip is ${payslip.status} and cannot be changed`, 409);
+  }
+};
+
+/**
+ * Add a bonus or deduction to a draft payslip
+ * @param {Object} payslip - Payslip document
+ * @param {Object} details - Validated { amount, reason }
+ * @param {Object} user - Administrator adding it
+ * @returns {Promise<Object>} Updated payslip
+ */
+exports.addAdjustment = async (payslip, { amount, reason }, user) => {
+  assertDraft(payslip);
+
+  payslip.adjustments.push({ amount: roundMoney(amount), reason, addedBy: user._id });
+  await payslip.save();
+
+  return payslip;
+};
+
+/**
+ * Remove an adjustment from a draft payslip
+ * @param {Object} payslip - Payslip document
+ * @param {String} adjustmentId - Adjustment ID
+ * @returns {Promise<Object>} Updated payslip
+ */
+exports.removeAdjustment = async (payslip, adjustmentId) => {
+  assertDraft(payslip);
+
+  const adjustment = mongoose.isValidObjectId(adjustmentId) ? payslip.adjustments.id(adjustmentId) : null;
+  if (!adjustment) {
+    throw new AppError('Adjustment not found', 404);
+  }
+
+  adjustment.deleteOne();
+  await payslip.save();
+
+  return payslip;
+};
+
+/**
+ * Move a payslip from one status to another, unless someone else already did
+ * @param {Object} payslip - Payslip document
+ * @param {String} from - Expected current status
+ * @param {Object} changes - Fields to set, including the new status
+ * @returns {Promise<Object>} Updated payslip
+ */
+const changeStatus = async (payslip, from, changes) => {
+  const updated = await Payslip.findOneAndUpdate(
+    { _id: payslip._id, status: from },
+    { $set: changes },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new AppError(`This payslip is ${payslip.status} and cannot be changed`, 409);
+  }
+  return updated;
+};
+
+/**
+ * Approve a draft payslip for payout
+ * @param {Object} payslip - Payslip document
+ * @param {Object} user - Approving administrator
+ * @returns {Promise<Object>} Updated payslip
+ */
+exports.approvePayslip = async (payslip, user) => {
+  if (payslip.total < 0) {
+    throw new AppError('A payslip with a negative total cannot be approved', 400);
+  }
+
+  const updated = await changeStatus(payslip, 'draft', {
+    status: 'approved',
+    approvedBy: user._id,
+    approvedAt: Date.now(),
+  });
+
+  await notify(updated, 'Payslip approved',
+    `Your payslip for ${updated.period} was approved: ${describeTotal(updated)}.`);
+
+  return updated;
+};
+
+/**
+ * Record that an approved payslip was paid out
+ * @param {Object} payslip - Payslip document
+ * @param {Object} details - Validated { method, reference }
+ * @param {Object} user - Administrator recording the payout
+ * @returns {Promise<Object>} Updated payslip
+ */
+exports.markPayslipPaid = async (payslip, { method, reference }, user) => {
+  const updated = await changeStatus(payslip, 'approved', {
+    status: 'paid',
+    paidBy: user._id,
+    paidAt: Date.now(),
+    paymentMethod: method,
+    paymentReference: reference,
+  });
+
+  await notify(updated, 'Payslip paid',
+    `Your payslip for ${updated.period} was paid: ${describeTotal(updated)}.`);
+
+  return updated;
+};
+
+exports.parsePeriod = parsePeriod;
+exports.formatPeriod = formatPeriod;
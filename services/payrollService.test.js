@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const CoachCompensation = require('../models/coachCompensationModel');
+const Payslip = require('../models/payslipModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Attendance = require('../models/attendanceModel');
+const Booking = require('../models/bookingModel');
+const Tournament = require('../models/tournamentModel');
+const Notification = require('../models/notificationModel');
+const { mockQuery } = require('../utils/testHelpers');
+const {
+  parsePeriod,
+  computeEarnings,
+  computePayslip,
+  computePayroll,
+  addAdjustment,
+  approvePayslip,
+} = require('./payrollService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coachId = id();
+const admin = { _id: id(), role: 'admin' };
+const rates = { hourlyRate: 20, sessionRate: 10, bookingRate: 15, tournamentFeePercentage: 10, currency: 'USD' };
+
+beforeEach(() => {
+  jest.spyOn(Payslip.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parsePeriod', () => {
+  it('returns the first day of the month and of the next one', () => {
+    expect(parsePeriod('2024-12')).toEqual({ from: new Date(2024, 11, 1), to: new Date(2025, 0, 1) });
+  });
+
+  it('rejects anything but YYYY-MM', () => {
+    expect(() => parsePeriod('2024-13')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('computeEarnings', () => {
+  const delivered = { _id: id(), title: 'Juniors', sessionDate: new Date(2024, 2, 4), startTime: '17:00', endTime: '18:30', status: 'completed' };
+  const registerTaken = { _id: id(), title: 'Seniors', sessionDate: new Date(2024, 2, 5), startTime: '09:00', endTime: '10:00', status: 'scheduled' };
+  const nobodyCame = { _id: id(), title: 'Empty', sessionDate: new Date(2024, 2, 6), startTime: '09:00', endTime: '10:00', status: 'scheduled' };
+
+  beforeEach(() => {
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([delivered, registerTaken, nobodyCame]));
+    jest.spyOn(Attendance, 'distinct').mockResolvedValue([registerTaken._id]);
+    jest.spyOn(Booking, 'find').mockReturnValue(mockQuery([{
+      _id: id(),
+      student: { name: 'Jane' },
+      startsAt: new Date(2024, 2, 7, 17),
+      endsAt: new Date(2024, 2, 7, 17, 45),
+    }]));
+    jest.spyOn(Tournament, 'find').mockReturnValue(mockQuery([{
+      _id: id(),
+      name: 'Spring Open',
+      endDate: new Date(2024, 2, 20),
+      entryFee: { amount: 50, currency: 'USD' },
+      teams: [
+        { name: 'Team A', coach: coachId, participants: [id(), id(), id()] },
+        { name: 'Team B', coach: id(), participants: [id()] },
+        { name: 'Team C', coach: coachId, status: 'withdrawn', participants: [id()] },
+      ],
+    }]));
+  });
+
+  it('pays delivered sessions, completed bookings and tournament fees', async () => {
+    const { items, earnings } = await computeEarnings(coachId, '2024-03', rates);
+
+    expect(items.map(item => [item.kind, item.description, item.amount])).toEqual([
+      ['session', 'Juniors', 40],
+      ['session', 'Seniors', 30],
+      ['booking', 'Private session with Jane', 30],
+      ['tournament', 'Spring Open: Team A (3 x 50 USD)', 15],
+    ]);
+    expect(earnings).toBe(115);
+  });
+
+  it('treats missing rates as zero', async () => {
+    const { earnings } = await computeEarnings(coachId, '2024-03', { hourlyRate: 20, currency: 'USD' });
+
+    expect(earnings).toBe(65);
+  });
+});
+
+describe('computePayslip', () => {
+  it('refuses to recompute an approved payslip', async () => {
+    jest.spyOn(CoachCompensation, 'findOne').mockResolvedValue(new CoachCompensation({ coach: coachId, ...rates }));
+    jest.spyOn(Payslip, 'findOne').mockResolvedValue(new Payslip({ coach: coachId, period: '2024-03', status: 'approved' }));
+
+    await expect(computePayslip(coachId, '2024-03')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses coaches without pay rates', async () => {
+    jest.spyOn(CoachCompensation, 'findOne').mockResolvedValue(null);
+
+    await expect(computePayslip(coachId, '2024-03')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('computePayroll', () => {
+  it('skips coaches that already have a payslip when asked to', async () => {
+    const other = id();
+    jest.spyOn(CoachCompensation, 'distinct').mockResolvedValue([coachId, other]);
+    jest.spyOn(Payslip, 'distinct').mockResolvedValue([coachId]);
+    jest.spyOn(CoachCompensation, 'findOne').mockResolvedValue(null);
+
+    const { computed, skipped } = await computePayroll('2024-03', { missingOnly: true });
+
+    expect(computed).toEqual([]);
+    expect(skipped).toEqual([{ coach: other, reason: 'This coach has no pay rates yet' }]);
+  });
+});
+
+describe('addAdjustment', () => {
+  it('updates the total of a draft payslip', async () => {
+    const payslip = new Payslip({ coach: coachId, period: '2024-03', items: [{ kind: 'session', amount: 100 }] });
+
+    await addAdjustment(payslip, { amount: -12.504, reason: 'Late' }, admin);
+
+    expect(payslip.adjustmentsTotal).toBe(-12.5);
+    expect(payslip.total).toBe(87.5);
+  });
+
+  it('refuses approved payslips', async () => {
+    const payslip = new Payslip({ coach: coachId, period: '2024-03', status: 'approved' });
+
+    await expect(addAdjustment(payslip, { amount: 5, reason: 'Bonus' }, admin)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('approvePayslip', () => {
+  it('refuses payslips with a negative total', async () => {
+    const payslip = new Payslip({ coach: coachId, period: '2024-03', total: -5 });
+
+    await expect(approvePayslip(payslip, admin)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('only approves drafts nobody else approved first', async () => {
+    const payslip = new Payslip({ coach: coachId, period: '2024-03', total: 100 });
+    const update = jest.spyOn(Payslip, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(approvePayslip(payslip, admin)).rejects.toMatchObject({ statusCode: 409 });
+    expect(update.mock.calls[0][0]).toEqual({ _id: payslip._id, status: 'draft' });
+  });
+});
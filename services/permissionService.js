@@ -0,0 +1,447 @@
+const Role = require('../models/roleModel');
+const StudentProfile = require('../models/studentProfileModel');
+
+/**
+ * Permission service
+ * Central policy module. Every protected action is named by a permission
+ * (e.g. `dietPlan:assign`) and each role maps to a list of permissions.
+ * The mappings live in the `roles` collection so admins can edit them; the
+ * defaults below seed that collection and act as a fallback.
+ *
+ * A permission with the `:own` suffix grants the action only on resources
+ * the user is related to, as decided by the ownership rules at the bottom of
+ * this file (a coach owns the diet plans they wrote, a coach "owns" the
+ * students assigned to them, a student owns their own profile, a guardian
+ * owns the records of the students they are linked to, ...).
+ */
+
+// Every permission the application checks, with a description for the admin UI
+const PERMISSIONS = {
+  'user:manage': 'Create, update, approve, unlock and delete user accounts',
+  'role:manage': 'Edit which permissions each role has',
+  'audit:view': 'View and export the audit log',
+  'privacy:manage': 'Review data erasure requests and request erasure for users',
+  'coach:manage': 'Create and delete coaches and assign students to them',
+  'coach:update': 'Update coach profiles and schedules',
+  'coach:students:view': 'View the students assigned to a coach',
+  'coach:students:record': 'Record feedback and attendance for a coach\'s students',
+  'coach:apply': 'Submit a coach application with certification documents',
+  'coach:approve': 'Review coach applications and verify certification documents',
+  'exercisePlan:manage': 'Upload and delete exercise plans',
+  'trainingSession:manage': 'Schedule, change and cancel training sessions and recurring series',
+  'facility:manage': 'Create and update facilities, their opening hours and maintenance blocks',
+  'trainingSession:register': 'Register students for training sessions, join waitlists and cancel registrations',
+  'attendance:view': 'View attendance records, roll-calls and attendance history',
+  'attendance:record': 'Take the roll-call of training sessions, show their check-in codes and correct attendance records',
+  'attendance:checkIn': 'Check in to training sessions with their QR code and show a member code at the kiosk',
+  'attendance:kiosk': 'Run the front-desk kiosk that checks students in by their member code',
+  'booking:create': 'Book private sessions with coaches and cancel them',
+  'booking:manage': 'Confirm, decline and cancel a coach\'s private session bookings',
+  'timeOff:request': 'Request and cancel time off for coaches',
+  'timeOff:manage': 'Approve time off and assign substitute coaches',
+  'review:create': 'Rate and review coaches whose sessions you attended',
+  'review:reply': 'Reply to reviews of a coach',
+  'review:moderate': 'Hide, flag and delete coach reviews',
+  'payroll:view': 'View coach pay rates, earnings and payslips',
+  'payroll:manage': 'Set coach pay rates, compute payslips, add adjustments, approve and record payouts',
+  'student:view': 'View student profiles, subscriptions, progress and tournaments',
+  'student:manage': 'Create and delete students and assign coaches',
+  'student:update': 'Update student profiles',
+  'student:medical:view': 'See students\' medical information and emergency contacts',
+  'student:training:record': 'Mark exercises complete and submit training tasks',
+  'guardian:manage': 'Invite and remove a student\'s guardians',
+  'subscription:view': 'View subscriptions',
+  'subscription:create': 'Create subscriptions for students',
+  'subscription:manage': 'Update and cancel subscriptions',
+  'subscriptionPlan:manage': 'Create, update and delete subscription plans',
+  'transaction:view': 'View payment transactions',
+  'transaction:create': 'Record payments for subscriptions',
+  'report:view': 'View student, coach, sport and tournament reports',
+  'report:revenue:view': 'View revenue and active subscription reports',
+  'tournament:manage': 'Create and manage tournaments, participants, schedules and teams',
+  'tournament:notify': 'Send tournament reminders to participants',
+  'tournament:register': 'Register students for tournaments',
+  'content:manage': 'Manage announcements, sports content and policies',
+  'sportCategory:manage': 'Create, update and delete sport categories',
+  'dietPlan:view': 'View diet plans',
+  'dietPlan:create': 'Create diet plans',
+  'dietPlan:update': 'Update and delete diet plans',
+  'dietPlan:assign': 'Assign diet plans to students',
+  'activity:view': 'View logged activities and activity stats',
+  'activity:create': 'Log activities',
+  'activity:update': 'Update, delete and track activities',
+  'notification:send': 'Send notifications and announcements to users',
+};
+
+// Grants every permission; only used by the admin role
+const ALL_PERMISSIONS = '*';
+
+// Suffix limiting a permission to resources the user owns
+const OWN_SUFFIX = ':own';
+
+const ROLES = ['admin', 'coach', 'student', 'staff', 'finance', 'guardian'];
+
+// Built-in role mappings, used to seed the database
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: {
+    description: 'Full access to the academy',
+    permissions: [ALL_PERMISSIONS],
+  },
+  coach: {
+    description: 'Trains students, writes plans and records progress',
+    permissions: [
+      'coach:apply',
+      'coach:update:own',
+      'coach:students:view:own',
+      'coach:students:record:own',
+      'exercisePlan:manage:own',
+      'trainingSession:manage:own',
+      'attendance:view:own',
+      'attendance:record:own',
+      'booking:manage:own',
+      'timeOff:request:own',
+      'review:reply:own',
+      'payroll:view:own',
+      'student:view:own',
+      'student:medical:view:own',
+      'tournament:notify:own',
+      'dietPlan:view:own',
+      'dietPlan:create',
+      'dietPlan:update:own',
+      'dietPlan:assign:own',
+      'activity:view:own',
+      'activity:create',
+      'activity:update:own',
+    ],
+  },
+  student: {
+    description: 'Academy member',
+    permissions: [
+      'student:view:own',
+      'student:update:own',
+      'student:medical:view:own',
+      'student:training:record:own',
+      'guardian:manage:own',
+      'subscription:view:own',
+      'subscription:create:own',
+      'transaction:view:own',
+      'transaction:create:own',
+      'tournament:register:own',
+      'booking:create:own',
+      'trainingSession:register:own',
+      'attendance:view:own',
+      'attendance:checkIn',
+      'review:create',
+      'dietPlan:view:own',
+      'activity:view:own',
+      'activity:create',
+      'activity:update:own',
+    ],
+  },
+  staff: {
+    description: 'Front desk: registers students and handles subscriptions',
+    permissions: [
+      'student:view',
+      'student:manage',
+      'student:update',
+      'coach:students:view',
+      'guardian:manage',
+      'subscription:view',
+      'subscription:create',
+      'transaction:view',
+      'transaction:create',
+      'tournament:register',
+      'booking:create',
+      'trainingSession:register',
+      'attendance:view',
+      'attendance:record',
+      'attendance:kiosk',
+    ],
+  },
+  finance: {
+    description: 'Handles payments and financial reporting',
+    permissions: [
+      'subscription:view',
+      'subscription:manage',
+      'subscriptionPlan:manage',
+      'transaction:view',
+      'transaction:create',
+      'report:revenue:view',
+      'payroll:view',
+      'payroll:manage',
+    ],
+  },
+  guardian: {
+    description: 'Parent or guardian of one or more students',
+    permissions: [
+      'student:view:own',
+      'subscription:view:own',
+      'subscription:create:own',
+      'transaction:view:own',
+      'transaction:create:own',
+      'booking:create:own',
+      'trainingSession:register:own',
+      'attendance:view:own',
+      'dietPlan:view:own',
+      'activity:view:own',
+    ],
+  },
+};
+
+// Cached role permissions, refreshed after ROLE_CACHE_TTL_MS so edits made on
+// another API instance are picked up
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+// Students linked to a guardian, loaded once per request user object
+const wardCache = new WeakMap();
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.ROLES = ROLES;
+exports.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+
+/**
+ * Check whether a permission name (optionally with the `:own` suffix) is known
+ * @param {String} permission - Permission name
+ * @returns {Boolean} True if valid
+ */
+exports.isValidPermission = (permission) => {
+  if (permission === ALL_PERMISSIONS) return true;
+  const base = permission.endsWith(OWN_SUFFIX) ? permission.slice(0, -OWN_SUFFIX.length) : permission;
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, base);
+};
+
+/**
+ * Get the permissions of a role, from the database when available
+ * @param {String} roleName - Role name
+ * @returns {Promise<Set<String>>} Permissions of the role
+ */
+exports.getRolePermissions = async (roleName) => {
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName });
+  const defaults = DEFAULT_ROLE_PERMISSIONS[roleName];
+  const permissions = new Set(role ? role.permissions : (defaults ? defaults.permissions : []));
+
+  roleCache.set(roleName, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Forget cached role permissions (call after editing a role)
+ * @param {String} [roleName] - Role to forget; all roles when omitted
+ */
+exports.clearRoleCache = (roleName) => {
+  if (roleName) {
+    roleCache.delete(roleName);
+  } else {
+    roleCache.clear();
+  }
+};
+
+/**
+ * Work out how far a user's permission reaches
+ * @param {Object} user - User document
+ * @param {String} permission - Permission name
+ * @returns {Promise<String|null>} 'all', 'own', or null if not granted
+ */
+exports.getPermissionScope = async (user, permission) => {
+  const permissions = await exports.getRolePermissions(user.role);
+
+  if (permissions.has(ALL_PERMISSIONS) || permissions.has(permission)) return 'all';
+  if (permissions.has(`${permission}${OWN_SUFFIX}`)) {
+    await loadWards(user);
+    return 'own';
+  }
+  return null;
+};
+
+/**
+ * Get the ID of a reference whether or not it is populated
+ * @param {Object|String} ref - ObjectId, string or populated document
+ * @returns {String|null} ID as a string
+ */
+const idOf = (ref) => {
+  if (!ref) return null;
+  return (ref._id || ref).toString();
+};
+
+/**
+ * Load the students a guardian is linked to so the ownership rules below can
+ * stay synchronous. Records reference a student either by user or by profile
+ * ID, so both are kept.
+ * @param {Object} user - User document
+ */
+const loadWards = async (user) => {
+  if (user.role !== 'guardian' || wardCache.has(user)) return;
+
+  const profiles = await StudentProfile.find({ 'guardians.user': user._id }).select('user').lean();
+  const ids = [];
+  profiles.forEach(profile => {
+    ids.push(profile._id);
+    if (profile.user) ids.push(profile.user._id || profile.user);
+  });
+
+  wardCache.set(user, ids);
+};
+
+/**
+ * Get the user plus the students they look after, as IDs
+ * @param {Object} user - User document
+ * @returns {Array} ObjectIds
+ */
+const selfAndWards = (user) => [user._id, ...(wardCache.get(user) || [])];
+
+/**
+ * Check whether a reference points at the user or one of their wards
+ * @param {Object} user - User document
+ * @param {Object|String} ref - Reference to check
+ * @returns {Boolean} True if it matches
+ */
+const isSelfOrWard = (user, ref) => {
+  const id = idOf(ref);
+  return Boolean(id) && selfAndWards(user).some(candidate => idOf(candidate) === id);
+};
+
+/**
+ * Ownership rules, keyed by model name. `owns` decides whether a user is
+ * related to a single document; `filter` returns the matching query for
+ * listing endpoints.
+ */
+const ownershipRules = {
+  User: {
+    owns: (user, doc) => idOf(doc) === idOf(user),
+    filter: (user) => ({ _id: user._id }),
+  },
+  CoachProfile: {
+    owns: (user, doc) => idOf(doc.user) === idOf(user),
+    filter: (user) => ({ user: user._id }),
+  },
+  StudentProfile: {
+    owns: (user, doc) =>
+      idOf(doc.user) === idOf(user) ||
+      (doc.assignedCoaches || []).some(coach => idOf(coach) === idOf(user)) ||
+      (doc.guardians || []).some(guardian => idOf(guardian.user) === idOf(user)),
+    filter: (user) => ({
+      $or: [{ user: user._id }, { assignedCoaches: user._id }, { 'guardians.user': user._id }],
+    }),
+  },
+  DietPlan: {
+    owns: (user, doc) =>
+      idOf(doc.coach) === idOf(user) ||
+      (doc.assignedStudents || []).some(student => isSelfOrWard(user, student)),
+    filter: (user) => ({ $or: [{ coach: user._id }, { assignedStudents: { $in: selfAndWards(user) } }] }),
+  },
+  ExercisePlan: {
+    owns: (user, doc) => idOf(doc.coach) === idOf(user),
+    filter: (user) => ({ coach: user._id }),
+  },
+  Activity: {
+    owns: (user, doc) => isSelfOrWard(user, doc.student) || idOf(doc.coach) === idOf(user),
+    filter: (user) => ({ $or: [{ student: { $in: selfAndWards(user) } }, { coach: user._id }] }),
+  },
+  Subscription: {
+    owns: (user, doc) => isSelfOrWard(user, doc.student),
+    filter: (user) => ({ student: { $in: selfAndWards(user) } }),
+  },
+  Transaction: {
+    owns: (user, doc) => isSelfOrWard(user, doc.student),
+    filter: (user) => ({ student: { $in: selfAndWards(user) } }),
+  },
+  // Organizers and the coaches of the teams taking part
+  Tournament: {
+    owns: (user, doc) =>
+      idOf(doc.organizer) === idOf(user) ||
+      (doc.teams || []).some(team => idOf(team.coach) === idOf(user)),
+    filter: (user) => ({ $or: [{ organizer: user._id }, { 'teams.coach': user._id }] }),
+  },
+  TrainingSession: {
+    owns: (user, doc) => idOf(doc.coach) === idOf(user),
+    filter: (user) => ({ coach: user._id }),
+  },
+  Attendance: {
+    owns: (user, doc) => idOf(doc.coach) === idOf(user) || isSelfOrWard(user, doc.student),
+    filter: (user) => ({ $or: [{ coach: user._id }, { student: { $in: selfAndWards(user) } }] }),
+  },
+  TimeOff: {
+    owns: (user, doc) => idOf(doc.coach) === idOf(user),
+    filter: (user) => ({ coach: user._id }),
+  },
+  Booking: {
+    owns: (user, doc) => idOf(doc.coach) === idOf(user) || isSelfOrWard(user, doc.student),
+    filter: (user) => ({ $or: [{ coach: user._id }, { student: { $in: selfAndWards(user) } }] }),
+  },
+  // Coaches only see payslips once they are approved
+  Payslip: {
+    owns: (user, doc) => idOf(doc.coach) === idOf(user) && doc.status !== 'draft',
+    filter: (user) => ({ coach: user._id, status: { $ne: 'draft' } }),
+  },
+};
+
+/**
+ * Register or replace the ownership rule of a model
+ * @param {String} modelName - Mongoose model name
+ * @param {Object} rule - Object with `owns(user, doc)` and `filter(user)`
+ */
+exports.registerOwnershipRule = (modelName, rule) => {
+  ownershipRules[modelName] = rule;
+};
+
+/**
+ * Check whether a user owns (or is responsible for) a document
+ * @param {Object} user - User document
+ * @param {Object} doc - Mongoose document
+ * @returns {Boolean} True if the user owns the document
+ */
+exports.isOwner = (user, doc) => {
+  const rule = ownershipRules[doc.constructor.modelName];
+  return Boolean(rule && rule.owns(user, doc));
+};
+
+/**
+ * Get a query filter matching the documents a user owns
+ * @param {String} modelName - Mongoose model name
+ * @param {Object} user - User document
+ * @returns {Object} MongoDB filter (matches nothing if the model has no rule)
+ */
+exports.ownershipFilter = (modelName, user) => {
+  const rule = ownershipRules[modelName];
+  return rule ? rule.filter(user) : { _id: null };
+};
+
+/**
+ * Check whether a user may perform an action, optionally on a specific document
+ * @param {Object} user - User document
+ * @param {String} permission - Permission name
+ * @param {Object} [doc] - Document the action targets
+ * @returns {Promise<Boolean>} True if allowed
+ */
+exports.can = async (user, permission, doc) => {
+  const scope = await exports.getPermissionScope(user, permission);
+  if (scope === 'all') return true;
+  if (scope === 'own') return Boolean(doc) && exports.isOwner(user, doc);
+  return false;
+};
+
+/**
+ * Create any missing built-in roles with their default permissions
+ * @returns {Promise<Number>} Number of roles created
+ */
+exports.seedRoles = async () => {
+  let created = 0;
+
+  for (const [name, definition] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    const result = await Role.updateOne(
+      { name },
+      { $setOnInsert: { name, ...definition } },
+      { upsert: true }
+    );
+    if (result.upsertedCount) created += 1;
+  }
+
+  exports.clearRoleCache();
+  return created;
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Role = require('../models/roleModel');
+const StudentProfile = require('../models/studentProfileModel');
+const Tournament = require('../models/tournamentModel');
+const Payslip = require('../models/payslipModel');
+const { mockQuery } = require('../utils/testHelpers');
+const {
+  isValidPermission,
+  getPermissionScope,
+  clearRoleCache,
+  ownershipFilter,
+  can,
+} = require('./permissionService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  clearRoleCache();
+  jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isValidPermission', () => {
+  it('accepts known permissions with and without the own suffix', () => {
+    expect(isValidPermission('tournament:notify')).toBe(true);
+    expect(isValidPermission('tournament:notify:own')).toBe(true);
+    expect(isValidPermission('*')).toBe(true);
+  });
+
+  it('rejects unknown permissions', () => {
+    expect(isValidPermission('tournament:delete-everything')).toBe(false);
+  });
+});
+
+describe('getPermissionScope', () => {
+  it('falls back to the default role permissions', async () => {
+    const coach = { _id: id(), role: 'coach' };
+
+    expect(await getPermissionScope(coach, 'tournament:notify')).toBe('own');
+    expect(await getPermissionScope(coach, 'role:manage')).toBeNull();
+    expect(await getPermissionScope({ _id: id(), role: 'admin' }, 'role:manage')).toBe('all');
+  });
+
+  it('prefers the permissions stored in the database', async () => {
+    Role.findOne.mockResolvedValue({ permissions: ['role:manage'] });
+
+    expect(await getPermissionScope({ _id: id(), role: 'coach' }, 'role:manage')).toBe('all');
+  });
+
+  it('caches role permissions until the cache is cleared', async () => {
+    const user = { _id: id(), role: 'coach' };
+
+    await getPermissionScope(user, 'tournament:notify');
+    await getPermissionScope(user, 'tournament:notify');
+    expect(Role.findOne).toHaveBeenCalledTimes(1);
+
+    clearRoleCache('coach');
+    await getPermissionScope(user, 'tournament:notify');
+    expect(Role.findOne).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('can', () => {
+  const coach = { _id: id(), role: 'coach' };
+
+  it('allows coaches to notify tournaments one of their teams takes part in', async () => {
+    const tournament = new Tournament({ organizer: id(), teams: [{ coach: coach._id }] });
+
+    expect(await can(coach, 'tournament:notify', tournament)).toBe(true);
+  });
+
+  it('denies coaches tournaments they are not involved in', async () => {
+    const tournament = new Tournament({ organizer: id(), teams: [{ coach: id() }] });
+
+    expect(await can(coach, 'tournament:notify', tournament)).toBe(false);
+  });
+
+  it('denies own-scoped permissions when no document is given', async () => {
+    expect(await can(coach, 'tournament:notify')).toBe(false);
+  });
+
+  it('hides draft payslips from their coach', async () => {
+    const payslip = new Payslip({ coach: coach._id, status: 'draft' });
+
+    expect(await can(coach, 'payroll:view', payslip)).toBe(false);
+    payslip.status = 'approved';
+    expect(await can(coach, 'payroll:view', payslip)).toBe(true);
+  });
+
+  it('lets guardians act on the records of their wards', async () => {
+    const guardian = { _id: id(), role: 'guardian' };
+    const ward = { _id: id(), user: id() };
+    Role.findOne.mockResolvedValue({ permissions: ['subscription:view:own'] });
+    jest.spyOn(StudentProfile, 'find').mockReturnValue(mockQuery([ward]));
+
+    expect(await can(guardian, 'subscription:view', { constructor: { modelName: 'Subscription' }, student: ward.user })).toBe(true);
+    expect(await can(guardian, 'subscription:view', { constructor: { modelName: 'Subscription' }, student: id() })).toBe(false);
+  });
+});
+
+describe('ownershipFilter', () => {
+  it('matches tournaments the user organizes or coaches a team in', () => {
+    const user = { _id: id() };
+
+    expect(ownershipFilter('Tournament', user)).toEqual({
+      $or: [{ organizer: user._id }, { 'teams.coach': user._id }],
+    });
+  });
+
+  it('matches nothing for models without an ownership rule', () => {
+    expect(ownershipFilter('Unknown', { _id: id() })).toEqual({ _id: null });
+  });
+});
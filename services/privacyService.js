@@ -0,0 +1,384 @@
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const CoachProfile = require('../models/coachProfileModel');
+const CoachApplication = require('../models/coachApplicationModel');
+const CoachCompensation = require('../models/coachCompensationModel');
+const CoachReview = require('../models/coachReviewModel');
+const Activity = require('../models/activityModel');
+const Attendance = require('../models/attendanceModel');
+const Booking = require('../models/bookingModel');
+const DietPlan = require('../models/dietPlanModel');
+const EmailOutbox = require('../models/emailOutboxModel');
+const ErasureRequest = require('../models/erasureRequestModel');
+const ExerciseCompletion = require('../models/exerciseCompletionModel');
+const ExercisePlan = require('../models/exercisePlanModel');
+const GuardianInvitation = require('../models/guardianInvitationModel');
+const Notification = require('../models/notificationModel');
+const Payslip = require('../models/payslipModel');
+const ProgressReport = require('../models/progressReportModel');
+const Session = require('../models/sessionModel');
+const Subscription = require('../models/subscriptionModel');
+const TimeOff = require('../models/timeOffModel');
+const Tournament = require('../models/tournamentModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Transaction = require('../models/transactionModel');
+const UserImport = require('../models/userImportModel');
+const AppError = require('../utils/appError');
+const { deleteFromCloudinary } = require('../utils/imageUtils');
+const { queueMail } = require('./mailService');
+const { recordAudit, pseudonymizeAuditEntries } = require('./auditService');
+const { removeDocument } = require('./coachApplicationService');
+
+/**
+ * Privacy service
+ * Personal data export and the account erasure workflow. A user (or an
+ * administrator on their behalf) requests erasure, an administrator approves
+ * it, and after a grace period the erasure job deletes the person's data.
+ * Financial records are kept for bookkeeping but stripped of personal details.
+ * Audit log entries are retained with the person's details removed.
+ */
+
+/**
+ * Collect everything stored about a user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Export bundle
+ */
+exports.buildDataExport = async (user) => {
+  const [
+    studentProfile,
+    coachProfile,
+    coachApplication,
+    subscriptions,
+    transactions,
+    activities,
+    exerciseCompletions,
+    attendance,
+    progressReports,
+    dietPlans,
+    trainingSessions,
+    bookings,
+    reviews,
+    compensation,
+    payslips,
+    notifications,
+    sessions,
+    erasureRequests,
+  ] = await Promise.all([
+    StudentProfile.findOne({ user: user._id }), // Not lean, so sensitive fields are decrypted
+    CoachProfile.findOne({ user: user._id }).lean(),
+    CoachApplication.findOne({ user: user._id }).lean(),
+    Subscription.find({ student: user._id }).lean(),
+    Transaction.find({ $or: [{ student: user._id }, { paidBy: user._id }] }).lean(),
+    Activity.find({ student: user._id }).lean(),
+    ExerciseCompletion.find({ student: user._id }).lean(),
+    Attendance.find({ student: user._id }).lean(),
+    ProgressReport.find({ student: user._id }).lean(),
+    DietPlan.find({ assignedStudents: user._id }).lean(),
+    TrainingSession.find({ 'attendees.student': user._id }).select('title startTime endTime attendees.$').lean(),
+    Booking.find({ $or: [{ student: user._id }, { coach: user._id }, { bookedBy: user._id }] }).select('-slotKeys').lean(),
+    CoachReview.find({ $or: [{ student: user._id }, { coach: user._id }] }).lean(),
+    CoachCompensation.findOne({ coach: user._id }).lean(),
+    Payslip.find({ coach: user._id }).lean(),
+    Notification.find({ recipient: user._id }).lean(),
+    Session.find({ user: user._id }).lean(),
+    ErasureRequest.find({ user: user._id }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    user: user.toObject(),
+    studentProfile,
+    coachProfile,
+    coachApplication,
+    subscriptions,
+    transactions,
+    activities,
+    exerciseCompletions,
+    attendance,
+    progressReports,
+    dietPlans,
+    trainingSessions,
+    bookings,
+    reviews,
+    compensation,
+    payslips,
+    notifications,
+    sessions,
+    erasureRequests,
+  };
+};
+
+/**
+ * Find the user's erasure request that has not been closed yet
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} ErasureRequest document
+ */
+exports.findOpenErasureRequest = userId =>
+  ErasureRequest.findOne({ user: userId, status: { $in: ['pending', 'approved', 'processing'] } });
+
+/**
+ * Ask for a user's data to be erased
+ * @param {Object} options - Request details
+ * @param {Object} options.user - User whose data should be erased
+ * @param {Object} options.requestedBy - User making the request
+ * @param {String} [options.reason] - Why the data should be erased
+ * @returns {Promise<Object>} ErasureRequest document
+ */
+exports.requestErasure = async ({ user, requestedBy, reason }) => {
+  if (user.role === 'admin') {
+    throw new AppError('Administrator accounts must be given another role before they can be erased', 400);
+  }
+
+  if (await exports.findOpenErasureRequest(user._id)) {
+    throw new AppError('There is already an open erasure request for this account', 409);
+  }
+
+  const erasureRequest = await ErasureRequest.create({
+    user: user._id,
+    requestedBy: requestedBy._id,
+    reason,
+  });
+
+  await queueMail({
+    to: user.email,
+    template: 'erasureRequested',
+    data: { name: user.name },
+    related: { model: 'ErasureRequest', id: erasureRequest._id },
+  });
+
+  return erasureRequest;
+};
+
+/**
+ * Withdraw an erasure request before the data is erased
+ * @param {Object} erasureRequest - ErasureRequest document
+ * @returns {Promise<Object>} Updated ErasureRequest document
+ */
+exports.cancelErasure = async (erasureRequest) => {
+  if (!erasureRequest.isCancellable) {
+    throw new AppError(`An erasure request that is ${erasureRequest.status} cannot be cancelled`, 400);
+  }
+
+  erasureRequest.status = 'cancelled';
+  erasureRequest.cancelledAt = Date.now();
+  await erasureRequest.save();
+
+  return erasureRequest;
+};
+
+/**
+ * Approve an erasure request. The data is erased once the grace period ends.
+ * @param {Object} erasureRequest - ErasureRequest document
+ * @param {Object} reviewer - Administrator approving the request
+ * @returns {Promise<Object>} Updated ErasureRequest document
+ */
+exports.approveErasure = async (erasureRequest, reviewer) => {
+  if (erasureRequest.status !== 'pending') {
+    throw new AppError(`An erasure request that is ${erasureRequest.status} cannot be approved`, 400);
+  }
+
+  const user = await User.findById(erasureRequest.user);
+  if (!user) {
+    throw new AppError('The account for this request no longer exists', 404);
+  }
+  if (user.role === 'admin') {
+    throw new AppError('Administrator accounts must be given another role before they can be erased', 400);
+  }
+
+  erasureRequest.approve(reviewer);
+  await erasureRequest.save();
+
+  await queueMail({
+    to: user.email,
+    template: 'erasureApproved',
+    data: { name: user.name, scheduledFor: erasureRequest.scheduledFor },
+    related: { model: 'ErasureRequest', id: erasureRequest._id },
+  });
+
+  return erasureRequest;
+};
+
+/**
+ * Reject an erasure request
+ * @param {Object} erasureRequest - ErasureRequest document
+ * @param {Object} reviewer - Administrator rejecting the request
+ * @param {String} reason - Explanation sent to the user
+ * @returns {Promise<Object>} Updated ErasureRequest document
+ */
+exports.rejectErasure = async (erasureRequest, reviewer, reason) => {
+  if (erasureRequest.status !== 'pending') {
+    throw new AppError(`An erasure request that is ${erasureRequest.status} cannot be rejected`, 400);
+  }
+
+  erasureRequest.status = 'rejected';
+  erasureRequest.reviewedBy = reviewer._id;
+  erasureRequest.reviewedAt = Date.now();
+  erasureRequest.rejectionReason = reason;
+  await erasureRequest.save();
+
+  const user = await User.findById(erasureRequest.user);
+  if (user) {
+    await queueMail({
+      to: user.email,
+      template: 'erasureRejected',
+      data: { name: user.name, reason },
+      related: { model: 'ErasureRequest', id: erasureRequest._id },
+    });
+  }
+
+  return erasureRequest;
+};
+
+/**
+ * Delete a user's personal data across all collections and anonymize their
+ * financial records
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Number of affected records per collection
+ */
+exports.eraseUserData = async (user) => {
+  const userId = user._id;
+  const summary = {};
+  const count = (name, result) => {
+    summary[name] = result.deletedCount !== undefined ? result.deletedCount : result.modifiedCount;
+  };
+
+  const studentProfile = await StudentProfile.findOne({ user: userId }).select('_id');
+  const coachProfile = await CoachProfile.findOne({ user: userId }).select('_id');
+
+  // Financial records stay for bookkeeping, without personal details
+  count('transactions', await Transaction.updateMany(
+    { student: userId },
+    {
+      $unset: { notes: 1, billingAddress: 1, gatewayResponse: 1 },
+      $set: { anonymizedAt: new Date() },
+    }
+  ));
+  count('transactionsPaid', await Transaction.updateMany({ paidBy: userId }, { $unset: { paidBy: 1 } }));
+  // Payslips only hold pay figures and are kept as they are
+  count('subscriptions', await Subscription.updateMany(
+    { student: userId },
+    {
+      $unset: { notes: 1, cancelReason: 1 },
+      $set: { anonymizedAt: new Date() },
+    }
+  ));
+
+  // Records about the person
+  count('activities', await Activity.deleteMany({ student: userId }));
+  count('exerciseCompletions', await ExerciseCompletion.deleteMany({ student: userId }));
+  count('attendance', await Attendance.deleteMany({ student: userId }));
+  count('progressReports', await ProgressReport.deleteMany({ student: userId }));
+  count('bookings', await Booking.deleteMany({ $or: [{ student: userId }, { coach: userId }] }));
+
+  // Reviews the user wrote leave the ratings of the coaches they reviewed
+  const reviewedCoaches = await CoachReview.distinct('coach', { student: userId });
+  count('reviews', await CoachReview.deleteMany({ $or: [{ student: userId }, { coach: userId }] }));
+  await Promise.all(reviewedCoaches.map(coachId => CoachReview.calcCoachRating(coachId)));
+
+  // Coach applications and their certification documents
+  const applications = await CoachApplication.find({ user: userId }).select('certifications.document');
+  count('coachApplications', await CoachApplication.deleteMany({ user: userId }));
+  applications.forEach(application => application.certifications.forEach(certification => removeDocument(certification.document)));
+
+  count('timeOff', await TimeOff.deleteMany({ coach: userId }));
+  count('compensation', await CoachCompensation.deleteMany({ coach: userId }));
+  count('notifications', await Notification.deleteMany({ $or: [{ recipient: userId }, { onBehalfOf: userId }] }));
+  count('sessions', await Session.deleteMany({ user: userId }));
+  count('emails', await EmailOutbox.deleteMany({ to: user.email }));
+  count('guardianInvitations', await GuardianInvitation.deleteMany({
+    $or: [
+      { email: user.email },
+      { guardian: userId },
+      ...(studentProfile ? [{ student: studentProfile._id }] : []),
+    ],
+  }));
+
+  // Links from records that belong to other people
+  count('sentNotifications', await Notification.updateMany({ sender: userId }, { $unset: { sender: 1 } }));
+  count('bookingsMade', await Booking.updateMany({ bookedBy: userId }, { $unset: { bookedBy: 1 } }));
+  count('trainingSessions', await TrainingSession.updateMany(
+    { $or: [{ 'attendees.student': userId }, { 'waitlist.student': userId }, { 'feedback.student': userId }] },
+    { $pull: { attendees: { student: userId }, waitlist: { student: userId }, feedback: { student: userId } } }
+  ));
+  count('tournaments', await Tournament.updateMany(
+    { 'teams.participants': userId },
+    { $pull: { 'teams.$[].participants': userId } }
+  ));
+  count('reviewedApplications', await CoachApplication.updateMany({ reviewedBy: userId }, { $unset: { reviewedBy: 1 } }));
+  await CoachApplication.updateMany(
+    { 'certifications.reviewedBy': userId },
+    { $unset: { 'certifications.$[certification].reviewedBy': 1 } },
+    { arrayFilters: [{ 'certification.reviewedBy': userId }] }
+  );
+  count('dietPlans', await DietPlan.updateMany({ assignedStudents: userId }, { $pull: { assignedStudents: userId } }));
+  count('exercisePlans', await ExercisePlan.updateMany({ assignedStudents: userId }, { $pull: { assignedStudents: userId } }));
+  count('coachProfiles', await CoachProfile.updateMany({ assignedStudents: userId }, { $pull: { assignedStudents: userId } }));
+  count('userImports', await UserImport.updateMany(
+    { $or: [{ createdUsers: userId }, { 'rowErrors.email': user.email }] },
+    { $pull: { createdUsers: userId, rowErrors: { email: user.email }, rows: { email: user.email } } }
+  ));
+
+  // Students lose this user as coach or guardian; a minor whose last guardian
+  // is erased has to get consent again
+  const wards = await StudentProfile.find({ 'guardians.user': userId }).select('_id');
+  count('studentProfiles', await StudentProfile.updateMany(
+    { $or: [{ assignedCoaches: userId }, { 'guardians.user': userId }] },
+    { $pull: { assignedCoaches: userId, guardians: { user: userId } } }
+  ));
+  await StudentProfile.updateMany(
+    { _id: { $in: wards.map(ward => ward._id) }, guardians: { $size: 0 } },
+    { $unset: { guardianConsent: 1 } }
+  );
+
+  // The audit trail stays, without the person's details
+  summary.auditLog = await pseudonymizeAuditEntries(
+    user,
+    [userId, studentProfile && studentProfile._id, coachProfile && coachProfile._id].filter(Boolean)
+  );
+
+  // Finally the profiles and the account itself
+  count('studentProfile', await StudentProfile.deleteMany({ user: userId }));
+  count('coachProfile', await CoachProfile.deleteMany({ user: userId }));
+
+  if (user.profileImage) {
+    await deleteFromCloudinary(user.profileImage);
+  }
+  count('user', await User.deleteOne({ _id: userId }));
+
+  return summary;
+};
+
+/**
+ * Carry out an approved erasure request
+ * @param {Object} erasureRequest - ErasureRequest document claimed by the job
+ * @returns {Promise<Object>} Updated ErasureRequest document
+ */
+exports.runErasure = async (erasureRequest) => {
+  try {
+    const user = await User.findById(erasureRequest.user);
+    const summary = user ? await exports.eraseUserData(user) : {};
+
+    erasureRequest.status = 'completed';
+    erasureRequest.completedAt = Date.now();
+    erasureRequest.summary = summary;
+    erasureRequest.lastError = undefined;
+    // The reason may itself contain personal details
+    erasureRequest.reason = undefined;
+    await erasureRequest.save();
+
+    await recordAudit({
+      action: 'user_erased',
+      target: { model: 'User', id: erasureRequest.user },
+      metadata: { erasureRequest: erasureRequest._id, summary },
+    });
+  } catch (error) {
+    // Erasure is safe to repeat, so the next run simply tries again
+    console.error(`Error erasing data for request ${erasureRequest._id}:`, error);
+    erasureRequest.status = 'approved';
+    erasureRequest.lockedAt = undefined;
+    erasureRequest.lastError = error.message;
+    await erasureRequest.save();
+  }
+
+  return erasureRequest;
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const CoachReview = require('../models/coachReviewModel');
+const ErasureRequest = require('../models/erasureRequestModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { requestContext } = require('../utils/requestContext');
+const { queueMail } = require('./mailService');
+const { recordAudit, pseudonymizeAuditEntries } = require('./auditService');
+const { buildDataExport, requestErasure, cancelErasure, approveErasure, eraseUserData, runErasure } = require('./privacyService');
+
+jest.mock('./mailService', () => ({
+  ...jest.requireActual('./mailService'),
+  queueMail: jest.fn(),
+}));
+jest.mock('./auditService', () => ({ recordAudit: jest.fn(), pseudonymizeAuditEntries: jest.fn() }));
+jest.mock('../utils/imageUtils', () => ({ deleteFromCloudinary: jest.fn() }));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const student = { _id: id(), role: 'student', name: 'Jane', email: 'jane@example.com' };
+const admin = { _id: id(), role: 'admin' };
+
+beforeEach(() => {
+  jest.spyOn(ErasureRequest.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('buildDataExport', () => {
+  it('bundles the account with the records of every collection', async () => {
+    const profile = new StudentProfile({ user: student._id, medicalInformation: { allergies: ['nuts'] } });
+    jest.spyOn(mongoose.Model, 'findOne').mockImplementation(function() {
+      return this === StudentProfile ? Promise.resolve(profile) : mockQuery(null);
+    });
+    jest.spyOn(mongoose.Model, 'find').mockReturnValue(mockQuery([]));
+    const user = new User({ name: 'Jane', email: 'jane@example.com' });
+
+    const bundle = await buildDataExport(user);
+
+    // Serialized for the signed-in student, as the export route does
+    const json = await new Promise(resolve => requestContext(
+      { user: { _id: student._id, role: 'student' }, sensitiveDataScope: 'own' }, {}, () => resolve(JSON.parse(JSON.stringify(bundle)))
+    ));
+    expect(json.user.email).toBe('jane@example.com');
+    expect(json.studentProfile.medicalInformation.allergies).toEqual(['nuts']);
+    expect(json.attendance).toEqual([]);
+  });
+});
+
+describe('requestErasure', () => {
+  it('refuses administrator accounts', async () => {
+    await expect(requestErasure({ user: admin, requestedBy: admin })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses a second open request', async () => {
+    jest.spyOn(ErasureRequest, 'findOne').mockResolvedValue(new ErasureRequest({ user: student._id }));
+
+    await expect(requestErasure({ user: student, requestedBy: student })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('confirms the request by email', async () => {
+    jest.spyOn(ErasureRequest, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ErasureRequest, 'create').mockImplementation(async data => new ErasureRequest(data));
+
+    await requestErasure({ user: student, requestedBy: student, reason: 'Moving away' });
+
+    expect(queueMail.mock.calls[0][0]).toMatchObject({ to: student.email, template: 'erasureRequested' });
+  });
+});
+
+describe('approveErasure', () => {
+  it('schedules the erasure after the grace period', async () => {
+    const erasureRequest = new ErasureRequest({ user: student._id, requestedBy: student._id });
+    jest.spyOn(User, 'findById').mockResolvedValue(student);
+
+    await approveErasure(erasureRequest, admin);
+
+    expect(erasureRequest.status).toBe('approved');
+    expect(erasureRequest.scheduledFor.getTime()).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000);
+  });
+
+  it('only approves pending requests', async () => {
+    const erasureRequest = new ErasureRequest({ user: student._id, status: 'completed' });
+
+    await expect(approveErasure(erasureRequest, admin)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('cancelErasure', () => {
+  it('cannot withdraw a request that is being carried out', async () => {
+    const erasureRequest = new ErasureRequest({ user: student._id, status: 'processing' });
+
+    await expect(cancelErasure(erasureRequest)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('eraseUserData', () => {
+  let deletes;
+  let updates;
+
+  beforeEach(() => {
+    deletes = jest.spyOn(mongoose.Model, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    updates = jest.spyOn(mongoose.Model, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(mongoose.Model, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(mongoose.Model, 'findOne').mockReturnValue(mockQuery(null));
+    jest.spyOn(mongoose.Model, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(mongoose.Model, 'distinct').mockResolvedValue([]);
+  });
+
+  /**
+   * Find the calls made on one model
+   * @param {Object} spy - Jest spy on a Model static
+   * @param {String} modelName - Model name
+   * @returns {Array[]} Call arguments
+   */
+  const callsOn = (spy, modelName) => spy.mock.calls.filter((call, index) => spy.mock.contexts[index].modelName === modelName);
+
+  it('keeps financial records but strips their personal details', async () => {
+    await eraseUserData(student);
+
+    expect(callsOn(deletes, 'Transaction')).toHaveLength(0);
+    expect(callsOn(deletes, 'Subscription')).toHaveLength(0);
+    const [filter, update] = callsOn(updates, 'Transaction')[0];
+    expect(filter).toEqual({ student: student._id });
+    expect(update.$unset).toEqual({ notes: 1, billingAddress: 1, gatewayResponse: 1 });
+  });
+
+  it('recalculates the ratings of the coaches the user reviewed', async () => {
+    const coachId = id();
+    mongoose.Model.distinct.mockResolvedValue([coachId]);
+    const calc = jest.spyOn(CoachReview, 'calcCoachRating').mockResolvedValue();
+
+    await eraseUserData(student);
+
+    expect(calc).toHaveBeenCalledWith(coachId);
+  });
+
+  it('pseudonymizes the audit log of the user and their profile', async () => {
+    const profile = { _id: id() };
+    mongoose.Model.findOne.mockImplementation(function() {
+      return mockQuery(this === StudentProfile ? profile : null);
+    });
+
+    await eraseUserData(student);
+
+    expect(pseudonymizeAuditEntries).toHaveBeenCalledWith(student, [student._id, profile._id]);
+    expect(callsOn(deletes, 'GuardianInvitation')[0][0].$or).toContainEqual({ student: profile._id });
+  });
+});
+
+describe('runErasure', () => {
+  it('leaves the request approved so the next run tries again', async () => {
+    const erasureRequest = new ErasureRequest({ user: student._id, status: 'processing', lockedAt: new Date() });
+    jest.spyOn(User, 'findById').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await runErasure(erasureRequest);
+
+    expect(erasureRequest.status).toBe('approved');
+    expect(erasureRequest.lockedAt).toBeUndefined();
+    expect(erasureRequest.lastError).toBe('connection lost');
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+
+  it('forgets the reason once the data is erased', async () => {
+    const erasureRequest = new ErasureRequest({ user: student._id, status: 'processing', reason: 'Moving to Leeds' });
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+
+    await runErasure(erasureRequest);
+
+    expect(erasureRequest.status).toBe('completed');
+    expect(erasureRequest.reason).toBeUndefined();
+  });
+});
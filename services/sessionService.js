@@ -0,0 +1,184 @@
+const Session = require('../models/sessionModel');
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { createTokens, verifyRefreshToken, getTokenExpiry } = require('../utils/jwtUtils');
+const { hashToken } = require('../utils/passwordUtils');
+
+/**
+ * Session service
+ * Every login creates one persisted session (one per device). The session ID
+ * is embedded in both tokens as `sid`, and only the hash of the most recently
+ * issued refresh token is stored, so each refresh rotates the token and any
+ * replay of an older one revokes the whole session.
+ */
+
+/**
+ * Extract client details from the request for display in the session list
+ * @param {Object} req - Express request
+ * @returns {Object} Device name, user agent and IP address
+ */
+const getClientInfo = (req) => ({
+  deviceName: req.headers['x-device-name'] || (req.body && req.body.deviceName),
+  userAgent: req.headers['user-agent'],
+  ip: req.ip,
+});
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (used for device and IP information)
+ * @returns {Promise<Object>} Access token, refresh token and expiry
+ */
+exports.startSession = async (user, req) => {
+  const client = getClientInfo(req);
+  const session = new Session({
+    user: user._id,
+    deviceName: client.deviceName,
+    userAgent: client.userAgent,
+    ip: client.ip,
+    lastUsedIp: client.ip,
+  });
+
+  const tokens = createTokens({ id: user._id, role: user.role, sid: session._id });
+
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+
+  return tokens;
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token
+ * @param {String} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} New tokens and the user they belong to
+ * @throws {AppError} If the token is invalid, revoked or has already been used
+ */
+exports.rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  // Tokens issued before sessions existed cannot be rotated safely
+  if (!decoded.sid) {
+    throw new AppError('This refresh token is no longer supported. Please log in again', 401);
+  }
+
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+  if (!session || !session.isActive) {
+    throw new AppError('This session has ended. Please log in again', 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (session.refreshTokenHash !== presentedHash) {
+    // An already-rotated token was replayed: assume it leaked and kill the session
+    await session.revoke('reuse_detected');
+    throw new AppError('Refresh token reuse detected. Please log in again', 401);
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    await session.revoke('user_not_found');
+    throw new AppError('The user belonging to this token no longer exists', 401);
+  }
+
+  const tokens = createTokens({ id: user._id, role: user.role, sid: session._id });
+  const client = getClientInfo(req);
+
+  // Only swap the hash if nobody rotated this session in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(tokens.refreshToken),
+      expiresAt: getTokenExpiry(tokens.refreshToken),
+      lastUsedAt: new Date(),
+      lastUsedIp: client.ip,
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+    );
+    throw new AppError('Refresh token reuse detected. Please log in again', 401);
+  }
+
+  return { tokens, user };
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ * @param {String} [userId] - If given, only revoke the session when it belongs to this user
+ * @returns {Promise<Object|null>} The revoked session, or null if not found
+ */
+exports.revokeSession = async (sessionId, reason, userId) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  return await Session.findOneAndUpdate(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {String} refreshToken - Refresh token
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Object|null>} The revoked session, or null if the token is invalid
+ */
+exports.revokeSessionByRefreshToken = async (refreshToken, reason) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.sid) return null;
+  return await exports.revokeSession(decoded.sid, reason, decoded.id);
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {String} [exceptSessionId] - Session to keep alive (e.g. the current one)
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+exports.revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Check whether a session is still active
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Boolean>} True if the session exists and has not been revoked or expired
+ */
+exports.isSessionActive = async (sessionId) => {
+  const exists = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return Boolean(exists);
+};
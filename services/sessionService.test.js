@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Session = require('../models/sessionModel');
+const User = require('../models/userModel');
+const { verifyToken } = require('../utils/jwtUtils');
+const { hashToken } = require('../utils/passwordUtils');
+const { mockQuery } = require('../utils/testHelpers');
+const { startSession, rotateSession, revokeSession } = require('./sessionService');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'student' };
+const req = { headers: { 'user-agent': 'jest', 'x-device-name': 'Laptop' }, ip: '10.0.0.1', body: {} };
+
+let saved;
+
+beforeEach(() => {
+  saved = null;
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    saved = this;
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('startSession', () => {
+  it('stores only the hash of the refresh token and embeds the session ID', async () => {
+    const tokens = await startSession(user, req);
+
+    expect(saved.refreshTokenHash).toBe(hashToken(tokens.refreshToken));
+    expect(saved.deviceName).toBe('Laptop');
+    expect(saved.ip).toBe('10.0.0.1');
+    expect(verifyToken(tokens.accessToken).sid).toBe(String(saved._id));
+  });
+});
+
+describe('rotateSession', () => {
+  let tokens;
+  let session;
+
+  beforeEach(async () => {
+    tokens = await startSession(user, req);
+    session = saved;
+    jest.spyOn(Session, 'findById').mockReturnValue(mockQuery(session));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  it('issues a new token pair and swaps the stored hash', async () => {
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+    const result = await rotateSession(tokens.refreshToken, req);
+
+    expect(result.user).toBe(user);
+    expect(result.tokens.refreshToken).not.toBe(tokens.refreshToken);
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter.refreshTokenHash).toBe(hashToken(tokens.refreshToken));
+    expect(changes.refreshTokenHash).toBe(hashToken(result.tokens.refreshToken));
+  });
+
+  it('revokes the session when an already rotated token is replayed', async () => {
+    session.refreshTokenHash = 'hash-of-a-newer-token';
+
+    await expect(rotateSession(tokens.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(session.revokedReason).toBe('reuse_detected');
+  });
+
+  it('revokes the session when a concurrent request rotated it first', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(rotateSession(tokens.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(revoke.mock.calls[0][1].revokedReason).toBe('reuse_detected');
+  });
+
+  it('rejects revoked sessions', async () => {
+    session.revokedAt = new Date();
+
+    await expect(rotateSession(tokens.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects tokens that do not verify', async () => {
+    await expect(rotateSession('not-a-token', req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('revokeSession', () => {
+  it('only revokes sessions of the given user', async () => {
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await revokeSession('session-id', 'revoked_by_user', user._id);
+
+    expect(update.mock.calls[0][0]).toEqual({ _id: 'session-id', revokedAt: null, user: user._id });
+    expect(update.mock.calls[0][1].revokedReason).toBe('revoked_by_user');
+  });
+});
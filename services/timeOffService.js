@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const TimeOff = require('../models/timeOffModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Booking = require('../models/bookingModel');
+const CoachProfile = require('../models/coachProfileModel');
+const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+const { findCoachProfile } = require('../utils/resourceLoaders');
+const { isCoachAvailable, sessionPeriod, requireDay } = require('./availabilityService');
+const { cancelBooking } = require('./bookingService');
+
+/**
+ * Coach time-off service
+ * Coaches request time off for whole days and an administrator approves or
+ * rejects it. Approval flags the coach's training sessions in the period as
+ * needing a substitute and cancels their private bookings. Admins then pick
+ * substitutes from the coaches of the same sport who are free at the time
+ * and reassign the sessions in bulk; attendees are notified of the change.
+ */
+
+// Most substitutes suggested per session
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Notify a user about a time-off request or a session it affects
+ * @param {Object|String} recipient - User or user ID
+ * @param {String} type - Notification type
+ * @param {Object} related - { model, id }
+ * @param {String} title - Notification title
+ * @param {String} message - Notification message
+ */
+const notify = (recipient, type, related, title, message) => Notification.create({
+  recipient: recipient._id || recipient,
+  type,
+  title,
+  message,
+  related,
+});
+
+/**
+ * Describe a time-off period for notifications
+ * @param {Object} timeOff - TimeOff document
+ * @returns {String} e.g. "Mon Mar 04 2024 - Wed Mar 06 2024"
+ */
+const describePeriod = (timeOff) => timeOff.startDate.getTime() === timeOff.endDate.getTime()
+  ? timeOff.startDate.toDateString()
+  : `${timeOff.startDate.toDateString()} - ${timeOff.endDate.toDateString()}`;
+
+/**
+ * Query for the scheduled training sessions of a coach during a time-off period
+ * @param {Object} timeOff - TimeOff document
+ * @returns {Object} MongoDB filter
+ */
+const sessionsDuring = (timeOff) => ({
+  coach: timeOff.coach._id || timeOff.coach,
+  status: 'scheduled',
+  sessionDate: { $gte: timeOff.startsAt, $lt: timeOff.endsAt },
+});
+
+/**
+ * Request time off for a coach
+ * @param {Object} user - User making the request
+ * @param {Object} details - Validated { coach, startDate, endDate, reason }
+ * @param {String} scope - Scope of the user's timeOff:request permission
+ * @returns {Promise<Object>} TimeOff document
+ */
+exports.requestTimeOff = async (user, { coach, startDate, endDate, reason }, scope) => {
+  if (!coach && user.role !== 'coach') {
+    throw new AppError('Please choose the coach who will be away', 400);
+  }
+
+  let coachUserId = user._id;
+  if (coach) {
+    const profile = await findCoachProfile(coach);
+    if (!profile) {
+      throw new AppError('Coach not found', 404);
+    }
+    coachUserId = profile.user._id || profile.user;
+  }
+  if (scope === 'own' && coachUserId.toString() !== user._id.toString()) {
+    throw new AppError('You can only request time off for yourself', 403);
+  }
+
+  const start = requireDay(startDate, 'Start date');
+  const end = requireDay(endDate, 'End date');
+  if (end < start) {
+    throw new AppError('End date cannot be before the start date', 400);
+  }
+
+  const overlapping = await TimeOff.findOne({
+    coach: coachUserId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  });
+  if (overlapping) {
+    throw new AppError('This coach already has time off requested for part of that period', 409);
+  }
+
+  const timeOff = await TimeOff.create({
+    coach: coachUserId,
+    startDate: start,
+    endDate: end,
+    reason,
+    requestedBy: user._id,
+  });
+
+  const reviewers = await User.find({ role: 'admin', active: { $ne: false } }).select('_id');
+  const coachUser = await User.findById(coachUserId).select('name');
+  await Promise.all(reviewers.map(reviewer => notify(reviewer, 'time_off', { model: 'TimeOff', id: timeOff._id },
+    'Time off requested', `${coachUser ? coachUser.name : 'A coach'} requested time off for ${describePeriod(timeOff)}.`)));
+
+  return timeOff;
+};
+
+/**
+ * Approve time off: flags the coach's sessions in the period as needing a
+ * substitute and cancels their private bookings
+ * @param {Object} timeOff - TimeOff document
+ * @param {Object} reviewer - Approving user
+ * @returns {Promise<Object>} { timeOff, flaggedSessions, cancelledBookings }
+ */
+exports.approveTimeOff = async (timeOff, reviewer) => {
+  if (timeOff.status !== 'pending') {
+    throw new AppError(`Time off that is ${timeOff.status} cannot be approved`, 400);
+  }
+
+  timeOff.status = 'approved';
+  timeOff.reviewedBy = reviewer._id;
+  timeOff.reviewedAt = Date.now();
+  await timeOff.save();
+
+  const flagged = await TrainingSession.updateMany(sessionsDuring(timeOff), {
+    $set: {
+      'coverage.needsSubstitute': true,
+      'coverage.timeOff': timeOff._id,
+      'coverage.originalCoach': timeOff.coach,
+    },
+  });
+
+  const bookings = await Booking.find({
+    coach: timeOff.coach,
+    status: { $in: Booking.HOLDING_STATUSES },
+    startsAt: { $lt: timeOff.endsAt, $gt: new Date() },
+    endsAt: { $gt: timeOff.startsAt },
+  });
+  let cancelledBookings = 0;
+  for (const booking of bookings) {
+    try {
+      await cancelBooking(booking, reviewer, { onStudentSide: false, reason: 'The coach is away' });
+      cancelledBookings += 1;
+    } catch (error) {
+      // Cancelled by someone else in the meantime
+      if (!(error instanceof AppError)) throw error;
+    }
+  }
+
+  await notify(timeOff.coach, 'time_off', { model: 'TimeOff', id: timeOff._id },
+    'Time off approved', `Your time off for ${describePeriod(timeOff)} has been approved.`);
+
+  return { timeOff, flaggedSessions: flagged.modifiedCount, cancelledBookings };
+};
+
+/**
+ * Reject a time-off request
+ * @param {Object} timeOff - TimeOff document
+ * @param {String} reason - Explanation for the coach
+ * @param {Object} reviewer - Reviewing user
+ * @returns {Promise<Object>} Updated TimeOff document
+ */
+exports.rejectTimeOff = async (timeOff, reason, reviewer) => {
+  if (timeOff.status !== 'pending') {
+    throw new AppError(`Time off that is ${timeOff.status} cannot be rejected`, 400);
+  }
+
+  timeOff.status = 'rejected';
+  timeOff.reviewedBy = reviewer._id;
+  timeOff.reviewedAt = Date.now();
+  timeOff.rejectionReason = reason;
+  await timeOff.save();
+
+  await notify(timeOff.coach, 'time_off', { model: 'TimeOff', id: timeOff._id },
+    'Time off not approved', `Your time off for ${describePeriod(timeOff)} was not approved: ${reason}`);
+
+  return timeOff;
+};
+
+/**
+ * Cancel time off. Sessions that have not been reassigned yet go back to the coach.
+ * @param {Object} timeOff - TimeOff document
+ * @returns {Promise<Object>} Updated TimeOff document
+ */
+exports.cancelTimeOff = async (timeOff) => {
+  if (!['pending', 'approved'].includes(timeOff.status)) {
+    throw new AppError(`Time off that is ${timeOff.status} cannot be cancelled`, 400);
+  }
+  if (timeOff.endsAt <= new Date()) {
+    throw new AppError('Time off that has ended cannot be cancelled', 400);
+  }
+
+  const wasApproved = timeOff.status === 'approved';
+  timeOff.status = 'cancelled';
+  timeOff.cancelledAt = Date.now();
+  await timeOff.save();
+
+  if (wasApproved) {
+    await TrainingSession.updateMany(
+      { 'coverage.timeOff': timeOff._id, 'coverage.needsSubstitute': true },
+      { $unset: { coverage: 1 } }
+    );
+  }
+
+  return timeOff;
+};
+
+/**
+ * Get the training sessions a time-off period affects
+ * @param {Object} timeOff - TimeOff document
+ * @returns {Promise<Array>} TrainingSession documents, still flagged or already reassigned
+ */
+exports.getAffectedSessions = (timeOff) => TrainingSession.find({
+  $or: [sessionsDuring(timeOff), { 'coverage.timeOff': timeOff._id }],
+}).sort({ sessionDate: 1, startTime: 1 });
+
+/**
+ * Suggest substitute coaches for the sessions that still need one: coaches of
+ * the session's sport who are free at the time, best rated first
+ * @param {Object} timeOff - TimeOff document
+ * @returns {Promise<Array>} [{ session, candidates: [CoachProfile] }]
+ */
+exports.suggestSubstitutes = async (timeOff) => {
+  const sessions = await TrainingSession.find({
+    'coverage.timeOff': timeOff._id,
+    'coverage.needsSubstitute': true,
+    status: 'scheduled',
+  }).sort({ sessionDate: 1, startTime: 1 }).limit(100);
+
+  const sportIds = [...new Set(sessions.map(session => (session.sportCategory._id || session.sportCategory).toString()))];
+  const coaches = await CoachProfile.find({
+    sportsCategories: { $in: sportIds },
+    user: { $ne: timeOff.coach },
+  }).sort({ ratingAverage: -1 });
+
+  const suggestions = [];
+  for (const session of sessions) {
+    const sportId = (session.sportCategory._id || session.sportCategory).toString();
+    const { startsAt, endsAt } = sessionPeriod(session);
+    const candidates = [];
+
+    for (const coach of coaches) {
+      if (candidates.length >= MAX_SUGGESTIONS) break;
+      if (!coach.user) continue;
+      if (!coach.sportsCategories.some(sport => (sport._id || sport).toString() === sportId)) continue;
+      if (await isCoachAvailable(coach, startsAt, endsAt)) candidates.push(coach);
+    }
+
+    suggestions.push({ session, candidates });
+  }
+
+  return suggestions;
+};
+
+/**
+ * Reassign flagged sessions to substitute coaches and notify everyone involved
+ * @param {Object} timeOff - TimeOff document
+ * @param {Array} assignments - [{ session, coach }] with session IDs and CoachProfile or User IDs
+ * @param {Object} user - User making the change
+ * @param {Object} [options]
+ * @param {Boolean} [options.force] - Reassign even when the substitute is not free
+ * @returns {Promise<Object>} { reassigned: [TrainingSession], failed: [{ session, message }] }
+ */
+exports.reassignSessions = async (timeOff, assignments, user, { force = false } = {}) => {
+  if (timeOff.status !== 'approved') {
+    throw new AppError('Only sessions of approved time off can be reassigned', 400);
+  }
+
+  const reassigned = [];
+  const failed = [];
+  const substitutes = new Map();
+
+  for (const assignment of assignments) {
+    const fail = message => failed.push({ session: assignment.session, message });
+
+    const session = mongoose.isValidObjectId(assignment.session)
+      ? await TrainingSession.findOne({ _id: assignment.session, 'coverage.timeOff': timeOff._id })
+      : null;
+    if (!session) {
+      fail('Session not found among the sessions affected by this time off');
+      continue;
+    }
+    if (session.status !== 'scheduled') {
+      fail(`Session is ${session.status}`);
+      continue;
+    }
+
+    if (!substitutes.has(assignment.coach)) substitutes.set(assignment.coach, await findCoachProfile(assignment.coach));
+    const substitute = substitutes.get(assignment.coach);
+    if (!substitute || !substitute.user) {
+      fail('Substitute coach not found');
+      continue;
+    }
+
+    const substituteUserId = substitute.user._id || substitute.user;
+    if (substituteUserId.toString() === (timeOff.coach._id || timeOff.coach).toString()) {
+      fail('The substitute must be another coach');
+      continue;
+    }
+
+    const { startsAt, endsAt } = sessionPeriod(session);
+    if (!force && !(await isCoachAvailable(substitute, startsAt, endsAt))) {
+      fail(`${substitute.user.name || 'The substitute'} is not available at that time`);
+      continue;
+    }
+
+    const previousCoach = session.coach;
+    session.coach = substituteUserId;
+    session.coverage.needsSubstitute = false;
+    session.coverage.reassignedBy = user._id;
+    session.coverage.reassignedAt = Date.now();
+    await session.save();
+    reassigned.push(session);
+
+    const related = { model: 'TrainingSession', id: session._id };
+    const when = `${startsAt.toDateString()} at ${session.startTime}`;
+    const previousName = previousCoach && previousCoach.name ? previousCoach.name : 'your coach';
+
+    await notify(substituteUserId, 'coach_substituted', related, 'Session assigned to you',
+      `You will coach "${session.title}" on ${when} as a substitute.`);
+
+    const attendees = session.attendees.filter(attendee => attendee.status === 'registered' && attendee.student);
+    await Promise.all(attendees.map(attendee => notify(attendee.student, 'coach_substituted', related, 'Coach change',
+      `${substitute.user.name || 'A substitute coach'} will replace ${previousName} for "${session.title}" on ${when}.`)));
+  }
+
+  return { reassigned, failed };
+};
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const TimeOff = require('../models/timeOffModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Booking = require('../models/bookingModel');
+const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { findCoachProfile } = require('../utils/resourceLoaders');
+const { isCoachAvailable } = require('./availabilityService');
+const { cancelBooking } = require('./bookingService');
+const { requestTimeOff, approveTimeOff, cancelTimeOff, reassignSessions } = require('./timeOffService');
+
+jest.mock('../utils/resourceLoaders', () => ({ findCoachProfile: jest.fn() }));
+jest.mock('./availabilityService', () => ({
+  ...jest.requireActual('./availabilityService'),
+  isCoachAvailable: jest.fn(),
+}));
+jest.mock('./bookingService', () => ({ cancelBooking: jest.fn() }));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coach = { _id: id(), name: 'Chris', role: 'coach' };
+const admin = { _id: id(), role: 'admin' };
+
+/**
+ * Get a date a number of days from today
+ * @param {Number} days - Days from today
+ * @returns {Date} Start of the day
+ */
+const daysFromNow = (days) => {
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+beforeEach(() => {
+  jest.spyOn(TimeOff.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Notification, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('requestTimeOff', () => {
+  beforeEach(() => {
+    jest.spyOn(TimeOff, 'findOne').mockResolvedValue(null);
+    jest.spyOn(TimeOff, 'create').mockImplementation(async data => new TimeOff(data));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([admin]));
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(coach));
+  });
+
+  it('asks the administrators to review the request', async () => {
+    const timeOff = await requestTimeOff(coach, { startDate: '2030-03-04', endDate: '2030-03-06' }, 'own');
+
+    expect(timeOff.coach).toEqual(coach._id);
+    expect(Notification.create.mock.calls[0][0]).toMatchObject({ recipient: admin._id, type: 'time_off' });
+  });
+
+  it('rejects dates that do not exist', async () => {
+    await expect(requestTimeOff(coach, { startDate: '2030-02-30', endDate: '2030-03-06' }, 'own'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Start date is not a valid date' });
+  });
+
+  it('rejects periods that end before they start', async () => {
+    await expect(requestTimeOff(coach, { startDate: '2030-03-06', endDate: '2030-03-04' }, 'own'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rejects periods overlapping other time off', async () => {
+    TimeOff.findOne.mockResolvedValue(new TimeOff({ coach: coach._id }));
+
+    await expect(requestTimeOff(coach, { startDate: '2030-03-04', endDate: '2030-03-06' }, 'own'))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('only lets coaches request time off for themselves', async () => {
+    findCoachProfile.mockResolvedValue({ user: id() });
+
+    await expect(requestTimeOff(coach, { coach: 'other', startDate: '2030-03-04', endDate: '2030-03-06' }, 'own'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('approveTimeOff', () => {
+  it('flags the sessions in the period and cancels private bookings', async () => {
+    const timeOff = new TimeOff({ coach: coach._id, startDate: daysFromNow(3), endDate: daysFromNow(4) });
+    const flag = jest.spyOn(TrainingSession, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const booking = new Booking({ coach: coach._id });
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    const result = await approveTimeOff(timeOff, admin);
+
+    expect(result).toMatchObject({ flaggedSessions: 2, cancelledBookings: 1 });
+    expect(flag.mock.calls[0][0]).toEqual({
+      coach: coach._id,
+      status: 'scheduled',
+      sessionDate: { $gte: daysFromNow(3), $lt: daysFromNow(5) },
+    });
+    expect(cancelBooking).toHaveBeenCalledWith(booking, admin, { onStudentSide: false, reason: 'The coach is away' });
+  });
+});
+
+describe('cancelTimeOff', () => {
+  it('gives sessions that were not reassigned back to the coach', async () => {
+    const timeOff = new TimeOff({ coach: coach._id, status: 'approved', startDate: daysFromNow(3), endDate: daysFromNow(4) });
+    const unflag = jest.spyOn(TrainingSession, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await cancelTimeOff(timeOff);
+
+    expect(timeOff.status).toBe('cancelled');
+    expect(unflag.mock.calls[0][0]).toEqual({ 'coverage.timeOff': timeOff._id, 'coverage.needsSubstitute': true });
+  });
+
+  it('cannot cancel time off that has ended', async () => {
+    const timeOff = new TimeOff({ coach: coach._id, status: 'approved', startDate: daysFromNow(-3), endDate: daysFromNow(-2) });
+
+    await expect(cancelTimeOff(timeOff)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('reassignSessions', () => {
+  let timeOff;
+  let session;
+  const substitute = { user: { _id: id(), name: 'Sam' } };
+
+  beforeEach(() => {
+    timeOff = new TimeOff({ coach: coach._id, status: 'approved', startDate: daysFromNow(3), endDate: daysFromNow(3) });
+    session = new TrainingSession({
+      title: 'Juniors',
+      coach: coach._id,
+      sessionDate: daysFromNow(3),
+      startTime: '17:00',
+      endTime: '18:00',
+      coverage: { needsSubstitute: true, timeOff: timeOff._id },
+      attendees: [{ student: id(), status: 'registered' }, { student: id(), status: 'cancelled' }],
+    });
+    jest.spyOn(TrainingSession, 'findOne').mockResolvedValue(session);
+    jest.spyOn(TrainingSession.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    findCoachProfile.mockResolvedValue(substitute);
+    isCoachAvailable.mockResolvedValue(true);
+  });
+
+  it('hands the session to the substitute and tells the registered attendees', async () => {
+    const { reassigned, failed } = await reassignSessions(timeOff, [{ session: String(session._id), coach: 'sam' }], admin);
+
+    expect(failed).toEqual([]);
+    expect(reassigned[0].coach).toEqual(substitute.user._id);
+    expect(session.coverage.needsSubstitute).toBe(false);
+    expect(Notification.create.mock.calls.map(call => call[0].recipient)).toEqual([
+      substitute.user._id,
+      session.attendees[0].student,
+    ]);
+  });
+
+  it('reports substitutes that are not free', async () => {
+    isCoachAvailable.mockResolvedValue(false);
+
+    const { reassigned, failed } = await reassignSessions(timeOff, [{ session: String(session._id), coach: 'sam' }], admin);
+
+    expect(reassigned).toEqual([]);
+    expect(failed[0].message).toBe('Sam is not available at that time');
+  });
+
+  it('reassigns anyway when forced', async () => {
+    isCoachAvailable.mockResolvedValue(false);
+
+    const { reassigned } = await reassignSessions(timeOff, [{ session: String(session._id), coach: 'sam' }], admin, { force: true });
+
+    expect(reassigned).toHaveLength(1);
+  });
+
+  it('refuses the coach who is away', async () => {
+    findCoachProfile.mockResolvedValue({ user: coach });
+
+    const { failed } = await reassignSessions(timeOff, [{ session: String(session._id), coach: 'chris' }], admin);
+
+    expect(failed[0].message).toBe('The substitute must be another coach');
+  });
+});
@@ -0,0 +1,708 @@
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const Booking = require('../models/bookingModel');
+const TimeOff = require('../models/timeOffModel');
+const Subscription = require('../models/subscriptionModel');
+const SubscriptionPlan = require('../models/subscriptionPlanModel');
+const Notification = require('../models/notificationModel');
+const AppError = require('../utils/appError');
+const { sessionPeriod, startOfDay, requireDay, formatDay, WEEKDAYS } = require('./availabilityService');
+const { resolveStudent } = require('./bookingService');
+const { findFacility, facilityLocation, ensureSessionFacilitiesFree } = require('./facilityService');
+
+/**
+ * Training session service
+ * Schedules training sessions and recurring series. A series is expanded on
+ * the server into one TrainingSession per occurrence, all sharing a `series`
+ * ID and the `recurrencePattern` they were generated from, so attendance,
+ * availability and payroll work on concrete sessions.
+ *
+ * Every new session is booked at a facility (see facilityService). A busy
+ * coach can be overridden with `force`; a booked facility cannot.
+ *
+ * Changes and cancellations apply to one occurrence, to an occurrence and the
+ * ones after it, or to the entire series. Series-wide changes only touch
+ * scheduled occurrences from today on; past sessions are history. Changing
+ * the recurrence of "this and following" splits the series in two.
+ *
+ * Students register themselves (or guardians and staff register them) while
+ * a session is scheduled and has not started. Once `capacity` is reached,
+ * further students join a first come, first served waitlist and are moved up
+ * automatically when a place opens. Places are taken and given back with
+ * conditional updates, so concurrent registrations never overfill a session.
+ */
+
+// Limits on the size of a series
+const MAX_OCCURRENCES = 200;
+const MAX_SERIES_DAYS = 366;
+
+// Changes registered students are told about
+const NOTIFIED_FIELDS = ['sessionDate', 'startTime', 'endTime', 'facility', 'location', 'coach'];
+
+// Changes that can make the coach double-booked
+const TIMING_FIELDS = ['sessionDate', 'startTime', 'endTime', 'coach'];
+
+// Changes that can double-book a facility or make it unsuitable
+const FACILITY_FIELDS = ['sessionDate', 'startTime', 'endTime', 'facility', 'capacity', 'sportCategory'];
+
+// Attendee statuses that take up a place
+const PLACE_STATUSES = ['registered', 'attended'];
+
+// Matches sessions with a free place
+const HAS_FREE_PLACE = {
+  $expr: {
+    $lt: [
+      { $size: { $filter: { input: { $ifNull: ['$attendees', []] }, cond: { $in: ['$$this.status', PLACE_STATUSES] } } } },
+      '$capacity',
+    ],
+  },
+};
+
+// Failed attempts after which moving students up the waitlist gives up for now
+const MAX_PROMOTION_RETRIES = 5;
+
+/**
+ * Describe when a session takes place
+ * @param {Object} session - TrainingSession document
+ * @returns {String} e.g. "Tue Oct 20 2026 at 17:00"
+ */
+const describeWhen = session => `${new Date(session.sessionDate).toDateString()} at ${session.startTime}`;
+
+/**
+ * Notify the students registered for sessions
+ * @param {Array} sessions - TrainingSession documents
+ * @param {String} title - Notification title
+ * @param {Function} message - (session) => message
+ */
+const notifyAttendees = async (sessions, title, message) => {
+  const notifications = [];
+  sessions.forEach(session => {
+    session.attendees
+      .filter(attendee => attendee.status === 'registered' && attendee.student)
+      .forEach(attendee => notifications.push({
+        recipient: attendee.student._id || attendee.student,
+        type: 'training_session',
+        title,
+        message: message(session),
+        related: { model: 'TrainingSession', id: session._id },
+      }));
+  });
+
+  // create() rather than insertMany() so guardians get a copy
+  if (notifications.length) await Notification.create(notifications);
+};
+
+/**
+ * Work out the days a recurring series takes place on
+ * @param {Date} first - Day of the first occurrence
+ * @param {Object} pattern - { frequency, interval, daysOfWeek, endDate }
+ * @returns {Date[]} Days, in order
+ * @throws {AppError} When the series is too long
+ */
+exports.expandRecurrence = (first, { frequency, interval = 1, daysOfWeek, endDate }) => {
+  const last = startOfDay(endDate);
+  if (last < first) {
+    throw new AppError('The recurrence must end on or after the first session', 400);
+  }
+  if ((last - first) / (24 * 60 * 60 * 1000) > MAX_SERIES_DAYS) {
+    throw new AppError(`A series can span at most ${MAX_SERIES_DAYS} days`, 400);
+  }
+
+  const dayAfter = offset => new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset);
+  const dates = [];
+
+  if (frequency === 'daily') {
+    for (let offset = 0; dayAfter(offset) <= last; offset += interval) {
+      dates.push(dayAfter(offset));
+    }
+  } else if (frequency === 'weekly') {
+    const weekdays = (daysOfWeek && daysOfWeek.length
+      ? [...new Set(daysOfWeek.map(day => WEEKDAYS.indexOf(day)))]
+      : [first.getDay()]).sort((a, b) => a - b);
+
+    // Weeks start on Sunday, like Date#getDay
+    for (let week = -first.getDay(); dayAfter(week) <= last; week += 7 * interval) {
+      weekdays
+        .map(weekday => dayAfter(week + weekday))
+        .filter(date => date >= first && date <= last)
+        .forEach(date => dates.push(date));
+    }
+  } else {
+    // Monthly on the same day of the month, skipping months without that day
+    for (let month = 0; ; month += interval) {
+      const date = new Date(first.getFullYear(), first.getMonth() + month, first.getDate());
+      if (date > last) break;
+      if (date.getDate() === first.getDate()) dates.push(date);
+    }
+  }
+
+  if (dates.length > MAX_OCCURRENCES) {
+    throw new AppError(`A series can have at most ${MAX_OCCURRENCES} sessions`, 400);
+  }
+  return dates;
+};
+
+/**
+ * Find what keeps coaches busy at the times of some sessions: their other
+ * training sessions, private bookings and approved time off
+ * @param {Array} sessions - Sessions (documents or plain objects) to check
+ * @param {Array} [excludeIds] - Sessions to ignore, e.g. the ones being changed
+ * @returns {Promise<Array>} [{ date, startTime, endTime, reason }]
+ */
+exports.findConflicts = async (sessions, excludeIds = []) => {
+  if (!sessions.length) return [];
+
+  const periods = sessions.map(session => ({
+    session,
+    coach: String(session.coach._id || session.coach),
+    ...sessionPeriod(session),
+  }));
+  const from = new Date(Math.min(...periods.map(period => period.startsAt)));
+  const to = new Date(Math.max(...periods.map(period => period.endsAt)));
+  const coaches = [...new Set(periods.map(period => period.coach))];
+
+  // Sessions that run past midnight belong to the day before
+  const firstDay = startOfDay(from);
+  firstDay.setDate(firstDay.getDate() - 1);
+
+  const [otherSessions, bookings, timeOff] = await Promise.all([
+    TrainingSession.find({
+      _id: { $nin: excludeIds },
+      coach: { $in: coaches },
+      status: { $ne: 'cancelled' },
+      sessionDate: { $gte: firstDay, $lt: to },
+    }).select('title coach sessionDate startTime endTime').lean(),
+    Booking.find({
+      coach: { $in: coaches },
+      status: { $in: Booking.HOLDING_STATUSES },
+      startsAt: { $lt: to },
+      endsAt: { $gt: from },
+    }).select('coach startsAt endsAt').lean(),
+    TimeOff.find({
+      coach: { $in: coaches },
+      status: 'approved',
+      startDate: { $lt: to },
+      endDate: { $gte: startOfDay(from) },
+    }),
+  ]);
+
+  const busy = [
+    ...otherSessions.map(other => ({
+      coach: String(other.coach._id || other.coach),
+      ...sessionPeriod(other),
+      reason: `"${other.title}"`,
+    })),
+    ...bookings.map(booking => ({
+      coach: String(booking.coach),
+      startsAt: booking.startsAt,
+      endsAt: booking.endsAt,
+      reason: 'a private session',
+    })),
+    ...timeOff.map(entry => ({
+      coach: String(entry.coach._id || entry.coach),
+      startsAt: entry.startsAt,
+      endsAt: entry.endsAt,
+      reason: 'time off',
+    })),
+  ];
+
+  const conflicts = [];
+  periods.forEach(period => {
+    const clash = busy.find(entry =>
+      entry.coach === period.coach && entry.startsAt < period.endsAt && entry.endsAt > period.startsAt);
+    if (clash) {
+      conflicts.push({
+        date: formatDay(period.startsAt),
+        startTime: period.session.startTime,
+        endTime: period.session.endTime,
+        reason: clash.reason,
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Refuse to double-book a coach unless forced
+ * @param {Array} sessions - Sessions to check
+ * @param {Array} excludeIds - Sessions to ignore
+ * @param {Boolean} force - Save anyway
+ * @throws {AppError} When the coach is busy at one of the times
+ */
+const ensureNoConflicts = async (sessions, excludeIds, force) => {
+  if (force) return;
+
+  const conflicts = await exports.findConflicts(sessions, excludeIds);
+  if (conflicts.length) {
+    const list = conflicts.slice(0, 5).map(conflict => `${conflict.date} ${conflict.startTime} (${conflict.reason})`);
+    throw new AppError(
+      `The coach is busy at ${conflicts.length} of these times: ${list.join(', ')}${conflicts.length > 5 ? ', ...' : ''}. Pass "force" to save anyway`,
+      409
+    );
+  }
+};
+
+/**
+ * Check whether a change touches any of some fields
+ * @param {Object} changes - Changed fields
+ * @param {Array} fields - Field names
+ * @returns {Boolean} True if it does
+ */
+const touches = (changes, fields) => fields.some(field => changes[field] !== undefined);
+
+/**
+ * Make sure a coach only schedules themselves
+ * @param {Object} coachId - Coach the session is for
+ * @param {Object} user - Signed-in user
+ * @param {String} permissionScope - Scope of the user's trainingSession:manage permission
+ * @throws {AppError} When a coach schedules someone else
+ */
+const ensureOwnCoach = (coachId, user, permissionScope) => {
+  if (permissionScope === 'own' && coachId && String(coachId) !== String(user._id)) {
+    throw new AppError('You can only schedule your own training sessions', 403);
+  }
+};
+
+/**
+ * Schedule a training session, or every occurrence of a recurring series
+ * @param {Object} details - Validated session fields, `recurrencePattern` and `force`
+ * @param {Object} user - Signed-in user
+ * @param {String} permissionScope - Scope of the user's trainingSession:manage permission
+ * @returns {Promise<Array>} Created TrainingSession documents
+ */
+exports.createSessions = async (details, user, permissionScope) => {
+  const { force, sessionDate, recurrencePattern, ...fields } = details;
+  const coach = fields.coach || user._id;
+  ensureOwnCoach(coach, user, permissionScope);
+
+  const first = requireDay(sessionDate, 'Session date');
+  const facility = await findFacility(fields.facility);
+  const template = { ...fields, location: fields.location || facilityLocation(facility), coach, createdBy: user._id };
+
+  let occurrences;
+  if (recurrencePattern) {
+    const pattern = { ...recurrencePattern, endDate: requireDay(recurrencePattern.endDate, 'Recurrence end date') };
+    const series = new mongoose.Types.ObjectId();
+    occurrences = exports.expandRecurrence(first, pattern).map(date => ({
+      ...template,
+      sessionDate: date,
+      isRecurring: true,
+      recurrencePattern: pattern,
+      series,
+    }));
+  } else {
+    occurrences = [{ ...template, sessionDate: first }];
+  }
+
+  await ensureSessionFacilitiesFree(occurrences);
+  await ensureNoConflicts(occurrences, [], force);
+
+  // insertMany validates every occurrence before writing any of them
+  return TrainingSession.insertMany(occurrences);
+};
+
+/**
+ * Update a training session, the occurrences after it or its entire series
+ * @param {Object} session - TrainingSession document the change starts from
+ * @param {Object} details - Validated changes, `scope`, `recurrencePattern` and `force`
+ * @param {Object} user - Signed-in user
+ * @param {String} permissionScope - Scope of the user's trainingSession:manage permission
+ * @returns {Promise<Array>} Updated (and created) TrainingSession documents
+ */
+exports.updateSessions = async (session, details, user, permissionScope) => {
+  const { scope = 'occurrence', force, recurrencePattern, ...changes } = details;
+  ensureOwnCoach(changes.coach, user, permissionScope);
+
+  if (['cancelled', 'completed'].includes(session.status)) {
+    throw new AppError(`This session is ${session.status} and cannot be changed`, 400);
+  }
+  if (changes.sessionDate) changes.sessionDate = requireDay(changes.sessionDate, 'Session date');
+  if (changes.facility) {
+    const facility = await findFacility(changes.facility);
+    if (!changes.location) changes.location = facilityLocation(facility);
+  }
+
+  // A single session
+  if (scope === 'occurrence' || !session.series) {
+    if (recurrencePattern) {
+      throw new AppError('The recurrence can only be changed for "following" sessions or the entire "series"', 400);
+    }
+
+    session.set(changes);
+    if (touches(changes, FACILITY_FIELDS)) await ensureSessionFacilitiesFree([session], [session._id]);
+    if (touches(changes, TIMING_FIELDS)) await ensureNoConflicts([session], [session._id], force);
+    await session.save();
+    if (changes.capacity) await exports.promoteFromWaitlist(session._id);
+
+    if (touches(changes, NOTIFIED_FIELDS)) {
+      await notifyAttendees([session], 'Session changed',
+        changed => `"${changed.title}" now takes place on ${describeWhen(changed)} at ${changed.location.name}.`);
+    }
+    return [session];
+  }
+
+  if (changes.sessionDate) {
+    throw new AppError('To move the sessions of a series, change its recurrence', 400);
+  }
+
+  const today = startOfDay(new Date());
+  const pivot = scope === 'following' ? startOfDay(session.sessionDate) : today;
+  const existing = await TrainingSession.find({ series: session.series, sessionDate: { $gte: pivot } }).sort({ sessionDate: 1 });
+  const targets = existing.filter(occurrence => occurrence.status === 'scheduled' &&
+    (permissionScope !== 'own' || String(occurrence.coach._id || occurrence.coach) === String(user._id)));
+  const targetIds = targets.map(target => target._id);
+
+  // Same schedule, new details
+  if (!recurrencePattern) {
+    targets.forEach(target => target.set(changes));
+    if (touches(changes, FACILITY_FIELDS)) await ensureSessionFacilitiesFree(targets, targetIds);
+    if (touches(changes, TIMING_FIELDS)) await ensureNoConflicts(targets, targetIds, force);
+    await Promise.all(targets.map(target => target.save()));
+    if (changes.capacity) {
+      for (const target of targets) await exports.promoteFromWaitlist(target._id);
+    }
+
+    if (touches(changes, NOTIFIED_FIELDS)) {
+      await notifyAttendees(targets, 'Session changed',
+        changed => `"${changed.title}" now takes place on ${describeWhen(changed)} at ${changed.location.name}.`);
+    }
+    return targets;
+  }
+
+  // New schedule: keep the occurrences that still fall on a session day,
+  // cancel the others and add the missing days
+  const pattern = { ...recurrencePattern, endDate: requireDay(recurrencePattern.endDate, 'Recurrence end date') };
+  let anchor = pivot;
+  let series = new mongoose.Types.ObjectId();
+  if (scope === 'series') {
+    const first = await TrainingSession.findOne({ series: session.series }).sort({ sessionDate: 1 }).select('sessionDate');
+    anchor = startOfDay(first.sessionDate);
+    series = session.series;
+  }
+
+  const dates = exports.expandRecurrence(anchor, pattern).filter(date => date >= pivot);
+  const byDay = new Map(existing.map(occurrence => [startOfDay(occurrence.sessionDate).getTime(), occurrence]));
+  const template = {
+    ...session.toObject({ depopulate: true, virtuals: false }),
+    ...changes,
+    isRecurring: true,
+    recurrencePattern: pattern,
+    series,
+    createdBy: user._id,
+  };
+  ['_id', '__v', 'createdAt', 'updatedAt', 'status', 'attendees', 'feedback', 'coverage',
+    'cancelledAt', 'cancellationReason', 'duration'].forEach(field => delete template[field]);
+
+  const kept = [];
+  const created = [];
+  dates.forEach(date => {
+    const occurrence = byDay.get(date.getTime());
+    byDay.delete(date.getTime());
+
+    if (!occurrence) {
+      created.push(new TrainingSession({ ...template, sessionDate: date }));
+    } else if (targetIds.some(id => id.equals(occurrence._id))) {
+      occurrence.set({ ...changes, recurrencePattern: pattern, series });
+      kept.push(occurrence);
+    }
+    // Days with a session that is not scheduled any more are left alone
+  });
+  const removed = [...byDay.values()].filter(occurrence => targetIds.some(id => id.equals(occurrence._id)));
+
+  await ensureSessionFacilitiesFree([...kept, ...created], targetIds);
+  await ensureNoConflicts([...kept, ...created], targetIds, force);
+
+  await Promise.all([...kept, ...created].map(occurrence => occurrence.save()));
+  await Promise.all(removed.map(occurrence => {
+    occurrence.set({ status: 'cancelled', cancelledAt: Date.now(), cancellationReason: 'Removed from the series' });
+    return occurrence.save();
+  }));
+
+  // The earlier part of a split series now ends the day before the split
+  if (scope === 'following') {
+    const dayBefore = new Date(pivot);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    await TrainingSession.updateMany(
+      { series: session.series, sessionDate: { $lt: pivot } },
+      { $set: { 'recurrencePattern.endDate': dayBefore } }
+    );
+  }
+
+  if (touches(changes, NOTIFIED_FIELDS)) {
+    await notifyAttendees(kept, 'Session changed',
+      changed => `"${changed.title}" now takes place on ${describeWhen(changed)} at ${changed.location.name}.`);
+  }
+  await notifyAttendees(removed, 'Session cancelled',
+    cancelled => `"${cancelled.title}" on ${describeWhen(cancelled)} was cancelled.`);
+
+  return [...kept, ...created].sort((a, b) => a.sessionDate - b.sessionDate);
+};
+
+/**
+ * Cancel a training session, the occurrences after it or its entire series
+ * @param {Object} session - TrainingSession document the cancellation starts from
+ * @param {Object} details - Validated { scope, reason }
+ * @param {Object} user - Signed-in user
+ * @param {String} permissionScope - Scope of the user's trainingSession:manage permission
+ * @returns {Promise<Array>} Cancelled TrainingSession documents
+ */
+exports.cancelSessions = async (session, { scope = 'occurrence', reason }, user, permissionScope) => {
+  if (session.status !== 'scheduled') {
+    throw new AppError(`This session is ${session.status} and cannot be cancelled`, 400);
+  }
+
+  let targets = [session];
+  if (scope !== 'occurrence' && session.series) {
+    const filter = {
+      series: session.series,
+      status: 'scheduled',
+      sessionDate: { $gte: scope === 'following' ? startOfDay(session.sessionDate) : startOfDay(new Date()) },
+    };
+    if (permissionScope === 'own') filter.coach = user._id;
+    targets = await TrainingSession.find(filter).sort({ sessionDate: 1 });
+  }
+
+  await Promise.all(targets.map(target => {
+    target.set({ status: 'cancelled', cancelledAt: Date.now(), cancellationReason: reason });
+    return target.save();
+  }));
+
+  await notifyAttendees(targets, 'Session cancelled',
+    cancelled => `"${cancelled.title}" on ${describeWhen(cancelled)} was cancelled${reason ? `: ${reason}` : ''}.`);
+
+  return targets;
+};
+
+/**
+ * Find the subscription that lets a student join a session: active on the
+ * session date, with sessions left, on a plan covering the session's sport and level
+ * @param {Object} profile - StudentProfile document
+ * @param {Object} session - TrainingSession document
+ * @returns {Promise<Object>} Subscription (lean)
+ * @throws {AppError} When the student has no such subscription
+ */
+const findEligibleSubscription = async (profile, session) => {
+  const { startsAt } = sessionPeriod(session);
+  const subscriptions = await Subscription.find({
+    student: { $in: [profile._id, profile.user._id || profile.user] },
+    status: 'active',
+    startDate: { $lte: startsAt },
+    endDate: { $gte: startsAt },
+    $or: [{ remainingSessions: null }, { remainingSessions: { $gt: 0 } }],
+  }).sort({ endDate: 1 }).lean();
+
+  const plans = await SubscriptionPlan.find({ _id: { $in: subscriptions.map(s => s.plan._id || s.plan) } })
+    .select('sportCategories level');
+  const sport = String(session.sportCategory._id || session.sportCategory);
+  const covering = new Set(plans
+    .filter(plan => plan.sportCategories.some(category => String(category._id || category) === sport))
+    .filter(plan => plan.level === 'all' || session.level === 'all' || plan.level === session.level)
+    .map(plan => String(plan._id)));
+
+  const subscription = subscriptions.find(s => covering.has(String(s.plan._id || s.plan)));
+  if (!subscription) {
+    throw new AppError('An active subscription covering this sport and level on the session date is required to register', 403);
+  }
+  return subscription;
+};
+
+/**
+ * Check that students can still register for, or leave, a session
+ * @param {Object} session - TrainingSession document
+ * @throws {AppError} When the session is not scheduled or has started
+ */
+const ensureOpen = (session) => {
+  if (session.status !== 'scheduled') {
+    throw new AppError(`This session is ${session.status}`, 400);
+  }
+  if (sessionPeriod(session).startsAt <= new Date()) {
+    throw new AppError('This session has already started', 400);
+  }
+};
+
+/**
+ * Give a student a place in a session if one is free. A student who
+ * cancelled earlier gets their old entry back.
+ * @param {Object} sessionId - TrainingSession ID
+ * @param {Object} attendee - { student, subscription, registeredBy }
+ * @param {Object} [extra] - Additional `filter` and `update` for the same write
+ * @returns {Promise<Boolean>} True if the student got a place
+ */
+const takePlace = async (sessionId, attendee, extra = {}) => {
+  const filter = { _id: sessionId, status: 'scheduled', ...HAS_FREE_PLACE, ...extra.filter };
+  const registeredAt = new Date();
+
+  const rejoined = await TrainingSession.updateOne(
+    { ...filter, attendees: { $elemMatch: { student: attendee.student, status: { $nin: PLACE_STATUSES } } } },
+    {
+      ...extra.update,
+      $set: {
+        'attendees.$.status': 'registered',
+        'attendees.$.subscription': attendee.subscription,
+        'attendees.$.registeredBy': attendee.registeredBy,
+        'attendees.$.registeredAt': registeredAt,
+      },
+      $unset: { 'attendees.$.cancelledAt': 1 },
+    }
+  );
+  if (rejoined.modifiedCount > 0) return true;
+
+  const added = await TrainingSession.updateOne(
+    { ...filter, 'attendees.student': { $ne: attendee.student } },
+    { ...extra.update, $push: { attendees: { ...attendee, status: 'registered', registeredAt } } }
+  );
+  return added.modifiedCount > 0;
+};
+
+/**
+ * Describe where a student stands in a session
+ * @param {Object} session - TrainingSession document
+ * @param {Object} studentId - Student's user ID
+ * @returns {Object} { status: 'registered'|'waitlisted'|null, position }
+ */
+const registrationOf = (session, studentId) => {
+  const student = String(studentId);
+  const attendee = session.attendees.find(entry =>
+    String(entry.student && (entry.student._id || entry.student)) === student && PLACE_STATUSES.includes(entry.status));
+  if (attendee) return { status: 'registered' };
+
+  const position = session.waitlist.findIndex(entry => String(entry.student._id || entry.student) === student);
+  return position === -1 ? { status: null } : { status: 'waitlisted', position: position + 1 };
+};
+
+/**
+ * Move students from the front of a session's waitlist into free places
+ * and tell them they are in
+ * @param {Object} sessionId - TrainingSession ID
+ * @returns {Promise<Array>} User IDs of the students who got a place
+ */
+exports.promoteFromWaitlist = async (sessionId) => {
+  const promoted = [];
+  let session;
+
+  for (let retries = 0; retries < MAX_PROMOTION_RETRIES;) {
+    session = await TrainingSession.findById(sessionId);
+    if (!session || session.status !== 'scheduled' || !session.waitlist.length || session.isFull) break;
+
+    const next = session.waitlist[0];
+    const first = { 'waitlist.0._id': next._id };
+
+    // Already has a place, e.g. registered again by staff: just leave the queue
+    if (registrationOf(session, next.student).status === 'registered') {
+      await TrainingSession.updateOne({ _id: sessionId, ...first }, { $pop: { waitlist: -1 } });
+      continue;
+    }
+
+    const moved = await takePlace(
+      sessionId,
+      { student: next.student, subscription: next.subscription, registeredBy: next.addedBy },
+      { filter: first, update: { $pop: { waitlist: -1 } } }
+    );
+    if (moved) {
+      promoted.push(next.student);
+    } else {
+      // Someone else changed the session in the meantime; look again
+      retries += 1;
+    }
+  }
+
+  if (promoted.length) {
+    await Notification.create(promoted.map(student => ({
+      recipient: student,
+      type: 'training_session',
+      title: 'You have a place',
+      message: `A place opened up in "${session.title}" on ${describeWhen(session)}. You are now registered.`,
+      related: { model: 'TrainingSession', id: session._id },
+      priority: 'high',
+    })));
+  }
+
+  return promoted;
+};
+
+/**
+ * Register a student for a session, or put them on its waitlist when it is full
+ * @param {Object} session - TrainingSession document
+ * @param {Object} user - User registering
+ * @param {String} [studentId] - StudentProfile or User ID; the user's own profile when omitted
+ * @param {String} scope - Scope of the user's trainingSession:register permission
+ * @returns {Promise<Object>} { status: 'registered'|'waitlisted', position, session }
+ */
+exports.registerStudent = async (session, user, studentId, scope) => {
+  ensureOpen(session);
+
+  const profile = await resolveStudent(user, studentId, scope);
+  const student = profile.user._id || profile.user;
+  if (String(student) === String(session.coach._id || session.coach)) {
+    throw new AppError('Coaches cannot register for their own sessions', 400);
+  }
+
+  const current = registrationOf(session, student);
+  if (current.status === 'registered') {
+    throw new AppError('The student is already registered for this session', 409);
+  }
+  if (current.status === 'waitlisted') {
+    throw new AppError(`The student is already on the waitlist (position ${current.position})`, 409);
+  }
+
+  const subscription = await findEligibleSubscription(profile, session);
+  const entry = { student, subscription: subscription._id };
+
+  const registered = await takePlace(session._id, { ...entry, registeredBy: user._id });
+  if (!registered) {
+    const queued = await TrainingSession.updateOne(
+      {
+        _id: session._id,
+        status: 'scheduled',
+        'waitlist.student': { $ne: student },
+        $nor: [{ attendees: { $elemMatch: { student, status: { $in: PLACE_STATUSES } } } }],
+      },
+      { $push: { waitlist: { ...entry, addedBy: user._id } } }
+    );
+    if (queued.modifiedCount === 0) {
+      throw new AppError('The session changed while registering. Please try again.', 409);
+    }
+
+    // A place may have opened up while joining the queue
+    await exports.promoteFromWaitlist(session._id);
+  }
+
+  const updated = await TrainingSession.findById(session._id);
+  return { ...registrationOf(updated, student), session: updated };
+};
+
+/**
+ * Cancel a student's registration for a session, or take them off its
+ * waitlist. A freed place goes to the next student on the waitlist.
+ * @param {Object} session - TrainingSession document
+ * @param {Object} user - User cancelling
+ * @param {String} [studentId] - StudentProfile or User ID; the user's own profile when omitted
+ * @param {String} scope - Scope of the user's trainingSession:register permission
+ * @returns {Promise<Object>} Updated TrainingSession document
+ */
+exports.cancelRegistration = async (session, user, studentId, scope) => {
+  ensureOpen(session);
+
+  const profile = await resolveStudent(user, studentId, scope);
+  const student = profile.user._id || profile.user;
+
+  const left = await TrainingSession.updateOne(
+    { _id: session._id, 'waitlist.student': student },
+    { $pull: { waitlist: { student } } }
+  );
+
+  if (left.modifiedCount === 0) {
+    const cancelled = await TrainingSession.updateOne(
+      { _id: session._id, attendees: { $elemMatch: { student, status: 'registered' } } },
+      { $set: { 'attendees.$.status': 'cancelled', 'attendees.$.cancelledAt': new Date() } }
+    );
+    if (cancelled.modifiedCount === 0) {
+      throw new AppError('The student is not registered for this session', 400);
+    }
+
+    await exports.promoteFromWaitlist(session._id);
+  }
+
+  return TrainingSession.findById(session._id);
+};
@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const TrainingSession = require('../models/trainingSessionModel');
+const Booking = require('../models/bookingModel');
+const TimeOff = require('../models/timeOffModel');
+const Notification = require('../models/notificationModel');
+const Subscription = require('../models/subscriptionModel');
+const SubscriptionPlan = require('../models/subscriptionPlanModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { formatDay } = require('./availabilityService');
+const { ensureSessionFacilitiesFree } = require('./facilityService');
+const { resolveStudent } = require('./bookingService');
+const {
+  expandRecurrence,
+  findConflicts,
+  createSessions,
+  updateSessions,
+  cancelSessions,
+  promoteFromWaitlist,
+  registerStudent,
+  cancelRegistration,
+} = require('./trainingSessionService');
+
+jest.mock('./facilityService', () => ({
+  findFacility: jest.fn(async () => ({ name: 'Court 1' })),
+  facilityLocation: jest.fn(() => ({ name: 'Court 1' })),
+  ensureSessionFacilitiesFree: jest.fn(),
+}));
+jest.mock('./bookingService', () => ({ resolveStudent: jest.fn() }));
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coach = { _id: id(), role: 'coach' };
+const admin = { _id: id(), role: 'admin' };
+
+/**
+ * Get a date a number of days from today
+ * @param {Number} days - Days from today
+ * @returns {Date} Start of the day
+ */
+const daysFromNow = (days) => {
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+const days = dates => dates.map(formatDay);
+
+beforeEach(() => {
+  jest.spyOn(TrainingSession.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(TrainingSession, 'insertMany').mockImplementation(async occurrences => occurrences);
+  jest.spyOn(Notification, 'create').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('expandRecurrence', () => {
+  it('repeats daily at an interval', () => {
+    const dates = expandRecurrence(new Date(2024, 2, 4), { frequency: 'daily', interval: 3, endDate: new Date(2024, 2, 12) });
+
+    expect(days(dates)).toEqual(['2024-03-04', '2024-03-07', '2024-03-10']);
+  });
+
+  it('repeats weekly on the chosen days, starting from the first session', () => {
+    const dates = expandRecurrence(new Date(2024, 2, 6), {
+      frequency: 'weekly',
+      interval: 2,
+      daysOfWeek: ['monday', 'wednesday'],
+      endDate: new Date(2024, 2, 20),
+    });
+
+    expect(days(dates)).toEqual(['2024-03-06', '2024-03-18', '2024-03-20']);
+  });
+
+  it('skips months without the day of the first session', () => {
+    const dates = expandRecurrence(new Date(2024, 0, 31), { frequency: 'monthly', endDate: new Date(2024, 4, 31) });
+
+    expect(days(dates)).toEqual(['2024-01-31', '2024-03-31', '2024-05-31']);
+  });
+
+  it('refuses series that end before they start or run too long', () => {
+    expect(() => expandRecurrence(new Date(2024, 2, 4), { frequency: 'daily', endDate: new Date(2024, 2, 1) }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => expandRecurrence(new Date(2024, 0, 1), { frequency: 'daily', endDate: new Date(2025, 6, 1) }))
+      .toThrow('A series can span at most 366 days');
+  });
+});
+
+describe('findConflicts', () => {
+  it('reports sessions, bookings and time off of the coach', async () => {
+    const day = new Date(2030, 2, 4);
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([
+      { title: 'Juniors', coach: coach._id, sessionDate: day, startTime: '17:30', endTime: '18:30' },
+    ]));
+    jest.spyOn(Booking, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(TimeOff, 'find').mockResolvedValue([
+      new TimeOff({ coach: coach._id, startDate: new Date(2030, 2, 6), endDate: new Date(2030, 2, 6) }),
+    ]);
+
+    const conflicts = await findConflicts([
+      { coach: coach._id, sessionDate: day, startTime: '17:00', endTime: '18:00' },
+      { coach: coach._id, sessionDate: new Date(2030, 2, 5), startTime: '17:00', endTime: '18:00' },
+      { coach: coach._id, sessionDate: new Date(2030, 2, 6), startTime: '17:00', endTime: '18:00' },
+    ]);
+
+    expect(conflicts).toEqual([
+      { date: '2030-03-04', startTime: '17:00', endTime: '18:00', reason: '"Juniors"' },
+      { date: '2030-03-06', startTime: '17:00', endTime: '18:00', reason: 'time off' },
+    ]);
+  });
+});
+
+describe('createSessions', () => {
+  const details = fields => ({
+    title: 'Juniors',
+    sportCategory: id(),
+    facility: id(),
+    startTime: '17:00',
+    endTime: '18:00',
+    capacity: 10,
+    force: true,
+    ...fields,
+  });
+
+  it('expands a series into occurrences sharing a series ID', async () => {
+    const sessions = await createSessions(details({
+      sessionDate: '2030-03-04',
+      recurrencePattern: { frequency: 'weekly', endDate: '2030-03-18' },
+    }), coach, 'own');
+
+    expect(days(sessions.map(session => session.sessionDate))).toEqual(['2030-03-04', '2030-03-11', '2030-03-18']);
+    expect(new Set(sessions.map(session => String(session.series))).size).toBe(1);
+    expect(sessions[0]).toMatchObject({ coach: coach._id, isRecurring: true, location: { name: 'Court 1' } });
+    expect(ensureSessionFacilitiesFree).toHaveBeenCalledWith(sessions);
+  });
+
+  it('only lets coaches schedule themselves', async () => {
+    await expect(createSessions(details({ sessionDate: '2030-03-04', coach: id() }), coach, 'own'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses to double-book the coach unless forced', async () => {
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery([
+      { title: 'Seniors', coach: coach._id, sessionDate: new Date(2030, 2, 4), startTime: '17:00', endTime: '18:00' },
+    ]));
+    jest.spyOn(Booking, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(TimeOff, 'find').mockResolvedValue([]);
+
+    await expect(createSessions(details({ sessionDate: '2030-03-04', force: false }), coach, 'own'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(TrainingSession.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateSessions', () => {
+  /**
+   * Build the scheduled occurrences of a weekly series
+   * @param {Number} count - Number of occurrences
+   * @returns {Array} TrainingSession documents
+   */
+  const weeklySeries = (count) => {
+    const series = id();
+    return Array.from({ length: count }, (value, index) => new TrainingSession({
+      title: 'Juniors',
+      coach: coach._id,
+      sportCategory: id(),
+      sessionDate: daysFromNow(7 * (index + 1)),
+      startTime: '17:00',
+      endTime: '18:00',
+      capacity: 10,
+      location: { name: 'Court 1' },
+      series,
+      isRecurring: true,
+      attendees: [{ student: id(), status: 'registered' }],
+    }));
+  };
+
+  it('changes the chosen occurrence and the ones after it', async () => {
+    const occurrences = weeklySeries(3);
+    jest.spyOn(TrainingSession, 'find').mockReturnValue(mockQuery(occurrences.slice(1)));
+
+    const updated = await updateSessions(occurrences[1], { scope: 'following', startTime: '16:00', force: true }, admin, 'all');
+
+    expect(updated).toEqual(occurrences.slice(1));
+    expect(occurrences.map(occurrence => occurrence.startTime)).toEqual(['17:00', '16:00', '16:00']);
+    expect(Notification.create.mock.calls[0][0]).toHaveLength(2);
+  });
+
+  it('cannot move a single occurrence of a series by changing its recurrence', async () => {
+    const [occurrence] = weeklySeries(1);
+
+    await expect(updateSessions(occurrence, { recurrencePattern: { frequency: 'daily', endDate: '2030-01-01' } }, admin, 'all'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('cancelSessions', () => {
+  it('tells the registered students', async () => {
+    const session = new TrainingSession({
+      title: 'Juniors',
+      sessionDate: daysFromNow(2),
+      startTime: '17:00',
+      attendees: [{ student: id(), status: 'registered' }, { student: id(), status: 'cancelled' }],
+    });
+
+    await cancelSessions(session, { reason: 'Storm' }, admin, 'all');
+
+    expect(session.status).toBe('cancelled');
+    const [notifications] = Notification.create.mock.calls[0];
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].message).toMatch(/was cancelled: Storm\.$/);
+  });
+});
+
+describe('registration', () => {
+  const sport = id();
+  const student = { _id: id(), role: 'student' };
+  const profile = { _id: id(), user: student._id };
+
+  /**
+   * Build a scheduled session two days from now
+   * @param {Object} [fields] - Fields to override
+   * @returns {Object} TrainingSession document
+   */
+  const upcoming = fields => new TrainingSession({
+    title: 'Juniors',
+    coach: coach._id,
+    sportCategory: sport,
+    sessionDate: daysFromNow(2),
+    startTime: '17:00',
+    endTime: '18:00',
+    capacity: 1,
+    ...fields,
+  });
+
+  /**
+   * Give the student an active subscription, optionally covering the session's sport
+   * @param {Boolean} covers - Whether the plan covers the sport
+   * @returns {Object} Subscription (lean)
+   */
+  const subscribe = (covers) => {
+    const plan = { _id: id(), sportCategories: [covers ? sport : id()], level: 'all' };
+    const subscription = { _id: id(), plan: plan._id };
+    jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([subscription]));
+    jest.spyOn(SubscriptionPlan, 'find').mockReturnValue(mockQuery([plan]));
+    return subscription;
+  };
+
+  beforeEach(() => {
+    resolveStudent.mockResolvedValue(profile);
+  });
+
+  describe('registerStudent', () => {
+    it('gives the student a free place paid by a covering subscription', async () => {
+      const session = upcoming();
+      const subscription = subscribe(true);
+      const update = jest.spyOn(TrainingSession, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      jest.spyOn(TrainingSession, 'findById')
+        .mockResolvedValue(upcoming({ _id: session._id, attendees: [{ student: student._id, status: 'registered' }] }));
+
+      const result = await registerStudent(session, student, undefined, 'own');
+
+      expect(result.status).toBe('registered');
+      const [filter, changes] = update.mock.calls[1];
+      expect(filter['attendees.student']).toEqual({ $ne: student._id });
+      expect(changes.$push.attendees).toMatchObject({ student: student._id, subscription: subscription._id, status: 'registered' });
+    });
+
+    it('puts the student on the waitlist of a full session', async () => {
+      const session = upcoming({ attendees: [{ student: id(), status: 'registered' }] });
+      subscribe(true);
+      const update = jest.spyOn(TrainingSession, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      const queued = upcoming({
+        _id: session._id,
+        attendees: session.attendees,
+        waitlist: [{ student: id() }, { student: student._id }],
+      });
+      jest.spyOn(TrainingSession, 'findById').mockResolvedValue(queued);
+
+      const result = await registerStudent(session, student, undefined, 'own');
+
+      expect(result).toMatchObject({ status: 'waitlisted', position: 2 });
+      expect(update.mock.calls[2][1].$push.waitlist.student).toBe(student._id);
+    });
+
+    it('requires a subscription covering the sport', async () => {
+      subscribe(false);
+
+      await expect(registerStudent(upcoming(), student, undefined, 'own')).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('refuses students who are already registered and sessions that have started', async () => {
+      const registered = upcoming({ attendees: [{ student: student._id, status: 'registered' }] });
+      const started = upcoming({ sessionDate: daysFromNow(-1) });
+
+      await expect(registerStudent(registered, student, undefined, 'own')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(registerStudent(started, student, undefined, 'own')).rejects.toThrow('This session has already started');
+    });
+  });
+
+  describe('promoteFromWaitlist', () => {
+    it('moves the first waiting student into a free place and tells them', async () => {
+      const waiting = upcoming({ waitlist: [{ student: student._id, addedBy: student._id }] });
+      jest.spyOn(TrainingSession, 'findById')
+        .mockResolvedValueOnce(waiting)
+        .mockResolvedValueOnce(upcoming({ attendees: [{ student: student._id, status: 'registered' }] }));
+      const update = jest.spyOn(TrainingSession, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const promoted = await promoteFromWaitlist(waiting._id);
+
+      expect(promoted).toEqual([student._id]);
+      const [filter, changes] = update.mock.calls[1];
+      expect(filter['waitlist.0._id']).toEqual(waiting.waitlist[0]._id);
+      expect(changes.$pop).toEqual({ waitlist: -1 });
+      expect(Notification.create.mock.calls[0][0][0]).toMatchObject({ recipient: student._id, title: 'You have a place' });
+    });
+
+    it('gives up after repeated concurrent changes', async () => {
+      const waiting = upcoming({ waitlist: [{ student: student._id }] });
+      jest.spyOn(TrainingSession, 'findById').mockResolvedValue(waiting);
+      const update = jest.spyOn(TrainingSession, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await promoteFromWaitlist(waiting._id)).toEqual([]);
+      expect(update).toHaveBeenCalledTimes(10);
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelRegistration', () => {
+    it('frees the place and offers it to the waitlist', async () => {
+      const session = upcoming({ attendees: [{ student: student._id, status: 'registered' }] });
+      const update = jest.spyOn(TrainingSession, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      const findById = jest.spyOn(TrainingSession, 'findById').mockResolvedValue(upcoming());
+
+      await cancelRegistration(session, student, undefined, 'own');
+
+      expect(update.mock.calls[1][1].$set['attendees.$.status']).toBe('cancelled');
+      expect(findById).toHaveBeenCalledTimes(2);
+    });
+
+    it('only takes a waiting student off the waitlist', async () => {
+      const session = upcoming({ waitlist: [{ student: student._id }] });
+      const update = jest.spyOn(TrainingSession, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const findById = jest.spyOn(TrainingSession, 'findById').mockResolvedValue(upcoming());
+
+      await cancelRegistration(session, student, undefined, 'own');
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][1]).toEqual({ $pull: { waitlist: { student: student._id } } });
+      expect(findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects students without a registration', async () => {
+      jest.spyOn(TrainingSession, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(cancelRegistration(upcoming(), student, undefined, 'own')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
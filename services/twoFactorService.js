@@ -0,0 +1,113 @@
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const { generateChallengeToken, verifyChallengeToken } = require('../utils/jwtUtils');
+const { startSession } = require('./sessionService');
+const { assertLoginAllowed, recordFailedLogin, recordSuccessfulLogin } = require('./loginProtectionService');
+
+/**
+ * Two-factor authentication service
+ * Admins, coaches and back-office staff can protect their account with an
+ * authenticator app.
+ * When enabled, the password step of a login only yields a short-lived
+ * challenge token, which is exchanged for a session once a valid TOTP or
+ * backup code is presented.
+ */
+
+// Roles allowed to enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'coach', 'staff', 'finance'];
+
+// Every field a code check needs
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+exports.TWO_FACTOR_ROLES = TWO_FACTOR_ROLES;
+exports.TWO_FACTOR_FIELDS = TWO_FACTOR_FIELDS;
+
+/**
+ * Check whether a user's role may enroll in two-factor authentication
+ * @param {Object} user - User document
+ * @returns {Boolean} True if enrollment is allowed
+ */
+exports.canUseTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user.role);
+
+/**
+ * Check whether two-factor authentication is mandatory for a user's role.
+ * Configured with TWO_FACTOR_REQUIRED_ROLES, e.g. "admin,coach".
+ * @param {Object} user - User document
+ * @returns {Boolean} True if the role must use two-factor authentication
+ */
+exports.isTwoFactorRequired = (user) => {
+  const requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  return exports.canUseTwoFactor(user) && requiredRoles.includes(user.role);
+};
+
+/**
+ * Issue a challenge token after the password step of a login
+ * @param {Object} user - User document with two-factor enabled
+ * @returns {String} Challenge token
+ */
+exports.createChallenge = (user) => generateChallengeToken({ id: user._id });
+
+/**
+ * Check a code for a user and record the outcome.
+ * Wrong codes count towards the same lockout as wrong passwords.
+ * @param {Object} user - User document with the two-factor fields selected
+ * @param {String} code - Authenticator or backup code
+ * @param {Object} req - Express request
+ * @returns {Promise<String>} The method that matched ('totp' or 'backup_code')
+ * @throws {AppError} If the code is wrong or the account is locked
+ */
+exports.checkCode = async (user, code, req) => {
+  assertLoginAllowed(user);
+
+  const method = user.verifyTwoFactorCode(code);
+
+  if (!method) {
+    await recordFailedLogin(user, req);
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  // Persist the consumed time step or backup code
+  await user.save({ validateBeforeSave: false });
+  await recordSuccessfulLogin(user);
+
+  return method;
+};
+
+/**
+ * Complete a two-factor login and start a session
+ * @param {String} challengeToken - Token returned by the password step
+ * @param {String} code - Authenticator or backup code
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Tokens, user and the method used
+ * @throws {AppError} If the challenge or code is invalid
+ */
+exports.completeChallenge = async (challengeToken, code, req) => {
+  let decoded;
+  try {
+    decoded = verifyChallengeToken(challengeToken);
+  } catch (error) {
+    throw new AppError('Your login attempt has expired. Please log in again', 401);
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.twoFactorEnabled) {
+    throw new AppError('Your login attempt has expired. Please log in again', 401);
+  }
+
+  // A password change after the challenge was issued invalidates it
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AppError('Your login attempt has expired. Please log in again', 401);
+  }
+
+  const method = await exports.checkCode(user, code, req);
+  const tokens = await startSession(user, req);
+
+  // Send the plain profile back, without the secrets selected above
+  const profile = await User.findById(user._id);
+
+  return { tokens, user: profile, method };
+};
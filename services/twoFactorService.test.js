@@ -0,0 +1,69 @@
+const User = require('../models/userModel');
+const { generateChallengeToken } = require('../utils/jwtUtils');
+const { generateSecret, generateCode } = require('../utils/totpUtils');
+const { recordFailedLogin, recordSuccessfulLogin } = require('./loginProtectionService');
+const { isTwoFactorRequired, checkCode, completeChallenge } = require('./twoFactorService');
+const { mockQuery } = require('../utils/testHelpers');
+
+jest.mock('./loginProtectionService', () => ({
+  assertLoginAllowed: jest.fn(),
+  recordFailedLogin: jest.fn(),
+  recordSuccessfulLogin: jest.fn(),
+}));
+
+const enrolledUser = () => {
+  const user = new User({ name: 'Coach', email: 'coach@example.com', role: 'coach', twoFactorEnabled: true });
+  user.twoFactorSecret = generateSecret();
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+afterEach(() => {
+  delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('isTwoFactorRequired', () => {
+  it('applies to the configured roles that can enroll', () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin, coach, student';
+
+    expect(isTwoFactorRequired({ role: 'coach' })).toBe(true);
+    expect(isTwoFactorRequired({ role: 'finance' })).toBe(false);
+    expect(isTwoFactorRequired({ role: 'student' })).toBe(false);
+  });
+});
+
+describe('checkCode', () => {
+  it('counts a wrong code as a failed login', async () => {
+    const user = enrolledUser();
+
+    await expect(checkCode(user, '000000', {})).rejects.toMatchObject({ statusCode: 401 });
+    expect(recordFailedLogin).toHaveBeenCalledWith(user, {});
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('saves the used time step after a valid code', async () => {
+    const user = enrolledUser();
+
+    await expect(checkCode(user, generateCode(user.twoFactorSecret), {})).resolves.toBe('totp');
+    expect(user.save).toHaveBeenCalled();
+    expect(recordSuccessfulLogin).toHaveBeenCalledWith(user);
+  });
+});
+
+describe('completeChallenge', () => {
+  it('rejects tokens that are not challenge tokens', async () => {
+    await expect(completeChallenge('not-a-token', '123456', {})).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a challenge issued before the password was changed', async () => {
+    const user = enrolledUser();
+    const challengeToken = generateChallengeToken({ id: user._id });
+    user.passwordChangedAt = new Date(Date.now() + 60 * 1000);
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+
+    await expect(completeChallenge(challengeToken, generateCode(user.twoFactorSecret), {}))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+});
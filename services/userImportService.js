@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const StudentProfile = require('../models/studentProfileModel');
+const CoachProfile = require('../models/coachProfileModel');
+const SportCategory = require('../models/sportCategoryModel');
+const UserImport = require('../models/userImportModel');
+const AppError = require('../utils/appError');
+const { parseCsv } = require('../utils/csvUtils');
+const { processSportCategories } = require('../utils/sportCategoryUtils');
+const { importRowSchema } = require('../validations/userValidation');
+const { queueMail } = require('./mailService');
+const { inviteGuardian } = require('./guardianService');
+const { recordAudit } = require('./auditService');
+
+/**
+ * User import service
+ * Bulk onboarding of students and coaches from a CSV file. The upload is
+ * parsed and stored as a UserImport; the rows are then imported in the
+ * background (see jobs/userImportJob). A dry run validates every row and
+ * reports what would happen without writing anything.
+ */
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = Number(process.env.USER_IMPORT_MAX_ROWS) || 5000;
+
+// Progress is saved after this many rows so an interrupted import can resume
+const PROGRESS_BATCH_SIZE = 25;
+
+// Columns holding lists; cells are split on ';' or '|'
+const LIST_COLUMNS = ['sportsCategories', 'sportPreferences', 'expertise'];
+
+// Columns written by the user export that are ignored on import
+const EXPORT_ONLY_COLUMNS = ['id', 'approved', 'emailVerified', 'createdAt'];
+
+/**
+ * Turn a CSV record into the shape accepted by the registration rules
+ * @param {Object} record - Parsed CSV record
+ * @returns {Object} Row data
+ */
+const toRowData = (record) => {
+  const data = { ...record };
+  EXPORT_ONLY_COLUMNS.forEach(column => delete data[column]);
+  LIST_COLUMNS.forEach(column => {
+    if (data[column]) {
+      data[column] = data[column].split(/[;|]/).map(value => value.trim()).filter(Boolean);
+    }
+  });
+  return data;
+};
+
+/**
+ * Parse an uploaded CSV file and queue it for import
+ * @param {Object} options - Import options
+ * @param {String} options.text - CSV file contents
+ * @param {String} [options.fileName] - Original file name
+ * @param {Boolean} options.dryRun - Only validate, do not create users
+ * @param {Boolean} options.sendWelcomeEmails - Email created users
+ * @param {Object} options.user - Admin starting the import
+ * @returns {Promise<Object>} UserImport document
+ */
+exports.createImport = async ({ text, fileName, dryRun, sendWelcomeEmails, user }) => {
+  const records = parseCsv(text);
+
+  if (records.length === 0) {
+    throw new AppError('The file has no data rows', 400);
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A single import may contain at most ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+  if (!records.some(record => record.email)) {
+    throw new AppError('The file must have a header line with at least "name" and "email" columns', 400);
+  }
+
+  return await UserImport.create({
+    fileName,
+    dryRun,
+    sendWelcomeEmails,
+    // Passwords in the file are never stored; imported users set one themselves
+    rows: records.map(({ password, ...record }) => record),
+    totalRows: records.length,
+    createdBy: user._id,
+  });
+};
+
+/**
+ * Resolve sport names without creating categories (dry runs)
+ * @param {String[]} names - Sport names or IDs
+ * @param {Map} cache - Name lookups already done in this import
+ * @returns {Promise<String[]>} Names of categories that would be created
+ */
+const findMissingSports = async (names, cache) => {
+  const missing = [];
+
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (!cache.has(key)) {
+      const filter = mongoose.isValidObjectId(name)
+        ? { _id: name }
+        : { name: { $regex: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') } };
+      cache.set(key, Boolean(await SportCategory.exists(filter)));
+    }
+    if (!cache.get(key)) missing.push(name);
+  }
+
+  return missing;
+};
+
+/**
+ * Create the user and their role profile for one row
+ * @param {Object} data - Validated row data
+ * @param {Object} importJob - UserImport document
+ * @param {Object} importer - Admin running the import
+ * @returns {Promise<Object>} Result with the user and any warnings
+ */
+const createUserFromRow = async (data, importJob, importer) => {
+  const role = data.role || data.userType || 'student';
+  const sports = await processSportCategories(data.sportsCategories || data.sportPreferences || []);
+  const warnings = [];
+
+  // Imported users set their own password through "Forgot password"
+  const password = crypto.randomBytes(24).toString('base64url');
+
+  const user = await User.create({
+    name: data.name,
+    email: data.email,
+    password,
+    passwordConfirm: password,
+    role,
+    phone: data.phone || data.contactNumber,
+    approved: true,
+  });
+
+  try {
+    if (role === 'student') {
+      const studentProfile = await StudentProfile.create({
+        user: user._id,
+        dateOfBirth: data.dateOfBirth || (data.age ? new Date(new Date().getFullYear() - data.age, 0, 1) : undefined),
+        sportPreferences: sports,
+        gender: data.gender || 'prefer not to say',
+      });
+
+      if (data.guardianEmail) {
+        try {
+          await inviteGuardian({
+            student: await StudentProfile.findById(studentProfile._id),
+            email: data.guardianEmail,
+            name: data.guardianName,
+            relationship: data.guardianRelationship,
+            invitedBy: importer,
+          });
+        } catch (err) {
+          warnings.push(`Guardian invitation not sent: ${err.message}`);
+        }
+      }
+    } else {
+      await CoachProfile.create({
+        user: user._id,
+        bio: data.bio || '',
+        expertise: data.expertise || [],
+        experienceYears: data.experienceYears || 0,
+        sportsCategories: sports,
+      });
+    }
+  } catch (err) {
+    // Do not leave a user without a profile behind
+    await User.deleteOne({ _id: user._id });
+    throw err;
+  }
+
+  if (importJob.sendWelcomeEmails) {
+    await queueMail({
+      to: user.email,
+      template: 'accountCreated',
+      data: { name: user.name, role },
+      related: { model: 'User', id: user._id },
+    });
+  }
+
+  return { user, warnings };
+};
+
+/**
+ * Validate and (unless dry run) import one row
+ * @param {Object} record - Parsed CSV record
+ * @param {Object} context - Import state shared between rows
+ * @returns {Promise<Object>} { errors, warnings, user }
+ */
+const processRow = async (record, context) => {
+  const { error, value: data } = importRowSchema.validate(toRowData(record));
+  if (error) {
+    return { errors: error.details.map(detail => detail.message), warnings: [] };
+  }
+
+  const email = data.email.toLowerCase();
+  if (context.seenEmails.has(email)) {
+    return { errors: ['Email appears more than once in the file'], warnings: [] };
+  }
+  context.seenEmails.add(email);
+
+  if (await User.exists({ email })) {
+    return { errors: ['Email already in use'], warnings: [] };
+  }
+
+  if (context.importJob.dryRun) {
+    const missing = await findMissingSports(data.sportsCategories || data.sportPreferences || [], context.sportCache);
+    return {
+      errors: [],
+      warnings: missing.map(name => `Sport category "${name}" will be created`),
+    };
+  }
+
+  try {
+    return { errors: [], ...(await createUserFromRow(data, context.importJob, context.importer)) };
+  } catch (err) {
+    return { errors: [err.message], warnings: [] };
+  }
+};
+
+/**
+ * Import (or dry-run) the rows of a claimed UserImport, resuming after the
+ * last saved row if it was interrupted
+ * @param {Object} importJob - UserImport document in 'processing' state
+ * @returns {Promise<Object>} Finished UserImport document
+ */
+exports.runImport = async (importJob) => {
+  const job = await UserImport.findById(importJob._id).select('+rows');
+  const importer = await User.findById(job.createdBy);
+
+  const context = {
+    importJob: job,
+    importer,
+    seenEmails: new Set(),
+    sportCache: new Map(),
+  };
+
+  // Rows handled before an interruption still count as seen
+  job.rows.slice(0, job.processedRows).forEach(record => {
+    if (record.email) context.seenEmails.add(String(record.email).toLowerCase());
+  });
+
+  try {
+    for (let index = job.processedRows; index < job.rows.length; index++) {
+      // Spreadsheet row number: the header is row 1
+      const row = index + 2;
+      const { errors, warnings, user } = await processRow(job.rows[index], context);
+
+      if (errors.length > 0) {
+        job.failedCount += 1;
+        job.rowErrors.push({ row, email: job.rows[index].email, errors });
+      } else if (user) {
+        job.createdCount += 1;
+        job.createdUsers.push(user._id);
+      } else {
+        job.validCount += 1;
+      }
+      warnings.forEach(message => job.warnings.push({ row, message }));
+
+      job.processedRows = index + 1;
+      if (job.processedRows % PROGRESS_BATCH_SIZE === 0) {
+        job.lockedAt = new Date();
+        await job.save();
+      }
+    }
+
+    job.status = 'completed';
+  } catch (err) {
+    job.status = 'failed';
+    job.lastError = err.message;
+  }
+
+  job.finishedAt = new Date();
+  job.lockedAt = undefined;
+  // Failed imports are not retried, so their rows are dropped as well
+  job.rows = undefined;
+  await job.save();
+
+  if (!job.dryRun) {
+    await recordAudit({
+      action: 'users_imported',
+      actor: importer,
+      target: { model: 'UserImport', id: job._id },
+      metadata: {
+        fileName: job.fileName,
+        created: job.createdCount,
+        failed: job.failedCount,
+      },
+    });
+  }
+
+  return job;
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const SportCategory = require('../models/sportCategoryModel');
+const UserImport = require('../models/userImportModel');
+const { mockQuery } = require('../utils/testHelpers');
+const { createImport, runImport } = require('./userImportService');
+
+jest.mock('./auditService', () => ({ recordAudit: jest.fn() }));
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createImport', () => {
+  it('never stores the passwords in the file', async () => {
+    const create = jest.spyOn(UserImport, 'create').mockImplementation(async data => data);
+
+    await createImport({
+      text: 'name,email,password\nJane Doe,jane@example.com,Secret123!\n',
+      dryRun: false,
+      sendWelcomeEmails: false,
+      user: admin,
+    });
+
+    expect(create.mock.calls[0][0].rows).toEqual([{ name: 'Jane Doe', email: 'jane@example.com' }]);
+  });
+
+  it('rejects files without an email column', async () => {
+    await expect(createImport({ text: 'name\nJane Doe\n', user: admin })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rejects files without data rows', async () => {
+    await expect(createImport({ text: 'name,email\n', user: admin })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('runImport', () => {
+  let job;
+
+  beforeEach(() => {
+    job = new UserImport({ dryRun: true, createdBy: admin._id, status: 'processing' });
+    job.rows = [
+      { name: 'Jane Doe', email: 'jane@example.com', sportsCategories: 'Tennis;Chess' },
+      { name: 'Jane Again', email: 'JANE@example.com' },
+      { name: 'Taken Name', email: 'taken@example.com' },
+      { name: 'No Email' },
+    ];
+    job.totalRows = job.rows.length;
+    jest.spyOn(UserImport, 'findById').mockReturnValue(mockQuery(job));
+    jest.spyOn(UserImport.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(admin);
+    jest.spyOn(User, 'exists').mockImplementation(async ({ email }) => (email === 'taken@example.com' ? { _id: 1 } : null));
+    jest.spyOn(SportCategory, 'exists').mockImplementation(async ({ name }) => (name.$regex.test('Tennis') ? { _id: 1 } : null));
+  });
+
+  it('counts valid rows of a dry run and reports the failing ones', async () => {
+    const create = jest.spyOn(User, 'create');
+
+    await runImport(job);
+
+    expect(create).not.toHaveBeenCalled();
+    expect(job.status).toBe('completed');
+    expect(job.validCount).toBe(1);
+    expect(job.failedCount).toBe(3);
+    expect(job.rowErrors.map(error => [error.row, error.errors[0]])).toEqual([
+      [3, 'Email appears more than once in the file'],
+      [4, 'Email already in use'],
+      [5, expect.stringMatching(/email/i)],
+    ]);
+  });
+
+  it('warns about sport categories that would be created', async () => {
+    await runImport(job);
+
+    expect(job.warnings.map(warning => warning.message)).toEqual(['Sport category "Chess" will be created']);
+  });
+
+  it('drops the stored rows once the import ends', async () => {
+    await runImport(job);
+
+    expect(job.rows).toBeUndefined();
+  });
+
+  it('resumes after the rows handled before an interruption', async () => {
+    job.processedRows = 1;
+
+    await runImport(job);
+
+    expect(job.rowErrors[0].row).toBe(3);
+    expect(job.rowErrors[0].errors).toEqual(['Email appears more than once in the file']);
+  });
+});
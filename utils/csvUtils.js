@@ -0,0 +1,136 @@
+/**
+ * CSV helpers
+ */
+
+// Leading characters that make a spreadsheet run a cell as a formula. Cells
+// that already start with quotes before one of them get one more quote, so
+// the escaping can be undone on import.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * delimiters, quotes and line breaks). Files saved by Excel often start with a
+ * byte order mark and may use semicolons; both are handled.
+ * @param {String} text - CSV text
+ * @returns {String[][]} Rows of cells, without blank lines
+ */
+const parseRows = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Undo the formula escaping of `escapeCell`, so exported files can be
+ * imported again unchanged
+ * @param {String} cell - Cell value
+ * @returns {String} Unescaped value
+ */
+const unescapeCell = (cell) => (cell[0] === '\'' && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+/**
+ * Parse CSV text with a header line into objects keyed by header
+ * @param {String} text - CSV text
+ * @returns {Object[]} One object per data row; empty cells are left out
+ */
+exports.parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      const value = cells[index] === undefined ? '' : unescapeCell(cells[index]).trim();
+      if (key && value !== '') record[key] = value;
+    });
+    return record;
+  });
+};
+
+/**
+ * Escape a value for a CSV cell. Values that a spreadsheet would run as a
+ * formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {String} Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let cell = value instanceof Date ? value.toISOString() : value;
+  if (typeof cell === 'object') cell = JSON.stringify(cell);
+  cell = String(cell);
+
+  if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+  if (/[",\r\n]/.test(cell)) cell = `"${cell.replace(/"/g, '""')}"`;
+  return cell;
+};
+
+/**
+ * Build a CSV document
+ * @param {Object[]} rows - Records to export
+ * @param {Object[]} columns - Columns as { header, value: (row) => cellValue }
+ * @returns {String} CSV text with a header line
+ */
+exports.toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Send a CSV document as a file download
+ * @param {Object} res - Express response
+ * @param {String} filename - Download file name
+ * @param {String} csv - CSV text
+ */
+exports.sendCsv = (res, filename, csv) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(csv);
+};
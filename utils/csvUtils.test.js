@@ -0,0 +1,37 @@
+const { toCsv, parseCsv } = require('./csvUtils');
+
+const columns = [
+  { header: 'name', value: row => row.name },
+  { header: 'phone', value: row => row.phone },
+  { header: 'notes', value: row => row.notes },
+];
+
+describe('toCsv', () => {
+  it('prefixes cells a spreadsheet would run as a formula', () => {
+    const csv = toCsv([{ name: '=HYPERLINK("http://evil")', phone: '+441234567890', notes: '@home' }], columns);
+
+    expect(csv.split('\r\n')[1]).toBe('"\'=HYPERLINK(""http://evil"")",\'+441234567890,\'@home');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads back exported files unchanged', () => {
+    const rows = [
+      { name: 'Jane, "JJ" Doe', phone: '+441234567890', notes: 'line one\nline two' },
+      { name: '=SUM(A1:A2)', phone: '-5', notes: '@coach' },
+      { name: '\'quoted', phone: '0123', notes: '\'=kept' },
+    ];
+
+    expect(parseCsv(toCsv(rows, columns))).toEqual(rows);
+  });
+
+  it('handles a byte order mark and semicolon delimiters', () => {
+    expect(parseCsv('﻿name;email\r\nJane;jane@example.com\r\n\r\n')).toEqual([
+      { name: 'Jane', email: 'jane@example.com' },
+    ]);
+  });
+
+  it('leaves out empty cells', () => {
+    expect(parseCsv('name,phone\nJane,\n')).toEqual([{ name: 'Jane' }]);
+  });
+});
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { currentKeyId, keys } = require('../config/encryptionConfig');
+
+/**
+ * Field encryption
+ * AES-256-GCM encryption of single values. Encrypted values are strings of
+ * the form `enc:<keyId>:<iv>:<authTag>:<ciphertext>` (base64 parts), so they
+ * can live in ordinary String paths. Values that are not in this form are
+ * treated as plaintext, which lets data written before encryption was
+ * enabled be read and migrated.
+ */
+
+const PREFIX = 'enc:';
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Check whether a value is encrypted
+ * @param {*} value - Stored value
+ * @returns {Boolean} True if encrypted
+ */
+exports.isEncrypted = value => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Check whether a value should be (re-)encrypted with the current key
+ * @param {*} value - Stored value
+ * @returns {Boolean} True if plaintext or encrypted with an older key
+ */
+exports.needsRotation = (value) => {
+  if (!currentKeyId || value === null || value === undefined || value === '') return false;
+  if (!exports.isEncrypted(value)) return true;
+  return value.split(':')[1] !== currentKeyId;
+};
+
+/**
+ * Encrypt a value with the current key. Empty and already encrypted values
+ * are returned unchanged, as is everything when no key is configured.
+ * @param {*} value - Plaintext value
+ * @returns {*} Encrypted string
+ */
+exports.encryptValue = (value) => {
+  if (!currentKeyId || value === null || value === undefined || value === '' || exports.isEncrypted(value)) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    'enc',
+    currentKeyId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+};
+
+/**
+ * Decrypt a value. Plaintext values are returned unchanged.
+ * @param {*} value - Stored value
+ * @returns {*} Plaintext value
+ * @throws {Error} When the key is unknown or the value was tampered with
+ */
+exports.decryptValue = (value) => {
+  if (!exports.isEncrypted(value)) return value;
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`No field encryption key with id "${keyId}" is configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+};
@@ -0,0 +1,55 @@
+const { encryptValue, decryptValue, isEncrypted, needsRotation } = require('./fieldEncryption');
+
+describe('encryptValue', () => {
+  it('round-trips through decryptValue', () => {
+    const encrypted = encryptValue('Peanut allergy');
+
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(encrypted).not.toContain('Peanut');
+    expect(decryptValue(encrypted)).toBe('Peanut allergy');
+  });
+
+  it('uses a fresh IV for every value', () => {
+    expect(encryptValue('asthma')).not.toBe(encryptValue('asthma'));
+  });
+
+  it('leaves empty and already encrypted values alone', () => {
+    const encrypted = encryptValue('asthma');
+
+    expect(encryptValue('')).toBe('');
+    expect(encryptValue(null)).toBeNull();
+    expect(encryptValue(encrypted)).toBe(encrypted);
+  });
+});
+
+describe('decryptValue', () => {
+  it('returns plaintext written before encryption was enabled', () => {
+    expect(decryptValue('asthma')).toBe('asthma');
+  });
+
+  it('rejects values that were tampered with', () => {
+    const parts = encryptValue('asthma').split(':');
+    parts[4] = Buffer.from('eczema').toString('base64');
+
+    expect(() => decryptValue(parts.join(':'))).toThrow();
+  });
+
+  it('rejects values encrypted with an unknown key', () => {
+    const parts = encryptValue('asthma').split(':');
+    parts[1] = 'deadbeef';
+
+    expect(() => decryptValue(parts.join(':'))).toThrow('No field encryption key with id "deadbeef"');
+  });
+});
+
+describe('needsRotation', () => {
+  it('flags plaintext and values of older keys', () => {
+    const parts = encryptValue('asthma').split(':');
+
+    expect(needsRotation('asthma')).toBe(true);
+    expect(needsRotation(parts.join(':'))).toBe(false);
+    parts[1] = 'deadbeef';
+    expect(needsRotation(parts.join(':'))).toBe(true);
+    expect(needsRotation('')).toBe(false);
+  });
+});
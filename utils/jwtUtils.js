@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 // Default secrets (for development only)
 const DEFAULT_JWT_SECRET = 'default_jwt_secret_for_development_only';
@@ -25,6 +26,8 @@ exports.generateRefreshToken = (payload) => {
   const secret = process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET || DEFAULT_REFRESH_SECRET;
   return jwt.sign(payload, secret, {
     expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d',
+    // Unique ID so every rotated refresh token has a distinct hash
+    jwtid: crypto.randomBytes(16).toString('hex'),
   });
 };
 
@@ -69,4 +72,57 @@ exports.createTokens = (payload) => {
     refreshToken: this.generateRefreshToken(payload),
     expiresIn: process.env.JWT_EXPIRES_IN || '7d',
   };
-}; 
\ No newline at end of file
+};
+
+/**
+ * Derive a secret for another kind of signature from the access token secret,
+ * so those signatures can never pass as access tokens
+ * @param {String} purpose - What the secret signs, e.g. 'check-in'
+ * @returns {String} Signing secret
+ */
+exports.deriveSecret = purpose => `${process.env.JWT_SECRET || DEFAULT_JWT_SECRET}:${purpose}`;
+
+/**
+ * Get the secret used for two-factor login challenges
+ * @returns {String} Signing secret
+ */
+const getChallengeSecret = () =>
+  process.env.TWO_FACTOR_CHALLENGE_SECRET || exports.deriveSecret('two-factor-challenge');
+
+/**
+ * Generate a short-lived token proving the password step of a two-factor login
+ * @param {Object} payload - Data to include in token (user ID)
+ * @returns {String} JWT challenge token
+ */
+exports.generateChallengeToken = (payload) => {
+  return jwt.sign({ ...payload, purpose: 'two_factor' }, getChallengeSecret(), {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  });
+};
+
+/**
+ * Verify a two-factor challenge token and return the decoded data
+ * @param {String} token - Challenge token to verify
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid
+ */
+exports.verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    if (decoded.purpose !== 'two_factor') throw new Error('Wrong token purpose');
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid challenge token');
+  }
+};
+
+/**
+ * Get the expiry date of a token without verifying it
+ * @param {String} token - JWT token
+ * @returns {Date|null} Expiry date, or null if the token has no expiry
+ */
+exports.getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  if (!decoded || !decoded.exp) return null;
+  return new Date(decoded.exp * 1000);
+};
@@ -0,0 +1,27 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request context
+ * Keeps the current Express request available to code that has no access to
+ * it, such as mongoose hooks, for the duration of the request.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware that makes the request available through `getCurrentRequest`.
+ * Mount after the body parsers so the context is not lost in stream callbacks;
+ * use it again after multipart parsers (multer) for the same reason.
+ */
+exports.requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * Get the request being handled, if any
+ * @returns {Object|undefined} Express request
+ */
+exports.getCurrentRequest = () => {
+  const store = storage.getStore();
+  return store && store.req;
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const CoachProfile = require('../models/coachProfileModel');
+const StudentProfile = require('../models/studentProfileModel');
+
+/**
+ * Resource loaders for the `can(permission, resourceLoader)` middleware.
+ * Each factory returns an async function that loads the document a request
+ * targets, so ownership can be checked before the controller runs.
+ */
+
+/**
+ * Find a coach profile by its own ID or by the ID of the coach's user account.
+ * Coach routes accept either, since sessions, plans and students reference the user.
+ * @param {String} id - CoachProfile ID or User ID
+ * @returns {Promise<Object|null>} CoachProfile document
+ */
+exports.findCoachProfile = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return await CoachProfile.findOne({ $or: [{ _id: id }, { user: id }] });
+};
+
+/**
+ * Load a document by the ID in a route parameter
+ * @param {Object} Model - Mongoose model
+ * @param {String} [param='id'] - Route parameter holding the ID
+ * @returns {Function} async (req) => document
+ */
+exports.byId = (Model, param = 'id') => async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) return null;
+  return await Model.findById(req.params[param]);
+};
+
+/**
+ * Load the coach profile named by a route parameter
+ * @param {String} [param='id'] - Route parameter holding the CoachProfile or User ID
+ * @returns {Function} async (req) => CoachProfile document
+ */
+exports.coach = (param = 'id') => async (req) => exports.findCoachProfile(req.params[param]);
+
+/**
+ * Load the student profile named by a route parameter
+ * @param {String} [param='id'] - Route parameter holding the StudentProfile or User ID
+ * @returns {Function} async (req) => StudentProfile document
+ */
+exports.student = (param = 'id') => async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) return null;
+  return await StudentProfile.findOne({ $or: [{ _id: req.params[param] }, { user: req.params[param] }] });
+};
@@ -20,6 +20,7 @@ const seedAdminUser = async () => {
         passwordConfirm: 'Admin@123',
         role: 'admin',
         approved: true,
+        emailVerified: true,
         active: true
       };
       
@@ -0,0 +1,52 @@
+/**
+ * Test helpers
+ * Doubles for Mongoose queries and Express responses, shared by the Jest
+ * tests next to each module.
+ */
+
+/**
+ * A query double that resolves to a fixed value and can be chained like a
+ * Mongoose query
+ * @param {*} value - Value the query resolves to
+ * @returns {Object} Thenable query
+ */
+exports.mockQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: reject => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value),
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+/**
+ * An Express response double recording what was sent
+ * @returns {Object} Response with jest mock functions
+ */
+exports.mockResponse = () => {
+  const res = { headers: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  return res;
+};
+
+/**
+ * Run a controller and wait until it responds or passes an error on
+ * @param {Function} handler - Express handler
+ * @param {Object} req - Request
+ * @param {Object} [res] - Response double
+ * @returns {Promise<Object>} { res, error }
+ */
+exports.runHandler = (handler, req, res = exports.mockResponse()) => new Promise((resolve) => {
+  res.json.mockImplementation(() => resolve({ res }));
+  res.send.mockImplementation(() => resolve({ res }));
+  Promise.resolve(handler(req, res, error => resolve({ res, error }))).catch(error => resolve({ res, error }));
+});
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator
+ * apps such as Google Authenticator, Authy and 1Password.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string into a buffer
+ * @param {String} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains invalid characters
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret for a new authenticator enrollment
+ * @returns {String} Base32 secret (160 bits)
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step a timestamp falls into
+ * @param {Number} [timestamp=Date.now()] - Time in milliseconds
+ * @returns {Number} Time step counter
+ */
+exports.getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the code for a secret at a given time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} [step] - Time step (defaults to the current one)
+ * @returns {String} Zero-padded numeric code
+ */
+exports.generateCode = (secret, step = exports.getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a code against a secret, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {Number} [options.window=1] - Number of time steps accepted before and after the current one
+ * @param {Number} [options.afterStep] - Reject codes from this step or earlier (replay protection)
+ * @returns {Number|null} The matching time step, or null if the code is invalid
+ */
+exports.verifyCode = (secret, code, { window = 1, afterStep } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const currentStep = exports.getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (afterStep !== undefined && afterStep !== null && step <= afterStep) continue;
+
+    const expected = exports.generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} options - URI options
+ * @param {String} options.secret - Base32 secret
+ * @param {String} options.accountName - Account label, usually the email address
+ * @param {String} [options.issuer] - Service name shown in the app
+ * @returns {String} otpauth URI
+ */
+exports.buildOtpauthUri = ({ secret, accountName, issuer = process.env.ACADEMY_NAME || 'Sports Academy' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time backup codes, formatted as xxxx-xxxx
+ * @param {Number} [count=10] - Number of codes to generate
+ * @returns {String[]} Plain backup codes
+ */
+exports.generateBackupCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+/**
+ * Normalize a backup code before hashing or comparing it
+ * @param {String} code - Backup code as typed by the user
+ * @returns {String} Lowercase code without separators or spaces
+ */
+exports.normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
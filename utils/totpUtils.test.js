@@ -0,0 +1,54 @@
+const { generateCode, verifyCode, getTimeStep, generateBackupCodes, normalizeBackupCode, buildOtpauthUri } = require('./totpUtils');
+
+// RFC 6238 test secret "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 test vectors (last six digits)', () => {
+    expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getTimeStep(2000000000 * 1000))).toBe('279037');
+  });
+});
+
+describe('verifyCode', () => {
+  it('accepts the current code and one step of clock drift', () => {
+    const step = getTimeStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 3))).toBeNull();
+  });
+
+  it('rejects codes from a step that was already used', () => {
+    const step = getTimeStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { afterStep: step })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('backup codes', () => {
+  it('generates distinct codes that normalize regardless of dashes and case', () => {
+    const codes = generateBackupCodes(10);
+
+    expect(new Set(codes).size).toBe(10);
+    expect(normalizeBackupCode(codes[0].toUpperCase().split('').join(' '))).toBe(normalizeBackupCode(codes[0]));
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('includes the secret, issuer and account', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'jane@example.com', issuer: 'Academy' });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\//);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('issuer=Academy');
+    expect(uri).toContain('jane%40example.com');
+  });
+});
@@ -0,0 +1,121 @@
+const Joi = require('joi');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+const PERFORMANCE = ['excellent', 'good', 'average', 'needs_improvement', 'poor'];
+
+const objectId = label => Joi.string().pattern(OBJECT_ID_PATTERN)
+  .messages({
+    'string.pattern.base': `${label} must be a valid ID`,
+    'any.required': `${label} is required`,
+  });
+
+const status = Joi.string().valid(...STATUSES)
+  .messages({
+    'any.only': 'Status must be present, absent, late or excused',
+    'any.required': 'Status is required',
+  });
+
+// Details that can be recorded for a student, at the roll-call or in a correction
+const recordFields = {
+  checkInTime: Joi.date().iso()
+    .messages({
+      'date.format': 'Check-in time must be an ISO date',
+    }),
+  checkOutTime: Joi.date().iso().min(Joi.ref('checkInTime'))
+    .messages({
+      'date.format': 'Check-out time must be an ISO date',
+      'date.min': 'Check-out time cannot be before check-in time',
+    }),
+  lateReason: Joi.string().trim().max(500).allow(''),
+  absenceReason: Joi.string().trim().max(500).allow(''),
+  notes: Joi.string().trim().max(1000).allow(''),
+  performance: Joi.string().valid(...PERFORMANCE)
+    .messages({
+      'any.only': 'Performance must be excellent, good, average, needs_improvement or poor',
+    }),
+  performanceNotes: Joi.string().trim().max(1000).allow(''),
+};
+
+/**
+ * Roll-call validation schema: the whole class in one request
+ */
+exports.rollCallSchema = Joi.object({
+  records: Joi.array().items(Joi.object({
+    student: objectId('Student').required(),
+    status: status.required(),
+    ...recordFields,
+  })).min(1).max(500).unique('student').required()
+    .messages({
+      'array.min': 'Please mark at least one student',
+      'array.max': 'A roll-call can have at most {#limit} students',
+      'array.unique': 'Each student can only appear once in a roll-call',
+      'any.required': 'Records are required',
+    }),
+
+  markMissingAbsent: Joi.boolean().default(false)
+    .messages({
+      'boolean.base': 'markMissingAbsent must be true or false',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Single student attendance validation schema, for a coach's own session
+ */
+exports.studentAttendanceSchema = Joi.object({
+  session: objectId('Session').required(),
+  status: status.required(),
+  ...recordFields,
+}).options({ abortEarly: false });
+
+/**
+ * Attendance correction validation schema
+ */
+exports.attendanceCorrectionSchema = Joi.object({
+  status,
+  ...recordFields,
+  reason: Joi.string().trim().min(3).max(500).required()
+    .messages({
+      'string.min': 'Please explain the correction',
+      'string.empty': 'Please explain the correction',
+      'any.required': 'A reason for the correction is required',
+    }),
+})
+  .or('status', ...Object.keys(recordFields))
+  .messages({
+    'object.missing': 'Please provide the status or details to correct',
+  })
+  .options({ abortEarly: false });
+
+/**
+ * Kiosk check-in validation schema
+ */
+exports.kioskCheckInSchema = Joi.object({
+  memberCode: Joi.string().trim().max(200).required()
+    .messages({
+      'string.empty': 'Member code is required',
+      'any.required': 'Member code is required',
+    }),
+  session: objectId('Session'),
+}).options({ abortEarly: false });
+
+/**
+ * Attendance list query validation schema
+ */
+exports.attendanceQuerySchema = Joi.object({
+  student: objectId('Student'),
+  coach: objectId('Coach'),
+  session: objectId('Session'),
+  status,
+  from: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'From must be a date in YYYY-MM-DD format',
+    }),
+  to: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'To must be a date in YYYY-MM-DD format',
+    }),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(200),
+}).options({ abortEarly: false });
@@ -1,5 +1,8 @@
 const Joi = require('joi');
 
+// Students younger than this must name a guardian when registering
+const GUARDIAN_CONSENT_AGE = Number(process.env.GUARDIAN_CONSENT_AGE) || 18;
+
 /**
  * Registration request validation schema
  */
@@ -81,9 +84,38 @@ exports.registerSchema = Joi.object({
     .messages({
       'array.base': 'Sport preferences must be an array',
     }),
+
+  // Minors must name a guardian, who is invited to give consent
+  guardianEmail: Joi.string().email()
+    .when('age', { is: Joi.number().less(GUARDIAN_CONSENT_AGE).required(), then: Joi.required() })
+    .messages({
+      'string.base': 'Guardian email must be a string',
+      'string.email': 'Please provide a valid guardian email address',
+      'any.required': `Students under ${GUARDIAN_CONSENT_AGE} must provide a guardian email`,
+    }),
+
+  guardianName: Joi.string().trim().min(3).max(50).optional()
+    .messages({
+      'string.base': 'Guardian name must be a string',
+      'string.min': 'Guardian name must be at least {#limit} characters long',
+      'string.max': 'Guardian name cannot be longer than {#limit} characters',
+    }),
+
+  guardianRelationship: Joi.string().trim().max(50).optional()
+    .messages({
+      'string.base': 'Guardian relationship must be a string',
+      'string.max': 'Guardian relationship cannot be longer than {#limit} characters',
+    }),
     
 }).options({ abortEarly: false });
 
+// Label for the session in the list of signed-in devices
+const deviceName = Joi.string().trim().max(100)
+  .messages({
+    'string.base': 'Device name must be a string',
+    'string.max': 'Device name cannot be longer than {#limit} characters',
+  });
+
 /**
  * Login request validation schema
  */
@@ -102,6 +134,8 @@ exports.loginSchema = Joi.object({
       'string.empty': 'Password is required',
       'any.required': 'Password is required',
     }),
+
+  deviceName,
 }).options({ abortEarly: false });
 
 /**
@@ -187,4 +221,72 @@ exports.changePasswordSchema = Joi.object({
       'any.only': 'Passwords do not match',
       'any.required': 'Password confirmation is required',
     }),
-}).options({ abortEarly: false }); 
\ No newline at end of file
+}).options({ abortEarly: false });
+
+/**
+ * Logout request validation schema
+ */
+exports.logoutSchema = Joi.object({
+  refreshToken: Joi.string().optional()
+    .messages({
+      'string.base': 'Refresh token must be a string',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Two-factor code validation (authenticator code or backup code)
+ */
+const twoFactorCode = Joi.string().trim().min(6).max(20).required()
+  .messages({
+    'string.base': 'Code must be a string',
+    'string.empty': 'Code is required',
+    'string.min': 'Code must be at least {#limit} characters long',
+    'string.max': 'Code cannot exceed {#limit} characters',
+    'any.required': 'Code is required',
+  });
+
+/**
+ * Two-factor setup request validation schema
+ */
+exports.twoFactorSetupSchema = Joi.object({
+  password: Joi.string().required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Two-factor code request validation schema
+ */
+exports.twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode,
+}).options({ abortEarly: false });
+
+/**
+ * Two-factor disable request validation schema
+ */
+exports.twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password is required',
+      'any.required': 'Password is required',
+    }),
+  code: twoFactorCode,
+}).options({ abortEarly: false });
+
+/**
+ * Two-factor login (second step) request validation schema
+ */
+exports.twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required()
+    .messages({
+      'string.base': 'Challenge token must be a string',
+      'string.empty': 'Challenge token is required',
+      'any.required': 'Challenge token is required',
+    }),
+  code: twoFactorCode,
+  deviceName,
+}).options({ abortEarly: false });
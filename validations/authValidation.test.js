@@ -0,0 +1,32 @@
+const { loginSchema, twoFactorLoginSchema } = require('./authValidation');
+
+describe('loginSchema', () => {
+  const credentials = { email: 'jane@example.com', password: 'secret' };
+
+  it('accepts an optional device name and trims it', () => {
+    const { error, value } = loginSchema.validate({ ...credentials, deviceName: '  Jane\'s phone ' });
+
+    expect(error).toBeUndefined();
+    expect(value.deviceName).toBe('Jane\'s phone');
+  });
+
+  it('rejects device names longer than 100 characters', () => {
+    const { error } = loginSchema.validate({ ...credentials, deviceName: 'x'.repeat(101) });
+
+    expect(error).toBeDefined();
+  });
+
+  it('rejects unknown fields', () => {
+    const { error } = loginSchema.validate({ ...credentials, admin: true });
+
+    expect(error).toBeDefined();
+  });
+});
+
+describe('twoFactorLoginSchema', () => {
+  it('accepts a device name with the challenge', () => {
+    const { error } = twoFactorLoginSchema.validate({ challengeToken: 'token', code: '123456', deviceName: 'Laptop' });
+
+    expect(error).toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Coach availability query validation schema
+ */
+exports.availabilityQuerySchema = Joi.object({
+  from: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'From must be a date in YYYY-MM-DD format',
+    }),
+
+  to: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'To must be a date in YYYY-MM-DD format',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Private session booking validation schema
+ * Sessions start on the quarter hour and last 30 minutes to 3 hours.
+ */
+exports.bookingSchema = Joi.object({
+  date: Joi.string().pattern(DAY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Date must be in YYYY-MM-DD format',
+      'any.required': 'Date is required',
+    }),
+
+  startTime: Joi.string().pattern(/^([01]\d|2[0-3]):(00|15|30|45)$/).required()
+    .messages({
+      'string.pattern.base': 'Start time must be in HH:MM format on the quarter hour (e.g. 17:00 or 17:15)',
+      'any.required': 'Start time is required',
+    }),
+
+  duration: Joi.number().integer().min(30).max(180).multiple(15).default(60)
+    .messages({
+      'number.base': 'Duration must be a number of minutes',
+      'number.min': 'Sessions last at least {#limit} minutes',
+      'number.max': 'Sessions last at most {#limit} minutes',
+      'number.multiple': 'Duration must be a multiple of {#multiple} minutes',
+    }),
+
+  student: Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Student must be a valid ID',
+    }),
+
+  subscription: Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Subscription must be a valid ID',
+    }),
+
+  sportCategory: Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Sport category must be a valid ID',
+    }),
+
+  notes: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Notes cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Booking decline / cancellation validation schema
+ */
+exports.bookingReasonSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
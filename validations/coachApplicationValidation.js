@@ -0,0 +1,109 @@
+const Joi = require('joi');
+
+/**
+ * Coach application validation schema (draft details)
+ */
+exports.coachApplicationSchema = Joi.object({
+  bio: Joi.string().trim().max(1000)
+    .messages({
+      'string.base': 'Bio must be a string',
+      'string.empty': 'Bio cannot be empty',
+      'string.max': 'Bio cannot be longer than {#limit} characters',
+    }),
+
+  expertise: Joi.array().items(Joi.string().trim().max(100)).min(1)
+    .messages({
+      'array.base': 'Expertise must be a list',
+      'array.min': 'Please list at least one area of expertise',
+    }),
+
+  experienceYears: Joi.number().integer().min(0).max(80)
+    .messages({
+      'number.base': 'Experience years must be a number',
+      'number.integer': 'Experience years must be an integer',
+      'number.min': 'Experience years cannot be negative',
+      'number.max': 'Experience years cannot be more than {#limit}',
+    }),
+
+  specializations: Joi.array().items(Joi.string().trim().max(100))
+    .messages({
+      'array.base': 'Specializations must be a list',
+    }),
+
+  sportsCategories: Joi.array().items(Joi.string().trim())
+    .messages({
+      'array.base': 'Sports categories must be a list',
+    }),
+
+  backgroundCheckConsent: Joi.boolean()
+    .messages({
+      'boolean.base': 'Background check consent must be true or false',
+    }),
+}).min(1)
+  .messages({
+    'object.min': 'Please provide at least one field to update',
+  })
+  .options({ abortEarly: false });
+
+/**
+ * Certification validation schema (multipart form fields next to the document)
+ */
+exports.certificationSchema = Joi.object({
+  name: Joi.string().trim().max(200).required()
+    .messages({
+      'string.base': 'Certification name must be a string',
+      'string.empty': 'Certification name is required',
+      'any.required': 'Certification name is required',
+    }),
+
+  issuedBy: Joi.string().trim().max(200).allow('')
+    .messages({
+      'string.base': 'Issuer must be a string',
+    }),
+
+  issuedAt: Joi.date().iso().max('now')
+    .messages({
+      'date.base': 'Issue date must be a valid date',
+      'date.format': 'Issue date must be in YYYY-MM-DD format',
+      'date.max': 'Issue date cannot be in the future',
+    }),
+
+  expiresAt: Joi.date().iso()
+    .when('issuedAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('issuedAt')) })
+    .messages({
+      'date.base': 'Expiry date must be a valid date',
+      'date.format': 'Expiry date must be in YYYY-MM-DD format',
+      'date.greater': 'Expiry date must be after the issue date',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Certification document review validation schema
+ */
+exports.certificationReviewSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required()
+    .messages({
+      'any.only': 'Status must be approved or rejected',
+      'any.required': 'Status is required',
+    }),
+
+  reason: Joi.string().trim().max(500)
+    .when('status', { is: 'rejected', then: Joi.required() })
+    .messages({
+      'string.empty': 'Please give a reason for rejecting the document',
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+      'any.required': 'Please give a reason for rejecting the document',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Coach application rejection validation schema
+ */
+exports.rejectCoachApplicationSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).required()
+    .messages({
+      'string.empty': 'Please give a reason for the rejection',
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+      'any.required': 'Please give a reason for the rejection',
+    }),
+}).options({ abortEarly: false });
@@ -0,0 +1,58 @@
+const Joi = require('joi');
+
+/**
+ * Coach review validation schema
+ */
+exports.coachReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required()
+    .messages({
+      'number.base': 'Rating must be a number',
+      'number.integer': 'Rating must be a whole number',
+      'number.min': 'Rating must be at least {#limit}',
+      'number.max': 'Rating cannot be more than {#limit}',
+      'any.required': 'Rating is required',
+    }),
+
+  comment: Joi.string().trim().max(2000).allow('')
+    .messages({
+      'string.base': 'Review must be a string',
+      'string.max': 'Review cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Coach reply validation schema
+ */
+exports.reviewReplySchema = Joi.object({
+  text: Joi.string().trim().max(2000).required()
+    .messages({
+      'string.base': 'Reply must be a string',
+      'string.empty': 'Reply cannot be empty',
+      'string.max': 'Reply cannot be longer than {#limit} characters',
+      'any.required': 'Reply is required',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Review moderation validation schema
+ */
+exports.reviewModerationSchema = Joi.object({
+  status: Joi.string().valid('published', 'hidden')
+    .messages({
+      'any.only': 'Status must be published or hidden',
+    }),
+
+  flagged: Joi.boolean()
+    .messages({
+      'boolean.base': 'Flagged must be true or false',
+    }),
+
+  reason: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+    }),
+}).or('status', 'flagged')
+  .messages({
+    'object.missing': 'Please provide a status or flagged',
+  })
+  .options({ abortEarly: false });
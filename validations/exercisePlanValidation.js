@@ -0,0 +1,115 @@
+const Joi = require('joi');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'all'];
+
+// Fields that multipart uploads send as JSON strings
+exports.EXERCISE_PLAN_JSON_FIELDS = ['targetGroups', 'exercises', 'warmup', 'cooldown', 'equipmentRequired', 'tags'];
+
+// Warm-up and cool-down routines
+const routine = Joi.object({
+  description: Joi.string().trim().max(1000).allow(''),
+  duration: Joi.number().integer().min(0),
+  exercises: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    duration: Joi.number().integer().min(0),
+    description: Joi.string().trim().max(1000).allow(''),
+  })).max(50),
+});
+
+const exercise = Joi.object({
+  name: Joi.string().trim().max(100).required()
+    .messages({
+      'any.required': 'Every exercise must have a name',
+    }),
+  description: Joi.string().trim().max(1000).allow(''),
+  sets: Joi.number().integer().min(1),
+  reps: Joi.string().trim().max(20),
+  duration: Joi.number().integer().min(0),
+  restTime: Joi.number().integer().min(0),
+  image: Joi.string().uri(),
+  video: Joi.string().uri(),
+  instructions: Joi.array().items(Joi.string().trim().max(500)).max(50),
+  equipment: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  targetMuscles: Joi.array().items(Joi.string().trim().max(100)).max(50),
+});
+
+const planFields = {
+  title: Joi.string().trim().max(100)
+    .messages({
+      'string.empty': 'Title cannot be empty',
+      'string.max': 'Title must be less than {#limit} characters',
+      'any.required': 'Title is required',
+    }),
+
+  description: Joi.string().trim().max(2000).allow('')
+    .messages({
+      'string.max': 'Description cannot be longer than {#limit} characters',
+    }),
+
+  sportCategory: Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Sport category must be a valid ID',
+      'any.required': 'Sport category is required',
+    }),
+
+  level: Joi.string().valid(...LEVELS)
+    .messages({
+      'any.only': 'Level must be one of beginner, intermediate, advanced or all',
+    }),
+
+  targetGroups: Joi.object({
+    ageRange: Joi.object({
+      min: Joi.number().integer().min(0),
+      max: Joi.number().integer().min(0),
+    }),
+    gender: Joi.string().valid('male', 'female', 'all'),
+    fitnessLevel: Joi.string().valid(...LEVELS),
+  }),
+
+  duration: Joi.number().integer().min(1)
+    .messages({
+      'number.base': 'Duration must be a number of minutes',
+      'number.min': 'Duration must be positive',
+      'any.required': 'Duration is required',
+    }),
+
+  caloriesBurn: Joi.number().min(0),
+
+  exercises: Joi.array().items(exercise).max(100)
+    .messages({
+      'array.base': 'Exercises must be a list',
+      'array.max': 'A plan can have at most {#limit} exercises',
+    }),
+
+  warmup: routine,
+  cooldown: routine,
+
+  equipmentRequired: Joi.array().items(Joi.string().trim().max(100)).max(50),
+
+  isPublic: Joi.boolean()
+    .messages({
+      'boolean.base': 'isPublic must be true or false',
+    }),
+
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20),
+
+  changes: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Changes cannot be longer than {#limit} characters',
+    }),
+};
+
+/**
+ * Exercise plan validation schema, for a new plan with an optional document
+ */
+exports.exercisePlanSchema = Joi.object(planFields)
+  .fork(['title', 'sportCategory', 'duration'], field => field.required())
+  .options({ abortEarly: false });
+
+/**
+ * Exercise plan version validation schema
+ * A new document upload, optionally with changes to the plan's fields.
+ */
+exports.exercisePlanVersionSchema = Joi.object(planFields)
+  .options({ abortEarly: false });
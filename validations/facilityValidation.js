@@ -0,0 +1,153 @@
+const Joi = require('joi');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Closing times may also be 24:00, midnight at the end of the day
+const CLOSING_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const TYPES = ['court', 'pool', 'gym', 'field', 'track', 'studio', 'other'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const objectId = label => Joi.string().pattern(OBJECT_ID_PATTERN)
+  .messages({
+    'string.pattern.base': `${label} must be a valid ID`,
+    'any.required': `${label} is required`,
+  });
+
+const openingSlot = Joi.object({
+  startTime: Joi.string().pattern(TIME_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Opening time must be in HH:MM format',
+      'any.required': 'Opening time is required',
+    }),
+  endTime: Joi.string().pattern(CLOSING_TIME_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Closing time must be in HH:MM format',
+      'any.required': 'Closing time is required',
+    }),
+}).custom((slot, helpers) => (slot.endTime > slot.startTime
+  ? slot
+  : helpers.message({ custom: 'Closing time must be after opening time' })));
+
+const facilityFields = {
+  name: Joi.string().trim().max(100)
+    .messages({
+      'string.empty': 'Name cannot be empty',
+      'string.max': 'Name must be less than {#limit} characters',
+      'any.required': 'Name is required',
+    }),
+
+  type: Joi.string().valid(...TYPES)
+    .messages({
+      'any.only': `Type must be one of ${TYPES.join(', ')}`,
+      'any.required': 'Type is required',
+    }),
+
+  description: Joi.string().trim().max(2000).allow(''),
+
+  location: Joi.object({
+    name: Joi.string().trim().max(200).allow(''),
+    address: Joi.object({
+      street: Joi.string().trim().allow(''),
+      city: Joi.string().trim().allow(''),
+      state: Joi.string().trim().allow(''),
+      zipCode: Joi.string().trim().allow(''),
+      country: Joi.string().trim().allow(''),
+    }),
+    coordinates: Joi.array().items(Joi.number()).length(2)
+      .messages({
+        'array.length': 'Coordinates must be [longitude, latitude]',
+      }),
+  }),
+
+  capacity: Joi.number().integer().min(1)
+    .messages({
+      'number.min': 'Capacity must be at least {#limit}',
+      'any.required': 'Capacity is required',
+    }),
+
+  // Leave empty for a facility any sport can use
+  sportCategories: Joi.array().items(objectId('Sport category')).unique()
+    .messages({
+      'array.unique': 'Each sport category can only be listed once',
+    }),
+
+  // Days left out are closed
+  openingHours: Joi.object(Object.fromEntries(WEEKDAYS.map(day => [day, Joi.array().items(openingSlot).max(6)])))
+    .min(1)
+    .messages({
+      'object.min': 'Please provide the opening hours of at least one day',
+      'any.required': 'Opening hours are required',
+    }),
+};
+
+/**
+ * Facility validation schema
+ */
+exports.facilitySchema = Joi.object(facilityFields)
+  .fork(['name', 'type', 'capacity', 'openingHours'], field => field.required())
+  .options({ abortEarly: false });
+
+/**
+ * Facility update validation schema
+ */
+exports.updateFacilitySchema = Joi.object(facilityFields)
+  .min(1)
+  .messages({
+    'object.min': 'Please provide at least one field to update',
+  })
+  .options({ abortEarly: false });
+
+/**
+ * Maintenance block validation schema
+ */
+exports.maintenanceSchema = Joi.object({
+  startsAt: Joi.date().iso().required()
+    .messages({
+      'date.format': 'Start must be an ISO date',
+      'any.required': 'Start is required',
+    }),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required()
+    .messages({
+      'date.format': 'End must be an ISO date',
+      'date.greater': 'End must be after the start',
+      'any.required': 'End is required',
+    }),
+  reason: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Facility calendar query validation schema
+ */
+exports.calendarQuerySchema = Joi.object({
+  from: Joi.string().pattern(DAY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'From must be a date in YYYY-MM-DD format',
+      'any.required': 'From is required',
+    }),
+  to: Joi.string().pattern(DAY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'To must be a date in YYYY-MM-DD format',
+      'any.required': 'To is required',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Facility list query validation schema
+ */
+exports.facilityQuerySchema = Joi.object({
+  type: Joi.string().valid(...TYPES)
+    .messages({
+      'any.only': `Type must be one of ${TYPES.join(', ')}`,
+    }),
+  sportCategory: objectId('Sport category'),
+  includeInactive: Joi.boolean()
+    .messages({
+      'boolean.base': 'includeInactive must be true or false',
+    }),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(200),
+}).options({ abortEarly: false });
@@ -0,0 +1,60 @@
+const Joi = require('joi');
+
+/**
+ * Guardian invitation request validation schema
+ */
+exports.guardianInvitationSchema = Joi.object({
+  email: Joi.string().email().required()
+    .messages({
+      'string.base': 'Email must be a string',
+      'string.empty': 'Guardian email is required',
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Guardian email is required',
+    }),
+
+  name: Joi.string().trim().min(3).max(50)
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.min': 'Name must be at least {#limit} characters long',
+      'string.max': 'Name cannot be longer than {#limit} characters',
+    }),
+
+  relationship: Joi.string().trim().max(50)
+    .messages({
+      'string.base': 'Relationship must be a string',
+      'string.max': 'Relationship cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Guardian invitation acceptance request validation schema
+ * Name is only needed when the guardian has no account yet.
+ */
+exports.acceptGuardianInvitationSchema = Joi.object({
+  consent: Joi.boolean().valid(true).required()
+    .messages({
+      'boolean.base': 'Consent must be true or false',
+      'any.only': 'You must give your consent to accept the invitation',
+      'any.required': 'You must give your consent to accept the invitation',
+    }),
+
+  name: Joi.string().trim().min(3).max(50)
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.min': 'Name must be at least {#limit} characters long',
+      'string.max': 'Name cannot be longer than {#limit} characters',
+    }),
+
+  password: Joi.string().min(8).required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Password is required',
+      'string.min': 'Password must be at least {#limit} characters long',
+      'any.required': 'Password is required',
+    }),
+
+  phone: Joi.string().allow('').optional()
+    .messages({
+      'string.base': 'Phone number must be a string',
+    }),
+}).options({ abortEarly: false });
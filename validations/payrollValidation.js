@@ -0,0 +1,124 @@
+const Joi = require('joi');
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Build a non-negative money amount rule
+ * @param {String} label - Field name used in messages
+ * @returns {Object} Joi schema
+ */
+const rate = label => Joi.number().min(0).precision(2)
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`,
+  });
+
+/**
+ * Coach pay rates validation schema
+ */
+exports.compensationSchema = Joi.object({
+  currency: Joi.string().trim().uppercase().length(3)
+    .messages({
+      'string.length': 'Currency must be a 3-letter code',
+    }),
+
+  hourlyRate: rate('Hourly rate'),
+  sessionRate: rate('Session rate'),
+  bookingRate: rate('Booking rate'),
+
+  tournamentFeePercentage: Joi.number().min(0).max(100)
+    .messages({
+      'number.base': 'Tournament fee percentage must be a number',
+      'number.min': 'Tournament fee percentage cannot be negative',
+      'number.max': 'Tournament fee percentage cannot be more than {#limit}',
+    }),
+
+  notes: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Notes cannot be longer than {#limit} characters',
+    }),
+}).min(1)
+  .messages({
+    'object.min': 'Please provide at least one rate to update',
+  })
+  .options({ abortEarly: false });
+
+/**
+ * Payroll computation validation schema
+ */
+exports.computePayrollSchema = Joi.object({
+  period: Joi.string().pattern(PERIOD_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Period must be in YYYY-MM format',
+      'any.required': 'Period is required',
+    }),
+
+  coaches: Joi.array().items(Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Coach must be a valid ID',
+    })).min(1).max(200)
+    .messages({
+      'array.min': 'Please provide at least one coach',
+      'array.max': 'At most {#limit} coaches can be computed at once',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Payslip adjustment validation schema
+ * Positive amounts are bonuses, negative amounts deductions.
+ */
+exports.adjustmentSchema = Joi.object({
+  amount: Joi.number().precision(2).invalid(0).required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'any.invalid': 'Amount cannot be zero',
+      'any.required': 'Amount is required',
+    }),
+
+  reason: Joi.string().trim().max(500).required()
+    .messages({
+      'string.empty': 'Please give a reason for the adjustment',
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+      'any.required': 'Please give a reason for the adjustment',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Payout validation schema
+ */
+exports.payoutSchema = Joi.object({
+  method: Joi.string().valid('bank_transfer', 'cash', 'cheque', 'other').required()
+    .messages({
+      'any.only': 'Payment method must be one of bank_transfer, cash, cheque or other',
+      'any.required': 'Payment method is required',
+    }),
+
+  reference: Joi.string().trim().max(200).allow('')
+    .messages({
+      'string.max': 'Reference cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Earnings and payslip list query validation schema
+ */
+exports.payrollQuerySchema = Joi.object({
+  period: Joi.string().pattern(PERIOD_PATTERN)
+    .messages({
+      'string.pattern.base': 'Period must be in YYYY-MM format',
+    }),
+
+  status: Joi.string().valid('draft', 'approved', 'paid')
+    .messages({
+      'any.only': 'Status must be draft, approved or paid',
+    }),
+
+  coach: Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Coach must be a valid ID',
+    }),
+
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(200),
+}).options({ abortEarly: false });
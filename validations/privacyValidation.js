@@ -0,0 +1,46 @@
+const Joi = require('joi');
+
+const reason = Joi.string().trim().max(1000)
+  .messages({
+    'string.base': 'Reason must be a string',
+    'string.max': 'Reason cannot be longer than {#limit} characters',
+  });
+
+/**
+ * Erasure request validation schema (the signed-in user's own account)
+ */
+exports.erasureRequestSchema = Joi.object({
+  password: Joi.string().required()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.empty': 'Please confirm your password',
+      'any.required': 'Please confirm your password',
+    }),
+
+  reason: reason.allow(''),
+}).options({ abortEarly: false });
+
+/**
+ * Erasure request validation schema (staff acting for a user)
+ */
+exports.adminErasureRequestSchema = Joi.object({
+  user: Joi.string().hex().length(24).required()
+    .messages({
+      'string.hex': 'User must be a valid ID',
+      'string.length': 'User must be a valid ID',
+      'any.required': 'User is required',
+    }),
+
+  reason: reason.allow(''),
+}).options({ abortEarly: false });
+
+/**
+ * Erasure rejection validation schema
+ */
+exports.rejectErasureSchema = Joi.object({
+  reason: reason.required()
+    .messages({
+      'string.empty': 'Please give a reason for the rejection',
+      'any.required': 'Please give a reason for the rejection',
+    }),
+}).options({ abortEarly: false });
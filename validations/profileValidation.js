@@ -0,0 +1,167 @@
+const Joi = require('joi');
+
+// Fields stored on the User document; everything else goes to the role profile
+exports.USER_FIELDS = ['name', 'phone'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const userKeys = {
+  name: Joi.string().trim().min(3).max(50)
+    .messages({
+      'string.base': 'Name must be a string',
+      'string.empty': 'Name cannot be empty',
+      'string.min': 'Name must be at least {#limit} characters long',
+      'string.max': 'Name cannot be longer than {#limit} characters',
+    }),
+
+  phone: Joi.string().trim().allow('')
+    .messages({
+      'string.base': 'Phone number must be a string',
+    }),
+};
+
+const stringList = label => Joi.array().items(Joi.string().trim().max(200))
+  .messages({
+    'array.base': `${label} must be a list`,
+    'string.max': `${label} entries cannot be longer than {#limit} characters`,
+  });
+
+const timeSlot = Joi.object({
+  startTime: Joi.string().pattern(TIME_PATTERN).required(),
+  endTime: Joi.string().pattern(TIME_PATTERN).required(),
+}).custom((slot, helpers) => (
+  slot.startTime < slot.endTime ? slot : helpers.error('slot.order')
+))
+  .messages({
+    'string.pattern.base': 'Times must be in HH:MM format',
+    'any.required': 'Each availability slot needs a start and end time',
+    'slot.order': 'Availability slots must end after they start',
+  });
+
+const studentKeys = {
+  gender: Joi.string().valid('male', 'female', 'other', 'prefer not to say')
+    .messages({
+      'any.only': 'Gender must be one of: male, female, other, prefer not to say',
+    }),
+
+  address: Joi.object({
+    street: Joi.string().trim().allow('').max(200),
+    city: Joi.string().trim().allow('').max(100),
+    state: Joi.string().trim().allow('').max(100),
+    zipCode: Joi.string().trim().allow('').max(20),
+    country: Joi.string().trim().allow('').max(100),
+  }),
+
+  emergencyContact: Joi.object({
+    name: Joi.string().trim().allow('').max(100),
+    relationship: Joi.string().trim().allow('').max(50),
+    phone: Joi.string().trim().allow('').max(30),
+  }),
+
+  medicalInformation: Joi.object({
+    conditions: stringList('Medical conditions'),
+    allergies: stringList('Allergies'),
+    medications: stringList('Medications'),
+    notes: Joi.string().trim().allow('').max(2000)
+      .messages({
+        'string.max': 'Medical notes cannot be longer than {#limit} characters',
+      }),
+  }),
+
+  sportPreferences: Joi.array().items(Joi.string().trim())
+    .messages({
+      'array.base': 'Sport preferences must be a list',
+    }),
+
+  goals: stringList('Goals'),
+};
+
+const coachKeys = {
+  bio: Joi.string().trim().allow('').max(1000)
+    .messages({
+      'string.max': 'Bio cannot be longer than {#limit} characters',
+    }),
+
+  expertise: stringList('Expertise').min(1)
+    .messages({
+      'array.min': 'Coach must have at least one expertise',
+    }),
+
+  experienceYears: Joi.number().integer().min(0).max(80)
+    .messages({
+      'number.base': 'Experience years must be a number',
+      'number.integer': 'Experience years must be an integer',
+      'number.min': 'Experience years cannot be negative',
+      'number.max': 'Experience years cannot be more than {#limit}',
+    }),
+
+  certifications: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(200).required()
+      .messages({
+        'any.required': 'Certification name is required',
+        'string.empty': 'Certification name is required',
+      }),
+    issuedBy: Joi.string().trim().allow('').max(200),
+    year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1)
+      .messages({
+        'number.base': 'Certification year must be a number',
+        'number.min': 'Certification year must be {#limit} or later',
+        'number.max': 'Certification year cannot be in the future',
+      }),
+  }))
+    .messages({
+      'array.base': 'Certifications must be a list',
+    }),
+
+  specializations: stringList('Specializations'),
+
+  availability: Joi.object({
+    monday: Joi.array().items(timeSlot),
+    tuesday: Joi.array().items(timeSlot),
+    wednesday: Joi.array().items(timeSlot),
+    thursday: Joi.array().items(timeSlot),
+    friday: Joi.array().items(timeSlot),
+    saturday: Joi.array().items(timeSlot),
+    sunday: Joi.array().items(timeSlot),
+  }),
+
+  socialMedia: Joi.object({
+    linkedin: Joi.string().uri().allow(''),
+    twitter: Joi.string().uri().allow(''),
+    instagram: Joi.string().uri().allow(''),
+    facebook: Joi.string().uri().allow(''),
+  })
+    .messages({
+      'string.uri': 'Social media links must be full URLs',
+    }),
+
+  sportsCategories: Joi.array().items(Joi.string().trim())
+    .messages({
+      'array.base': 'Sports categories must be a list',
+    }),
+};
+
+// Anything not listed (assignedCoaches, attendanceStats, currentSubscription,
+// ratings, ...) is managed by staff and rejected here
+const profileSchema = keys => Joi.object({ ...userKeys, ...keys })
+  .min(1)
+  .messages({
+    'object.min': 'Please provide at least one field to update',
+    'object.unknown': '{#label} cannot be changed from your profile',
+  })
+  .options({ abortEarly: false });
+
+exports.studentProfileUpdateSchema = profileSchema(studentKeys);
+exports.coachProfileUpdateSchema = profileSchema(coachKeys);
+exports.userProfileUpdateSchema = profileSchema({});
+
+/**
+ * Get the profile update schema for a role
+ * @param {string} role - User role
+ * @returns {Object} Joi schema
+ */
+exports.profileUpdateSchemaFor = (role) => {
+  if (role === 'student') return exports.studentProfileUpdateSchema;
+  if (role === 'coach') return exports.coachProfileUpdateSchema;
+  return exports.userProfileUpdateSchema;
+};
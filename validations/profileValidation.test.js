@@ -0,0 +1,44 @@
+const { profileUpdateSchemaFor } = require('./profileValidation');
+
+describe('profileUpdateSchemaFor', () => {
+  it('accepts the medical details of students', () => {
+    const { error } = profileUpdateSchemaFor('student').validate({
+      phone: '0123',
+      medicalInformation: { allergies: ['nuts'] },
+      emergencyContact: { phone: '0456' },
+    });
+
+    expect(error).toBeUndefined();
+  });
+
+  it('rejects staff-managed fields', () => {
+    const { error } = profileUpdateSchemaFor('student').validate({ assignedCoaches: ['someone'] });
+
+    expect(error.details[0].message).toBe('"assignedCoaches" cannot be changed from your profile');
+  });
+
+  it('rejects coach fields on student profiles', () => {
+    const { error } = profileUpdateSchemaFor('student').validate({ bio: 'Hello' });
+
+    expect(error).toBeDefined();
+  });
+
+  it('rejects availability slots that end before they start', () => {
+    const { error } = profileUpdateSchemaFor('coach').validate({
+      availability: { monday: [{ startTime: '10:00', endTime: '09:00' }] },
+    });
+
+    expect(error.details[0].message).toBe('Availability slots must end after they start');
+  });
+
+  it('only lets other roles change their account fields', () => {
+    expect(profileUpdateSchemaFor('admin').validate({ name: 'Admin User' }).error).toBeUndefined();
+    expect(profileUpdateSchemaFor('admin').validate({ bio: 'Hello' }).error).toBeDefined();
+  });
+
+  it('requires at least one field', () => {
+    const { error } = profileUpdateSchemaFor('coach').validate({});
+
+    expect(error.details[0].message).toBe('Please provide at least one field to update');
+  });
+});
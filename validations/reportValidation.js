@@ -0,0 +1,28 @@
+const Joi = require('joi');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const objectId = label => Joi.string().pattern(OBJECT_ID_PATTERN)
+  .messages({
+    'string.pattern.base': `${label} must be a valid ID`,
+  });
+
+/**
+ * At-risk students report query validation schema
+ */
+exports.atRiskQuerySchema = Joi.object({
+  sport: objectId('Sport'),
+  coach: objectId('Coach'),
+  level: Joi.string().valid('low', 'medium', 'high')
+    .messages({
+      'any.only': 'Level must be low, medium or high',
+    }),
+  minScore: Joi.number().integer().min(0).max(100)
+    .messages({
+      'number.base': 'Minimum score must be a number',
+      'number.min': 'Minimum score cannot be negative',
+      'number.max': 'Minimum score cannot be more than {#limit}',
+    }),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(200),
+}).options({ abortEarly: false });
@@ -0,0 +1,22 @@
+const Joi = require('joi');
+
+/**
+ * Role update request validation schema
+ * Permission names are checked against the catalogue in the controller.
+ */
+exports.updateRoleSchema = Joi.object({
+  description: Joi.string().trim().max(200)
+    .messages({
+      'string.base': 'Description must be a string',
+      'string.max': 'Description cannot exceed {#limit} characters',
+    }),
+
+  permissions: Joi.array().items(Joi.string().trim()).unique()
+    .messages({
+      'array.base': 'Permissions must be an array of permission names',
+      'array.unique': 'Permissions must not contain duplicates',
+    }),
+}).min(1).options({ abortEarly: false })
+  .messages({
+    'object.min': 'Provide a description or a list of permissions to update',
+  });
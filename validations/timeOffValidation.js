@@ -0,0 +1,73 @@
+const Joi = require('joi');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Time-off request validation schema
+ * Dates are whole days in YYYY-MM-DD format, both inclusive.
+ */
+exports.timeOffSchema = Joi.object({
+  coach: Joi.string().pattern(OBJECT_ID_PATTERN)
+    .messages({
+      'string.pattern.base': 'Coach must be a valid ID',
+    }),
+
+  startDate: Joi.string().pattern(DAY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+      'any.required': 'Start date is required',
+    }),
+
+  endDate: Joi.string().pattern(DAY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'End date must be in YYYY-MM-DD format',
+      'any.required': 'End date is required',
+    }),
+
+  reason: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Time-off rejection validation schema
+ */
+exports.rejectTimeOffSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+    .messages({
+      'string.empty': 'Please give a reason for the rejection',
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+      'any.required': 'Please give a reason for the rejection',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Substitute reassignment validation schema
+ */
+exports.reassignSessionsSchema = Joi.object({
+  assignments: Joi.array().items(Joi.object({
+    session: Joi.string().pattern(OBJECT_ID_PATTERN).required()
+      .messages({
+        'string.pattern.base': 'Session must be a valid ID',
+        'any.required': 'Session is required',
+      }),
+    coach: Joi.string().pattern(OBJECT_ID_PATTERN).required()
+      .messages({
+        'string.pattern.base': 'Coach must be a valid ID',
+        'any.required': 'Substitute coach is required',
+      }),
+  })).min(1).max(200).required()
+    .messages({
+      'array.base': 'Assignments must be a list',
+      'array.min': 'Please provide at least one assignment',
+      'array.max': 'At most {#limit} sessions can be reassigned at once',
+      'any.required': 'Assignments are required',
+    }),
+
+  force: Joi.boolean()
+    .messages({
+      'boolean.base': 'Force must be true or false',
+    }),
+}).options({ abortEarly: false });
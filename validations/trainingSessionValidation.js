@@ -0,0 +1,210 @@
+const Joi = require('joi');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const LEVELS = ['beginner', 'intermediate', 'advanced', 'all'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Which occurrences of a series a change applies to, this one by default
+const scope = Joi.string().valid('occurrence', 'following', 'series')
+  .messages({
+    'any.only': 'Scope must be occurrence, following or series',
+  });
+
+const objectId = label => Joi.string().pattern(OBJECT_ID_PATTERN)
+  .messages({
+    'string.pattern.base': `${label} must be a valid ID`,
+    'any.required': `${label} is required`,
+  });
+
+const recurrencePattern = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required()
+    .messages({
+      'any.only': 'Frequency must be daily, weekly or monthly',
+      'any.required': 'Recurrence frequency is required',
+    }),
+  interval: Joi.number().integer().min(1).max(12).default(1)
+    .messages({
+      'number.min': 'Interval must be at least {#limit}',
+      'number.max': 'Interval cannot be more than {#limit}',
+    }),
+  daysOfWeek: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique()
+    .messages({
+      'any.only': 'Days of the week must be full lowercase day names',
+    }),
+  endDate: Joi.string().pattern(DAY_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Recurrence end date must be in YYYY-MM-DD format',
+      'any.required': 'Recurrence end date is required',
+    }),
+});
+
+const sessionFields = {
+  title: Joi.string().trim().max(100)
+    .messages({
+      'string.empty': 'Title cannot be empty',
+      'string.max': 'Title must be less than {#limit} characters',
+      'any.required': 'Title is required',
+    }),
+
+  description: Joi.string().trim().max(2000).allow(''),
+
+  coach: objectId('Coach'),
+  sportCategory: objectId('Sport category'),
+  exercisePlan: objectId('Exercise plan'),
+  facility: objectId('Facility'),
+
+  sessionDate: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'Session date must be in YYYY-MM-DD format',
+      'any.required': 'Session date is required',
+    }),
+
+  startTime: Joi.string().pattern(TIME_PATTERN)
+    .messages({
+      'string.pattern.base': 'Start time must be in HH:MM format',
+      'any.required': 'Start time is required',
+    }),
+
+  endTime: Joi.string().pattern(TIME_PATTERN)
+    .messages({
+      'string.pattern.base': 'End time must be in HH:MM format',
+      'any.required': 'End time is required',
+    }),
+
+  // Defaults to the facility's location
+  location: Joi.object({
+    name: Joi.string().trim().max(200).required()
+      .messages({
+        'any.required': 'Location name is required',
+      }),
+    address: Joi.object({
+      street: Joi.string().trim().allow(''),
+      city: Joi.string().trim().allow(''),
+      state: Joi.string().trim().allow(''),
+      zipCode: Joi.string().trim().allow(''),
+      country: Joi.string().trim().allow(''),
+    }),
+    coordinates: Joi.array().items(Joi.number()).length(2)
+      .messages({
+        'array.length': 'Coordinates must be [longitude, latitude]',
+      }),
+  }),
+
+  capacity: Joi.number().integer().min(1)
+    .messages({
+      'number.min': 'Capacity must be at least {#limit}',
+      'any.required': 'Capacity is required',
+    }),
+
+  level: Joi.string().valid(...LEVELS)
+    .messages({
+      'any.only': 'Level must be one of beginner, intermediate, advanced or all',
+    }),
+
+  equipment: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  notes: Joi.string().trim().max(2000).allow(''),
+
+  recurrencePattern,
+
+  force: Joi.boolean()
+    .messages({
+      'boolean.base': 'Force must be true or false',
+    }),
+};
+
+/**
+ * Training session validation schema
+ * Pass `recurrencePattern` to schedule a recurring series.
+ */
+exports.trainingSessionSchema = Joi.object(sessionFields)
+  .fork(['title', 'sportCategory', 'facility', 'sessionDate', 'startTime', 'endTime', 'capacity'], field => field.required())
+  .options({ abortEarly: false });
+
+/**
+ * Training session update validation schema
+ */
+exports.updateTrainingSessionSchema = Joi.object({ ...sessionFields, scope })
+  .min(1)
+  .messages({
+    'object.min': 'Please provide at least one field to update',
+  })
+  .options({ abortEarly: false });
+
+/**
+ * Training session cancellation validation schema
+ */
+exports.cancelTrainingSessionSchema = Joi.object({
+  scope,
+  reason: Joi.string().trim().max(500).allow('')
+    .messages({
+      'string.max': 'Reason cannot be longer than {#limit} characters',
+    }),
+}).options({ abortEarly: false });
+
+/**
+ * Training session registration validation schema
+ * Guardians and staff pass the `student` they register or cancel for.
+ */
+exports.registrationSchema = Joi.object({
+  student: objectId('Student'),
+}).options({ abortEarly: false });
+
+/**
+ * Self check-in validation schema: the scanned code and, for sessions with
+ * coordinates, where the student is
+ */
+exports.checkInSchema = Joi.object({
+  code: Joi.string().trim().max(200).required()
+    .messages({
+      'string.empty': 'Check-in code is required',
+      'any.required': 'Check-in code is required',
+    }),
+  latitude: Joi.number().min(-90).max(90)
+    .messages({
+      'number.base': 'Latitude must be a number',
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+    }),
+  longitude: Joi.number().min(-180).max(180)
+    .messages({
+      'number.base': 'Longitude must be a number',
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+    }),
+})
+  .and('latitude', 'longitude')
+  .messages({
+    'object.and': 'Please provide both latitude and longitude',
+  })
+  .options({ abortEarly: false });
+
+/**
+ * Training session list query validation schema
+ */
+exports.trainingSessionQuerySchema = Joi.object({
+  coach: objectId('Coach'),
+  sportCategory: objectId('Sport category'),
+  series: objectId('Series'),
+  facility: objectId('Facility'),
+  level: Joi.string().valid(...LEVELS)
+    .messages({
+      'any.only': 'Level must be one of beginner, intermediate, advanced or all',
+    }),
+  location: Joi.string().trim().max(200),
+  status: Joi.string().valid('scheduled', 'in_progress', 'completed', 'cancelled')
+    .messages({
+      'any.only': 'Status must be scheduled, in_progress, completed or cancelled',
+    }),
+  from: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'From must be a date in YYYY-MM-DD format',
+    }),
+  to: Joi.string().pattern(DAY_PATTERN)
+    .messages({
+      'string.pattern.base': 'To must be a date in YYYY-MM-DD format',
+    }),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(200),
+}).options({ abortEarly: false });
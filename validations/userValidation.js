@@ -0,0 +1,53 @@
+const Joi = require('joi');
+const { registerSchema } = require('./authValidation');
+
+/**
+ * Bulk import row validation schema
+ * Same rules as registration; the password is optional (imported users set
+ * one through "Forgot password") and coaches may carry profile details.
+ */
+exports.importRowSchema = registerSchema
+  .fork(['password'], schema => schema.optional())
+  .keys({
+    dateOfBirth: Joi.date().iso().max('now').optional()
+      .messages({
+        'date.base': 'Date of birth must be a valid date',
+        'date.format': 'Date of birth must be in YYYY-MM-DD format',
+        'date.max': 'Date of birth cannot be in the future',
+      }),
+
+    bio: Joi.string().trim().max(1000).optional()
+      .messages({
+        'string.base': 'Bio must be a string',
+        'string.max': 'Bio cannot be longer than {#limit} characters',
+      }),
+
+    experienceYears: Joi.number().integer().min(0).max(80).optional()
+      .messages({
+        'number.base': 'Experience years must be a number',
+        'number.integer': 'Experience years must be an integer',
+        'number.min': 'Experience years cannot be negative',
+        'number.max': 'Experience years cannot be more than {#limit}',
+      }),
+
+    expertise: Joi.array().items(Joi.string().trim()).optional()
+      .messages({
+        'array.base': 'Expertise must be a list',
+      }),
+  })
+  .options({ abortEarly: false, convert: true });
+
+/**
+ * Bulk import options validation schema (multipart form fields)
+ */
+exports.importOptionsSchema = Joi.object({
+  dryRun: Joi.boolean().truthy('1', 'yes', 'on').falsy('0', 'no', 'off').default(false)
+    .messages({
+      'boolean.base': 'dryRun must be true or false',
+    }),
+
+  sendWelcomeEmails: Joi.boolean().truthy('1', 'yes', 'on').falsy('0', 'no', 'off').default(true)
+    .messages({
+      'boolean.base': 'sendWelcomeEmails must be true or false',
+    }),
+}).options({ abortEarly: false });